@@ -0,0 +1,169 @@
+// Livestream rooms: one broadcaster and any number of viewers. The broadcaster decides who
+// receives the stream from whom and the server only keeps that tree and relays signals.
+// Protocol (JSON text frames, on /broadcast):
+//   client -> server: join {streamId, user, role, canRelay}, update {changes}, assign {uid, parentId},
+//                     signal {to, data}, leave
+//   server -> client: joined {streamId}, viewers {viewers} (broadcaster), viewer {viewer} (viewers),
+//                     children {children}, signal {from, data}, ended, error {message}
+import { isMessage, isPlainObject } from './messages.js';
+
+const VIEWER_FIELDS = ['canRelay', 'parentFailed'];
+
+export const createBroadcastRooms = () => {
+  const rooms = new Map();
+
+  const send = (connection, body) => connection?.send(JSON.stringify(body));
+
+  const getRoom = (streamId) => {
+    let room = rooms.get(streamId);
+    if (!room) {
+      room = { broadcaster: null, viewers: new Map() };
+      rooms.set(streamId, room);
+    }
+    return room;
+  };
+
+  const childrenOf = (room, uid) => Array.from(room.viewers.values(), ({ viewer }) => viewer)
+    .filter(viewer => viewer.parentId === uid);
+
+  // Everyone hears about the part of the tree that concerns them
+  const publish = (room) => {
+    const viewers = Array.from(room.viewers.values(), ({ viewer }) => viewer);
+    if (room.broadcaster) {
+      send(room.broadcaster.connection, { type: 'viewers', viewers });
+      send(room.broadcaster.connection, { type: 'children', children: childrenOf(room, room.broadcaster.uid) });
+    }
+    room.viewers.forEach(({ connection, viewer }) => {
+      send(connection, { type: 'viewer', viewer });
+      send(connection, { type: 'children', children: childrenOf(room, viewer.uid) });
+    });
+  };
+
+  const findConnection = (room, uid) => (room.broadcaster?.uid === uid
+    ? room.broadcaster.connection
+    : room.viewers.get(uid)?.connection);
+
+  const leave = (session) => {
+    const room = rooms.get(session.streamId);
+    if (!room) return;
+
+    if (session.role === 'broadcaster') {
+      if (room.broadcaster?.connection !== session.connection) return;
+      room.broadcaster = null;
+      room.viewers.forEach(({ connection }) => send(connection, { type: 'ended' }));
+    } else {
+      if (room.viewers.get(session.uid)?.connection !== session.connection) return;
+      room.viewers.delete(session.uid);
+      // Their children wait for the broadcaster to place them again
+      room.viewers.forEach(({ viewer }) => {
+        if (viewer.parentId === session.uid) viewer.parentId = null;
+      });
+      publish(room);
+    }
+
+    if (!room.broadcaster && room.viewers.size === 0) rooms.delete(session.streamId);
+  };
+
+  const handleMessage = (session, message) => {
+    const reply = body => send(session.connection, body);
+    if (!isMessage(message)) {
+      reply({ type: 'error', message: 'Messages must be objects with a type' });
+      return;
+    }
+
+    if (message.type === 'join') {
+      const { streamId, user, role } = message;
+      if (typeof streamId !== 'string' || !streamId || typeof user?.uid !== 'string' || !user.uid) {
+        reply({ type: 'error', message: 'join needs a streamId and a user uid' });
+        return;
+      }
+      if (role !== 'broadcaster' && role !== 'viewer') {
+        reply({ type: 'error', message: 'role must be broadcaster or viewer' });
+        return;
+      }
+      if (session.streamId) leave(session);
+
+      const room = getRoom(streamId);
+      if (role === 'broadcaster') {
+        if (room.broadcaster && room.broadcaster.uid !== user.uid) {
+          reply({ type: 'error', message: 'Someone else is already broadcasting' });
+          return;
+        }
+        room.broadcaster?.connection.close();
+        room.broadcaster = { uid: user.uid, connection: session.connection };
+      } else {
+        room.viewers.get(user.uid)?.connection.close();
+        room.viewers.set(user.uid, {
+          connection: session.connection,
+          viewer: {
+            uid: user.uid,
+            displayName: String(user.displayName || ''),
+            canRelay: Boolean(message.canRelay),
+            parentId: null,
+            parentFailed: null,
+            joinedAt: Date.now(),
+          },
+        });
+      }
+
+      Object.assign(session, { streamId, uid: user.uid, role });
+      reply({ type: 'joined', streamId });
+      publish(room);
+      return;
+    }
+
+    const room = rooms.get(session.streamId);
+    const joined = session.role === 'broadcaster'
+      ? room?.broadcaster?.connection === session.connection
+      : room?.viewers.get(session.uid)?.connection === session.connection;
+    if (!joined) {
+      reply({ type: 'error', message: 'Join a stream first' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'signal':
+        send(findConnection(room, message.to), { type: 'signal', from: session.uid, data: message.data });
+        break;
+      case 'update': {
+        const entry = room.viewers.get(session.uid);
+        if (!entry) break;
+        if (!isPlainObject(message.changes)) {
+          reply({ type: 'error', message: 'update needs a changes object' });
+          break;
+        }
+        VIEWER_FIELDS.forEach((field) => {
+          if (field in message.changes) entry.viewer[field] = message.changes[field];
+        });
+        publish(room);
+        break;
+      }
+      case 'assign': {
+        if (session.role !== 'broadcaster') {
+          reply({ type: 'error', message: 'Only the broadcaster assigns viewers' });
+          break;
+        }
+        const entry = room.viewers.get(message.uid);
+        const parentId = message.parentId ?? null;
+        if (!entry || (parentId !== null && parentId !== session.uid && !room.viewers.has(parentId))) break;
+        entry.viewer.parentId = parentId;
+        publish(room);
+        break;
+      }
+      case 'leave':
+        leave(session);
+        session.streamId = null;
+        break;
+      default:
+        reply({ type: 'error', message: `Unknown message type ${message.type}` });
+    }
+  };
+
+  return {
+    handleMessage,
+    leave,
+    get size() {
+      return rooms.size;
+    },
+  };
+};
@@ -0,0 +1,189 @@
+import http from 'node:http';
+import { acceptUpgrade } from './websocket.js';
+import { createBroadcastRooms } from './broadcast.js';
+import { isMessage, isPlainObject } from './messages.js';
+
+const PORT = Number(process.env.SIGNALING_PORT) || 8790;
+const HEARTBEAT_INTERVAL = 30000;
+const PARTICIPANT_FIELDS = ['muted', 'videoOff', 'screenStreamId', 'recording', 'recordingConsent'];
+
+// Relays call signaling between browsers over WebSocket, one room per call id.
+// Livestreams connect on /broadcast instead, see broadcast.js.
+// Protocol (JSON text frames, on /signaling):
+//   client -> server: join {callId, user}, signal {to, data}, update {changes}, leave
+//   server -> client: joined {callId}, participants {participants}, signal {from, data}, error {message}
+export const createSignalingServer = ({ maxParticipants = 8 } = {}) => {
+  const rooms = new Map();
+  const broadcasts = createBroadcastRooms();
+
+  const broadcastParticipants = (callId) => {
+    const room = rooms.get(callId);
+    if (!room) return;
+
+    const participants = Array.from(room.values(), ({ participant }) => participant);
+    const message = JSON.stringify({ type: 'participants', participants });
+    room.forEach(({ connection }) => connection.send(message));
+  };
+
+  const leaveRoom = (session) => {
+    const room = rooms.get(session.callId);
+    // A newer connection for the same user may already have taken the seat
+    if (!room || room.get(session.uid)?.connection !== session.connection) return;
+
+    room.delete(session.uid);
+    if (room.size === 0) {
+      rooms.delete(session.callId);
+    } else {
+      broadcastParticipants(session.callId);
+    }
+  };
+
+  const handleMessage = (session, message) => {
+    const reply = body => session.connection.send(JSON.stringify(body));
+
+    if (message.type === 'join') {
+      const { callId, user } = message;
+      if (typeof callId !== 'string' || !callId || typeof user?.uid !== 'string' || !user.uid) {
+        reply({ type: 'error', message: 'join needs a callId and a user uid' });
+        return;
+      }
+      if (session.callId) leaveRoom(session);
+
+      const room = rooms.get(callId) || new Map();
+      const existing = room.get(user.uid);
+      if (!existing && room.size >= maxParticipants) {
+        reply({ type: 'error', message: `Calls are limited to ${maxParticipants} people` });
+        return;
+      }
+
+      // Rejoining from another tab or after a reload replaces the old connection
+      existing?.connection.close();
+      rooms.set(callId, room);
+      room.set(user.uid, {
+        connection: session.connection,
+        participant: {
+          uid: user.uid,
+          displayName: String(user.displayName || ''),
+          muted: false,
+          videoOff: false,
+          screenStreamId: null,
+          recording: null,
+          recordingConsent: null,
+          joinedAt: Date.now(),
+        },
+      });
+      Object.assign(session, { callId, uid: user.uid });
+      reply({ type: 'joined', callId });
+      broadcastParticipants(callId);
+      return;
+    }
+
+    const room = rooms.get(session.callId);
+    if (!room?.has(session.uid)) {
+      reply({ type: 'error', message: 'Join a call first' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'signal': {
+        const recipient = room.get(message.to);
+        recipient?.connection.send(JSON.stringify({ type: 'signal', from: session.uid, data: message.data }));
+        break;
+      }
+      case 'update': {
+        const { participant } = room.get(session.uid);
+        if (!isPlainObject(message.changes)) {
+          reply({ type: 'error', message: 'update needs a changes object' });
+          return;
+        }
+        PARTICIPANT_FIELDS.forEach((field) => {
+          if (field in message.changes) participant[field] = message.changes[field];
+        });
+        broadcastParticipants(session.callId);
+        break;
+      }
+      case 'leave':
+        leaveRoom(session);
+        session.callId = null;
+        break;
+      default:
+        reply({ type: 'error', message: `Unknown message type ${message.type}` });
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/health') {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ rooms: rooms.size, broadcasts: broadcasts.size }));
+      return;
+    }
+    res.writeHead(426, { 'content-type': 'text/plain' });
+    res.end('Connect with a WebSocket to /signaling');
+  });
+
+  const connections = new Set();
+
+  server.on('upgrade', (req, socket) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    const handler = {
+      '/signaling': { handleMessage, leave: leaveRoom },
+      '/broadcast': broadcasts,
+    }[pathname];
+    if (!handler) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+
+    const connection = acceptUpgrade(req, socket);
+    if (!connection) return;
+
+    const session = { connection, callId: null, streamId: null, uid: null };
+    connections.add(connection);
+
+    connection.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch {
+        connection.send(JSON.stringify({ type: 'error', message: 'Messages must be JSON' }));
+        return;
+      }
+      if (!isMessage(message)) {
+        connection.send(JSON.stringify({ type: 'error', message: 'Messages must be objects with a type' }));
+        return;
+      }
+      // One bad client must not take down every room
+      try {
+        handler.handleMessage(session, message);
+      } catch (error) {
+        console.error('Error handling signaling message:', error);
+        connection.send(JSON.stringify({ type: 'error', message: 'Could not handle that message' }));
+      }
+    });
+    connection.on('close', () => {
+      connections.delete(connection);
+      handler.leave(session);
+    });
+  });
+
+  // Drop connections that stopped answering pings, e.g. a laptop that went to sleep
+  const heartbeat = setInterval(() => {
+    connections.forEach((connection) => {
+      if (!connection.alive) {
+        connection.close(1001);
+        return;
+      }
+      connection.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+  server.on('close', () => clearInterval(heartbeat));
+
+  return server;
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createSignalingServer().listen(PORT, () => {
+    console.log(`Signaling server listening on ws://localhost:${PORT}/signaling and /broadcast`);
+  });
+}
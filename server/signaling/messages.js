@@ -0,0 +1,4 @@
+// Frames come from any client, handlers only see plain objects with a string type
+export const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+export const isMessage = value => isPlainObject(value) && typeof value.type === 'string';
@@ -0,0 +1,175 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Just enough of RFC 6455 for JSON signaling: unextended text frames from browsers,
+// fragmentation, ping/pong and close. Keeps the signaling server free of dependencies.
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, { maxPayload = 1024 * 1024 } = {}) {
+    super();
+    this.socket = socket;
+    this.maxPayload = maxPayload;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+    this.alive = true;
+
+    // Nothing is read once the connection closed, the server already let go of it
+    socket.on('data', (chunk) => {
+      if (this.closed) return;
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readFrames();
+    });
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+
+  readFrames() {
+    while (!this.closed && this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0f;
+      const masked = (second & 0x80) !== 0;
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      // Clients must mask every frame
+      if (!masked || length > this.maxPayload) {
+        this.close(1002);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.binary:
+      case OPCODES.continuation: {
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+        if (size > this.maxPayload) {
+          this.close(1009);
+          return;
+        }
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', message);
+        }
+        break;
+      }
+      case OPCODES.ping:
+        this.write(OPCODES.pong, payload);
+        break;
+      case OPCODES.pong:
+        this.alive = true;
+        break;
+      case OPCODES.close:
+        this.close();
+        break;
+      default:
+        this.close(1002);
+    }
+  }
+
+  write(opcode, payload) {
+    if (!this.closed && this.socket.writable) {
+      this.socket.write(encodeFrame(opcode, payload));
+    }
+  }
+
+  send(message) {
+    this.write(OPCODES.text, Buffer.from(message, 'utf8'));
+  }
+
+  ping() {
+    this.alive = false;
+    this.write(OPCODES.ping);
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.write(OPCODES.close, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+// Completes the opening handshake for an http 'upgrade' event, or rejects the request
+export const acceptUpgrade = (req, socket, options) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  return new WebSocketConnection(socket, options);
+};
@@ -0,0 +1,106 @@
+import http from 'node:http';
+
+// Serves known pages so the unfurl service can be exercised without the internet:
+//   node server/unfurl/fixtures/server.js
+//   UNFURL_ALLOWED_HOSTS=localhost node server/unfurl/index.js
+//   curl 'http://localhost:8787/api/unfurl?url=http://localhost:8788/og'
+const PORT = Number(process.env.FIXTURE_PORT) || 8788;
+
+const page = (head, body = '') =>
+  `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+
+export const fixtures = {
+  '/og': {
+    type: 'text/html',
+    body: page(`
+      <title>Fallback title</title>
+      <meta property="og:title" content="Open Graph &amp; Friends">
+      <meta property="og:description" content="A page described with Open Graph tags">
+      <meta property="og:image" content="/images/og.png">
+      <meta property="og:site_name" content="Fixture Site">
+      <meta property="og:type" content="article">
+      <link rel="icon" href="/favicon.png">`),
+  },
+  '/twitter': {
+    type: 'text/html',
+    body: page(`
+      <meta name="twitter:card" content="summary_large_image">
+      <meta name="twitter:title" content="Twitter Card title">
+      <meta name="twitter:description" content="Described with Twitter Card tags">
+      <meta name="twitter:image" content="https://cdn.example.com/card.jpg">`),
+  },
+  '/oembed-page': {
+    type: 'text/html',
+    body: page(`
+      <title>Video page</title>
+      <link rel="alternate" type="application/json+oembed" href="/oembed.json">`),
+  },
+  '/oembed.json': {
+    type: 'application/json',
+    body: JSON.stringify({
+      version: '1.0',
+      type: 'video',
+      title: 'An embedded video',
+      author_name: 'Fixture Author',
+      provider_name: 'Fixture Video',
+      thumbnail_url: '/images/thumb.jpg',
+      html: '<iframe src="https://example.com/embed"></iframe>',
+    }),
+  },
+  '/title-only': {
+    type: 'text/html',
+    body: page('<title>Just a &quot;title&quot;</title>'),
+  },
+  '/image.png': {
+    type: 'image/png',
+    body: Buffer.from('89504e470d0a1a0a', 'hex'),
+  },
+  '/not-html': {
+    type: 'application/pdf',
+    body: '%PDF-1.4',
+  },
+  '/huge': {
+    type: 'text/html',
+    body: page('<title>Huge page</title>', 'x'.repeat(5 * 1024 * 1024)),
+  },
+};
+
+export const createFixtureServer = () => http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname === '/redirect') {
+    res.writeHead(302, { location: '/og' });
+    res.end();
+    return;
+  }
+  if (pathname === '/redirect-loop') {
+    res.writeHead(302, { location: '/redirect-loop' });
+    res.end();
+    return;
+  }
+  if (pathname === '/redirect-private') {
+    res.writeHead(302, { location: 'http://169.254.169.254/latest/meta-data/' });
+    res.end();
+    return;
+  }
+  if (pathname === '/slow') {
+    // Never answers, used to check the timeout
+    return;
+  }
+
+  const fixture = fixtures[pathname];
+  if (!fixture) {
+    res.writeHead(404, { 'content-type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, { 'content-type': fixture.type });
+  res.end(fixture.body);
+});
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createFixtureServer().listen(PORT, () => {
+    console.log(`Unfurl fixtures served on http://localhost:${PORT}`);
+  });
+}
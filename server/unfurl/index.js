@@ -0,0 +1,54 @@
+import http from 'node:http';
+import { createUnfurler, UnfurlError } from './unfurl.js';
+
+const PORT = Number(process.env.UNFURL_PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.UNFURL_ALLOWED_ORIGIN || '*';
+
+export const createUnfurlServer = (options = {}) => {
+  const unfurler = createUnfurler(options);
+
+  return http.createServer(async (req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, {
+        'content-type': 'application/json; charset=utf-8',
+        'access-control-allow-origin': ALLOWED_ORIGIN,
+        ...headers,
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') {
+      send(204, null, { 'access-control-allow-methods': 'GET' });
+      return;
+    }
+    if (req.method !== 'GET' || requestUrl.pathname !== '/api/unfurl') {
+      send(404, { error: 'Not found' });
+      return;
+    }
+
+    const target = requestUrl.searchParams.get('url');
+    if (!target) {
+      send(400, { error: 'The url parameter is required' });
+      return;
+    }
+
+    try {
+      const preview = await unfurler.unfurl(target);
+      send(200, preview, { 'cache-control': 'public, max-age=3600' });
+    } catch (error) {
+      const status = error instanceof UnfurlError ? error.status : 500;
+      if (status === 500) console.error('Error unfurling link:', error);
+      send(status, { error: error instanceof UnfurlError ? error.message : 'Internal error' });
+    }
+  });
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createUnfurlServer({
+    // Set only when running against the local fixture server, e.g. UNFURL_ALLOWED_HOSTS=localhost
+    allowedHosts: (process.env.UNFURL_ALLOWED_HOSTS || '').split(',').filter(Boolean),
+  }).listen(PORT, () => {
+    console.log(`Unfurl service listening on http://localhost:${PORT}/api/unfurl`);
+  });
+}
@@ -0,0 +1,89 @@
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+export const decodeEntities = (value) => value.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+};
+
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// Only the <head> matters and pages can be truncated at the size limit, so a tolerant
+// tag scan is used instead of a full HTML parser
+export const parseHtmlMetadata = (html, baseUrl) => {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+  const links = [];
+
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content.trim();
+    }
+  }
+
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    links.push(parseAttributes(tag));
+  }
+
+  const titleMatch = head.match(/<title[^>]*>([^<]*)<\/title>/i);
+  const findLink = (predicate) => links.find(predicate)?.href;
+
+  return {
+    title: meta['og:title'] || meta['twitter:title'] || null,
+    documentTitle: titleMatch ? decodeEntities(titleMatch[1]).trim() : null,
+    description: meta['og:description'] || meta['twitter:description'] || meta.description || null,
+    image: resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+    siteName: meta['og:site_name'] || meta['twitter:site'] || null,
+    type: meta['og:type'] || null,
+    card: meta['twitter:card'] || null,
+    canonicalUrl: resolveUrl(meta['og:url'] || findLink(link => link.rel?.toLowerCase() === 'canonical'), baseUrl),
+    favicon: resolveUrl(
+      findLink(link => /(^|\s)icon(\s|$)/i.test(link.rel || '')) || '/favicon.ico',
+      baseUrl
+    ),
+    oembedUrl: resolveUrl(
+      findLink(link => link.rel?.toLowerCase() === 'alternate' && link.type?.toLowerCase() === 'application/json+oembed'),
+      baseUrl
+    ),
+  };
+};
+
+export const parseOEmbed = (json, baseUrl) => ({
+  title: typeof json.title === 'string' ? json.title : null,
+  author: typeof json.author_name === 'string' ? json.author_name : null,
+  siteName: typeof json.provider_name === 'string' ? json.provider_name : null,
+  type: typeof json.type === 'string' ? json.type : null,
+  // The embed html itself is never passed on, clients only get plain metadata
+  image: resolveUrl(json.type === 'photo' ? json.url : json.thumbnail_url, baseUrl),
+});
@@ -0,0 +1,102 @@
+import { BlockList, isIP } from 'node:net';
+import { lookup as dnsLookup } from 'node:dns';
+
+// Addresses an unfurl request must never reach: loopback, private networks,
+// link-local (cloud metadata endpoints live there), multicast and reserved space
+const blockList = new BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+  ['2001:db8::', 32],
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+// Expands an IPv6 address into its eight 16-bit groups, a dotted IPv4 tail becomes the last two
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0];
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const left = parse(head);
+  if (tail === undefined) return left;
+  const right = parse(tail);
+  return [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+};
+
+// IPv4 addresses can hide in the last 32 bits of IPv6 as mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96)
+// or IPv4-compatible (::/96) addresses, in dotted or hex form
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const prefix = groups.slice(0, 6).map(group => group.toString(16)).join(':');
+  if (!['0:0:0:0:0:ffff', '64:ff9b:0:0:0:0', '0:0:0:0:0:0'].includes(prefix)) return null;
+  const [high, low] = groups.slice(6);
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+};
+
+export const isPrivateAddress = (address) => {
+  const version = isIP(address);
+  if (version === 4) return blockList.check(address, 'ipv4');
+  if (version === 6) {
+    const ipv4 = embeddedIPv4(address);
+    return ipv4 ? blockList.check(ipv4, 'ipv4') : blockList.check(address, 'ipv6');
+  }
+  return true;
+};
+
+export class BlockedAddressError extends Error {
+  constructor(host) {
+    super(`Refusing to fetch ${host}: it resolves to a private address`);
+    this.name = 'BlockedAddressError';
+    this.code = 'EBLOCKED';
+  }
+}
+
+// Used as the socket lookup so the address that is checked is the one that gets connected,
+// a second DNS answer can't swap in a private address after validation
+export const createGuardedLookup = ({ allowedHosts = [], lookup = dnsLookup } = {}) =>
+  (hostname, options, callback) => {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = !allowedHosts.includes(hostname) && addresses.some(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        callback(new BlockedAddressError(hostname));
+        return;
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  };
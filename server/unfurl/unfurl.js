@@ -0,0 +1,236 @@
+import http from 'node:http';
+import https from 'node:https';
+import { isIP } from 'node:net';
+import { createGuardedLookup, isPrivateAddress, BlockedAddressError } from './ssrf.js';
+import { parseHtmlMetadata, parseOEmbed } from './parse.js';
+
+const DEFAULTS = {
+  timeoutMs: 5000,
+  maxBytes: 1024 * 1024,
+  maxRedirects: 5,
+  cacheTtlMs: 6 * 60 * 60 * 1000,
+  errorTtlMs: 5 * 60 * 1000,
+  maxCacheEntries: 1000,
+  // Hostnames exempt from the private address check, meant for a local fixture server
+  allowedHosts: [],
+  userAgent: 'SocialAppBot/1.0 (+link preview)',
+};
+
+const HTML_ACCEPT = 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1';
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+export class UnfurlError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'UnfurlError';
+    this.status = status;
+  }
+}
+
+const truncate = (value, length) => (value && value.length > length ? `${value.slice(0, length - 1)}…` : value || null);
+
+export const normalizeUrl = (rawUrl) => {
+  let url;
+  try {
+    url = new URL(String(rawUrl).trim());
+  } catch {
+    throw new UnfurlError('Invalid URL', 400);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new UnfurlError('Only http and https links can be previewed', 400);
+  }
+  if (url.username || url.password) {
+    throw new UnfurlError('Links with credentials cannot be previewed', 400);
+  }
+
+  url.hash = '';
+  return url;
+};
+
+export const createUnfurler = (options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+  const lookup = createGuardedLookup(config);
+  const cache = new Map();
+  const inFlight = new Map();
+
+  // Sockets skip DNS for IP literals, so those are checked here
+  const assertAllowedHost = (url) => {
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!config.allowedHosts.includes(host) && isIP(host) && isPrivateAddress(host)) {
+      throw new BlockedAddressError(host);
+    }
+  };
+
+  const request = (url, accept, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup,
+      signal,
+      headers: {
+        accept,
+        'user-agent': config.userAgent,
+        'accept-encoding': 'identity',
+      },
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+
+      const finish = () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks),
+        truncated,
+      });
+
+      // Redirects are followed by the caller, their bodies are never read
+      if (res.statusCode >= 300 && res.statusCode < 400) {
+        res.resume();
+        finish();
+        return;
+      }
+
+      res.on('data', (chunk) => {
+        if (truncated) return;
+        if (size + chunk.length > config.maxBytes) {
+          chunks.push(chunk.subarray(0, config.maxBytes - size));
+          truncated = true;
+          res.destroy();
+          finish();
+          return;
+        }
+        size += chunk.length;
+        chunks.push(chunk);
+      });
+      res.on('end', finish);
+      res.on('error', (error) => {
+        if (!truncated) reject(error);
+      });
+    });
+
+    req.on('error', reject);
+  });
+
+  const fetchFollowingRedirects = async (startUrl, accept, signal) => {
+    let url = startUrl;
+    for (let redirects = 0; redirects <= config.maxRedirects; redirects++) {
+      assertAllowedHost(url);
+      const response = await request(url, accept, signal);
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        url = normalizeUrl(new URL(response.headers.location, url).href);
+        continue;
+      }
+      return { ...response, url };
+    }
+    throw new UnfurlError('Too many redirects', 502);
+  };
+
+  const fetchOEmbed = async (oembedUrl, signal) => {
+    try {
+      const response = await fetchFollowingRedirects(normalizeUrl(oembedUrl), 'application/json', signal);
+      if (response.status >= 400 || response.truncated) return null;
+      return parseOEmbed(JSON.parse(response.body.toString('utf8')), response.url);
+    } catch {
+      // oEmbed only enriches the preview, the page metadata is still usable without it
+      return null;
+    }
+  };
+
+  const fetchPreview = async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+    try {
+      const response = await fetchFollowingRedirects(url, HTML_ACCEPT, controller.signal);
+      if (response.status >= 400) {
+        throw new UnfurlError(`The site responded with ${response.status}`, 502);
+      }
+
+      const contentType = String(response.headers['content-type'] || '').toLowerCase();
+      if (contentType.startsWith('image/')) {
+        return {
+          url: url.href,
+          finalUrl: response.url.href,
+          type: 'image',
+          title: null,
+          description: null,
+          image: response.url.href,
+          siteName: response.url.hostname,
+        };
+      }
+      if (!contentType.includes('html')) {
+        throw new UnfurlError('Only web pages and images can be previewed', 415);
+      }
+
+      const meta = parseHtmlMetadata(response.body.toString('utf8'), response.url.href);
+      const oembed = meta.oembedUrl ? await fetchOEmbed(meta.oembedUrl, controller.signal) : null;
+
+      return {
+        url: url.href,
+        finalUrl: response.url.href,
+        canonicalUrl: meta.canonicalUrl,
+        type: meta.type || oembed?.type || 'website',
+        card: meta.card,
+        title: truncate(meta.title || oembed?.title || meta.documentTitle, MAX_TITLE_LENGTH),
+        description: truncate(meta.description, MAX_DESCRIPTION_LENGTH),
+        image: meta.image || oembed?.image || null,
+        siteName: meta.siteName || oembed?.siteName || response.url.hostname,
+        author: oembed?.author || null,
+        favicon: meta.favicon,
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new UnfurlError('The site took too long to respond', 504);
+      }
+      if (error instanceof BlockedAddressError || error.code === 'EBLOCKED') {
+        throw new UnfurlError('This address cannot be previewed', 403);
+      }
+      if (error instanceof UnfurlError) throw error;
+      throw new UnfurlError('The link could not be fetched', 502);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const remember = (key, entry) => {
+    cache.delete(key);
+    cache.set(key, entry);
+    // Map keeps insertion order, so the first key is the least recently stored
+    while (cache.size > config.maxCacheEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  const unfurl = async (rawUrl) => {
+    const url = normalizeUrl(rawUrl);
+    const key = url.href;
+
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      if (cached.error) throw cached.error;
+      return cached.preview;
+    }
+
+    if (!inFlight.has(key)) {
+      inFlight.set(key, fetchPreview(url)
+        .then((preview) => {
+          remember(key, { preview, expiresAt: Date.now() + config.cacheTtlMs });
+          return preview;
+        })
+        .catch((error) => {
+          remember(key, { error, expiresAt: Date.now() + config.errorTtlMs });
+          throw error;
+        })
+        .finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+  };
+
+  return {
+    unfurl,
+    clearCache: () => cache.clear(),
+  };
+};
@@ -9,6 +9,11 @@ import Register from './pages/Registration';
 import Dashboard from './pages/Dashboard';
 import Social from './pages/Social';
 import Landing from './pages/Landing';
+import CallLab from './pages/CallLab';
+import LiveLab from './pages/LiveLab';
+import LiveViewer from './pages/LiveViewer';
+import LiveReplay from './pages/LiveReplay';
+import Profile from './pages/Profile';
 import Navbar from './components/Navbar';
 import Sidebar from './components/Sidebar';
 import { Toaster } from 'react-hot-toast';
@@ -66,6 +71,27 @@ const AppContent = () => {
                 <Social />
               </PrivateRoute>
             } />
+            <Route path="/live/:streamId" element={
+              <PrivateRoute>
+                <LiveViewer />
+              </PrivateRoute>
+            } />
+            <Route path="/live/:streamId/replay" element={
+              <PrivateRoute>
+                <LiveReplay />
+              </PrivateRoute>
+            } />
+            <Route path="/profile/:userId?" element={
+              <PrivateRoute>
+                <Profile />
+              </PrivateRoute>
+            } />
+            {import.meta.env.DEV && (
+              <Route path="/call-lab" element={<CallLab />} />
+            )}
+            {import.meta.env.DEV && (
+              <Route path="/live-lab" element={<LiveLab />} />
+            )}
             <Route path="*" element={<Navigate to="/" />} />
           </Routes>
         </main>
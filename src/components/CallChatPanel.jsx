@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  ArrowDownTrayIcon,
+  DocumentIcon,
+  ExclamationTriangleIcon,
+  PaperAirplaneIcon,
+  PaperClipIcon,
+  XMarkIcon
+} from '@heroicons/react/24/solid';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const formatTime = sentAt => new Date(sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const FileItem = ({ item }) => {
+  const statusText = {
+    sending: `Sending ${Math.round(item.progress * 100)}%`,
+    receiving: `Receiving ${Math.round(item.progress * 100)}%`,
+    done: item.direction === 'outgoing' ? 'Sent' : 'Received, verified',
+    failed: item.error || 'Transfer failed'
+  }[item.status];
+
+  return (
+    <div className="bg-white border rounded-lg p-2 text-sm">
+      <div className="flex items-center space-x-2">
+        <DocumentIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+        <span className="truncate flex-1" title={item.name}>{item.name}</span>
+        <span className="text-xs text-gray-500 flex-shrink-0">{formatSize(item.size)}</span>
+        {item.status === 'done' && item.url && (
+          <a href={item.url} download={item.name} className="text-blue-500 hover:text-blue-600" title="Download">
+            <ArrowDownTrayIcon className="h-5 w-5" />
+          </a>
+        )}
+      </div>
+      {(item.status === 'sending' || item.status === 'receiving') && (
+        <div className="mt-2 h-1.5 bg-gray-200 rounded-full overflow-hidden">
+          <div className="h-full bg-blue-500 transition-all" style={{ width: `${item.progress * 100}%` }} />
+        </div>
+      )}
+      <p className={`mt-1 text-xs flex items-center ${item.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+        {item.status === 'failed' && <ExclamationTriangleIcon className="h-3 w-3 mr-1" />}
+        {statusText}
+      </p>
+    </div>
+  );
+};
+
+const CallChatPanel = ({ items, userId, canSend, saveTranscript, onSaveTranscriptChange, onSendText, onSendFile, onClose }) => {
+  const [text, setText] = useState('');
+  const listRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [items.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    onSendText(trimmed);
+    setText('');
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onSendFile(file);
+  };
+
+  return (
+    <div className="w-80 flex-shrink-0 flex flex-col border rounded-lg bg-gray-50 max-h-[70vh]">
+      <div className="flex justify-between items-center p-3 border-b">
+        <h3 className="font-semibold">In-call chat</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      <div ref={listRef} className="flex-1 overflow-y-auto p-3 space-y-3">
+        {items.length === 0 && (
+          <p className="text-sm text-gray-500 text-center">
+            Messages and files go straight to the people in the call
+          </p>
+        )}
+        {items.map((item) => {
+          const isOwn = item.from === userId;
+          return (
+            <div key={item.id} className={`flex flex-col ${isOwn ? 'items-end' : 'items-start'}`}>
+              <span className="text-xs text-gray-500 mb-0.5">
+                {isOwn ? 'You' : item.fromName} · {formatTime(item.sentAt)}
+              </span>
+              {item.kind === 'file' ? (
+                <div className="w-full"><FileItem item={item} /></div>
+              ) : (
+                <p
+                  className={`px-3 py-2 rounded-lg text-sm whitespace-pre-wrap break-words max-w-full ${
+                    isOwn ? 'bg-blue-500 text-white' : 'bg-white border'
+                  }`}
+                >
+                  {item.text}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {onSaveTranscriptChange && (
+        <label className="flex items-center space-x-2 px-3 py-2 border-t text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={saveTranscript}
+            onChange={(e) => onSaveTranscriptChange(e.target.checked)}
+          />
+          <span>Save this chat to the conversation when I leave</span>
+        </label>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex items-center space-x-2 p-3 border-t">
+        <input type="file" ref={fileInputRef} onChange={handleFileChange} className="hidden" />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={!canSend}
+          className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          title="Send a file"
+        >
+          <PaperClipIcon className="h-5 w-5" />
+        </button>
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={canSend ? 'Message everyone' : 'Waiting for others...'}
+          disabled={!canSend}
+          className="flex-1 min-w-0 px-3 py-1.5 border rounded-full text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={!canSend || !text.trim()}
+          className="text-blue-500 hover:text-blue-600 disabled:opacity-50"
+          title="Send"
+        >
+          <PaperAirplaneIcon className="h-5 w-5" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CallChatPanel;
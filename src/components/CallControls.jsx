@@ -1,9 +1,14 @@
 import React from 'react';
 import {
+  ChartBarIcon,
+  ChatBubbleLeftRightIcon,
+  StopCircleIcon,
   MicrophoneIcon,
   VideoCameraIcon,
   ComputerDesktopIcon,
   SpeakerWaveIcon,
+  UserPlusIcon,
+  UsersIcon,
   XMarkIcon,
 } from '@heroicons/react/24/solid';
 import {
@@ -17,10 +22,21 @@ const CallControls = ({
   isVideoOff,
   isScreenSharing,
   isSpeakerOff,
+  participantCount,
+  quality,
+  isStatsOpen,
+  isChatOpen,
+  isRecording,
+  recordingBy,
+  unreadChat = 0,
   onToggleMute,
   onToggleVideo,
   onToggleScreenShare,
   onToggleSpeaker,
+  onInvite,
+  onToggleStats,
+  onToggleChat,
+  onToggleRecording,
   onEndCall,
 }) => {
   const buttonClass = "p-3 rounded-full transition-all duration-200 hover:bg-gray-700";
@@ -28,6 +44,22 @@ const CallControls = ({
 
   return (
     <div className="flex items-center justify-center space-x-4 bg-gray-800 p-4 rounded-lg">
+      {/* Participant Count */}
+      {participantCount > 0 && (
+        <span className="flex items-center text-gray-200 text-sm" title="People in call">
+          <UsersIcon className="h-5 w-5 mr-1" />
+          {participantCount}
+        </span>
+      )}
+
+      {/* Recording Indicator */}
+      {(isRecording || recordingBy) && (
+        <span className="flex items-center text-red-400 text-sm" title="This call is being recorded">
+          <span className="h-3 w-3 mr-1 rounded-full bg-red-500 animate-pulse" />
+          {isRecording ? 'REC' : `${recordingBy} is recording`}
+        </span>
+      )}
+
       {/* Microphone Toggle */}
       <button
         onClick={onToggleMute}
@@ -76,6 +108,66 @@ const CallControls = ({
         )}
       </button>
 
+      {/* Connection Quality */}
+      {onToggleStats && (
+        <button
+          onClick={onToggleStats}
+          className={`${buttonClass} ${isStatsOpen ? 'bg-blue-600' : 'bg-gray-600'}`}
+          title={quality ? `Connection: ${quality}` : 'Connection stats'}
+        >
+          <ChartBarIcon
+            className={`${iconClass} ${
+              quality === 'poor' ? 'text-red-400' : quality === 'fair' ? 'text-yellow-300' : ''
+            }`}
+          />
+        </button>
+      )}
+
+      {/* Recording */}
+      {onToggleRecording && (
+        <button
+          onClick={onToggleRecording}
+          disabled={!isRecording && Boolean(recordingBy)}
+          className={`${buttonClass} ${isRecording ? 'bg-red-600' : 'bg-gray-600'} disabled:opacity-50`}
+          title={isRecording ? 'Stop Recording' : 'Record Call'}
+        >
+          {isRecording ? (
+            <StopCircleIcon className={iconClass} />
+          ) : (
+            <span className="block h-6 w-6 p-1">
+              <span className="block h-full w-full rounded-full bg-red-500" />
+            </span>
+          )}
+        </button>
+      )}
+
+      {/* In-call Chat */}
+      {onToggleChat && (
+        <button
+          onClick={onToggleChat}
+          className={`relative ${buttonClass} ${isChatOpen ? 'bg-blue-600' : 'bg-gray-600'}`}
+          title={isChatOpen ? 'Hide Chat' : 'Show Chat'}
+        >
+          <ChatBubbleLeftRightIcon className={iconClass} />
+          {unreadChat > 0 && (
+            <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full h-5 min-w-[1.25rem] px-1 flex items-center justify-center">
+              {unreadChat > 9 ? '9+' : unreadChat}
+            </span>
+          )}
+        </button>
+      )}
+
+      {/* Add People */}
+      {onInvite && (
+        <button
+          onClick={onInvite}
+          className={`${buttonClass} bg-gray-600`}
+          title="Add People"
+        >
+          <UserPlusIcon className={iconClass} />
+        </button>
+      )}
+
       {/* End Call */}
       <button
         onClick={onEndCall}
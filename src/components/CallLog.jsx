@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import {
+  PhoneArrowDownLeftIcon,
+  PhoneArrowUpRightIcon,
+  PhoneXMarkIcon,
+  VideoCameraIcon,
+} from '@heroicons/react/24/solid';
+import { callLogService, CALL_OUTCOMES } from '../services/CallLogService';
+import { conversationService } from '../services/ConversationService';
+
+const CallLog = ({ user, onCallBack, disabled = false }) => {
+  const [entries, setEntries] = useState([]);
+  const [names, setNames] = useState({});
+
+  useEffect(() => {
+    return callLogService.subscribe(user.uid, setEntries);
+  }, [user.uid]);
+
+  const participantKey = [...new Set(entries.flatMap(entry => entry.participants))].join(',');
+
+  useEffect(() => {
+    if (!participantKey) return;
+
+    let cancelled = false;
+    conversationService.getUserNames(participantKey.split(','))
+      .then((result) => {
+        if (!cancelled) setNames(result);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [participantKey]);
+
+  if (entries.length === 0) {
+    return <p className="p-4 text-sm text-gray-500">No calls yet</p>;
+  }
+
+  const getIcon = (entry) => {
+    if (entry.outcome !== 'answered') return PhoneXMarkIcon;
+    return entry.direction === 'outgoing' ? PhoneArrowUpRightIcon : PhoneArrowDownLeftIcon;
+  };
+
+  const getLabel = (entry) => {
+    if (entry.direction === 'outgoing' && entry.outcome === 'missed') return 'No answer';
+    const duration = callLogService.formatDuration(entry.duration);
+    return `${CALL_OUTCOMES[entry.outcome]}${duration ? ` · ${duration}` : ''}`;
+  };
+
+  return (
+    <div className="space-y-1 p-4">
+      {entries.map((entry) => {
+        const Icon = getIcon(entry);
+        const missed = entry.direction === 'incoming' && entry.outcome === 'missed';
+        const title = entry.participants.map(id => names[id] || id).join(', ') || entry.callerName;
+
+        return (
+          <div key={entry.id} className="flex items-center p-2 rounded-lg hover:bg-gray-100">
+            <Icon
+              className={`h-5 w-5 mr-2 flex-shrink-0 ${entry.outcome === 'answered' ? 'text-green-500' : 'text-red-500'}`}
+              title={entry.direction === 'outgoing' ? 'Outgoing' : 'Incoming'}
+            />
+            <div className="flex-1 min-w-0">
+              <p className={`truncate ${missed ? 'text-red-600 font-medium' : ''}`}>{title}</p>
+              <p className="text-xs text-gray-500 truncate">
+                {getLabel(entry)}
+                {entry.endedAt && ` · ${entry.endedAt.toDate().toLocaleString()}`}
+              </p>
+            </div>
+            <button
+              onClick={() => onCallBack(entry)}
+              disabled={disabled || entry.participants.length === 0}
+              className="ml-2 text-blue-500 hover:text-blue-700 disabled:opacity-50"
+              title="Call back"
+            >
+              <VideoCameraIcon className="h-5 w-5" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CallLog;
@@ -2,7 +2,7 @@ import React from 'react';
 import { useEffect, useRef } from 'react';
 import { VideoCameraIcon, CheckIcon, XMarkIcon } from '@heroicons/react/24/solid';
 
-const CallNotification = ({ caller, onAccept, onReject }) => {
+const CallNotification = ({ caller, participantCount = 0, onAccept, onReject }) => {
   const audioRef = useRef(null);
 
   useEffect(() => {
@@ -34,20 +34,27 @@ const CallNotification = ({ caller, onAccept, onReject }) => {
           <VideoCameraIcon className="h-6 w-6 text-blue-600" />
         </div>
         <div>
-          <h3 className="font-semibold">Incoming Video Call</h3>
+          <h3 className="font-semibold">
+            {participantCount > 1 ? 'Join Group Video Call' : 'Incoming Video Call'}
+          </h3>
           <p className="text-sm text-gray-600">{caller.displayName}</p>
+          {participantCount > 1 && (
+            <p className="text-xs text-gray-500">{participantCount} people in the call</p>
+          )}
         </div>
       </div>
 
       <div className="flex justify-end space-x-2">
         <button
           onClick={onReject}
+          title="Decline"
           className="flex items-center justify-center w-10 h-10 rounded-full bg-red-100 hover:bg-red-200 transition-colors"
         >
           <XMarkIcon className="h-5 w-5 text-red-600" />
         </button>
         <button
           onClick={onAccept}
+          title={participantCount > 1 ? 'Join' : 'Accept'}
           className="flex items-center justify-center w-10 h-10 rounded-full bg-green-100 hover:bg-green-200 transition-colors"
         >
           <CheckIcon className="h-5 w-5 text-green-600" />
@@ -0,0 +1,52 @@
+import { XMarkIcon } from '@heroicons/react/24/solid';
+import { QUALITY_LEVELS, QUALITY_COLORS } from '../services/CallStatsService';
+
+const formatResolution = ({ width, height, fps }) =>
+  (height ? `${width}×${height} @ ${Math.round(fps)}fps` : '—');
+
+const formatLoss = loss => (loss === null || loss === undefined ? '—' : `${loss.toFixed(1)}%`);
+
+const CallStatsOverlay = ({ stats, levels, names, onClose }) => {
+  const entries = Object.entries(stats);
+
+  return (
+    <div className="absolute top-4 right-4 z-10 bg-black bg-opacity-80 text-white text-xs rounded-lg p-3 w-80 max-h-[70vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-sm">Connection stats</h3>
+        <button onClick={onClose} className="text-gray-300 hover:text-white" title="Close">
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </div>
+
+      {entries.length === 0 && <p className="text-gray-300">Waiting for connections...</p>}
+
+      {entries.map(([remoteId, sample]) => (
+        <div key={remoteId} className="border-t border-gray-700 pt-2 mt-2 first:border-t-0 first:mt-0 first:pt-0">
+          <div className="flex justify-between mb-1">
+            <span className="font-medium truncate">{names[remoteId] || remoteId}</span>
+            <span className={`capitalize ${QUALITY_COLORS[sample.quality]}`}>{sample.quality}</span>
+          </div>
+          <dl className="grid grid-cols-2 gap-x-2 gap-y-0.5 text-gray-200">
+            <dt>Round trip</dt>
+            <dd>{sample.rtt === null ? '—' : `${sample.rtt} ms`}</dd>
+            <dt>Bitrate in / out</dt>
+            <dd>{sample.inbound.bitrate} / {sample.outbound.bitrate} kbps</dd>
+            <dt>Loss in / out</dt>
+            <dd>{formatLoss(sample.inbound.loss)} / {formatLoss(sample.remoteLoss)}</dd>
+            <dt>Receiving</dt>
+            <dd>{formatResolution(sample.inbound)}</dd>
+            <dt>Sending</dt>
+            <dd>{QUALITY_LEVELS[levels[remoteId]]?.audioOnly ? 'Audio only' : formatResolution(sample.outbound)}</dd>
+            <dt>Video level</dt>
+            <dd>
+              {QUALITY_LEVELS[levels[remoteId] || 0].label}
+              {sample.outbound.limitation && sample.outbound.limitation !== 'none' && ` (${sample.outbound.limitation})`}
+            </dd>
+          </dl>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CallStatsOverlay;
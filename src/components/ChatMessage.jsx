@@ -0,0 +1,197 @@
+import { useState, useEffect, useRef } from 'react';
+import MessageContent from './MessageContent';
+import MessageReactions from './MessageReactions';
+import MessageStatus from './MessageStatus';
+import MessageHistory from './MessageHistory';
+import { useDecryptedMessage } from '../hooks/useDecryptedMessage';
+import { receiptService } from '../services/ReceiptService';
+import { messageService } from '../services/MessageService';
+
+const ChatMessage = ({
+  message,
+  currentUser,
+  recipientIds,
+  isGroup,
+  memberNames,
+  sendReadReceipts,
+  highlighted,
+  onOpenThread,
+}) => {
+  const messageRef = useRef(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const { text } = useDecryptedMessage(message);
+  const isOwn = message.senderId === currentUser.uid;
+  const isRead = Boolean(message.receipts?.[currentUser.uid]?.readAt);
+
+  useEffect(() => {
+    if (isOwn || isRead || !sendReadReceipts || !messageRef.current) return;
+
+    // Only count a message as read once it is actually on screen in a visible tab
+    let inView = false;
+    const markReadIfSeen = () => {
+      if (inView && document.visibilityState === 'visible') {
+        receiptService.markRead(message, currentUser.uid);
+      }
+    };
+
+    const observer = new IntersectionObserver(([entry]) => {
+      inView = entry.isIntersecting;
+      markReadIfSeen();
+    }, { threshold: 0.6 });
+
+    observer.observe(messageRef.current);
+    document.addEventListener('visibilitychange', markReadIfSeen);
+
+    return () => {
+      observer.disconnect();
+      document.removeEventListener('visibilitychange', markReadIfSeen);
+    };
+  }, [message, currentUser.uid, isOwn, isRead, sendReadReceipts]);
+
+  const startEditing = () => {
+    setEditText(text || '');
+    setIsEditing(true);
+  };
+
+  const handleEdit = async (e) => {
+    e.preventDefault();
+    if (!editText.trim() || editText === text) {
+      setIsEditing(false);
+      return;
+    }
+
+    try {
+      await messageService.editMessage(message, currentUser.uid, editText);
+      setIsEditing(false);
+    } catch (error) {
+      console.error('Error editing message:', error);
+    }
+  };
+
+  const handleUnsend = async () => {
+    if (!window.confirm('Unsend this message for everyone?')) return;
+
+    try {
+      await messageService.unsendMessage(message, currentUser.uid);
+    } catch (error) {
+      console.error('Error unsending message:', error);
+    }
+  };
+
+  if (message.type === 'system') {
+    return (
+      <div className="text-center text-xs text-gray-500">
+        {message.text}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={messageRef}
+      id={`message-${message.id}`}
+      className={`flex ${isOwn ? 'justify-end' : 'justify-start'}`}
+    >
+      <div
+        className={`max-w-[70%] rounded-lg p-3 transition-shadow ${
+          isOwn
+            ? 'bg-blue-600 text-white'
+            : 'bg-gray-200'
+        } ${highlighted ? 'ring-4 ring-yellow-300' : ''}`}
+      >
+        {isGroup && !isOwn && (
+          <p className="text-xs font-semibold mb-1">
+            {memberNames[message.senderId] || message.senderName}
+          </p>
+        )}
+        <div className="flex items-end space-x-2">
+          {isEditing ? (
+            <form onSubmit={handleEdit} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+                className="input text-gray-800"
+                autoFocus
+              />
+              <button type="submit" className="text-xs font-medium">
+                Save
+              </button>
+              <button type="button" onClick={() => setIsEditing(false)} className="text-xs opacity-75">
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div>
+              <MessageContent message={message} />
+            </div>
+          )}
+          <span className="text-xs opacity-75">
+            {message.timestamp?.toDate().toLocaleTimeString()}
+          </span>
+          {message.editedAt && !message.deleted && (
+            <button
+              onClick={() => setShowHistory(true)}
+              className="text-xs opacity-75 hover:opacity-100 italic"
+            >
+              edited
+            </button>
+          )}
+          {isOwn && (
+            <MessageStatus
+              message={message}
+              recipientIds={recipientIds}
+              isGroup={isGroup}
+              memberNames={memberNames}
+            />
+          )}
+        </div>
+
+        {/* Message Actions */}
+        <div className="mt-2 flex items-center justify-between">
+          <MessageReactions
+            messageId={message.id}
+            currentUser={currentUser}
+            memberNames={memberNames}
+          />
+          <div className="flex items-center space-x-3">
+            {messageService.canEdit(message, currentUser.uid) && !isEditing && (
+              <button
+                onClick={startEditing}
+                className="text-xs opacity-75 hover:opacity-100"
+              >
+                Edit
+              </button>
+            )}
+            {messageService.canUnsend(message, currentUser.uid) && (
+              <button
+                onClick={handleUnsend}
+                className="text-xs opacity-75 hover:opacity-100"
+              >
+                Unsend
+              </button>
+            )}
+            <button
+              onClick={() => onOpenThread(message)}
+              className="text-xs opacity-75 hover:opacity-100"
+            >
+              {message.replyCount || 0} replies
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {showHistory && (
+        <MessageHistory
+          message={message}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ChatMessage;
@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react';
+import {
+  XMarkIcon,
+  MagnifyingGlassIcon,
+  PaperClipIcon,
+  ArrowUturnRightIcon,
+} from '@heroicons/react/24/solid';
+import { messageSearchService } from '../services/MessageSearchService';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const Highlighted = ({ text, terms }) => {
+  if (!text || terms.length === 0) return text || null;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? <mark key={i} className="bg-yellow-200 rounded">{part}</mark> : part
+  );
+};
+
+const ChatSearch = ({ chatId, chatNames, memberNames, onJump, onClose }) => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [scope, setScope] = useState(chatId ? 'chat' : 'all');
+  const [senderId, setSenderId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [hasAttachment, setHasAttachment] = useState(false);
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [activeResult, setActiveResult] = useState(null);
+  const [context, setContext] = useState([]);
+
+  useEffect(() => {
+    // Debounce so every keystroke doesn't hit IndexedDB
+    const timer = setTimeout(async () => {
+      try {
+        setIsSearching(true);
+        const found = await messageSearchService.search(searchQuery, {
+          chatId: scope === 'chat' ? chatId : null,
+          senderId: senderId || null,
+          from: from ? new Date(from).toISOString() : null,
+          to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null,
+          hasAttachment,
+        });
+        setResults(found);
+      } catch (error) {
+        console.error('Error searching messages:', error);
+      } finally {
+        setIsSearching(false);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [searchQuery, scope, chatId, senderId, from, to, hasAttachment]);
+
+  const openContext = async (result) => {
+    setActiveResult(result);
+    try {
+      setContext(await messageSearchService.getCachedContext(result.chatId, result.timestamp));
+    } catch {
+      setContext([result]);
+    }
+  };
+
+  const loadMore = async (direction) => {
+    const anchor = direction === 'before' ? context[0] : context[context.length - 1];
+    if (!anchor) return;
+
+    try {
+      const more = await messageSearchService.loadMoreContext(activeResult.chatId, anchor.timestamp, direction);
+      const known = new Set(context.map(message => message.id));
+      const fresh = more.filter(message => !known.has(message.id));
+      setContext(prev => direction === 'before' ? [...fresh, ...prev] : [...prev, ...fresh]);
+    } catch (error) {
+      console.error('Error loading more messages:', error);
+    }
+  };
+
+  const terms = messageSearchService.tokenize(searchQuery);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-2xl h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b space-y-3">
+          <div className="flex items-center space-x-2">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => {
+                setSearchQuery(e.target.value);
+                setActiveResult(null);
+              }}
+              placeholder="Search messages..."
+              className="flex-1 input"
+              autoFocus
+            />
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          {/* Filters */}
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <select
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              className="border rounded p-1"
+            >
+              {chatId && <option value="chat">This chat</option>}
+              <option value="all">All chats</option>
+            </select>
+            <select
+              value={senderId}
+              onChange={(e) => setSenderId(e.target.value)}
+              className="border rounded p-1"
+            >
+              <option value="">Anyone</option>
+              {Object.entries(memberNames).map(([id, name]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="border rounded p-1"
+            />
+            <span className="text-gray-500">to</span>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="border rounded p-1"
+            />
+            <label className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={hasAttachment}
+                onChange={(e) => setHasAttachment(e.target.checked)}
+              />
+              <PaperClipIcon className="h-4 w-4 text-gray-500" />
+              <span>Has attachment</span>
+            </label>
+          </div>
+        </div>
+
+        {/* Results */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {activeResult ? (
+            <div className="space-y-2">
+              <div className="flex justify-between items-center">
+                <button
+                  onClick={() => setActiveResult(null)}
+                  className="text-sm text-blue-600 hover:underline"
+                >
+                  Back to results
+                </button>
+                <button
+                  onClick={() => onJump(activeResult)}
+                  className="text-sm text-blue-600 hover:underline flex items-center"
+                >
+                  <ArrowUturnRightIcon className="h-4 w-4 mr-1" />
+                  Jump to message
+                </button>
+              </div>
+              <button
+                onClick={() => loadMore('before')}
+                className="w-full text-xs text-gray-500 hover:text-gray-700 py-1"
+              >
+                Load earlier messages
+              </button>
+              {context.map((message) => (
+                <div
+                  key={message.id}
+                  className={`p-2 rounded ${message.id === activeResult.id ? 'bg-yellow-50 border border-yellow-200' : ''}`}
+                >
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>{memberNames[message.senderId] || message.senderName || message.senderId}</span>
+                    <span>{new Date(message.timestamp).toLocaleString()}</span>
+                  </div>
+                  <p className="text-sm">
+                    {message.encrypted ? (
+                      <span className="italic text-gray-500">Encrypted message</span>
+                    ) : (
+                      <Highlighted text={message.text} terms={terms} />
+                    )}
+                  </p>
+                </div>
+              ))}
+              <button
+                onClick={() => loadMore('after')}
+                className="w-full text-xs text-gray-500 hover:text-gray-700 py-1"
+              >
+                Load later messages
+              </button>
+            </div>
+          ) : isSearching && results.length === 0 ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500" />
+            </div>
+          ) : results.length === 0 ? (
+            <div className="text-center text-gray-500 py-8">
+              {searchQuery ? 'No messages found' : 'Type to search your messages'}
+            </div>
+          ) : (
+            <div className="divide-y">
+              {results.map((result) => (
+                <button
+                  key={result.id}
+                  onClick={() => openContext(result)}
+                  className="w-full text-left p-3 hover:bg-gray-50"
+                >
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>
+                      {scope === 'all' && `${chatNames[result.chatId] || result.chatId} · `}
+                      {memberNames[result.senderId] || result.senderName || result.senderId}
+                    </span>
+                    <span>{new Date(result.timestamp).toLocaleString()}</span>
+                  </div>
+                  <p className="text-sm mt-1 flex items-center">
+                    {result.hasAttachment && <PaperClipIcon className="h-4 w-4 mr-1 text-gray-400" />}
+                    <Highlighted text={result.text} terms={terms} />
+                  </p>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatSearch;
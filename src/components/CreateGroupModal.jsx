@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { XMarkIcon, UserGroupIcon } from '@heroicons/react/24/solid';
+import { conversationService } from '../services/ConversationService';
+
+const CreateGroupModal = ({ friends, currentUser, onCreated, onClose }) => {
+  const [name, setName] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [friendNames, setFriendNames] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+
+  const friendIds = friends.map(friend => friend.users.find(id => id !== currentUser.uid));
+  const friendIdKey = friendIds.join(',');
+
+  useEffect(() => {
+    if (!friendIdKey) return;
+    conversationService.getUserNames(friendIdKey.split(',')).then(setFriendNames);
+  }, [friendIdKey]);
+
+  const toggleMember = (userId) => {
+    setSelectedIds(prev =>
+      prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedIds.length === 0) return;
+
+    try {
+      setIsCreating(true);
+      const groupId = await conversationService.createGroup(currentUser, {
+        name: name.trim(),
+        memberIds: selectedIds,
+        avatarFile,
+      });
+      onCreated(groupId);
+      onClose();
+    } catch (error) {
+      console.error('Error creating group:', error);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg w-full max-w-md flex flex-col max-h-[80vh]">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold flex items-center">
+            <UserGroupIcon className="h-6 w-6 mr-2 text-gray-500" />
+            New Group
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 overflow-y-auto">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Group name"
+            className="w-full input"
+          />
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">Group photo</label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setAvatarFile(e.target.files[0] || null)}
+              className="text-sm"
+            />
+          </div>
+
+          {/* Members */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-600 mb-2">
+              Members ({selectedIds.length} selected)
+            </h4>
+            {friendIds.length === 0 ? (
+              <p className="text-sm text-gray-500">Add some friends first.</p>
+            ) : (
+              <div className="space-y-1">
+                {friendIds.map((friendId) => (
+                  <label key={friendId} className="flex items-center space-x-2 p-2 rounded hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(friendId)}
+                      onChange={() => toggleMember(friendId)}
+                    />
+                    <span>{friendNames[friendId] || friendId}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="p-4 border-t flex justify-end space-x-2">
+          <button type="button" onClick={onClose} className="btn">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isCreating || !name.trim() || selectedIds.length === 0}
+            className="btn btn-primary"
+          >
+            {isCreating ? 'Creating...' : 'Create Group'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateGroupModal;
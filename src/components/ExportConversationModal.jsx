@@ -0,0 +1,152 @@
+import { useState, useRef } from 'react';
+import { XMarkIcon, ArrowDownTrayIcon, ArrowUpTrayIcon } from '@heroicons/react/24/solid';
+import { conversationExportService } from '../services/ConversationExportService';
+
+const ExportConversationModal = ({ chat, memberNames, currentUser, onClose }) => {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [format, setFormat] = useState('html');
+  const [includeAttachments, setIncludeAttachments] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const importInputRef = useRef(null);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      setError('');
+      setStatus('Collecting messages...');
+
+      const archive = await conversationExportService.exportConversation(chat, {
+        // Date inputs are local days, not UTC ones
+        from: from ? new Date(`${from}T00:00:00`) : null,
+        to: to ? new Date(`${to}T23:59:59.999`) : null,
+        includeAttachments,
+        memberNames,
+        exportedBy: currentUser.uid,
+      });
+
+      const baseName = `chat-${(chat.name || chat.id).replace(/[^\w-]+/g, '_')}-${new Date().toISOString().slice(0, 10)}`;
+      if (format === 'json' || format === 'both') {
+        conversationExportService.download(`${baseName}.json`, JSON.stringify(archive, null, 2), 'application/json');
+      }
+      if (format === 'html' || format === 'both') {
+        conversationExportService.download(`${baseName}.html`, conversationExportService.toHtml(archive), 'text/html');
+      }
+
+      setStatus(`Exported ${archive.messages.length} messages`);
+    } catch {
+      setError('Export failed. Please try again.');
+      setStatus('');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setError('');
+      const { conversation, count } = await conversationExportService.importArchive(file);
+      setStatus(`Restored ${count} messages from "${conversation.name || conversation.id}" to this device`);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      importInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-md p-6 space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold">Export Conversation</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          <label className="space-y-1">
+            <span className="text-gray-600">From</span>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="w-full border rounded p-1"
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-600">To</span>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="w-full border rounded p-1"
+            />
+          </label>
+        </div>
+
+        <div className="space-y-2 text-sm">
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="w-full border rounded p-1"
+          >
+            <option value="html">Printable transcript (HTML)</option>
+            <option value="json">Archive (JSON)</option>
+            <option value="both">Both</option>
+          </select>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={includeAttachments}
+              onChange={(e) => setIncludeAttachments(e.target.checked)}
+            />
+            <span>Include attachments</span>
+          </label>
+          <p className="text-xs text-gray-500">
+            Times are shown in {conversationExportService.getTimeZone()}. Encrypted messages are exported readable.
+          </p>
+        </div>
+
+        <button
+          onClick={handleExport}
+          disabled={isExporting}
+          className="w-full btn btn-primary flex items-center justify-center space-x-2"
+        >
+          <ArrowDownTrayIcon className="h-5 w-5" />
+          <span>{isExporting ? 'Exporting...' : 'Export'}</span>
+        </button>
+
+        <div className="border-t pt-4">
+          <input
+            type="file"
+            accept="application/json,.json"
+            ref={importInputRef}
+            onChange={handleImport}
+            className="hidden"
+          />
+          <button
+            onClick={() => importInputRef.current.click()}
+            className="w-full flex items-center justify-center text-sm text-gray-600 hover:text-gray-800"
+          >
+            <ArrowUpTrayIcon className="h-5 w-5 mr-2" />
+            Import an archive to this device
+          </button>
+        </div>
+
+        {status && <p className="text-sm text-green-600">{status}</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default ExportConversationModal;
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import {
+  XMarkIcon,
+  UserGroupIcon,
+  UserPlusIcon,
+  BellIcon,
+  BellSlashIcon,
+  ArrowRightOnRectangleIcon,
+} from '@heroicons/react/24/solid';
+import { conversationService } from '../services/ConversationService';
+
+const GroupSettings = ({ conversation, friends, memberNames, currentUser, onClose }) => {
+  const [name, setName] = useState(conversation.name);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isAdmin = conversationService.isAdmin(conversation, currentUser.uid);
+  const isMuted = Boolean(conversation.mutedBy?.includes(currentUser.uid));
+  const candidates = friends
+    .map(friend => friend.users.find(id => id !== currentUser.uid))
+    .filter(id => !conversation.members.includes(id));
+
+  const run = async (action) => {
+    try {
+      setIsSaving(true);
+      await action();
+    } catch (error) {
+      console.error('Error updating group:', error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === conversation.name) return;
+    run(() => conversationService.updateGroupName(conversation.id, currentUser, name.trim()));
+  };
+
+  const handleLeave = () => {
+    if (!window.confirm(`Leave "${conversation.name}"?`)) return;
+    run(async () => {
+      await conversationService.leaveGroup(conversation, currentUser);
+      onClose();
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg w-full max-w-md flex flex-col max-h-[80vh]">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold flex items-center">
+            <UserGroupIcon className="h-6 w-6 mr-2 text-gray-500" />
+            Group Settings
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-6 overflow-y-auto">
+          {/* Name and Avatar */}
+          {isAdmin && (
+            <div className="space-y-2">
+              <form onSubmit={handleRename} className="flex space-x-2">
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="flex-1 input"
+                />
+                <button type="submit" disabled={isSaving} className="btn btn-primary">
+                  Rename
+                </button>
+              </form>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => {
+                  const file = e.target.files[0];
+                  if (file) run(() => conversationService.updateAvatar(conversation.id, file));
+                }}
+                className="text-sm"
+              />
+            </div>
+          )}
+
+          {/* Members */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-600 mb-2">
+              Members ({conversation.members.length})
+            </h4>
+            <div className="space-y-1">
+              {conversation.members.map((memberId) => (
+                <div key={memberId} className="flex items-center justify-between p-2 rounded hover:bg-gray-50">
+                  <span>
+                    {memberNames[memberId] || memberId}
+                    {memberId === currentUser.uid && ' (you)'}
+                    {conversationService.isAdmin(conversation, memberId) && (
+                      <span className="ml-2 text-xs text-blue-600">Admin</span>
+                    )}
+                  </span>
+                  {isAdmin && memberId !== currentUser.uid && (
+                    <div className="space-x-2 text-xs">
+                      <button
+                        disabled={isSaving}
+                        onClick={() => run(() => conversationService.setAdmin(
+                          conversation.id,
+                          currentUser,
+                          memberId,
+                          !conversationService.isAdmin(conversation, memberId)
+                        ))}
+                        className="text-gray-600 hover:text-gray-800"
+                      >
+                        {conversationService.isAdmin(conversation, memberId) ? 'Remove admin' : 'Make admin'}
+                      </button>
+                      <button
+                        disabled={isSaving}
+                        onClick={() => run(() => conversationService.removeMember(conversation.id, currentUser, memberId))}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Add Members */}
+          {isAdmin && candidates.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-600 mb-2">Add members</h4>
+              <div className="space-y-1">
+                {candidates.map((friendId) => (
+                  <button
+                    key={friendId}
+                    disabled={isSaving}
+                    onClick={() => run(() => conversationService.addMembers(conversation.id, currentUser, [friendId]))}
+                    className="w-full flex items-center p-2 rounded hover:bg-gray-50 text-left"
+                  >
+                    <UserPlusIcon className="h-5 w-5 mr-2 text-gray-500" />
+                    {memberNames[friendId] || friendId}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="p-4 border-t flex justify-between">
+          <button
+            disabled={isSaving}
+            onClick={() => run(() => conversationService.setMuted(conversation.id, currentUser.uid, !isMuted))}
+            className="flex items-center text-gray-600 hover:text-gray-800"
+          >
+            {isMuted ? (
+              <>
+                <BellIcon className="h-5 w-5 mr-1" />
+                Unmute
+              </>
+            ) : (
+              <>
+                <BellSlashIcon className="h-5 w-5 mr-1" />
+                Mute
+              </>
+            )}
+          </button>
+          <button
+            disabled={isSaving}
+            onClick={handleLeave}
+            className="flex items-center text-red-600 hover:text-red-800"
+          >
+            <ArrowRightOnRectangleIcon className="h-5 w-5 mr-1" />
+            Leave group
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupSettings;
@@ -0,0 +1,45 @@
+import { useDispatch, useSelector } from 'react-redux';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/solid';
+import { encryptionService } from '../services/EncryptionService';
+import { clearKeyChange } from '../stores/slices/chatSlice';
+
+const KeyChangeWarning = ({ userIds }) => {
+  const dispatch = useDispatch();
+  const keyChanges = useSelector((state) => state.chat.keyChanges);
+  const changed = userIds.filter(id => keyChanges[id]);
+
+  if (changed.length === 0) return null;
+
+  const handleAccept = async (userId) => {
+    try {
+      await encryptionService.acceptKeyChange(userId, keyChanges[userId].current);
+      dispatch(clearKeyChange(userId));
+    } catch (error) {
+      console.error('Error accepting key change:', error);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 p-3 space-y-2">
+      {changed.map((userId) => (
+        <div key={userId} className="flex items-center justify-between text-sm text-yellow-800">
+          <div className="flex items-center">
+            <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+            <span>
+              {keyChanges[userId].name || userId}&apos;s security keys changed.
+              Verify the new fingerprint {keyChanges[userId].current} with them before sharing anything sensitive.
+            </span>
+          </div>
+          <button
+            onClick={() => handleAccept(userId)}
+            className="ml-4 text-yellow-900 font-medium hover:underline"
+          >
+            Mark as verified
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default KeyChangeWarning;
@@ -0,0 +1,83 @@
+import { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/solid';
+import { linkPreviewService } from '../services/LinkPreviewService';
+
+const LinkPreviewCard = ({ url, preview: initialPreview = null, onRemove, compact = false }) => {
+  const [preview, setPreview] = useState(initialPreview);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (initialPreview) {
+      setPreview(initialPreview);
+      return;
+    }
+
+    let cancelled = false;
+    setPreview(null);
+    setFailed(false);
+    linkPreviewService.getPreview(url)
+      .then((result) => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, initialPreview]);
+
+  if (failed) return null;
+
+  if (!preview) {
+    return (
+      <div className="border rounded-lg p-3 animate-pulse bg-gray-50">
+        <div className="h-4 bg-gray-200 rounded w-2/3 mb-2" />
+        <div className="h-3 bg-gray-200 rounded w-1/2" />
+      </div>
+    );
+  }
+
+  if (!preview.title && !preview.image) return null;
+
+  return (
+    <div className="relative border rounded-lg overflow-hidden bg-white text-gray-800">
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          className="absolute top-1 right-1 bg-white rounded-full p-0.5 text-gray-500 hover:text-gray-700 shadow"
+          title="Remove preview"
+        >
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      )}
+      <a
+        href={preview.finalUrl || url}
+        target="_blank"
+        rel="noopener noreferrer"
+        className={`flex ${compact ? 'flex-row' : 'flex-col'} hover:bg-gray-50`}
+      >
+        {preview.image && (
+          <img
+            src={preview.image}
+            alt=""
+            loading="lazy"
+            className={compact ? 'w-20 h-20 object-cover flex-shrink-0' : 'w-full max-h-64 object-cover'}
+          />
+        )}
+        <div className="p-3 min-w-0">
+          <p className="text-xs text-gray-500 uppercase truncate">{preview.siteName}</p>
+          {preview.title && <p className="font-semibold truncate">{preview.title}</p>}
+          {preview.description && (
+            <p className="text-sm text-gray-600 line-clamp-2">{preview.description}</p>
+          )}
+          {preview.author && <p className="text-xs text-gray-500 mt-1">{preview.author}</p>}
+        </div>
+      </a>
+    </div>
+  );
+};
+
+export default LinkPreviewCard;
@@ -0,0 +1,83 @@
+import { LockClosedIcon, NoSymbolIcon } from '@heroicons/react/24/solid';
+import { useDecryptedMessage } from '../hooks/useDecryptedMessage';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import LinkPreviewCard from './LinkPreviewCard';
+import StoryReplyQuote from './StoryReplyQuote';
+import { linkPreviewService } from '../services/LinkPreviewService';
+
+const MessageContent = ({ message }) => {
+  const { text, fileUrl, pending, failed } = useDecryptedMessage(message);
+
+  if (message.deleted) {
+    return (
+      <p className="italic opacity-75 flex items-center">
+        <NoSymbolIcon className="h-4 w-4 mr-1" />
+        This message was unsent
+      </p>
+    );
+  }
+
+  if (pending) {
+    return <p className="italic opacity-75">Decrypting...</p>;
+  }
+
+  if (failed) {
+    return (
+      <p className="italic opacity-75 flex items-center">
+        <LockClosedIcon className="h-4 w-4 mr-1" />
+        This message can&apos;t be decrypted on this device
+      </p>
+    );
+  }
+
+  if (message.type === 'audio') {
+    return <VoiceNotePlayer message={message} src={fileUrl} />;
+  }
+
+  // Links in encrypted chats are not sent to the unfurl service, that would leak them
+  const previewUrl = message.encrypted ? null : linkPreviewService.extractUrls(text)[0];
+
+  return (
+    <>
+      {message.storyReply && <StoryReplyQuote storyReply={message.storyReply} />}
+      {fileUrl && (
+        <div className="mb-2">
+          {message.fileType === 'image' && (
+            <img
+              src={fileUrl}
+              alt="Shared image"
+              className="max-w-full rounded"
+            />
+          )}
+          {message.fileType === 'video' && (
+            <video
+              src={fileUrl}
+              controls
+              className="max-w-full rounded"
+            />
+          )}
+          {message.fileType === 'audio' && (
+            <audio src={fileUrl} controls />
+          )}
+        </div>
+      )}
+      <p className="flex items-center">
+        {message.encrypted && <LockClosedIcon className="h-3 w-3 mr-1 opacity-75" />}
+        <span className="break-words">
+          {linkPreviewService.splitLinks(text).map((part, i) => (part.url ? (
+            <a key={i} href={part.url} target="_blank" rel="noopener noreferrer" className="underline">
+              {part.text}
+            </a>
+          ) : part.text))}
+        </span>
+      </p>
+      {previewUrl && (
+        <div className="mt-2 max-w-sm">
+          <LinkPreviewCard url={previewUrl} compact />
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MessageContent;
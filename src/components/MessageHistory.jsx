@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+import { XMarkIcon, ClockIcon } from '@heroicons/react/24/solid';
+import MessageContent from './MessageContent';
+import { messageService } from '../services/MessageService';
+
+const MessageHistory = ({ message, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    messageService.getRevisions(message.id)
+      .then(setRevisions)
+      .catch(() => setRevisions([]))
+      .finally(() => setIsLoading(false));
+  }, [message.id, message.editCount]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white text-gray-800 rounded-lg w-full max-w-md max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="p-4 border-b flex justify-between items-center">
+          <h3 className="text-lg font-semibold flex items-center">
+            <ClockIcon className="h-5 w-5 mr-2 text-gray-500" />
+            Edit History
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500" />
+            </div>
+          ) : (
+            <>
+              {revisions.map((revision) => (
+                <div key={revision.id} className="border-b pb-3">
+                  <p className="text-xs text-gray-500 mb-1">
+                    {revision.createdAt?.toDate().toLocaleString()}
+                  </p>
+                  <MessageContent
+                    message={{
+                      ...revision,
+                      id: `${message.id}:${revision.id}`,
+                      encrypted: message.encrypted,
+                    }}
+                  />
+                </div>
+              ))}
+              <div>
+                <p className="text-xs text-gray-500 mb-1">
+                  Current · {message.editedAt?.toDate().toLocaleString()}
+                </p>
+                <MessageContent message={message} />
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageHistory;
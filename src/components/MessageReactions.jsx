@@ -14,7 +14,7 @@ import Picker from '@emoji-mart/react';
 
 const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
 
-const MessageReactions = ({ messageId, currentUser }) => {
+const MessageReactions = ({ messageId, currentUser, memberNames = {} }) => {
   const [showPicker, setShowPicker] = useState(false);
   const [reactions, setReactions] = useState([]);
   const [isHovered, setIsHovered] = useState(false);
@@ -98,6 +98,9 @@ const MessageReactions = ({ messageId, currentUser }) => {
         {Object.entries(groupedReactions).map(([emoji, reactions]) => (
           <button
             key={emoji}
+            title={reactions
+              .map(r => r.userId === currentUser.uid ? 'You' : memberNames[r.userId] || r.userId)
+              .join(', ')}
             onClick={() => {
               const userReaction = reactions.find(r => r.userId === currentUser.uid);
               if (userReaction) {
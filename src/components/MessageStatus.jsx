@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import { CheckIcon, ClockIcon } from '@heroicons/react/24/solid';
+import { receiptService } from '../services/ReceiptService';
+
+const MessageStatus = ({ message, recipientIds, isGroup, memberNames = {} }) => {
+  const [showReaders, setShowReaders] = useState(false);
+  const status = receiptService.getStatus(message, recipientIds);
+  const readers = isGroup ? receiptService.getReaders(message) : [];
+
+  const ticks = status === 'sending' ? (
+    <ClockIcon className="h-3 w-3" />
+  ) : status === 'sent' ? (
+    <CheckIcon className="h-4 w-4" />
+  ) : (
+    <span className={`relative inline-flex w-5 ${status === 'read' ? 'text-sky-300' : ''}`}>
+      <CheckIcon className="h-4 w-4" />
+      <CheckIcon className="h-4 w-4 absolute left-1.5" />
+    </span>
+  );
+
+  return (
+    <span className="relative inline-flex items-center">
+      <button
+        type="button"
+        onClick={() => isGroup && setShowReaders(prev => !prev)}
+        className="opacity-75 hover:opacity-100"
+        title={status.charAt(0).toUpperCase() + status.slice(1)}
+      >
+        {ticks}
+      </button>
+
+      {/* Seen By */}
+      {showReaders && (
+        <div className="absolute bottom-full right-0 mb-2 w-48 bg-white text-gray-800 rounded-lg shadow-lg p-2 z-10">
+          <p className="text-xs font-semibold mb-1">Seen by</p>
+          {readers.length === 0 ? (
+            <p className="text-xs text-gray-500">No one yet</p>
+          ) : (
+            readers.map(({ userId, readAt }) => (
+              <div key={userId} className="flex justify-between text-xs py-0.5">
+                <span className="truncate">{memberNames[userId] || userId}</span>
+                <span className="text-gray-500 ml-2">{readAt.toDate().toLocaleTimeString()}</span>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </span>
+  );
+};
+
+export default MessageStatus;
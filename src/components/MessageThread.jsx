@@ -10,9 +10,15 @@ import {
   serverTimestamp,
 } from 'firebase/firestore';
 import MessageReactions from './MessageReactions';
+import MessageContent from './MessageContent';
+import KeyChangeWarning from './KeyChangeWarning';
+import { encryptionService } from '../services/EncryptionService';
+import { conversationService } from '../services/ConversationService';
+import { messageService } from '../services/MessageService';
 import { XMarkIcon, ArrowUturnLeftIcon } from '@heroicons/react/24/solid';
 
-const MessageThread = ({ parentMessage, onClose, currentUser }) => {
+const MessageThread = ({ parentMessage, chat, memberNames = {}, onClose, currentUser }) => {
+  const members = conversationService.getMembers(chat);
   const [replies, setReplies] = useState([]);
   const [newReply, setNewReply] = useState('');
   const [isLoading, setIsLoading] = useState(true);
@@ -29,7 +35,7 @@ const MessageThread = ({ parentMessage, onClose, currentUser }) => {
       snapshot.forEach((doc) => {
         repliesList.push({ id: doc.id, ...doc.data() });
       });
-      setReplies(repliesList);
+      setReplies(repliesList.filter(reply => !messageService.isExpired(reply)));
       setIsLoading(false);
     });
 
@@ -41,9 +47,25 @@ const MessageThread = ({ parentMessage, onClose, currentUser }) => {
     if (!newReply.trim()) return;
 
     try {
+      let content = { text: newReply };
+
+      // Replies in encrypted conversations are sealed like any other message
+      if (chat?.encrypted) {
+        const sealed = await encryptionService.encryptMessage({ text: newReply }, members);
+        content = {
+          text: '',
+          encrypted: true,
+          ciphertext: sealed.ciphertext,
+          iv: sealed.iv,
+          encryption: sealed.encryption,
+        };
+      }
+
       await addDoc(collection(db, 'messages'), {
         parentId: parentMessage.id,
-        text: newReply,
+        ...(chat && { threadChatId: chat.id }),
+        ...content,
+        ...messageService.getExpiryFields(chat?.disappearAfter),
         senderId: currentUser.uid,
         senderName: currentUser.displayName,
         timestamp: serverTimestamp(),
@@ -70,25 +92,35 @@ const MessageThread = ({ parentMessage, onClose, currentUser }) => {
           </button>
         </div>
 
+        {chat?.encrypted && (
+          <KeyChangeWarning userIds={members.filter(id => id !== currentUser.uid)} />
+        )}
+
         {/* Original Message */}
         <div className="p-4 bg-gray-50">
           <div className="flex items-start space-x-3">
             <div className="flex-shrink-0">
               <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white">
-                {parentMessage.senderName?.[0]?.toUpperCase()}
+                {(memberNames[parentMessage.senderId] || parentMessage.senderName)?.[0]?.toUpperCase()}
               </div>
             </div>
             <div className="flex-1">
               <div className="flex items-baseline space-x-2">
-                <span className="font-medium">{parentMessage.senderName}</span>
+                <span className="font-medium">{memberNames[parentMessage.senderId] || parentMessage.senderName}</span>
                 <span className="text-sm text-gray-500">
                   {parentMessage.timestamp?.toDate().toLocaleString()}
                 </span>
+                {parentMessage.editedAt && !parentMessage.deleted && (
+                  <span className="text-xs text-gray-500 italic">edited</span>
+                )}
+              </div>
+              <div className="mt-1">
+                <MessageContent message={parentMessage} />
               </div>
-              <p className="mt-1">{parentMessage.text}</p>
               <MessageReactions
                 messageId={parentMessage.id}
                 currentUser={currentUser}
+                memberNames={memberNames}
               />
             </div>
           </div>
@@ -109,20 +141,26 @@ const MessageThread = ({ parentMessage, onClose, currentUser }) => {
               <div key={reply.id} className="flex items-start space-x-3">
                 <div className="flex-shrink-0">
                   <div className="w-8 h-8 bg-gray-500 rounded-full flex items-center justify-center text-white">
-                    {reply.senderName?.[0]?.toUpperCase()}
+                    {(memberNames[reply.senderId] || reply.senderName)?.[0]?.toUpperCase()}
                   </div>
                 </div>
                 <div className="flex-1">
                   <div className="flex items-baseline space-x-2">
-                    <span className="font-medium">{reply.senderName}</span>
+                    <span className="font-medium">{memberNames[reply.senderId] || reply.senderName}</span>
                     <span className="text-sm text-gray-500">
                       {reply.timestamp?.toDate().toLocaleString()}
                     </span>
+                    {reply.editedAt && !reply.deleted && (
+                      <span className="text-xs text-gray-500 italic">edited</span>
+                    )}
+                  </div>
+                  <div className="mt-1">
+                    <MessageContent message={reply} />
                   </div>
-                  <p className="mt-1">{reply.text}</p>
                   <MessageReactions
                     messageId={reply.id}
                     currentUser={currentUser}
+                    memberNames={memberNames}
                   />
                 </div>
               </div>
@@ -137,12 +175,13 @@ const MessageThread = ({ parentMessage, onClose, currentUser }) => {
               type="text"
               value={newReply}
               onChange={(e) => setNewReply(e.target.value)}
-              placeholder="Reply to thread..."
+              placeholder={parentMessage.deleted ? 'This message was unsent' : 'Reply to thread...'}
+              disabled={parentMessage.deleted}
               className="flex-1 input"
             />
             <button
               type="submit"
-              disabled={!newReply.trim()}
+              disabled={!newReply.trim() || parentMessage.deleted}
               className="btn btn-primary flex items-center space-x-1"
             >
               <ArrowUturnLeftIcon className="h-5 w-5" />
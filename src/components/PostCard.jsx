@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { db } from '../config/firebase';
 import {
   doc,
@@ -18,12 +18,25 @@ import {
   BookmarkIcon as BookmarkIconSolid,
 } from '@heroicons/react/24/solid';
 import MessageReactions from './MessageReactions';
+import LinkPreviewCard from './LinkPreviewCard';
+import ScheduledStreamCard from './social/ScheduledStreamCard';
+import { linkPreviewService } from '../services/LinkPreviewService';
+import { liveStreamService } from '../services/LiveStreamService';
 import { formatDistanceToNow } from 'date-fns';
 
 const PostCard = ({ post, currentUser, onComment }) => {
   const [isBookmarked, setIsBookmarked] = useState(
     post.bookmarks?.includes(currentUser.uid)
   );
+  // Posts made with the link composer carry their preview, otherwise the first link in the text is used
+  const previewUrl = post.link || linkPreviewService.extractUrls(post.content?.replace(/<[^>]+>/g, ' '))[0];
+  // Scheduled livestream posts follow the stream from countdown to live to replay
+  const [stream, setStream] = useState(null);
+
+  useEffect(() => {
+    if (post.type !== 'livestream') return;
+    return liveStreamService.subscribeToStream(post.streamId, setStream);
+  }, [post.type, post.streamId]);
 
   const handleLike = async () => {
     const postRef = doc(db, 'posts', post.id);
@@ -107,6 +120,20 @@ const PostCard = ({ post, currentUser, onComment }) => {
         dangerouslySetInnerHTML={{ __html: post.content }}
       />
 
+      {/* Livestream */}
+      {post.type === 'livestream' && stream && (
+        <div className="mb-4">
+          <ScheduledStreamCard stream={stream} user={currentUser} />
+        </div>
+      )}
+
+      {/* Link Preview */}
+      {previewUrl && (
+        <div className="mb-4">
+          <LinkPreviewCard url={previewUrl} preview={post.link ? post.linkPreview : null} />
+        </div>
+      )}
+
       {/* Media */}
       {post.media && post.media.length > 0 && (
         <div className="grid grid-cols-2 gap-2 mb-4">
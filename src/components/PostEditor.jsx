@@ -21,6 +21,8 @@ import BloodDonationPost from './posts/BloodDonationPost';
 import EventPost from './posts/EventPost';
 import MapPost from './posts/MapPost';
 import PageCreator from './pages/PageCreator';
+import LinkPreviewCard from './LinkPreviewCard';
+import { linkPreviewService } from '../services/LinkPreviewService';
 
 const PostEditor = ({ user, onClose }) => {
   const [postType, setPostType] = useState('text'); // text, media, link, map, blood, event, page, group
@@ -92,16 +94,10 @@ const PostEditor = ({ user, onClose }) => {
     if (!link) return;
 
     try {
-      // You would typically call an API to get link preview data
-      // For now, we'll just create a basic preview
-      setLinkPreview({
-        title: 'Link Preview',
-        description: 'Link preview description',
-        image: null,
-        url: link
-      });
+      setLinkPreview(await linkPreviewService.getPreview(link));
     } catch (error) {
       console.error('Error fetching link preview:', error);
+      setLinkPreview(null);
     }
   };
 
@@ -265,17 +261,11 @@ const PostEditor = ({ user, onClose }) => {
                 </div>
 
                 {linkPreview && (
-                  <div className="border rounded-lg p-4">
-                    <h3 className="font-semibold">{linkPreview.title}</h3>
-                    <p className="text-gray-600">{linkPreview.description}</p>
-                    {linkPreview.image && (
-                      <img
-                        src={linkPreview.image}
-                        alt="Link preview"
-                        className="mt-2 rounded"
-                      />
-                    )}
-                  </div>
+                  <LinkPreviewCard
+                    url={link}
+                    preview={linkPreview}
+                    onRemove={() => setLinkPreview(null)}
+                  />
                 )}
               </div>
             )}
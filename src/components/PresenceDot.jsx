@@ -0,0 +1,20 @@
+import { presenceService } from '../services/PresenceService';
+
+const STATUS_COLORS = {
+  online: 'bg-green-500',
+  away: 'bg-yellow-400',
+  offline: 'bg-gray-300',
+};
+
+const PresenceDot = ({ presence, className = '' }) => {
+  const status = presenceService.getStatus(presence);
+
+  return (
+    <span
+      className={`inline-block h-2.5 w-2.5 rounded-full ring-2 ring-white ${STATUS_COLORS[status]} ${className}`}
+      title={presenceService.formatLastSeen(presence)}
+    />
+  );
+};
+
+export default PresenceDot;
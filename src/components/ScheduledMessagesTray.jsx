@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { ClockIcon, ChevronDownIcon, ChevronUpIcon } from '@heroicons/react/24/solid';
+import MessageContent from './MessageContent';
+import { useDecryptedMessage } from '../hooks/useDecryptedMessage';
+import { scheduledMessageService } from '../services/ScheduledMessageService';
+
+// datetime-local inputs work in local time without a zone suffix
+const toLocalInputValue = (millis) => {
+  const date = new Date(millis);
+  return new Date(millis - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const ScheduledMessage = ({ message }) => {
+  const { text } = useDecryptedMessage(message);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState('');
+  const [editTime, setEditTime] = useState('');
+  const [error, setError] = useState('');
+
+  const startEditing = () => {
+    setEditText(text || '');
+    setEditTime(toLocalInputValue(message.scheduledFor));
+    setError('');
+    setIsEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      await scheduledMessageService.updateScheduledMessage(message, {
+        text: editText !== text ? editText : undefined,
+        scheduledFor: new Date(editTime)
+      });
+      setIsEditing(false);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this scheduled message?')) return;
+
+    try {
+      await scheduledMessageService.cancelScheduledMessage(message);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="p-2 bg-white rounded border">
+      {isEditing ? (
+        <form onSubmit={handleSave} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={editText}
+            onChange={(e) => setEditText(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+            className="flex-1 input"
+            autoFocus
+          />
+          <input
+            type="datetime-local"
+            value={editTime}
+            min={toLocalInputValue(Date.now())}
+            onChange={(e) => setEditTime(e.target.value)}
+            className="border rounded p-1 text-sm"
+            required
+          />
+          <button type="submit" className="text-xs font-medium text-blue-600">
+            Save
+          </button>
+          <button type="button" onClick={() => setIsEditing(false)} className="text-xs text-gray-500">
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <div className="flex items-start justify-between space-x-2">
+          <div className="flex-1 text-sm">
+            <MessageContent message={message} />
+          </div>
+          <div className="flex-shrink-0 text-right">
+            <p className="text-xs text-gray-500">
+              {new Date(message.scheduledFor).toLocaleString()}
+            </p>
+            <div className="space-x-2">
+              <button
+                onClick={startEditing}
+                className="text-xs text-blue-600 hover:underline"
+              >
+                Edit
+              </button>
+              <button
+                onClick={handleCancel}
+                className="text-xs text-red-600 hover:underline"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+const ScheduledMessagesTray = ({ messages }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (messages.length === 0) return null;
+
+  return (
+    <div className="border-t bg-gray-50 px-4 py-2">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center text-sm text-gray-600 hover:text-gray-800"
+      >
+        <ClockIcon className="h-4 w-4 mr-1" />
+        <span className="flex-1 text-left">
+          {messages.length} scheduled {messages.length === 1 ? 'message' : 'messages'}
+        </span>
+        {isOpen ? <ChevronDownIcon className="h-4 w-4" /> : <ChevronUpIcon className="h-4 w-4" />}
+      </button>
+      {isOpen && (
+        <div className="mt-2 space-y-2 max-h-48 overflow-y-auto">
+          {messages.map((message) => (
+            <ScheduledMessage key={message.id} message={message} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledMessagesTray;
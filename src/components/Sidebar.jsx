@@ -7,6 +7,7 @@ import {
   UsersIcon,
   UserGroupIcon,
   CogIcon,
+  UserCircleIcon,
 } from '@heroicons/react/24/outline';
 
 const Sidebar = () => {
@@ -16,6 +17,7 @@ const Sidebar = () => {
     { path: '/dashboard', icon: HomeIcon, label: 'Dashboard' },
     { path: '/chat', icon: ChatBubbleLeftRightIcon, label: 'Chat' },
     { path: '/social', icon: UsersIcon, label: 'Social' },
+    { path: '/profile', icon: UserCircleIcon, label: 'Profile' },
     { path: '/groups', icon: UserGroupIcon, label: 'Groups' },
     { path: '/settings', icon: CogIcon, label: 'Settings' },
   ];
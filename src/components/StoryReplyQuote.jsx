@@ -0,0 +1,27 @@
+import { useState } from 'react';
+import { getStoryThumbnail } from '../services/StoryService';
+
+// The story a reply or reaction was sent from, shown above the message
+const StoryReplyQuote = ({ storyReply }) => {
+  // Stories and their media are removed after a day unless they're kept
+  const [isGone, setIsGone] = useState(false);
+  // Replies sent before thumbnails were quoted carry the photo itself
+  const thumbnail = getStoryThumbnail(storyReply);
+
+  return (
+    <div className="mb-2 border-l-2 border-current pl-2 opacity-90">
+      <p className="text-xs mb-1">Replied to {storyReply.authorName}&apos;s story</p>
+      {isGone && <p className="text-xs italic opacity-75">This story is no longer available</p>}
+      {thumbnail && !isGone && (
+        <img
+          src={thumbnail}
+          alt="Story"
+          className="w-16 aspect-[9/16] rounded object-cover bg-black"
+          onError={() => setIsGone(true)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default StoryReplyQuote;
@@ -1,85 +1,45 @@
-import { useState, useEffect } from 'react';
-import { db } from '../config/firebase';
-import {
-  collection,
-  query,
-  where,
-  onSnapshot,
-  addDoc,
-  deleteDoc,
-  getDocs,
-  serverTimestamp,
-} from 'firebase/firestore';
+import { useEffect, forwardRef, useImperativeHandle } from 'react';
+import { presenceService } from '../services/PresenceService';
+import { usePresence } from '../hooks/usePresence';
 
-const TypingIndicator = ({ chatId, currentUser }) => {
-  const [typingUsers, setTypingUsers] = useState([]);
-  let typingTimeout = null;
-
-  useEffect(() => {
-    // Listen for typing indicators
-    const q = query(
-      collection(db, 'typing'),
-      where('chatId', '==', chatId),
-      where('userId', '!=', currentUser.uid)
-    );
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const users = [];
-      snapshot.forEach((doc) => {
-        users.push(doc.data());
-      });
-      setTypingUsers(users);
-    });
+const VERBS = {
+  typing: ['is typing', 'are typing'],
+  recording: ['is recording audio', 'are recording audio'],
+};
 
-    // Cleanup typing indicators when component unmounts
-    return () => {
-      unsubscribe();
-      if (typingTimeout) {
-        clearTimeout(typingTimeout);
-      }
-      removeTypingIndicator();
-    };
-  }, [chatId, currentUser.uid]);
+const formatActiveUsers = (users, activity) => {
+  const [singular, plural] = VERBS[activity];
+  const names = users.map(user => user.displayName || 'Someone');
+  if (names.length === 1) return `${names[0]} ${singular}...`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} ${plural}...`;
+  if (names.length === 3) return `${names[0]}, ${names[1]} and ${names[2]} ${plural}...`;
+  return `${names[0]}, ${names[1]} and ${names.length - 2} others ${plural}...`;
+};
 
-  const setTypingIndicator = async () => {
-    const q = query(
-      collection(db, 'typing'),
-      where('chatId', '==', chatId),
-      where('userId', '==', currentUser.uid)
-    );
-    
-    const querySnapshot = await getDocs(q);
-    
-    if (querySnapshot.empty) {
-      await addDoc(collection(db, 'typing'), {
-        chatId,
-        userId: currentUser.uid,
-        displayName: currentUser.displayName,
-        timestamp: serverTimestamp(),
-      });
-    }
+const TypingIndicator = forwardRef(({ chatId, currentUser, memberIds = [] }, ref) => {
+  // Activity expires after a few seconds, so check it often
+  const presence = usePresence(memberIds.filter(id => id !== currentUser.uid), 1000);
 
-    if (typingTimeout) {
-      clearTimeout(typingTimeout);
-    }
+  useEffect(() => {
+    return () => presenceService.clearActivity(chatId);
+  }, [chatId]);
 
-    typingTimeout = setTimeout(removeTypingIndicator, 3000);
+  const setTypingIndicator = () => {
+    presenceService.setActivity(chatId, 'typing');
   };
 
-  const removeTypingIndicator = async () => {
-    const q = query(
-      collection(db, 'typing'),
-      where('chatId', '==', chatId),
-      where('userId', '==', currentUser.uid)
-    );
-    
-    const querySnapshot = await getDocs(q);
-    querySnapshot.forEach((doc) => {
-      deleteDoc(doc.ref);
-    });
+  const clearTypingIndicator = () => {
+    presenceService.clearActivity(chatId);
   };
 
-  if (typingUsers.length === 0) return null;
+  useImperativeHandle(ref, () => ({ setTypingIndicator, clearTypingIndicator }));
+
+  const activeUsers = (activity) => Object.values(presence)
+    .filter(userPresence => presenceService.getActivity(userPresence, chatId) === activity);
+  const typingUsers = activeUsers('typing');
+  const recordingUsers = activeUsers('recording');
+
+  if (typingUsers.length === 0 && recordingUsers.length === 0) return null;
 
   return (
     <div className="flex items-center space-x-2 text-sm text-gray-500 italic p-2">
@@ -89,12 +49,15 @@ const TypingIndicator = ({ chatId, currentUser }) => {
         <span className="animate-bounce" style={{ animationDelay: "0.4s" }}>•</span>
       </div>
       <span>
-        {typingUsers.length === 1
-          ? `${typingUsers[0].displayName} is typing...`
-          : `${typingUsers.length} people are typing...`}
+        {[
+          typingUsers.length > 0 && formatActiveUsers(typingUsers, 'typing'),
+          recordingUsers.length > 0 && formatActiveUsers(recordingUsers, 'recording'),
+        ].filter(Boolean).join(' ')}
       </span>
     </div>
   );
-};
+});
+
+TypingIndicator.displayName = 'TypingIndicator';
 
 export default TypingIndicator;
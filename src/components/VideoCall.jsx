@@ -1,168 +1,376 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import Peer from 'simple-peer';
-import { db } from '../config/firebase';
-import {
-  collection,
-  addDoc,
-  doc,
-  updateDoc,
-  onSnapshot,
-  deleteDoc,
-  query,
-  where,
-} from 'firebase/firestore';
+import { MicrophoneIcon, VideoCameraSlashIcon, SignalIcon } from '@heroicons/react/24/solid';
+import { MAX_CALL_PARTICIPANTS } from '../services/CallService';
+import { QUALITY_LEVELS, QUALITY_COLORS } from '../services/CallStatsService';
+import { signalingService } from '../services/SignalingService';
+import { callLogService } from '../services/CallLogService';
+import { callChatService } from '../services/CallChatService';
+import { conversationService } from '../services/ConversationService';
+import { useActiveSpeaker } from '../hooks/useActiveSpeaker';
+import { useCallStats } from '../hooks/useCallStats';
+import { useCallChat } from '../hooks/useCallChat';
+import { useCallRecording } from '../hooks/useCallRecording';
+import { callRecordingService } from '../services/CallRecordingService';
 import CallControls from './CallControls';
-import CallNotification from './CallNotification';
+import CallStatsOverlay from './CallStatsOverlay';
+import CallChatPanel from './CallChatPanel';
 
-const VideoCall = ({ user, selectedFriend, onClose }) => {
+const ParticipantTile = ({ stream, name, muted, videoOff, isActive, isLocal, speakerOff, quality }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream || null;
+    }
+  }, [stream]);
+
+  return (
+    <div
+      className={`relative bg-gray-900 rounded-lg overflow-hidden aspect-video ring-4 transition-all ${
+        isActive ? 'ring-green-500' : 'ring-transparent'
+      }`}
+    >
+      <video
+        playsInline
+        autoPlay
+        ref={videoRef}
+        muted={isLocal || speakerOff}
+        className={`w-full h-full object-cover ${videoOff || !stream ? 'hidden' : ''}`}
+      />
+      {(videoOff || !stream) && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div className="w-20 h-20 bg-gray-600 rounded-full flex items-center justify-center">
+            <span className="text-2xl text-white">{name?.[0]?.toUpperCase()}</span>
+          </div>
+        </div>
+      )}
+      <div className="absolute bottom-2 left-2 flex items-center space-x-1 text-white bg-black bg-opacity-50 px-2 py-1 rounded">
+        {muted && (
+          <span className="relative" title="Muted">
+            <MicrophoneIcon className="h-4 w-4 text-red-400" />
+            <span className="absolute inset-0 m-auto h-0.5 w-5 bg-red-400 rotate-45" />
+          </span>
+        )}
+        {videoOff && <VideoCameraSlashIcon className="h-4 w-4 text-red-400" title="Camera off" />}
+        <span className="text-sm truncate">{name}</span>
+      </div>
+      {quality && (
+        <SignalIcon
+          className={`absolute top-2 left-2 h-5 w-5 drop-shadow ${QUALITY_COLORS[quality]}`}
+          title={`Connection: ${quality}`}
+        />
+      )}
+      {!isLocal && !stream && (
+        <p className="absolute top-2 right-2 text-xs text-gray-300">Connecting...</p>
+      )}
+    </div>
+  );
+};
+
+const ICE_RESTART_DELAY = 2000;
+const RECONNECT_DELAY = 1000;
+
+const VideoCall = ({ user, callId, inviteCandidates = [], transport, callRecord = true, onClose }) => {
   const [stream, setStream] = useState(null);
   const [screenStream, setScreenStream] = useState(null);
-  const [receivingCall, setReceivingCall] = useState(false);
-  const [callerSignal, setCallerSignal] = useState(null);
-  const [callAccepted, setCallAccepted] = useState(false);
-  const [callEnded, setCallEnded] = useState(false);
-  const [callId, setCallId] = useState(null);
+  const [remoteStreams, setRemoteStreams] = useState({});
+  const [participants, setParticipants] = useState([]);
+  const [call, setCall] = useState(null);
+  const [names, setNames] = useState({});
+  const [error, setError] = useState(null);
   const [isMuted, setIsMuted] = useState(false);
   const [isVideoOff, setIsVideoOff] = useState(false);
-  const [isScreenSharing, setIsScreenSharing] = useState(false);
   const [isSpeakerOff, setIsSpeakerOff] = useState(false);
-  const [caller, setCaller] = useState(null);
+  const [showInvite, setShowInvite] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showChat, setShowChat] = useState(false);
+  const [saveChat, setSaveChat] = useState(false);
 
-  const myVideo = useRef();
-  const userVideo = useRef();
-  const connectionRef = useRef();
+  const streamRef = useRef(null);
+  const screenStreamRef = useRef(null);
+  const peersRef = useRef(new Map());
+  const channelRef = useRef(null);
+  // Latest chat state for the connection effect, which outlives renders
+  const chatRef = useRef({});
 
   useEffect(() => {
-    // Get user's video and audio stream
-    navigator.mediaDevices
-      .getUserMedia({ video: true, audio: true })
-      .then((currentStream) => {
-        setStream(currentStream);
-        if (myVideo.current) {
-          myVideo.current.srcObject = currentStream;
+    let cancelled = false;
+    let joined = false;
+    let joinedAt = null;
+    const unsubscribes = [];
+    const peers = peersRef.current;
+    const channel = signalingService.connect(callId, user, { transport, callRecord });
+    channelRef.current = channel;
+    // Participants seen so far, a peer is only dropped once its participant goes away
+    const known = new Set();
+    // Sessions of connections that were replaced, their late signals are ignored
+    const deadSessions = new Set();
+
+    const removePeer = (remoteId) => {
+      const peer = peers.get(remoteId);
+      if (peer?.remoteSession) deadSessions.add(peer.remoteSession);
+      peer?.destroy();
+      peers.delete(remoteId);
+      chatRef.current.handlePeerClosed?.(remoteId);
+      setRemoteStreams((prev) => {
+        const next = { ...prev };
+        delete next[remoteId];
+        return next;
+      });
+    };
+
+    const addRemoteStream = (remoteId, remoteStream) => {
+      setRemoteStreams(prev => ({
+        ...prev,
+        [remoteId]: [...(prev[remoteId] || []).filter(s => s.id !== remoteStream.id), remoteStream]
+      }));
+      // A stopped screen share renegotiates its tracks away
+      remoteStream.addEventListener('removetrack', () => {
+        if (remoteStream.getTracks().length > 0) return;
+        setRemoteStreams(prev => ({
+          ...prev,
+          [remoteId]: (prev[remoteId] || []).filter(s => s !== remoteStream)
+        }));
+      });
+    };
+
+    const createPeer = (remoteId, initiator) => {
+      const peer = new Peer({
+        initiator,
+        trickle: true,
+        streams: [streamRef.current, screenStreamRef.current].filter(Boolean)
+      });
+      peer.session = crypto.randomUUID();
+      peers.set(remoteId, peer);
+
+      peer.on('signal', data => channel.send(remoteId, { ...data, session: peer.session }));
+      peer.on('stream', remoteStream => addRemoteStream(remoteId, remoteStream));
+      peer.on('data', data => chatRef.current.handleData?.(remoteId, data));
+
+      let restartTimer = null;
+      peer.on('iceStateChange', (state) => {
+        clearTimeout(restartTimer);
+        // Network changes usually recover with fresh candidates, only the offering side can ask
+        // for them. simple-peer has no API for this so the underlying connection is used.
+        if (state === 'disconnected' && peer.initiator) {
+          restartTimer = setTimeout(() => {
+            if (peer.destroyed || peer._pc.iceConnectionState !== 'disconnected') return;
+            peer._pc.restartIce();
+            peer.negotiate();
+          }, ICE_RESTART_DELAY);
         }
       });
 
-    // Listen for incoming calls
-    const callsQuery = query(
-      collection(db, 'calls'),
-      where('to', '==', user.uid),
-      where('status', '==', 'calling')
-    );
-
-    const unsubscribe = onSnapshot(callsQuery, (snapshot) => {
-      snapshot.docChanges().forEach((change) => {
-        if (change.type === 'added') {
-          const data = change.doc.data();
-          setCallId(change.doc.id);
-          setCallerSignal(data.signalData);
-          setCaller(data.fromUser);
-          setReceivingCall(true);
+      const handleClosed = () => {
+        clearTimeout(restartTimer);
+        if (peers.get(remoteId) !== peer) return;
+        removePeer(remoteId);
+        // Rebuild the connection if they are still in the call, the lower id offers again
+        if (known.has(remoteId) && user.uid < remoteId) {
+          setTimeout(() => {
+            if (!cancelled && known.has(remoteId) && !peers.has(remoteId)) createPeer(remoteId, true);
+          }, RECONNECT_DELAY);
         }
+      };
+      peer.on('close', handleClosed);
+      peer.on('error', (error) => {
+        console.error('Error in call connection:', error);
+        handleClosed();
       });
-    });
+      return peer;
+    };
 
-    return () => {
-      // Clean up
-      if (stream) {
-        stream.getTracks().forEach((track) => track.stop());
+    // Whoever joins last connects to everyone already in the call, the others answer
+    const handleSignal = (from, { session, ...data }) => {
+      if (deadSessions.has(session)) return;
+      let peer = peers.get(from);
+
+      // A new session means the other side rebuilt its connection
+      if (peer?.remoteSession && peer.remoteSession !== session) {
+        removePeer(from);
+        peer = null;
       }
-      if (screenStream) {
-        screenStream.getTracks().forEach((track) => track.stop());
+      // Two people connecting at once both send offers, the lower id keeps its own
+      if (peer?.initiator && !peer.remoteSession && data.type === 'offer') {
+        if (user.uid < from) {
+          deadSessions.add(session);
+          return;
+        }
+        removePeer(from);
+        peer = null;
+      }
+      if (!peer) {
+        peer = createPeer(from, false);
       }
-      if (connectionRef.current) {
-        connectionRef.current.destroy();
+      peer.remoteSession = session;
+
+      try {
+        peer.signal(data);
+      } catch (error) {
+        console.error('Error applying call signal:', error);
       }
-      unsubscribe();
     };
-  }, [user.uid]);
 
-  const callUser = async () => {
-    const peer = new Peer({
-      initiator: true,
-      trickle: false,
-      stream: isScreenSharing ? screenStream : stream,
-    });
+    const start = async () => {
+      try {
+        const media = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+        if (cancelled) {
+          media.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = media;
+        setStream(media);
 
-    peer.on('signal', async (data) => {
-      // Create a call document in Firestore
-      const callDoc = await addDoc(collection(db, 'calls'), {
-        from: user.uid,
-        to: selectedFriend.users.find(id => id !== user.uid),
-        signalData: data,
-        status: 'calling',
-        fromUser: {
-          uid: user.uid,
-          displayName: user.displayName,
-        },
-      });
-      setCallId(callDoc.id);
-    });
+        await channel.join();
+        joined = true;
+        joinedAt = Date.now();
+        if (cancelled) {
+          leave();
+          return;
+        }
 
-    peer.on('stream', (remoteStream) => {
-      if (userVideo.current) {
-        userVideo.current.srcObject = remoteStream;
-      }
-    });
+        unsubscribes.push(channel.onCall(setCall));
+        unsubscribes.push(channel.onSignal(handleSignal));
+
+        let connected = false;
+        unsubscribes.push(channel.onParticipants((list) => {
+          const ids = list.map(participant => participant.uid);
+          setParticipants(list);
+
+          if (!connected) {
+            connected = true;
+            ids.filter(id => id !== user.uid && !peers.has(id)).forEach(id => createPeer(id, true));
+          }
 
-    // Listen for answer
-    const callDoc = doc(db, 'calls', callId);
-    onSnapshot(callDoc, (snapshot) => {
-      const data = snapshot.data();
-      if (data?.status === 'accepted' && data?.answerSignal) {
-        peer.signal(data.answerSignal);
-        setCallAccepted(true);
+          known.forEach((id) => {
+            if (!ids.includes(id)) {
+              known.delete(id);
+              removePeer(id);
+            }
+          });
+          ids.forEach(id => known.add(id));
+        }));
+      } catch (error) {
+        console.error('Error starting call:', error);
+        setError(error.message);
+        joined = false;
+        // Leaving also ends a call nobody else joined, so its invites stop ringing
+        finish(channel.leave(), { failed: true });
       }
-    });
+    };
 
-    connectionRef.current = peer;
-  };
+    const finish = (leaving, options) => {
+      leaving
+        .then(({ call, ended }) => {
+          if (!call) return;
+          callLogService.recordCall(call, user.uid, options);
+          if (ended) callLogService.recordMissed(call, call.invited);
+          if (chatRef.current.saveChat) {
+            const transcript = chatRef.current.items.filter(item => item.kind === 'message' || item.status === 'done');
+            callChatService.saveTranscript(call, user, transcript).catch(() => {});
+          }
+        })
+        .catch(() => {});
+    };
 
-  const answerCall = async () => {
-    setCallAccepted(true);
-    setReceivingCall(false);
+    const leave = () => {
+      if (!joined) return;
+      joined = false;
+      finish(channel.leave(), { joinedAt });
+    };
 
-    const peer = new Peer({
-      initiator: false,
-      trickle: false,
-      stream: isScreenSharing ? screenStream : stream,
-    });
+    start();
+    window.addEventListener('pagehide', leave);
 
-    peer.on('signal', async (data) => {
-      // Update call document with answer signal
-      const callDoc = doc(db, 'calls', callId);
-      await updateDoc(callDoc, {
-        status: 'accepted',
-        answerSignal: data,
+    return () => {
+      cancelled = true;
+      window.removeEventListener('pagehide', leave);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      peers.forEach(peer => peer.destroy());
+      peers.clear();
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      screenStreamRef.current?.getTracks().forEach(track => track.stop());
+      leave();
+      channel.close();
+    };
+  }, [callId, user, transport, callRecord]);
+
+  const participantIds = participants.map(participant => participant.uid);
+  const invitedIds = call?.invited || [];
+  const nameKey = [...new Set([...inviteCandidates, ...invitedIds])].join(',');
+
+  useEffect(() => {
+    if (!nameKey) return;
+
+    let cancelled = false;
+    conversationService.getUserNames(nameKey.split(','))
+      .then((result) => {
+        if (!cancelled) setNames(prev => ({ ...prev, ...result }));
       });
-    });
 
-    peer.on('stream', (remoteStream) => {
-      if (userVideo.current) {
-        userVideo.current.srcObject = remoteStream;
-      }
-    });
+    return () => {
+      cancelled = true;
+    };
+  }, [nameKey]);
 
-    peer.signal(callerSignal);
-    connectionRef.current = peer;
-  };
+  useEffect(() => {
+    // Everyone else left and the call was closed behind us
+    if (call?.status === 'ended') onClose();
+  }, [call?.status, onClose]);
 
-  const endCall = async () => {
-    setCallEnded(true);
-    if (connectionRef.current) {
-      connectionRef.current.destroy();
-    }
-    if (callId) {
-      await deleteDoc(doc(db, 'calls', callId));
-    }
-    if (stream) {
-      stream.getTracks().forEach((track) => track.stop());
-    }
-    if (screenStream) {
-      screenStream.getTracks().forEach((track) => track.stop());
-    }
-    onClose();
-  };
+  // Each participant's first stream carries their camera and microphone, a screen share comes second
+  const cameraStreams = useMemo(() => {
+    const result = Object.fromEntries(participants
+      .filter(participant => participant.uid !== user.uid)
+      .map(participant => [
+        participant.uid,
+        (remoteStreams[participant.uid] || []).find(s => s.id !== participant.screenStreamId)
+      ])
+      .filter(([, cameraStream]) => cameraStream));
+    if (stream) result[user.uid] = stream;
+    return result;
+  }, [participants, remoteStreams, stream, user.uid]);
+  const activeSpeaker = useActiveSpeaker(cameraStreams);
+  const { stats, levels } = useCallStats(peersRef, { callId, userId: user.uid, record: callRecord });
+  const chat = useCallChat(peersRef, { user, isOpen: showChat });
+
+  // Everything a recording could include, the recorder keeps the people who agreed
+  const recordingSources = useMemo(() => {
+    const result = [
+      { uid: user.uid, stream, label: user.displayName || 'You', videoOff: isVideoOff },
+      { uid: user.uid, stream: screenStream, label: `${user.displayName || 'Your'} screen`, screen: true }
+    ];
+    participants
+      .filter(participant => participant.uid !== user.uid)
+      .forEach((participant) => {
+        const label = participant.displayName || participant.uid;
+        result.push({ uid: participant.uid, stream: cameraStreams[participant.uid], label, videoOff: participant.videoOff });
+        result.push({
+          uid: participant.uid,
+          stream: (remoteStreams[participant.uid] || []).find(s => s.id === participant.screenStreamId),
+          label: `${label}'s screen`,
+          screen: true
+        });
+      });
+    return result.filter(source => source.stream);
+  }, [participants, remoteStreams, cameraStreams, stream, screenStream, isVideoOff, user.uid, user.displayName]);
+  const recording = useCallRecording(channelRef, {
+    callId,
+    user,
+    participants,
+    sources: recordingSources,
+    upload: callRecord
+  });
+
+  useEffect(() => {
+    chatRef.current = {
+      items: chat.items,
+      saveChat: callRecord && saveChat,
+      handleData: chat.handleData,
+      handlePeerClosed: chat.handlePeerClosed
+    };
+  }, [chat.items, chat.handleData, chat.handlePeerClosed, callRecord, saveChat]);
 
   const toggleMute = () => {
     if (stream) {
@@ -170,6 +378,7 @@ const VideoCall = ({ user, selectedFriend, onClose }) => {
         track.enabled = isMuted;
       });
       setIsMuted(!isMuted);
+      channelRef.current.updateParticipant({ muted: !isMuted });
     }
   };
 
@@ -179,116 +388,264 @@ const VideoCall = ({ user, selectedFriend, onClose }) => {
         track.enabled = isVideoOff;
       });
       setIsVideoOff(!isVideoOff);
+      channelRef.current.updateParticipant({ videoOff: !isVideoOff });
     }
   };
 
-  const toggleScreenShare = async () => {
-    if (!isScreenSharing) {
+  // Sharing adds a second stream to every connection, which renegotiates it
+  const stopScreenShare = () => {
+    const sharedStream = screenStreamRef.current;
+    if (!sharedStream) return;
+
+    peersRef.current.forEach((peer) => {
       try {
-        const screenCaptureStream = await navigator.mediaDevices.getDisplayMedia({
-          video: true,
-        });
-        setScreenStream(screenCaptureStream);
-        
-        if (connectionRef.current) {
-          const videoTrack = screenCaptureStream.getVideoTracks()[0];
-          const sender = connectionRef.current.getSenders().find(s => s.track.kind === 'video');
-          sender.replaceTrack(videoTrack);
-        }
-        
-        setIsScreenSharing(true);
+        peer.removeStream(sharedStream);
       } catch (error) {
-        console.error('Error sharing screen:', error);
+        console.error('Error removing screen share:', error);
       }
-    } else {
-      if (screenStream) {
-        screenStream.getTracks().forEach(track => track.stop());
-        
-        if (connectionRef.current) {
-          const videoTrack = stream.getVideoTracks()[0];
-          const sender = connectionRef.current.getSenders().find(s => s.track.kind === 'video');
-          sender.replaceTrack(videoTrack);
-        }
-      }
-      setScreenStream(null);
-      setIsScreenSharing(false);
+    });
+    sharedStream.getTracks().forEach(track => track.stop());
+    screenStreamRef.current = null;
+    setScreenStream(null);
+    channelRef.current.updateParticipant({ screenStreamId: null });
+  };
+
+  const toggleScreenShare = async () => {
+    if (screenStream) {
+      stopScreenShare();
+      return;
+    }
+
+    try {
+      const screenCaptureStream = await navigator.mediaDevices.getDisplayMedia({ video: true });
+      screenStreamRef.current = screenCaptureStream;
+      setScreenStream(screenCaptureStream);
+      channelRef.current.updateParticipant({ screenStreamId: screenCaptureStream.id });
+      peersRef.current.forEach(peer => peer.addStream(screenCaptureStream));
+      // The browser's own "stop sharing" button ends the track directly
+      screenCaptureStream.getVideoTracks()[0].onended = stopScreenShare;
+    } catch (error) {
+      console.error('Error sharing screen:', error);
     }
   };
 
-  const toggleSpeaker = () => {
-    if (userVideo.current) {
-      userVideo.current.muted = !isSpeakerOff;
-      setIsSpeakerOff(!isSpeakerOff);
+  const inviteParticipant = async (userId) => {
+    try {
+      await channelRef.current.invite([userId]);
+    } catch (error) {
+      setError(error.message);
     }
   };
 
+  const openSlots = MAX_CALL_PARTICIPANTS - participantIds.length - invitedIds.length;
+  const availableInvites = inviteCandidates.filter(
+    id => id !== user.uid && !participantIds.includes(id) && !invitedIds.includes(id)
+  );
+  const remoteParticipants = participants.filter(participant => participant.uid !== user.uid);
+  const screenShares = remoteParticipants
+    .map(participant => ({
+      participant,
+      stream: (remoteStreams[participant.uid] || []).find(s => s.id === participant.screenStreamId)
+    }))
+    .filter(share => share.stream);
+  const overallQuality = ['poor', 'fair', 'good'].find(
+    quality => Object.values(stats).some(sample => sample.quality === quality)
+  );
+  const participantNames = Object.fromEntries(
+    remoteParticipants.map(participant => [participant.uid, participant.displayName || participant.uid])
+  );
+  const audioOnlyFor = Object.keys(levels)
+    .filter(remoteId => QUALITY_LEVELS[levels[remoteId]].audioOnly)
+    .map(remoteId => participantNames[remoteId] || remoteId);
+  const tileCount = remoteParticipants.length + 1 + screenShares.length + (screenStream ? 1 : 0);
+  const gridClass = tileCount <= 1
+    ? 'grid-cols-1'
+    : tileCount <= 4
+      ? 'grid-cols-2'
+      : tileCount <= 6
+        ? 'grid-cols-3'
+        : 'grid-cols-4';
+
   return (
-    <>
-      {receivingCall && !callAccepted && (
-        <CallNotification
-          caller={caller}
-          onAccept={answerCall}
-          onReject={endCall}
-        />
-      )}
-      
-      <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
-        <div className="bg-white rounded-lg p-4 max-w-4xl w-full">
-          <div className="grid grid-cols-2 gap-4 mb-4">
-            {/* My Video */}
-            <div className="relative bg-gray-900 rounded-lg overflow-hidden">
-              <video
-                playsInline
-                muted
-                ref={myVideo}
-                autoPlay
-                className={`w-full ${isVideoOff ? 'hidden' : ''}`}
-              />
-              {isVideoOff && (
-                <div className="absolute inset-0 flex items-center justify-center">
-                  <div className="w-20 h-20 bg-gray-600 rounded-full flex items-center justify-center">
-                    <span className="text-2xl text-white">
-                      {user.displayName?.[0]?.toUpperCase()}
-                    </span>
-                  </div>
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+      <div className={`relative bg-white rounded-lg p-4 w-full flex space-x-4 ${showChat ? 'max-w-7xl' : 'max-w-5xl'}`}>
+        <div className="relative flex-1 min-w-0">
+          {recording.consentRequest && (
+            <div className="absolute inset-0 z-20 bg-black bg-opacity-60 rounded-lg flex items-center justify-center">
+              <div className="bg-white rounded-lg p-6 max-w-sm text-center">
+                <h3 className="font-semibold text-lg mb-2">
+                  {recording.consentRequest.displayName || 'Someone'} wants to record this call
+                </h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  Your camera, microphone and screen share are only included if you allow it.
+                </p>
+                <div className="flex justify-center space-x-3">
+                  <button
+                    onClick={() => recording.respond(false)}
+                    className="px-4 py-2 rounded bg-gray-200 hover:bg-gray-300"
+                  >
+                    Don&apos;t allow
+                  </button>
+                  <button
+                    onClick={() => recording.respond(true)}
+                    className="px-4 py-2 rounded bg-red-600 text-white hover:bg-red-700"
+                  >
+                    Allow recording
+                  </button>
                 </div>
-              )}
-              <p className="absolute bottom-2 left-2 text-white bg-black bg-opacity-50 px-2 py-1 rounded">
-                You {isScreenSharing ? '(Screen)' : ''}
-              </p>
+              </div>
             </div>
+          )}
+          {showStats && (
+            <CallStatsOverlay
+              stats={stats}
+              levels={levels}
+              names={participantNames}
+              onClose={() => setShowStats(false)}
+            />
+          )}
 
-            {/* User's Video */}
-            {callAccepted && !callEnded && (
-              <div className="relative bg-gray-900 rounded-lg overflow-hidden">
-                <video
-                  playsInline
-                  ref={userVideo}
-                  autoPlay
-                  className="w-full"
-                  muted={isSpeakerOff}
-                />
-                <p className="absolute bottom-2 left-2 text-white bg-black bg-opacity-50 px-2 py-1 rounded">
-                  {selectedFriend.users.find(id => id !== user.uid)}
-                </p>
-              </div>
+          {error && (
+            <div className="mb-4 p-2 bg-red-100 text-red-700 rounded text-sm">{error}</div>
+          )}
+          {recording.isRecording && (
+            <div className="mb-4 p-2 bg-red-50 text-red-700 rounded text-sm">
+              Recording {recording.included.length + 1} of {remoteParticipants.length + 1} people.
+              {recording.pending.length > 0 && ` Waiting for ${recording.pending.map(p => p.displayName || p.uid).join(', ')} to allow it.`}
+              {recording.declined.length > 0 && ` ${recording.declined.map(p => p.displayName || p.uid).join(', ')} declined and won't be recorded.`}
+            </div>
+          )}
+          {recording.result && (
+            <div className="mb-4 p-2 bg-green-50 text-green-800 rounded text-sm flex items-center justify-between">
+              <span>
+                Recording finished
+                {recording.result.status === 'uploading' && ', saving a copy...'}
+                {recording.result.status === 'saved' && ', a copy was saved to your recordings.'}
+                {recording.result.status === 'failed' && ', but saving a copy failed.'}
+              </span>
+              <span className="flex items-center space-x-3">
+                <a href={recording.result.url} download="call-recording.webm" className="text-blue-600 hover:underline">
+                  Download
+                </a>
+                <button onClick={recording.dismissResult} className="text-gray-500 hover:text-gray-700">Dismiss</button>
+              </span>
+            </div>
+          )}
+          {audioOnlyFor.length > 0 && (
+            <div className="mb-4 p-2 bg-yellow-100 text-yellow-800 rounded text-sm">
+              Your video is paused for {audioOnlyFor.join(', ')} because of a poor connection, audio continues.
+            </div>
+          )}
+
+          <div className={`grid ${gridClass} gap-4 mb-4`}>
+            <ParticipantTile
+              stream={stream}
+              name="You"
+              muted={isMuted}
+              videoOff={isVideoOff}
+              isActive={remoteParticipants.length > 0 && activeSpeaker === user.uid}
+              isLocal
+            />
+            {screenStream && (
+              <ParticipantTile stream={screenStream} name="Your screen" isLocal />
             )}
+            {remoteParticipants.map((participant) => (
+              <ParticipantTile
+                key={participant.uid}
+                stream={cameraStreams[participant.uid]}
+                name={participant.displayName || participant.uid}
+                muted={participant.muted}
+                videoOff={participant.videoOff}
+                isActive={activeSpeaker === participant.uid}
+                speakerOff={isSpeakerOff}
+                quality={stats[participant.uid]?.quality}
+              />
+            ))}
+            {screenShares.map(({ participant, stream: shareStream }) => (
+              <ParticipantTile
+                key={`${participant.uid}-screen`}
+                stream={shareStream}
+                name={`${participant.displayName || participant.uid}'s screen`}
+                speakerOff
+              />
+            ))}
           </div>
 
+          {remoteParticipants.length === 0 && (
+            <p className="text-center text-sm text-gray-500 mb-4">
+              {invitedIds.length > 0
+                ? `Calling ${invitedIds.map(id => names[id] || id).join(', ')}...`
+                : 'Waiting for others to join...'}
+            </p>
+          )}
+
+          {showInvite && (
+            <div className="mb-4 border rounded-lg p-3 max-h-48 overflow-y-auto">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold">Add people</h3>
+                <span className="text-xs text-gray-500">
+                  {Math.max(openSlots, 0)} of {MAX_CALL_PARTICIPANTS} spots left
+                </span>
+              </div>
+              {availableInvites.length === 0 ? (
+                <p className="text-sm text-gray-500">Everyone you can invite is already in the call</p>
+              ) : (
+                availableInvites.map((id) => (
+                  <div key={id} className="flex justify-between items-center py-1">
+                    <span className="truncate">{names[id] || id}</span>
+                    <button
+                      onClick={() => inviteParticipant(id)}
+                      disabled={openSlots <= 0}
+                      className="text-sm px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+                    >
+                      Invite
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+
           <CallControls
             isMuted={isMuted}
             isVideoOff={isVideoOff}
-            isScreenSharing={isScreenSharing}
+            isScreenSharing={Boolean(screenStream)}
             isSpeakerOff={isSpeakerOff}
+            participantCount={remoteParticipants.length + 1}
+            quality={overallQuality}
+            isStatsOpen={showStats}
+            onToggleStats={() => setShowStats(!showStats)}
             onToggleMute={toggleMute}
             onToggleVideo={toggleVideo}
             onToggleScreenShare={toggleScreenShare}
-            onToggleSpeaker={toggleSpeaker}
-            onEndCall={endCall}
+            onToggleSpeaker={() => setIsSpeakerOff(!isSpeakerOff)}
+            onInvite={callRecord ? () => setShowInvite(!showInvite) : undefined}
+            isRecording={recording.isRecording}
+            recordingBy={recording.otherRecorder?.displayName || (recording.otherRecorder && 'Someone')}
+            onToggleRecording={callRecordingService.isSupported()
+              ? (recording.isRecording ? recording.stop : recording.start)
+              : undefined}
+            isChatOpen={showChat}
+            unreadChat={chat.unread}
+            onToggleChat={() => setShowChat(!showChat)}
+            onEndCall={onClose}
           />
         </div>
+
+        {showChat && (
+          <CallChatPanel
+            items={chat.items}
+            userId={user.uid}
+            canSend={remoteParticipants.length > 0}
+            saveTranscript={saveChat}
+            onSaveTranscriptChange={callRecord ? setSaveChat : undefined}
+            onSendText={chat.sendText}
+            onSendFile={chat.sendFile}
+            onClose={() => setShowChat(false)}
+          />
+        )}
       </div>
-    </>
+    </div>
   );
 };
 
@@ -0,0 +1,126 @@
+import { useState, useRef, useEffect } from 'react';
+import { PlayIcon, PauseIcon } from '@heroicons/react/24/solid';
+import { useAuth } from '../contexts/AuthContext';
+import { voiceNoteService } from '../services/VoiceNoteService';
+
+const SPEEDS = [1, 1.5, 2];
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds || 0);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+const VoiceNotePlayer = ({ message, src }) => {
+  const { user } = useAuth();
+  const audioRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [speed, setSpeed] = useState(1);
+
+  const duration = message.duration || 0;
+  const waveform = message.waveform || [];
+  const isOwn = message.senderId === user?.uid;
+  const listenedBy = message.listenedBy || [];
+  const isUnlistened = !isOwn && user && !listenedBy.includes(user.uid);
+  const progress = duration ? currentTime / duration : 0;
+
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.playbackRate = speed;
+    }
+  }, [speed]);
+
+  const togglePlay = async () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (isPlaying) {
+      audio.pause();
+      return;
+    }
+
+    try {
+      await audio.play();
+      if (isUnlistened) {
+        voiceNoteService.markListened(message.id, user.uid);
+      }
+    } catch (error) {
+      console.error('Error playing voice note:', error);
+    }
+  };
+
+  const seek = (e) => {
+    const audio = audioRef.current;
+    if (!audio || !duration) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    audio.currentTime = ratio * duration;
+    setCurrentTime(audio.currentTime);
+  };
+
+  const cycleSpeed = () => {
+    setSpeed(prev => SPEEDS[(SPEEDS.indexOf(prev) + 1) % SPEEDS.length]);
+  };
+
+  return (
+    <div className="flex items-center space-x-2 min-w-[220px]">
+      <audio
+        ref={audioRef}
+        src={src}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => {
+          setIsPlaying(false);
+          setCurrentTime(0);
+        }}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+      />
+
+      <button
+        type="button"
+        onClick={togglePlay}
+        className="flex-shrink-0"
+      >
+        {isPlaying ? <PauseIcon className="h-6 w-6" /> : <PlayIcon className="h-6 w-6" />}
+      </button>
+
+      {/* Waveform */}
+      <div
+        className="flex-1 flex items-center h-8 cursor-pointer space-x-px"
+        onClick={seek}
+      >
+        {waveform.map((peak, i) => (
+          <span
+            key={i}
+            className={`flex-1 rounded-full ${
+              i / waveform.length < progress ? 'bg-current' : 'bg-current opacity-40'
+            }`}
+            style={{ height: `${Math.max(peak * 100, 10)}%` }}
+          />
+        ))}
+      </div>
+
+      <span className="text-xs opacity-75 w-9 text-right">
+        {formatTime(isPlaying || currentTime ? currentTime : duration)}
+      </span>
+      <button
+        type="button"
+        onClick={cycleSpeed}
+        className="text-xs font-semibold opacity-75 hover:opacity-100 w-8"
+      >
+        {speed}x
+      </button>
+
+      {isUnlistened && (
+        <span className="h-2 w-2 rounded-full bg-blue-500" title="Not listened yet" />
+      )}
+      {isOwn && listenedBy.length > 0 && (
+        <span className="text-xs opacity-75">Listened</span>
+      )}
+    </div>
+  );
+};
+
+export default VoiceNotePlayer;
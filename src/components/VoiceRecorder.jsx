@@ -0,0 +1,119 @@
+import { useState, useRef, useEffect } from 'react';
+import { MicrophoneIcon } from '@heroicons/react/24/solid';
+import { voiceNoteService } from '../services/VoiceNoteService';
+
+const MIN_DURATION_MS = 500;
+
+const formatTime = (seconds) => {
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+const VoiceRecorder = ({ onRecorded, onRecordingChange, disabled }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const mediaRecorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const cancelledRef = useRef(false);
+  const holdingRef = useRef(false);
+  const timerRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      clearInterval(timerRef.current);
+      if (mediaRecorderRef.current?.state === 'recording') {
+        cancelledRef.current = true;
+        mediaRecorderRef.current.stop();
+      }
+    };
+  }, []);
+
+  const startRecording = async () => {
+    if (disabled || isRecording) return;
+    holdingRef.current = true;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mediaRecorder = new MediaRecorder(stream, {
+        mimeType: 'audio/webm;codecs=opus',
+      });
+
+      chunksRef.current = [];
+      cancelledRef.current = false;
+      mediaRecorderRef.current = mediaRecorder;
+
+      mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) {
+          chunksRef.current.push(event.data);
+        }
+      };
+
+      mediaRecorder.onstop = async () => {
+        stream.getTracks().forEach(track => track.stop());
+        const recordedFor = Date.now() - startedAtRef.current;
+        if (cancelledRef.current || recordedFor < MIN_DURATION_MS) return;
+
+        const blob = new Blob(chunksRef.current, { type: 'audio/webm' });
+        try {
+          const { duration, waveform } = await voiceNoteService.computeWaveform(blob);
+          onRecorded({ blob, duration: duration || recordedFor / 1000, waveform });
+        } catch (error) {
+          console.error('Error processing voice note:', error);
+        }
+      };
+
+      mediaRecorder.start();
+      startedAtRef.current = Date.now();
+      setElapsed(0);
+      setIsRecording(true);
+      onRecordingChange?.(true);
+      timerRef.current = setInterval(() => {
+        setElapsed((Date.now() - startedAtRef.current) / 1000);
+      }, 250);
+
+      // The button may have been released while the microphone prompt was open
+      if (!holdingRef.current) {
+        stopRecording(true);
+      }
+    } catch (error) {
+      console.error('Error starting voice note:', error);
+    }
+  };
+
+  const stopRecording = (cancel = false) => {
+    holdingRef.current = false;
+    if (mediaRecorderRef.current?.state !== 'recording') return;
+
+    cancelledRef.current = cancel;
+    clearInterval(timerRef.current);
+    mediaRecorderRef.current.stop();
+    setIsRecording(false);
+    onRecordingChange?.(false);
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      {isRecording && (
+        <span className="flex items-center text-sm text-red-600">
+          <span className="h-2 w-2 rounded-full bg-red-600 animate-pulse mr-1" />
+          {formatTime(elapsed)}
+          <span className="ml-2 text-xs text-gray-500">Release to send, slide away to cancel</span>
+        </span>
+      )}
+      <button
+        type="button"
+        disabled={disabled}
+        onPointerDown={startRecording}
+        onPointerUp={() => stopRecording(false)}
+        onPointerLeave={() => stopRecording(true)}
+        className={`select-none ${isRecording ? 'text-red-600' : 'text-gray-500 hover:text-gray-700'}`}
+        title="Hold to record a voice note"
+      >
+        <MicrophoneIcon className="h-6 w-6" />
+      </button>
+    </div>
+  );
+};
+
+export default VoiceRecorder;
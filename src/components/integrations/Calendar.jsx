@@ -19,6 +19,7 @@ import {
   PlusIcon,
   XMarkIcon
 } from '@heroicons/react/24/outline';
+import { Link } from 'react-router-dom';
 import { format, startOfWeek, addDays, isSameDay } from 'date-fns';
 
 const Calendar = ({ user }) => {
@@ -202,12 +203,23 @@ const Calendar = ({ user }) => {
                 >
                   <div className="flex items-center justify-between">
                     <h3 className="font-medium text-sm">{event.title}</h3>
-                    <button
-                      onClick={() => handleDeleteEvent(event.id)}
-                      className="text-gray-500 hover:text-red-500"
-                    >
-                      <XMarkIcon className="h-4 w-4" />
-                    </button>
+                    {/* Scheduled livestreams are managed from the stream, reminders add them here */}
+                    {event.streamId ? (
+                      <Link
+                        to={`/live/${event.streamId}`}
+                        className="text-gray-500 hover:text-purple-600"
+                        title="Open the stream"
+                      >
+                        <VideoCameraIcon className="h-4 w-4" />
+                      </Link>
+                    ) : (
+                      <button
+                        onClick={() => handleDeleteEvent(event.id)}
+                        className="text-gray-500 hover:text-red-500"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    )}
                   </div>
                   <div className="flex items-center text-xs text-gray-500 mt-1">
                     <ClockIcon className="h-3 w-3 mr-1" />
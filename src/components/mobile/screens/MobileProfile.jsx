@@ -8,12 +8,14 @@ import {
   StyleSheet,
   Platform,
   RefreshControl,
-  Alert
+  Alert,
+  Dimensions
 } from 'react-native';
 import { useTheme } from '../../../contexts/ThemeContext';
 import { useAuth } from '../../../contexts/AuthContext';
 import { profileService } from '../../../services/ProfileService';
 import { mobileService } from '../../../services/MobileService';
+import { storyService, getStoryThumbnail } from '../../../services/StoryService';
 import {
   UserIcon,
   AcademicCapIcon,
@@ -37,11 +39,15 @@ const MobileProfile = () => {
   const [activeSection, setActiveSection] = useState('basic');
   const [isEditing, setIsEditing] = useState(false);
   const [editData, setEditData] = useState({});
+  const [highlights, setHighlights] = useState([]);
+  const [highlightStories, setHighlightStories] = useState(null);
 
   useEffect(() => {
     loadProfile();
   }, [user.uid]);
 
+  useEffect(() => storyService.subscribeToHighlights(user.uid, setHighlights), [user.uid]);
+
   const loadProfile = async () => {
     try {
       const profileData = await profileService.getFullProfile(user.uid);
@@ -85,6 +91,32 @@ const MobileProfile = () => {
     }
   };
 
+  const openHighlight = async (highlight) => {
+    try {
+      setHighlightStories(await storyService.getHighlightStories(highlight));
+    } catch (error) {
+      console.error('Error opening highlight:', error);
+      Alert.alert('Error', 'Failed to load highlight');
+    }
+  };
+
+  // Highlights are made from the story archive on the web, here they're shown as stills
+  const renderHighlights = () => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.highlights}>
+      {highlights.map((highlight) => (
+        <TouchableOpacity key={highlight.id} style={styles.highlight} onPress={() => openHighlight(highlight)}>
+          <Image source={{ uri: highlight.coverUrl }} style={styles.highlightCover} />
+          <Text
+            numberOfLines={1}
+            style={[styles.highlightName, { color: isDark ? '#F9FAFB' : '#111827' }]}
+          >
+            {highlight.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
   const renderBasicInfo = () => (
     <View style={styles.section}>
       <View style={styles.sectionHeader}>
@@ -293,6 +325,9 @@ const MobileProfile = () => {
           )}
         </View>
 
+        {/* Story Highlights */}
+        {highlights.length > 0 && renderHighlights()}
+
         {/* Navigation Tabs */}
         <View style={styles.tabs}>
           <TouchableOpacity
@@ -369,6 +404,30 @@ const MobileProfile = () => {
         {activeSection === 'contacts' && renderContacts()}
       </ScrollView>
 
+      {/* Highlight Modal */}
+      <Modal
+        isVisible={Boolean(highlightStories)}
+        onBackdropPress={() => setHighlightStories(null)}
+        onBackButtonPress={() => setHighlightStories(null)}
+        style={styles.highlightModal}
+      >
+        <ScrollView horizontal pagingEnabled showsHorizontalScrollIndicator={false}>
+          {highlightStories?.map((story) => (
+            <View key={story.id} style={styles.highlightStory}>
+              {getStoryThumbnail(story) ? (
+                <Image
+                  source={{ uri: getStoryThumbnail(story) }}
+                  style={styles.highlightStoryImage}
+                  resizeMode="contain"
+                />
+              ) : (
+                <Text style={styles.highlightStoryFallback}>This video plays on the web</Text>
+              )}
+            </View>
+          ))}
+        </ScrollView>
+      </Modal>
+
       {/* Edit Modal */}
       <Modal
         isVisible={isEditing}
@@ -436,6 +495,44 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  highlights: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  highlight: {
+    alignItems: 'center',
+    width: 72,
+    marginRight: 12,
+  },
+  highlightCover: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#F3F4F6',
+  },
+  highlightName: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  highlightModal: {
+    margin: 0,
+    backgroundColor: '#000000',
+  },
+  highlightStory: {
+    width: Dimensions.get('window').width,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  highlightStoryImage: {
+    width: '100%',
+    aspectRatio: 9 / 16,
+  },
+  highlightStoryFallback: {
+    color: '#FFFFFF',
+    fontSize: 14,
+  },
   tabs: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { NotificationService } from '../../services/NotificationService';
 import {
   BellIcon,
@@ -7,11 +8,14 @@ import {
   StarIcon,
   ExclamationTriangleIcon,
   MegaphoneIcon,
+  PhoneXMarkIcon,
+  VideoCameraIcon,
+  AtSymbolIcon,
   XMarkIcon,
   CheckIcon
 } from '@heroicons/react/24/outline';
 
-const NotificationCenter = ({ user }) => {
+const NotificationCenter = ({ user, align = 'right' }) => {
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isOpen, setIsOpen] = useState(false);
@@ -25,6 +29,18 @@ const NotificationCenter = ({ user }) => {
     }
   }, [user]);
 
+  useEffect(() => {
+    if (!user) return;
+
+    // Keep the badge live, missed calls and other notifications arrive while the panel is closed
+    return NotificationService.subscribeToUnreadCount(user.uid, setUnreadCount);
+  }, [user]);
+
+  const togglePanel = () => {
+    if (!isOpen) loadNotifications();
+    setIsOpen(!isOpen);
+  };
+
   const loadNotifications = async (loadMore = false) => {
     if (!user || isLoading) return;
 
@@ -40,12 +56,6 @@ const NotificationCenter = ({ user }) => {
       );
       setLastVisible(result.lastVisible);
       setHasMore(result.notifications.length === 20);
-
-      // Update unread count
-      if (!loadMore) {
-        const unread = result.notifications.filter(n => !n.isRead).length;
-        setUnreadCount(unread);
-      }
     } catch (error) {
       console.error('Error loading notifications:', error);
     } finally {
@@ -61,7 +71,6 @@ const NotificationCenter = ({ user }) => {
           ? { ...notification, isRead: true }
           : notification
       ));
-      setUnreadCount(prev => Math.max(0, prev - 1));
     } catch (error) {
       console.error('Error marking notification as read:', error);
     }
@@ -74,7 +83,6 @@ const NotificationCenter = ({ user }) => {
         ...notification,
         isRead: true
       })));
-      setUnreadCount(0);
     } catch (error) {
       console.error('Error marking all notifications as read:', error);
     }
@@ -84,9 +92,6 @@ const NotificationCenter = ({ user }) => {
     try {
       await NotificationService.deleteNotification(notificationId);
       setNotifications(notifications.filter(n => n.id !== notificationId));
-      if (!notifications.find(n => n.id === notificationId)?.isRead) {
-        setUnreadCount(prev => Math.max(0, prev - 1));
-      }
     } catch (error) {
       console.error('Error deleting notification:', error);
     }
@@ -96,7 +101,6 @@ const NotificationCenter = ({ user }) => {
     try {
       await NotificationService.clearAllNotifications(user.uid);
       setNotifications([]);
-      setUnreadCount(0);
     } catch (error) {
       console.error('Error clearing notifications:', error);
     }
@@ -115,6 +119,12 @@ const NotificationCenter = ({ user }) => {
         return ExclamationTriangleIcon;
       case 'promotional':
         return MegaphoneIcon;
+      case 'missed_call':
+        return PhoneXMarkIcon;
+      case 'livestream_reminder':
+        return VideoCameraIcon;
+      case 'story_mention':
+        return AtSymbolIcon;
       default:
         return BellIcon;
     }
@@ -134,6 +144,12 @@ const NotificationCenter = ({ user }) => {
         return 'text-orange-500 bg-orange-100';
       case 'promotional':
         return 'text-purple-500 bg-purple-100';
+      case 'missed_call':
+        return 'text-red-500 bg-red-100';
+      case 'livestream_reminder':
+        return 'text-purple-500 bg-purple-100';
+      case 'story_mention':
+        return 'text-pink-500 bg-pink-100';
       default:
         return 'text-gray-500 bg-gray-100';
     }
@@ -143,7 +159,7 @@ const NotificationCenter = ({ user }) => {
     <div className="relative">
       {/* Notification Bell */}
       <button
-        onClick={() => setIsOpen(!isOpen)}
+        onClick={togglePanel}
         className="relative p-2 rounded-full hover:bg-gray-100 focus:outline-none"
       >
         <BellIcon className="h-6 w-6 text-gray-600" />
@@ -156,7 +172,7 @@ const NotificationCenter = ({ user }) => {
 
       {/* Notification Panel */}
       {isOpen && (
-        <div className="absolute right-0 mt-2 w-80 max-h-[80vh] overflow-y-auto bg-white rounded-lg shadow-lg border z-50">
+        <div className={`absolute ${align === 'left' ? 'left-0' : 'right-0'} mt-2 w-80 max-h-[80vh] overflow-y-auto bg-white rounded-lg shadow-lg border z-50`}>
           <div className="p-4 border-b">
             <div className="flex items-center justify-between">
               <h3 className="text-lg font-semibold">Notifications</h3>
@@ -203,6 +219,11 @@ const NotificationCenter = ({ user }) => {
                             <p className="text-sm text-gray-600">
                               {notification.message}
                             </p>
+                            {notification.streamId && (
+                              <Link to={`/live/${notification.streamId}`} className="text-sm text-blue-600 hover:text-blue-800">
+                                Open the stream
+                              </Link>
+                            )}
                             <p className="text-xs text-gray-500 mt-1">
                               {new Date(notification.createdAt.toDate()).toLocaleString()}
                             </p>
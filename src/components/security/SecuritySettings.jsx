@@ -7,14 +7,16 @@ import {
   BellIcon,
   KeyIcon,
   ClockIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  EyeIcon
 } from '@heroicons/react/24/outline';
 
 const SecuritySettings = ({ user }) => {
   const [settings, setSettings] = useState({
     twoFactor: false,
     biometric: false,
-    pushNotifications: false
+    pushNotifications: false,
+    readReceipts: true
   });
   const [securityLogs, setSecurityLogs] = useState([]);
   const [phoneNumber, setPhoneNumber] = useState('');
@@ -37,7 +39,8 @@ const SecuritySettings = ({ user }) => {
       setSettings({
         twoFactor: user.hasTwoFactor || false,
         biometric: user.hasBiometric || false,
-        pushNotifications: user.pushEnabled || false
+        pushNotifications: user.pushEnabled || false,
+        readReceipts: user.readReceipts !== false
       });
     } catch (error) {
       console.error('Error loading security settings:', error);
@@ -123,6 +126,23 @@ const SecuritySettings = ({ user }) => {
     }
   };
 
+  const handleToggleReadReceipts = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const enabled = !settings.readReceipts;
+      await SecurityService.setReadReceipts(enabled);
+      setSettings(prev => ({ ...prev, readReceipts: enabled }));
+      setSuccess(enabled ? 'Read receipts turned on' : 'Read receipts turned off');
+    } catch (error) {
+      console.error('Error updating read receipts:', error);
+      setError('Failed to update read receipts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleUpdatePassword = async () => {
     try {
       setLoading(true);
@@ -273,6 +293,35 @@ const SecuritySettings = ({ user }) => {
           </div>
         </div>
 
+        {/* Read Receipts */}
+        <div className="bg-white p-6 rounded-lg shadow">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex items-center">
+              <EyeIcon className="h-6 w-6 text-blue-500 mr-2" />
+              <h2 className="text-lg font-medium">Read Receipts</h2>
+            </div>
+            <div className="flex items-center">
+              <span className={`mr-2 ${
+                settings.readReceipts ? 'text-green-500' : 'text-gray-500'
+              }`}>
+                {settings.readReceipts ? 'Enabled' : 'Disabled'}
+              </span>
+              <label className="switch">
+                <input
+                  type="checkbox"
+                  checked={settings.readReceipts}
+                  onChange={handleToggleReadReceipts}
+                  disabled={loading}
+                />
+                <span className="slider round"></span>
+              </label>
+            </div>
+          </div>
+          <p className="text-sm text-gray-500">
+            When turned off, people you chat with won&apos;t see when you have read their messages.
+          </p>
+        </div>
+
         {/* Password Change */}
         <div className="bg-white p-6 rounded-lg shadow">
           <div className="flex items-center mb-4">
@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react';
+import {
+  TrashIcon,
+  ClockIcon,
+  NoSymbolIcon,
+  ShieldCheckIcon
+} from '@heroicons/react/24/outline';
+import { liveStreamService } from '../../services/LiveStreamService';
+import { liveModerationService, TIMEOUT_OPTIONS } from '../../services/LiveModerationService';
+
+const DEFAULT_TIMEOUT = TIMEOUT_OPTIONS[1];
+
+const LiveComments = ({ streamId, stream, user }) => {
+  const [comments, setComments] = useState([]);
+  const [restrictions, setRestrictions] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const canModerate = liveModerationService.canModerate(stream, user.uid);
+  const isHost = stream?.userId === user.uid;
+
+  useEffect(() => {
+    if (!streamId) return;
+    return liveStreamService.subscribeToComments(streamId, setComments);
+  }, [streamId]);
+
+  useEffect(() => {
+    if (!streamId) return;
+    return liveModerationService.subscribeToRestrictions(streamId, setRestrictions);
+  }, [streamId]);
+
+  // Banned viewers' messages disappear for everyone
+  const bannedIds = restrictions.filter(restriction => restriction.type === 'ban').map(restriction => restriction.userId);
+  const visibleComments = comments.filter(comment => (
+    !bannedIds.includes(comment.userId) && liveModerationService.isCommentVisible(comment, stream)
+  ));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const input = e.target.elements.comment;
+    const text = input.value.trim();
+    if (!text || isSending) return;
+
+    setIsSending(true);
+    setNotice(null);
+    try {
+      const refused = await liveModerationService.postComment(stream || { id: streamId }, user, text);
+      if (refused) {
+        setNotice(refused);
+      } else {
+        input.value = '';
+      }
+    } catch {
+      setNotice('Your message could not be sent');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const moderate = (action) => {
+    action().catch(() => setNotice('That did not work, try again'));
+  };
+
+  const settings = liveModerationService.getSettings(stream);
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      <div className="flex-1 overflow-y-auto p-4 space-y-4">
+        {visibleComments.map(comment => (
+          <div key={comment.id} className="group flex items-start space-x-3">
+            <img
+              src={comment.userAvatar || '/default-avatar.png'}
+              alt={comment.userName}
+              className="w-8 h-8 rounded-full"
+            />
+            <div className="flex-1 min-w-0">
+              <p className="font-medium">
+                {comment.userName}
+                {comment.userId === stream?.userId && <span className="ml-2 text-xs text-red-500">Host</span>}
+                {stream?.moderators?.includes(comment.userId) && (
+                  <ShieldCheckIcon className="inline h-4 w-4 ml-1 text-green-500" title="Moderator" />
+                )}
+              </p>
+              <p className="text-gray-600 break-words">{comment.text}</p>
+            </div>
+
+            {/* Moderation */}
+            {canModerate && comment.userId !== stream?.userId && comment.userId !== user.uid && (
+              <div className="hidden group-hover:flex items-center space-x-1 text-gray-400">
+                <button
+                  onClick={() => moderate(() => liveModerationService.deleteComment(streamId, user, comment))}
+                  className="hover:text-red-500"
+                  title="Delete message"
+                >
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => moderate(() => liveModerationService.timeoutUser(streamId, user, comment, DEFAULT_TIMEOUT))}
+                  className="hover:text-orange-500"
+                  title={`Time out for ${DEFAULT_TIMEOUT} minutes`}
+                >
+                  <ClockIcon className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => moderate(() => liveModerationService.banUser(streamId, user, comment))}
+                  className="hover:text-red-600"
+                  title="Ban from chat"
+                >
+                  <NoSymbolIcon className="h-4 w-4" />
+                </button>
+                {isHost && !stream.moderators?.includes(comment.userId) && (
+                  <button
+                    onClick={() => moderate(() => liveModerationService.addModerator(streamId, user, comment))}
+                    className="hover:text-green-500"
+                    title="Make moderator"
+                  >
+                    <ShieldCheckIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Chat Input */}
+      <div className="p-4 border-t">
+        {(settings.slowMode > 0 || settings.followersOnly) && (
+          <p className="text-xs text-gray-500 mb-2">
+            {[
+              settings.slowMode > 0 && `Slow mode: one message every ${settings.slowMode}s`,
+              settings.followersOnly && 'Followers-only chat'
+            ].filter(Boolean).join(' · ')}
+          </p>
+        )}
+        {notice && <p className="text-sm text-red-600 mb-2">{notice}</p>}
+        <form onSubmit={handleSubmit} className="flex space-x-2">
+          <input
+            type="text"
+            name="comment"
+            placeholder="Type a message..."
+            className="flex-1 rounded-lg border border-gray-300 px-4 py-2 focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={isSending}
+            className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+          >
+            Send
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LiveComments;
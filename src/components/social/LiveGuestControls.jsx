@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+import { VideoCameraIcon } from '@heroicons/react/24/outline';
+
+// Our own camera while we're on screen, over the corner of the player
+export const GuestPreview = ({ stream }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  return (
+    <video
+      ref={videoRef}
+      autoPlay
+      playsInline
+      muted
+      className="absolute top-4 right-4 w-40 rounded-lg border-2 border-white shadow-lg"
+    />
+  );
+};
+
+// A viewer's way on screen: asking the host, answering their invitation, leaving again
+const LiveGuestControls = ({ seat, error, onRequest, onCancel, onAcceptInvite, onDeclineInvite, onLeave }) => {
+  const status = seat?.status;
+
+  return (
+    <div className="bg-white border-t px-4 py-2 text-sm flex items-center justify-between">
+      {status === 'invited' && (
+        <>
+          <span>The host invited you on screen</span>
+          <div className="space-x-2">
+            <button onClick={onAcceptInvite} className="px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600">
+              Join
+            </button>
+            <button onClick={onDeclineInvite} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200">
+              No thanks
+            </button>
+          </div>
+        </>
+      )}
+
+      {status === 'requested' && (
+        <>
+          <span className="text-gray-600">Waiting for the host to let you in...</span>
+          <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">Cancel</button>
+        </>
+      )}
+
+      {status === 'accepted' && (
+        <>
+          <span className="flex items-center text-red-500">
+            <VideoCameraIcon className="h-5 w-5 mr-1" />
+            You&apos;re on screen, mute the stream so you don&apos;t hear yourself
+          </span>
+          <button onClick={onLeave} className="px-3 py-1 rounded bg-gray-800 text-white hover:bg-gray-900">
+            Leave
+          </button>
+        </>
+      )}
+
+      {!['invited', 'requested', 'accepted'].includes(status) && (
+        <>
+          <span className="text-gray-500">
+            {error || (status === 'removed' ? 'The host took you off screen' : 'Want to join the host on screen?')}
+          </span>
+          <button onClick={onRequest} className="text-blue-500 hover:underline">
+            Request to join
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LiveGuestControls;
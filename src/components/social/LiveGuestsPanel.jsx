@@ -0,0 +1,125 @@
+import { useEffect, useRef } from 'react';
+import { CheckIcon, XMarkIcon, UserPlusIcon } from '@heroicons/react/24/outline';
+import { MAX_GUESTS, GUEST_LAYOUTS } from '../../services/LiveGuestService';
+
+// Plays a guest's microphone for the host, the broadcast gets it through the compositor
+export const GuestAudio = ({ stream }) => {
+  const audioRef = useRef(null);
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.srcObject = stream;
+  }, [stream]);
+
+  return <audio ref={audioRef} autoPlay />;
+};
+
+const GuestRow = ({ guest, children }) => (
+  <div className="flex items-center justify-between">
+    <div className="flex items-center space-x-2 min-w-0">
+      <img
+        src={guest.photoURL || '/default-avatar.png'}
+        alt={guest.displayName}
+        className="w-7 h-7 rounded-full"
+      />
+      <span className="truncate">{guest.displayName}</span>
+    </div>
+    <div className="flex items-center space-x-2">{children}</div>
+  </div>
+);
+
+// Requests to join, guests on screen, the layout they're shown in and invitations for viewers
+const LiveGuestsPanel = ({ stream, viewers, guests, error, onAccept, onDecline, onInvite, onRemove, onLayout }) => {
+  const requests = guests.filter(guest => guest.status === 'requested');
+  const invited = guests.filter(guest => guest.status === 'invited');
+  const onScreen = guests.filter(guest => guest.status === 'accepted');
+  const seatsLeft = MAX_GUESTS - onScreen.length - invited.length;
+  const layout = stream?.guestLayout || 'side-by-side';
+  const guestIds = guests.map(guest => guest.uid);
+  const invitable = viewers.filter(viewer => viewer.uid !== stream?.userId && !guestIds.includes(viewer.uid));
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-6 text-sm">
+      {error && <p className="text-red-600">{error}</p>}
+
+      {/* Layout */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Layout</h3>
+        <div className="flex space-x-2">
+          {Object.entries(GUEST_LAYOUTS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => onLayout(value)}
+              className={`flex-1 px-3 py-1 rounded ${
+                layout === value ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </section>
+
+      {/* On Screen */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">On screen ({onScreen.length}/{MAX_GUESTS})</h3>
+        {onScreen.length === 0 && <p className="text-gray-500">Just you</p>}
+        {onScreen.map(guest => (
+          <GuestRow key={guest.uid} guest={guest}>
+            <button onClick={() => onRemove(guest.uid)} className="text-gray-400 hover:text-red-500">
+              Remove
+            </button>
+          </GuestRow>
+        ))}
+        {invited.map(guest => (
+          <GuestRow key={guest.uid} guest={guest}>
+            <span className="text-gray-400">Invited</span>
+            <button onClick={() => onDecline(guest.uid)} className="text-gray-400 hover:text-gray-600" title="Cancel invitation">
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </GuestRow>
+        ))}
+      </section>
+
+      {/* Requests */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Requests to join</h3>
+        {requests.length === 0 && <p className="text-gray-500">No requests</p>}
+        {requests.map(guest => (
+          <GuestRow key={guest.uid} guest={guest}>
+            <button
+              onClick={() => onAccept(guest.uid)}
+              disabled={seatsLeft <= 0}
+              className="text-green-500 hover:text-green-600 disabled:opacity-40"
+              title="Bring on screen"
+            >
+              <CheckIcon className="h-5 w-5" />
+            </button>
+            <button onClick={() => onDecline(guest.uid)} className="text-gray-400 hover:text-red-500" title="Decline">
+              <XMarkIcon className="h-5 w-5" />
+            </button>
+          </GuestRow>
+        ))}
+      </section>
+
+      {/* Viewers */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Invite a viewer</h3>
+        {invitable.length === 0 && <p className="text-gray-500">No viewers to invite</p>}
+        {invitable.map(viewer => (
+          <GuestRow key={viewer.uid} guest={viewer}>
+            <button
+              onClick={() => onInvite(viewer)}
+              disabled={seatsLeft <= 0}
+              className="text-blue-500 hover:text-blue-600 disabled:opacity-40"
+              title="Invite on screen"
+            >
+              <UserPlusIcon className="h-5 w-5" />
+            </button>
+          </GuestRow>
+        ))}
+      </section>
+    </div>
+  );
+};
+
+export default LiveGuestsPanel;
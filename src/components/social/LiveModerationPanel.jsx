@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { liveModerationService, SLOW_MODE_OPTIONS } from '../../services/LiveModerationService';
+import { useNow, formatCountdown } from '../../hooks/useNow';
+
+const ACTION_LABELS = {
+  settings: 'changed chat settings',
+  add_moderator: 'made a moderator:',
+  remove_moderator: 'removed a moderator:',
+  delete_comment: 'deleted a message from',
+  timeout: 'timed out',
+  ban: 'banned',
+  unban: 'lifted the restriction on',
+  block_comment: 'blocked a message from'
+};
+
+// Chat rules, moderators, restricted viewers and the log of every moderation action
+const LiveModerationPanel = ({ stream, user }) => {
+  const [restrictions, setRestrictions] = useState([]);
+  const [log, setLog] = useState([]);
+  const [newWord, setNewWord] = useState('');
+  const [error, setError] = useState(null);
+  const now = useNow();
+  const settings = liveModerationService.getSettings(stream);
+  const isHost = stream.userId === user.uid;
+
+  useEffect(() => liveModerationService.subscribeToRestrictions(stream.id, setRestrictions), [stream.id]);
+  useEffect(() => liveModerationService.subscribeToLog(stream.id, setLog), [stream.id]);
+
+  const run = (action) => {
+    setError(null);
+    action().catch(() => setError('That did not work, try again'));
+  };
+
+  const updateSettings = changes => run(() => liveModerationService.updateSettings(stream.id, user, changes));
+
+  const addWord = (e) => {
+    e.preventDefault();
+    const word = newWord.trim().toLowerCase();
+    if (!word || settings.bannedWords.includes(word)) return;
+    updateSettings({ bannedWords: [...settings.bannedWords, word] });
+    setNewWord('');
+  };
+
+  const activeRestrictions = restrictions.filter(restriction => liveModerationService.isRestricted(restriction, now));
+  const moderators = (stream.moderators || []).map(userId => ({
+    userId,
+    userName: stream.moderatorNames?.[userId] || 'Moderator'
+  }));
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-6 text-sm">
+      {error && <p className="text-red-600">{error}</p>}
+
+      {/* Chat Rules */}
+      <section className="space-y-3">
+        <h3 className="font-semibold text-gray-700">Chat rules</h3>
+        <label className="flex items-center justify-between">
+          <span>Slow mode</span>
+          <select
+            value={settings.slowMode}
+            onChange={(e) => updateSettings({ slowMode: Number(e.target.value) })}
+            className="rounded border border-gray-300 px-2 py-1"
+          >
+            {SLOW_MODE_OPTIONS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds === 0 ? 'Off' : `${seconds} seconds`}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center justify-between">
+          <span>Followers-only chat</span>
+          <input
+            type="checkbox"
+            checked={settings.followersOnly}
+            onChange={(e) => updateSettings({ followersOnly: e.target.checked })}
+          />
+        </label>
+        <div>
+          <span>Banned words</span>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {settings.bannedWords.map(word => (
+              <span key={word} className="flex items-center bg-gray-100 rounded-full px-2 py-0.5">
+                {word}
+                <button
+                  onClick={() => updateSettings({ bannedWords: settings.bannedWords.filter(item => item !== word) })}
+                  className="ml-1 text-gray-400 hover:text-gray-600"
+                >
+                  <XMarkIcon className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+          <form onSubmit={addWord} className="flex space-x-2 mt-2">
+            <input
+              type="text"
+              value={newWord}
+              onChange={(e) => setNewWord(e.target.value)}
+              placeholder="Add a word or phrase"
+              className="flex-1 rounded border border-gray-300 px-2 py-1"
+            />
+            <button type="submit" className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200">Add</button>
+          </form>
+        </div>
+      </section>
+
+      {/* Moderators */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Moderators</h3>
+        {moderators.length === 0 && (
+          <p className="text-gray-500">Make a viewer a moderator from their message in the chat</p>
+        )}
+        {moderators.map(moderator => (
+          <div key={moderator.userId} className="flex items-center justify-between">
+            <span>{moderator.userName}</span>
+            {isHost && (
+              <button
+                onClick={() => run(() => liveModerationService.removeModerator(stream.id, user, moderator))}
+                className="text-gray-400 hover:text-red-500"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+      </section>
+
+      {/* Restricted Viewers */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Banned and timed out</h3>
+        {activeRestrictions.length === 0 && <p className="text-gray-500">Nobody</p>}
+        {activeRestrictions.map(restriction => (
+          <div key={restriction.id} className="flex items-center justify-between">
+            <span>
+              {restriction.userName}
+              <span className="ml-2 text-gray-500">
+                {restriction.type === 'ban' ? 'banned' : `${formatCountdown(restriction.until - now)} left`}
+              </span>
+            </span>
+            <button
+              onClick={() => run(() => liveModerationService.liftRestriction(stream.id, user, restriction))}
+              className="text-blue-500 hover:underline"
+            >
+              {restriction.type === 'ban' ? 'Unban' : 'Lift'}
+            </button>
+          </div>
+        ))}
+      </section>
+
+      {/* Log */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Moderation log</h3>
+        {log.length === 0 && <p className="text-gray-500">No actions yet</p>}
+        {log.map(entry => (
+          <div key={entry.id} className="text-gray-600">
+            <span className="text-gray-400 mr-2">{entry.createdAt?.toDate().toLocaleTimeString()}</span>
+            <span className="font-medium">{entry.actorName}</span> {ACTION_LABELS[entry.action] || entry.action}
+            {entry.targetName && <span className="font-medium"> {entry.targetName}</span>}
+            {entry.details?.text && <span className="block text-gray-400 truncate">&ldquo;{entry.details.text}&rdquo;</span>}
+          </div>
+        ))}
+      </section>
+    </div>
+  );
+};
+
+export default LiveModerationPanel;
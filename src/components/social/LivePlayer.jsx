@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef } from 'react';
+import { SpeakerWaveIcon, SpeakerXMarkIcon } from '@heroicons/react/24/outline';
+
+const STATUS_MESSAGES = {
+  connecting: 'Connecting to the stream...',
+  waiting: 'Waiting for a spot, the stream starts as soon as one frees up',
+  ended: 'This stream has ended',
+  error: 'Could not join the stream'
+};
+
+const LivePlayer = ({ stream, status, error }) => {
+  const videoRef = useRef(null);
+  // Browsers only autoplay muted video, viewers unmute themselves
+  const [isMuted, setIsMuted] = useState(true);
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  return (
+    <div className="relative flex-1 bg-black">
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted={isMuted}
+        className={`w-full h-full object-contain ${status === 'live' ? '' : 'hidden'}`}
+      />
+      {status !== 'live' && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <p className="text-white text-center px-4">{error || STATUS_MESSAGES[status]}</p>
+        </div>
+      )}
+      {status === 'live' && (
+        <button
+          onClick={() => setIsMuted(!isMuted)}
+          className="absolute bottom-4 right-4 p-2 rounded-full bg-gray-800 bg-opacity-75"
+          title={isMuted ? 'Unmute' : 'Mute'}
+        >
+          {isMuted ? (
+            <SpeakerXMarkIcon className="h-6 w-6 text-white" />
+          ) : (
+            <SpeakerWaveIcon className="h-6 w-6 text-white" />
+          )}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LivePlayer;
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+import { ShoppingBagIcon } from '@heroicons/react/24/solid';
+import { liveShoppingService } from '../../services/LiveShoppingService';
+
+const SHOW_FOR = 6000;
+
+// "X just bought" toasts over the video, only for purchases made while watching
+const LivePurchaseFeed = ({ streamId }) => {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!streamId) return;
+
+    const seen = new Set();
+    let initialized = false;
+    const timers = [];
+
+    const unsubscribe = liveShoppingService.subscribeToPurchases(streamId, (purchases) => {
+      const fresh = purchases.filter(purchase => !seen.has(purchase.id));
+      fresh.forEach(purchase => seen.add(purchase.id));
+      if (!initialized) {
+        initialized = true;
+        return;
+      }
+
+      fresh.reverse().forEach((purchase) => {
+        setEvents(prev => [...prev.slice(-2), purchase]);
+        timers.push(setTimeout(() => {
+          setEvents(prev => prev.filter(event => event.id !== purchase.id));
+        }, SHOW_FOR));
+      });
+    });
+
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+    };
+  }, [streamId]);
+
+  return (
+    <div className="absolute bottom-20 left-4 space-y-2 pointer-events-none">
+      {events.map(event => (
+        <div
+          key={event.id}
+          className="flex items-center bg-gray-900 bg-opacity-75 text-white text-sm rounded-full px-4 py-2 animate-pulse"
+        >
+          <ShoppingBagIcon className="h-4 w-4 mr-2 text-yellow-300" />
+          <span>
+            <span className="font-medium">{event.buyerName}</span> just bought {event.productName}
+            {event.itemCount > 1 && ` and ${event.itemCount - 1} more`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LivePurchaseFeed;
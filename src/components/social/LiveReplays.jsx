@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { PlayIcon } from '@heroicons/react/24/solid';
+import { liveReplayService, formatReplayTime } from '../../services/LiveReplayService';
+
+// A host's past livestreams that can be watched again
+const LiveReplays = ({ userId }) => {
+  const [replays, setReplays] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    liveReplayService.getUserReplays(userId).then((streams) => {
+      if (cancelled) return;
+      setReplays(streams);
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (isLoading) {
+    return <p className="text-gray-500">Loading replays...</p>;
+  }
+
+  if (replays.length === 0) {
+    return <p className="text-gray-500">No livestream replays yet</p>;
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+      {replays.map(stream => (
+        <Link
+          key={stream.id}
+          to={`/live/${stream.id}/replay`}
+          className="group bg-white rounded-lg shadow-sm border overflow-hidden"
+        >
+          <div className="relative aspect-video bg-gray-900">
+            <video
+              src={`${stream.replay.url}#t=${stream.replay.trimStart + 1}`}
+              preload="metadata"
+              muted
+              className="w-full h-full object-cover"
+            />
+            <PlayIcon className="absolute inset-0 m-auto h-12 w-12 text-white opacity-75 group-hover:opacity-100" />
+            <span className="absolute bottom-2 right-2 bg-black bg-opacity-75 text-white text-xs rounded px-1">
+              {formatReplayTime(stream.replay.trimEnd - stream.replay.trimStart)}
+            </span>
+          </div>
+          <div className="p-3">
+            <h4 className="font-medium truncate">{stream.title || 'Livestream'}</h4>
+            <p className="text-sm text-gray-500">
+              {stream.startedAt?.toDate().toLocaleDateString()}
+              {stream.peakViewers > 0 && ` · ${stream.peakViewers} peak viewers`}
+              {stream.replay.chapters?.length > 0 && ` · ${stream.replay.chapters.length} chapters`}
+            </p>
+          </div>
+        </Link>
+      ))}
+    </div>
+  );
+};
+
+export default LiveReplays;
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { CalendarIcon, PhotoIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { liveScheduleService } from '../../services/LiveScheduleService';
+
+// The host's upcoming streams, to go live with or cancel, and a form to announce another one
+const LiveSchedulePanel = ({ user, storeId, upcoming, onGoLive }) => {
+  const [title, setTitle] = useState('');
+  const [startTime, setStartTime] = useState('');
+  const [cover, setCover] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!startTime) {
+      setError('Pick a start time');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await liveScheduleService.scheduleStream(user, {
+        title,
+        cover,
+        scheduledFor: new Date(startTime),
+        storeId: storeId || null
+      });
+      setTitle('');
+      setStartTime('');
+      setCover(null);
+    } catch (scheduleError) {
+      setError(scheduleError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const cancel = (stream) => {
+    liveScheduleService.cancelScheduledStream(stream).catch(() => setError('That did not work, try again'));
+  };
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-6 text-sm">
+      {/* Upcoming */}
+      <section className="space-y-2">
+        <h3 className="font-semibold text-gray-700">Upcoming streams</h3>
+        {upcoming.length === 0 && <p className="text-gray-500">Nothing scheduled</p>}
+        {upcoming.map(stream => (
+          <div key={stream.id} className="flex items-center justify-between">
+            <div className="min-w-0">
+              <p className="font-medium truncate">{stream.title}</p>
+              <p className="text-gray-500">
+                {format(new Date(stream.scheduledFor), 'EEE, MMM d · h:mm a')}
+                {stream.reminderCount > 0 && ` · ${stream.reminderCount} waiting`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => onGoLive(stream)}
+                className="px-3 py-1 rounded-full bg-red-500 text-white hover:bg-red-600"
+              >
+                Go live
+              </button>
+              <button onClick={() => cancel(stream)} className="text-gray-400 hover:text-red-500" title="Cancel stream">
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </section>
+
+      {/* Schedule */}
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <h3 className="font-semibold text-gray-700">Schedule a stream</h3>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Title"
+          className="w-full rounded border border-gray-300 px-2 py-1"
+        />
+        <label className="flex items-center space-x-2 text-gray-600">
+          <CalendarIcon className="h-5 w-5" />
+          <input
+            type="datetime-local"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+            className="flex-1 rounded border border-gray-300 px-2 py-1"
+          />
+        </label>
+        <label className="flex items-center space-x-2 text-gray-600 cursor-pointer">
+          <PhotoIcon className="h-5 w-5" />
+          <span className="flex-1 truncate">{cover ? cover.name : 'Add a cover image'}</span>
+          <input
+            type="file"
+            accept="image/*"
+            onChange={(e) => setCover(e.target.files[0] || null)}
+            className="hidden"
+          />
+        </label>
+        {error && <p className="text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="w-full bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+        >
+          {isSaving ? 'Scheduling...' : 'Schedule and post to the feed'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LiveSchedulePanel;
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { ShoppingCartIcon, BoltIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import { liveShoppingService } from '../../services/LiveShoppingService';
+import { useNow, formatCountdown } from '../../hooks/useNow';
+
+const PAYMENT_METHODS = {
+  stripe: 'Credit Card (Stripe)',
+  paypal: 'PayPal',
+  bkash: 'bKash',
+  nagad: 'Nagad',
+  cod: 'Cash on Delivery'
+};
+
+const EMPTY_ADDRESS = {
+  fullName: '',
+  phone: '',
+  email: '',
+  address: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: ''
+};
+
+// Filled in once, later purchases reuse it from the last order
+const CheckoutForm = ({ onSubmit, onCancel, isLoading }) => {
+  const [shippingAddress, setShippingAddress] = useState(EMPTY_ADDRESS);
+  const [paymentMethod, setPaymentMethod] = useState('');
+
+  const field = (name, placeholder, type = 'text') => (
+    <input
+      type={type}
+      placeholder={placeholder}
+      value={shippingAddress[name]}
+      onChange={(e) => setShippingAddress(prev => ({ ...prev, [name]: e.target.value }))}
+      className="w-full rounded border border-gray-300 px-2 py-1 text-sm"
+    />
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ shippingAddress, paymentMethod });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3 space-y-2">
+      {field('fullName', 'Full Name')}
+      {field('phone', 'Phone', 'tel')}
+      {field('address', 'Address')}
+      <div className="grid grid-cols-2 gap-2">
+        {field('city', 'City')}
+        {field('postalCode', 'Postal Code')}
+      </div>
+      {field('country', 'Country')}
+      <select
+        value={paymentMethod}
+        onChange={(e) => setPaymentMethod(e.target.value)}
+        className="w-full rounded border border-gray-300 px-2 py-1 text-sm"
+      >
+        <option value="">Select Payment Method</option>
+        {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={isLoading || !shippingAddress.fullName || !shippingAddress.address || !paymentMethod}
+          className="flex-1 bg-red-500 text-white py-1.5 rounded hover:bg-red-600 disabled:opacity-50 text-sm"
+        >
+          {isLoading ? 'Placing order...' : 'Place order'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded bg-gray-100 text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const PinnedProduct = ({ pin, now, checkout, streamId, user, onCheckoutSaved }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const buy = async (details) => {
+    setIsLoading(true);
+    setStatus(null);
+    try {
+      await liveShoppingService.buyNow(streamId, user, pin.productId, details);
+      onCheckoutSaved(details);
+      setShowForm(false);
+      setStatus({ type: 'success', message: 'Order placed' });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const addToCart = async () => {
+    try {
+      await liveShoppingService.addToCart(user, streamId, pin);
+      setStatus({ type: 'success', message: 'Added to your cart at the stream price' });
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const discount = pin.price > 0 ? Math.round((1 - pin.livePrice / pin.price) * 100) : 0;
+
+  return (
+    <div className="border rounded-lg p-3">
+      <div className="flex space-x-3">
+        {pin.image && <img src={pin.image} alt={pin.name} className="w-16 h-16 object-cover rounded" />}
+        <div className="flex-1 min-w-0">
+          <h4 className="font-medium truncate">{pin.name}</h4>
+          <p>
+            <span className="text-lg font-bold text-red-600">${pin.livePrice.toFixed(2)}</span>
+            {discount > 0 && (
+              <>
+                <span className="ml-2 text-sm text-gray-400 line-through">${pin.price.toFixed(2)}</span>
+                <span className="ml-2 text-xs text-red-600">-{discount}%</span>
+              </>
+            )}
+          </p>
+          <p className="text-xs text-gray-500">Stream price ends in {formatCountdown(pin.endsAt - now)}</p>
+        </div>
+      </div>
+
+      <div className="flex space-x-2 mt-3">
+        <button
+          onClick={addToCart}
+          className="flex-1 flex items-center justify-center border border-gray-300 py-1.5 rounded hover:bg-gray-50 text-sm"
+        >
+          <ShoppingCartIcon className="h-4 w-4 mr-1" />
+          Add to Cart
+        </button>
+        <button
+          onClick={() => (checkout ? buy(checkout) : setShowForm(true))}
+          disabled={isLoading}
+          className="flex-1 flex items-center justify-center bg-red-500 text-white py-1.5 rounded hover:bg-red-600 disabled:opacity-50 text-sm"
+        >
+          <BoltIcon className="h-4 w-4 mr-1" />
+          {isLoading ? 'Buying...' : 'Buy now'}
+        </button>
+      </div>
+      {checkout && !showForm && (
+        <p className="text-xs text-gray-500 mt-1">
+          Ships to {checkout.shippingAddress.fullName}, {checkout.shippingAddress.city} · {PAYMENT_METHODS[checkout.paymentMethod] || checkout.paymentMethod}
+          <button onClick={() => setShowForm(true)} className="ml-1 text-blue-500 hover:underline">Change</button>
+        </p>
+      )}
+      {showForm && <CheckoutForm onSubmit={buy} onCancel={() => setShowForm(false)} isLoading={isLoading} />}
+      {status && (
+        <p className={`text-xs mt-2 flex items-center ${status.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+          {status.type === 'success' && <CheckCircleIcon className="h-4 w-4 mr-1" />}
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const LiveShoppingPanel = ({ streamId, stream, user }) => {
+  const now = useNow();
+  const [checkout, setCheckout] = useState(null);
+  const pins = liveShoppingService.getActivePins(stream, now);
+
+  useEffect(() => {
+    let cancelled = false;
+    liveShoppingService.getCheckoutDefaults(user.uid).then((defaults) => {
+      if (!cancelled) setCheckout(defaults);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user.uid]);
+
+  if (pins.length === 0) return null;
+
+  return (
+    <div className="border-b p-4 space-y-3 max-h-[50%] overflow-y-auto">
+      <h3 className="text-sm font-semibold text-gray-700">Shop the stream</h3>
+      {pins.map(pin => (
+        <PinnedProduct
+          key={pin.productId}
+          pin={pin}
+          now={now}
+          checkout={checkout}
+          streamId={streamId}
+          user={user}
+          onCheckoutSaved={setCheckout}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default LiveShoppingPanel;
@@ -1,58 +1,125 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { db } from '../../config/firebase';
 import {
   collection,
-  addDoc,
-  updateDoc,
-  deleteDoc,
-  doc,
-  onSnapshot,
+  getDocs,
   query,
-  where,
-  orderBy,
-  serverTimestamp
+  where
 } from 'firebase/firestore';
 import {
   VideoCameraIcon,
   MicrophoneIcon,
   XMarkIcon,
-  ChatBubbleLeftIcon,
   HeartIcon,
+  HandThumbUpIcon,
   UsersIcon,
+  ShareIcon,
   ShoppingBagIcon
 } from '@heroicons/react/24/outline';
-
-const LiveStream = ({ user, storeId }) => {
+import { liveStreamService } from '../../services/LiveStreamService';
+import { liveShoppingService, PIN_DURATIONS } from '../../services/LiveShoppingService';
+import { liveReplayService } from '../../services/LiveReplayService';
+import { liveGuestService } from '../../services/LiveGuestService';
+import { liveScheduleService } from '../../services/LiveScheduleService';
+import { useBroadcast } from '../../hooks/useBroadcast';
+import { useLiveGuests } from '../../hooks/useLiveGuests';
+import { useNow, formatCountdown } from '../../hooks/useNow';
+import LiveComments from './LiveComments';
+import LiveModerationPanel from './LiveModerationPanel';
+import LivePurchaseFeed from './LivePurchaseFeed';
+import LiveGuestsPanel, { GuestAudio } from './LiveGuestsPanel';
+import LiveSchedulePanel from './LiveSchedulePanel';
+
+const LiveStream = ({ user, storeId, transport }) => {
   const [isStreaming, setIsStreaming] = useState(false);
   const [streamData, setStreamData] = useState(null);
-  const [viewers, setViewers] = useState([]);
-  const [comments, setComments] = useState([]);
+  const [mediaStream, setMediaStream] = useState(null);
   const [products, setProducts] = useState([]);
   const [selectedProduct, setSelectedProduct] = useState(null);
-  const [reactions, setReactions] = useState({ likes: 0, hearts: 0 });
+  const [streamInfo, setStreamInfo] = useState(null);
+  const [pinPrice, setPinPrice] = useState('');
+  const [pinDuration, setPinDuration] = useState(PIN_DURATIONS[0]);
+  const [pinError, setPinError] = useState(null);
   const [isMuted, setIsMuted] = useState(false);
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
+  const [relayMode, setRelayMode] = useState(true);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [sidebarTab, setSidebarTab] = useState('chat');
+  const [upcoming, setUpcoming] = useState([]);
+  // Saving, saved (with the stream id) or failed, shown once the stream ends
+  const [replayStatus, setReplayStatus] = useState(null);
   
   const videoRef = useRef(null);
   const streamRef = useRef(null);
-  const mediaRecorderRef = useRef(null);
-  const wsRef = useRef(null);
+  const streamIdRef = useRef(null);
+  const peakViewersRef = useRef(0);
+  const recorderRef = useRef(null);
+  const compositorRef = useRef(null);
+  const now = useNow();
+  const activePins = liveShoppingService.getActivePins(streamInfo, now);
+
+  // Viewers receive the stream over WebRTC, from us or from another viewer relaying it
+  const { viewers, childCount } = useBroadcast(streamData?.id, user, {
+    role: 'broadcaster',
+    stream: mediaStream,
+    transport,
+    relayMode
+  });
+
+  // Guests' cameras come in over their own connections and are painted into what we broadcast
+  const guestSession = useLiveGuests(streamData?.id, user, { role: 'host' });
+  const { guests, guestStreams } = guestSession;
+  const guestLayout = streamInfo?.guestLayout;
 
   useEffect(() => {
     // Load featured products for the stream
     loadProducts();
 
-    // Cleanup on unmount
+    // Cleanup on unmount, a replay is only saved when the stream is ended with the button
     return () => {
-      if (streamRef.current) {
-        stopStream();
-      }
-      if (wsRef.current) {
-        wsRef.current.close();
+      if (recorderRef.current?.isRecording()) recorderRef.current.stop();
+      compositorRef.current?.stop();
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      if (streamIdRef.current) {
+        liveStreamService.endStream(streamIdRef.current).catch(() => {});
       }
     };
   }, []);
 
+  useEffect(() => {
+    if (!streamData) return;
+    return liveStreamService.subscribeToStream(streamData.id, setStreamInfo);
+  }, [streamData]);
+
+  useEffect(() => liveScheduleService.subscribeToUpcoming(user.uid, setUpcoming), [user.uid]);
+
+  useEffect(() => {
+    const compositor = compositorRef.current;
+    if (!compositor || !streamRef.current) return;
+
+    compositor.setLayout(guestLayout);
+    compositor.setSources([
+      { id: user.uid, stream: streamRef.current, label: user.displayName },
+      ...guestStreams.map(({ uid, stream }) => ({
+        id: uid,
+        stream,
+        label: guests.find(guest => guest.uid === uid)?.displayName
+      }))
+    ]);
+  }, [guestStreams, guests, guestLayout, user, mediaStream]);
+
+  useEffect(() => {
+    setPinPrice(selectedProduct ? String(selectedProduct.price) : '');
+    setPinError(null);
+  }, [selectedProduct]);
+
+  useEffect(() => {
+    if (!streamData) return;
+    peakViewersRef.current = Math.max(peakViewersRef.current, viewers.length);
+    liveStreamService.updateViewerCount(streamData.id, viewers.length, peakViewersRef.current);
+  }, [streamData, viewers.length]);
+
   const loadProducts = async () => {
     try {
       const productsRef = collection(db, 'products');
@@ -72,7 +139,8 @@ const LiveStream = ({ user, storeId }) => {
     }
   };
 
-  const startStream = async () => {
+  // Starts a new stream, or one announced ahead of time
+  const startStream = async (scheduled = null) => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
         video: true,
@@ -80,47 +148,44 @@ const LiveStream = ({ user, storeId }) => {
       });
       
       streamRef.current = stream;
-      videoRef.current.srcObject = stream;
+
+      // With guests support we broadcast the composed frame, so guests can come and go
+      // without renegotiating with every viewer
+      let output = stream;
+      if (liveGuestService.isSupported()) {
+        compositorRef.current = liveGuestService.createCompositor();
+        compositorRef.current.setSources([{ id: user.uid, stream, label: user.displayName }]);
+        output = compositorRef.current.start();
+      }
+      videoRef.current.srcObject = output;
+      setMediaStream(output);
 
       // Create stream document
-      const streamDoc = await addDoc(collection(db, 'livestreams'), {
-        userId: user.uid,
-        userName: user.displayName,
-        userAvatar: user.photoURL,
+      const streamId = await liveStreamService.startStream(user, {
         storeId,
-        title: 'Live Product Showcase',
-        startedAt: serverTimestamp(),
-        isLive: true,
-        viewerCount: 0,
-        featuredProducts: products.map(p => p.id)
+        title: scheduled?.title || 'Live Product Showcase',
+        featuredProducts: products.map(p => p.id),
+        relayMode,
+        scheduledStreamId: scheduled?.id
       });
 
-      setStreamData({ id: streamDoc.id });
+      streamIdRef.current = streamId;
+      peakViewersRef.current = 0;
+      setStreamData({ id: streamId });
       setIsStreaming(true);
+      setReplayStatus(null);
 
-      // Initialize WebSocket connection for live streaming
-      initializeWebSocket(streamDoc.id);
-
-      // Start recording
-      const mediaRecorder = new MediaRecorder(stream);
-      mediaRecorderRef.current = mediaRecorder;
-
-      mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0 && wsRef.current) {
-          wsRef.current.send(event.data);
-        }
-      };
-
-      mediaRecorder.start(1000); // Send data every second
+      // Everyone who asked to be reminded hears that we're live
+      if (scheduled) {
+        liveScheduleService.sendReminders(streamId, 'live').catch(() => {});
+      }
 
-      // Listen for comments
-      listenToComments(streamDoc.id);
-      
-      // Listen for reactions
-      listenToReactions(streamDoc.id);
-      
-      // Track viewers
-      trackViewers(streamDoc.id);
+      // Record what viewers see for the replay
+      if (liveReplayService.isSupported()) {
+        recorderRef.current = liveReplayService.createRecorder(output);
+        recorderRef.current.start();
+        liveReplayService.markRecordingStarted(streamId);
+      }
     } catch (error) {
       console.error('Error starting stream:', error);
     }
@@ -129,97 +194,79 @@ const LiveStream = ({ user, storeId }) => {
   const stopStream = async () => {
     try {
       if (streamData) {
-        // Update stream document
-        await updateDoc(doc(db, 'livestreams', streamData.id), {
-          isLive: false,
-          endedAt: serverTimestamp()
-        });
+        // Viewers see the stream end through the stream document
+        await liveStreamService.endStream(streamData.id);
+        streamIdRef.current = null;
+
+        const recorder = recorderRef.current;
+        recorderRef.current = null;
+        const recording = recorder?.isRecording() ? recorder.stop() : null;
+
+        compositorRef.current?.stop();
+        compositorRef.current = null;
 
         // Stop all tracks
         streamRef.current.getTracks().forEach(track => track.stop());
-        
-        // Close WebSocket
-        if (wsRef.current) {
-          wsRef.current.close();
-        }
-
-        // Stop recording
-        if (mediaRecorderRef.current) {
-          mediaRecorderRef.current.stop();
-        }
+        streamRef.current = null;
 
+        setMediaStream(null);
         setIsStreaming(false);
         setStreamData(null);
+        setStreamInfo(null);
+
+        if (recording) {
+          const streamId = streamData.id;
+          setReplayStatus({ state: 'saving' });
+          try {
+            await liveReplayService.saveReplay(streamId, await recording);
+            setReplayStatus({ state: 'saved', streamId });
+          } catch {
+            setReplayStatus({ state: 'failed' });
+          }
+        }
       }
     } catch (error) {
       console.error('Error stopping stream:', error);
     }
   };
 
-  const initializeWebSocket = (streamId) => {
-    // Replace with your WebSocket server URL
-    const ws = new WebSocket(process.env.REACT_APP_STREAM_SERVER_URL);
-    
-    ws.onopen = () => {
-      console.log('WebSocket connected');
-      ws.send(JSON.stringify({
-        type: 'init',
-        streamId,
-        userId: user.uid
-      }));
-    };
-
-    ws.onclose = () => {
-      console.log('WebSocket disconnected');
-    };
-
-    ws.onerror = (error) => {
-      console.error('WebSocket error:', error);
-    };
+  const pinProduct = async () => {
+    const livePrice = parseFloat(pinPrice);
+    if (!(livePrice > 0)) {
+      setPinError('Enter a stream price');
+      return;
+    }
 
-    wsRef.current = ws;
+    try {
+      await liveShoppingService.pinProduct(streamData.id, selectedProduct, {
+        livePrice,
+        durationMinutes: pinDuration
+      });
+      setSelectedProduct(null);
+    } catch (error) {
+      setPinError(error.message);
+    }
   };
 
-  const listenToComments = (streamId) => {
-    const commentsRef = collection(db, 'livestreams', streamId, 'comments');
-    const q = query(commentsRef, orderBy('createdAt', 'desc'));
-
-    return onSnapshot(q, (snapshot) => {
-      const newComments = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setComments(newComments);
-    });
+  const unpinProduct = (productId) => {
+    liveShoppingService.unpinProduct(streamData.id, productId).catch(() => {});
   };
 
-  const listenToReactions = (streamId) => {
-    const reactionsRef = doc(db, 'livestreams', streamId);
-    
-    return onSnapshot(reactionsRef, (snapshot) => {
-      const data = snapshot.data();
-      setReactions({
-        likes: data.likes || 0,
-        hearts: data.hearts || 0
-      });
-    });
+  const toggleRelayMode = () => {
+    setRelayMode(!relayMode);
+    if (streamData) {
+      liveStreamService.updateStream(streamData.id, { relayMode: !relayMode }).catch(() => {});
+    }
   };
 
-  const trackViewers = (streamId) => {
-    const viewersRef = collection(db, 'livestreams', streamId, 'viewers');
-    
-    return onSnapshot(viewersRef, (snapshot) => {
-      const currentViewers = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setViewers(currentViewers);
-
-      // Update viewer count
-      updateDoc(doc(db, 'livestreams', streamId), {
-        viewerCount: currentViewers.length
-      });
-    });
+  const copyViewerLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/live/${streamData.id}`);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+    }
   };
 
   const toggleAudio = () => {
@@ -234,32 +281,8 @@ const LiveStream = ({ user, storeId }) => {
     setIsVideoEnabled(!isVideoEnabled);
   };
 
-  const addComment = async (text) => {
-    try {
-      await addDoc(
-        collection(db, 'livestreams', streamData.id, 'comments'),
-        {
-          userId: user.uid,
-          userName: user.displayName,
-          userAvatar: user.photoURL,
-          text,
-          createdAt: serverTimestamp()
-        }
-      );
-    } catch (error) {
-      console.error('Error adding comment:', error);
-    }
-  };
-
-  const addReaction = async (type) => {
-    try {
-      const reactionsRef = doc(db, 'livestreams', streamData.id);
-      await updateDoc(reactionsRef, {
-        [type]: increment(1)
-      });
-    } catch (error) {
-      console.error('Error adding reaction:', error);
-    }
+  const addReaction = (type) => {
+    liveStreamService.addReaction(streamData.id, type, user);
   };
 
   return (
@@ -272,7 +295,7 @@ const LiveStream = ({ user, storeId }) => {
             ref={videoRef}
             autoPlay
             playsInline
-            muted={isMuted}
+            muted
             className="w-full h-full object-contain"
           />
           
@@ -296,7 +319,7 @@ const LiveStream = ({ user, storeId }) => {
             </button>
             {!isStreaming ? (
               <button
-                onClick={startStream}
+                onClick={() => startStream()}
                 className="px-6 py-2 bg-red-500 text-white rounded-full font-medium"
               >
                 Start Streaming
@@ -311,6 +334,19 @@ const LiveStream = ({ user, storeId }) => {
             )}
           </div>
 
+          {/* Replay */}
+          {replayStatus && (
+            <div className="absolute top-20 left-1/2 transform -translate-x-1/2 bg-gray-900 bg-opacity-75 rounded-lg px-4 py-2 text-white text-sm">
+              {replayStatus.state === 'saving' && 'Saving the replay...'}
+              {replayStatus.state === 'failed' && 'The replay could not be saved'}
+              {replayStatus.state === 'saved' && (
+                <Link to={`/live/${replayStatus.streamId}/replay`} className="underline">
+                  Replay saved, trim it and add chapters
+                </Link>
+              )}
+            </div>
+          )}
+
           {/* Stream Info */}
           <div className="absolute top-4 left-4 flex items-center space-x-4">
             <div className="flex items-center bg-gray-900 bg-opacity-75 rounded-full px-4 py-2">
@@ -323,6 +359,40 @@ const LiveStream = ({ user, storeId }) => {
                 {viewers.length} watching
               </span>
             </div>
+            {isStreaming && (
+              <button
+                onClick={copyViewerLink}
+                className="flex items-center bg-gray-900 bg-opacity-75 rounded-full px-4 py-2 text-white"
+                title="Copy viewer link"
+              >
+                <ShareIcon className="h-5 w-5" />
+                <span className="ml-2">{linkCopied ? 'Link copied' : 'Share'}</span>
+              </button>
+            )}
+            {isStreaming && (
+              <div className="flex items-center bg-gray-900 bg-opacity-75 rounded-full px-4 py-2 text-white">
+                <ShoppingBagIcon className="h-5 w-5" />
+                <span className="ml-2">
+                  {streamInfo?.salesCount || 0} sales · ${(streamInfo?.salesRevenue || 0).toFixed(2)}
+                </span>
+              </div>
+            )}
+          </div>
+
+          {isStreaming && <LivePurchaseFeed streamId={streamData.id} />}
+          {guestStreams.map(({ uid, stream }) => <GuestAudio key={uid} stream={stream} />)}
+
+          {/* Delivery */}
+          <div className="absolute top-4 right-4 bg-gray-900 bg-opacity-75 rounded-lg px-4 py-2 text-white text-sm">
+            <label className="flex items-center space-x-2 cursor-pointer">
+              <input type="checkbox" checked={relayMode} onChange={toggleRelayMode} />
+              <span>Relay through viewers</span>
+            </label>
+            {isStreaming && (
+              <p className="text-xs text-gray-300 mt-1">
+                Sending to {childCount} {childCount === 1 ? 'viewer' : 'viewers'} directly
+              </p>
+            )}
           </div>
         </div>
 
@@ -345,12 +415,22 @@ const LiveStream = ({ user, storeId }) => {
                   className="w-16 h-16 object-cover rounded"
                 />
                 <p className="text-sm mt-1 font-medium">${product.price}</p>
+                {activePins.some(pin => pin.productId === product.id) && (
+                  <p className="text-xs text-red-500">Pinned</p>
+                )}
               </div>
             ))}
           </div>
         )}
       </div>
 
+      {/* Scheduled Streams */}
+      {!isStreaming && (
+        <div className="w-96 border-l bg-white flex flex-col">
+          <LiveSchedulePanel user={user} storeId={storeId} upcoming={upcoming} onGoLive={startStream} />
+        </div>
+      )}
+
       {/* Chat and Product Details */}
       {isStreaming && (
         <div className="w-96 border-l bg-white flex flex-col">
@@ -378,57 +458,104 @@ const LiveStream = ({ user, storeId }) => {
                 <p className="mt-4 text-xl font-bold">
                   ${selectedProduct.price}
                 </p>
-                <button className="mt-4 w-full bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600">
-                  Add to Cart
+
+                {/* Pin with a stream-only price */}
+                <div className="mt-4 grid grid-cols-2 gap-2">
+                  <label className="text-sm text-gray-600">
+                    Stream price
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      max={selectedProduct.price}
+                      value={pinPrice}
+                      onChange={(e) => setPinPrice(e.target.value)}
+                      className="mt-1 w-full rounded border border-gray-300 px-2 py-1"
+                    />
+                  </label>
+                  <label className="text-sm text-gray-600">
+                    For
+                    <select
+                      value={pinDuration}
+                      onChange={(e) => setPinDuration(Number(e.target.value))}
+                      className="mt-1 w-full rounded border border-gray-300 px-2 py-1"
+                    >
+                      {PIN_DURATIONS.map(minutes => (
+                        <option key={minutes} value={minutes}>{minutes} minutes</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                {pinError && <p className="mt-2 text-sm text-red-600">{pinError}</p>}
+                <button
+                  onClick={pinProduct}
+                  className="mt-4 w-full bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600"
+                >
+                  Pin to Stream
                 </button>
               </div>
             ) : (
-              // Chat
-              <div className="flex-1 flex flex-col">
-                <div className="flex-1 overflow-y-auto p-4 space-y-4">
-                  {comments.map(comment => (
-                    <div key={comment.id} className="flex items-start space-x-3">
-                      <img
-                        src={comment.userAvatar || '/default-avatar.png'}
-                        alt={comment.userName}
-                        className="w-8 h-8 rounded-full"
-                      />
-                      <div>
-                        <p className="font-medium">{comment.userName}</p>
-                        <p className="text-gray-600">{comment.text}</p>
+              <>
+                {/* Pinned Products */}
+                {activePins.length > 0 && (
+                  <div className="border-b p-4 space-y-2">
+                    {activePins.map(pin => (
+                      <div key={pin.productId} className="flex items-center justify-between text-sm">
+                        <div className="min-w-0">
+                          <p className="font-medium truncate">{pin.name}</p>
+                          <p className="text-gray-500">
+                            ${pin.livePrice.toFixed(2)} · ends in {formatCountdown(pin.endsAt - now)}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => unpinProduct(pin.productId)}
+                          className="text-gray-400 hover:text-gray-600"
+                          title="Unpin"
+                        >
+                          <XMarkIcon className="h-5 w-5" />
+                        </button>
                       </div>
-                    </div>
-                  ))}
-                </div>
-                
-                {/* Chat Input */}
-                <div className="p-4 border-t">
-                  <form
-                    onSubmit={(e) => {
-                      e.preventDefault();
-                      const input = e.target.elements.comment;
-                      if (input.value.trim()) {
-                        addComment(input.value.trim());
-                        input.value = '';
-                      }
-                    }}
-                    className="flex space-x-2"
-                  >
-                    <input
-                      type="text"
-                      name="comment"
-                      placeholder="Type a message..."
-                      className="flex-1 rounded-lg border border-gray-300 px-4 py-2 focus:outline-none focus:border-blue-500"
-                    />
+                    ))}
+                  </div>
+                )}
+                <div className="flex border-b text-sm">
+                  {[['chat', 'Chat'], ['moderation', 'Moderation'], ['guests', 'Guests']].map(([tab, label]) => (
                     <button
-                      type="submit"
-                      className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600"
+                      key={tab}
+                      onClick={() => setSidebarTab(tab)}
+                      className={`flex-1 py-2 ${
+                        sidebarTab === tab
+                          ? 'border-b-2 border-blue-500 text-blue-600'
+                          : 'text-gray-600 hover:text-gray-800'
+                      }`}
                     >
-                      Send
+                      {label}
+                      {tab === 'guests' && guests.some(guest => guest.status === 'requested') && (
+                        <span className="ml-1 inline-block w-2 h-2 rounded-full bg-red-500" />
+                      )}
                     </button>
-                  </form>
+                  ))}
                 </div>
-              </div>
+                {sidebarTab === 'moderation' && streamInfo && (
+                  <LiveModerationPanel stream={streamInfo} user={user} />
+                )}
+                {sidebarTab === 'guests' && (
+                  <LiveGuestsPanel
+                    stream={streamInfo}
+                    viewers={viewers}
+                    guests={guests}
+                    error={guestSession.error}
+                    onAccept={guestSession.accept}
+                    onDecline={guestSession.decline}
+                    onInvite={guestSession.invite}
+                    onRemove={guestSession.remove}
+                    onLayout={layout => liveGuestService.setLayout(streamData.id, layout).catch(() => {})}
+                  />
+                )}
+                {(sidebarTab === 'chat' || (sidebarTab === 'moderation' && !streamInfo)) && (
+                  <LiveComments streamId={streamData.id} stream={streamInfo} user={user} />
+                )}
+              </>
             )}
           </div>
 
@@ -438,15 +565,15 @@ const LiveStream = ({ user, storeId }) => {
               onClick={() => addReaction('likes')}
               className="flex items-center space-x-2 text-gray-600 hover:text-blue-500"
             >
-              <ThumbUpIcon className="h-5 w-5" />
-              <span>{reactions.likes}</span>
+              <HandThumbUpIcon className="h-5 w-5" />
+              <span>{streamInfo?.likes || 0}</span>
             </button>
             <button
               onClick={() => addReaction('hearts')}
               className="flex items-center space-x-2 text-gray-600 hover:text-red-500"
             >
               <HeartIcon className="h-5 w-5" />
-              <span>{reactions.hearts}</span>
+              <span>{streamInfo?.hearts || 0}</span>
             </button>
           </div>
         </div>
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { formatReplayTime } from '../../services/LiveReplayService';
+
+// Host tools for a replay: trim points and chapters, set from the player's current position
+const ReplayEditor = ({ replay, draft, onChange, currentTime, onSeek, onSave, onCancel, isSaving, error }) => {
+  const [chapterTitle, setChapterTitle] = useState('');
+
+  const addChapter = () => {
+    if (!chapterTitle.trim()) return;
+    onChange({
+      ...draft,
+      chapters: [...draft.chapters, { time: currentTime, title: chapterTitle.trim() }]
+        .sort((a, b) => a.time - b.time)
+    });
+    setChapterTitle('');
+  };
+
+  const updateChapter = (index, title) => {
+    onChange({
+      ...draft,
+      chapters: draft.chapters.map((chapter, i) => (i === index ? { ...chapter, title } : chapter))
+    });
+  };
+
+  const removeChapter = (index) => {
+    onChange({ ...draft, chapters: draft.chapters.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="bg-white border-t p-4 space-y-4">
+      {/* Trim */}
+      <div className="flex items-center space-x-4 text-sm">
+        <span className="font-medium">Trim</span>
+        <button onClick={() => onSeek(draft.trimStart)} className="text-blue-500 hover:underline tabular-nums">
+          {formatReplayTime(draft.trimStart)}
+        </button>
+        <span>to</span>
+        <button onClick={() => onSeek(draft.trimEnd)} className="text-blue-500 hover:underline tabular-nums">
+          {formatReplayTime(draft.trimEnd)}
+        </button>
+        <button
+          onClick={() => onChange({ ...draft, trimStart: Math.min(currentTime, draft.trimEnd - 1) })}
+          className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200"
+        >
+          Start here
+        </button>
+        <button
+          onClick={() => onChange({ ...draft, trimEnd: Math.max(currentTime, draft.trimStart + 1) })}
+          className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200"
+        >
+          End here
+        </button>
+        <button
+          onClick={() => onChange({ ...draft, trimStart: 0, trimEnd: replay.duration })}
+          className="text-gray-500 hover:underline"
+        >
+          Reset
+        </button>
+      </div>
+
+      {/* Chapters */}
+      <div className="space-y-2 text-sm">
+        <span className="font-medium">Chapters</span>
+        {draft.chapters.map((chapter, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <button onClick={() => onSeek(chapter.time)} className="w-16 text-left text-blue-500 hover:underline tabular-nums">
+              {formatReplayTime(chapter.time)}
+            </button>
+            <input
+              type="text"
+              value={chapter.title}
+              onChange={(e) => updateChapter(index, e.target.value)}
+              className="flex-1 rounded border border-gray-300 px-2 py-1"
+            />
+            <button onClick={() => removeChapter(index)} className="text-gray-400 hover:text-red-500" title="Remove chapter">
+              <TrashIcon className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        <div className="flex items-center space-x-2">
+          <span className="w-16 text-gray-500 tabular-nums">{formatReplayTime(currentTime)}</span>
+          <input
+            type="text"
+            value={chapterTitle}
+            onChange={(e) => setChapterTitle(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addChapter()}
+            placeholder="Chapter title"
+            className="flex-1 rounded border border-gray-300 px-2 py-1"
+          />
+          <button onClick={addChapter} className="text-blue-500 hover:text-blue-600" title="Add chapter here">
+            <PlusIcon className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <button
+          onClick={onSave}
+          disabled={isSaving}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayEditor;
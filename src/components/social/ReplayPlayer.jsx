@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { PlayIcon, PauseIcon, HeartIcon, HandThumbUpIcon } from '@heroicons/react/24/solid';
+import { formatReplayTime } from '../../services/LiveReplayService';
+
+// Reactions stay on screen this long after the moment they were sent
+const REACTION_WINDOW = 2;
+
+// Plays a replay between `start` and `end` seconds, with chapter markers on the progress bar.
+// `trim` shades the parts outside it while the host is editing.
+const ReplayPlayer = ({ url, start, end, chapters, trim, reactions, videoRef, currentTime, onTimeUpdate }) => {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const length = Math.max(end - start, 1);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (video && (video.currentTime < start || video.currentTime > end)) {
+      video.currentTime = start;
+    }
+  }, [videoRef, start, end]);
+
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (video.currentTime >= end) {
+      video.pause();
+      video.currentTime = end;
+    }
+    onTimeUpdate(video.currentTime);
+  };
+
+  const togglePlay = () => {
+    const video = videoRef.current;
+    if (video.paused) {
+      if (video.currentTime >= end) video.currentTime = start;
+      video.play().catch(() => {});
+    } else {
+      video.pause();
+    }
+  };
+
+  const seekToBar = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    videoRef.current.currentTime = start + fraction * length;
+  };
+
+  const position = time => `${((time - start) / length) * 100}%`;
+  const chapter = [...chapters].reverse().find(item => item.time <= currentTime);
+  const recentReactions = reactions.filter(reaction => {
+    const time = reaction.offset / 1000;
+    return time <= currentTime && time > currentTime - REACTION_WINDOW;
+  }).slice(-12);
+
+  return (
+    <div className="relative flex-1 flex flex-col bg-black">
+      <div className="relative flex-1 min-h-0">
+        <video
+          ref={videoRef}
+          src={url}
+          playsInline
+          onLoadedMetadata={() => { videoRef.current.currentTime = start; }}
+          onTimeUpdate={handleTimeUpdate}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onClick={togglePlay}
+          className="w-full h-full object-contain"
+        />
+
+        {/* Reactions as they happened */}
+        <div className="absolute bottom-4 right-4 flex flex-col-reverse items-center space-y-reverse space-y-1 pointer-events-none">
+          {recentReactions.map(reaction => (
+            reaction.type === 'hearts'
+              ? <HeartIcon key={reaction.id} className="h-6 w-6 text-red-500 animate-bounce" />
+              : <HandThumbUpIcon key={reaction.id} className="h-6 w-6 text-blue-400 animate-bounce" />
+          ))}
+        </div>
+
+        {chapter && (
+          <div className="absolute top-4 left-4 bg-gray-900 bg-opacity-75 rounded-full px-4 py-1 text-white text-sm">
+            {chapter.title}
+          </div>
+        )}
+      </div>
+
+      {/* Controls */}
+      <div className="flex items-center space-x-3 px-4 py-2 bg-gray-900 text-white">
+        <button onClick={togglePlay} title={isPlaying ? 'Pause' : 'Play'}>
+          {isPlaying ? <PauseIcon className="h-6 w-6" /> : <PlayIcon className="h-6 w-6" />}
+        </button>
+        <div onClick={seekToBar} className="relative flex-1 h-2 bg-gray-600 rounded cursor-pointer">
+          {trim && (
+            <>
+              <div className="absolute inset-y-0 left-0 bg-gray-800 opacity-80 rounded-l" style={{ width: position(trim.start) }} />
+              <div className="absolute inset-y-0 right-0 bg-gray-800 opacity-80 rounded-r" style={{ left: position(trim.end) }} />
+            </>
+          )}
+          <div className="absolute inset-y-0 left-0 bg-red-500 rounded" style={{ width: position(Math.min(Math.max(currentTime, start), end)) }} />
+          {chapters.map(item => (
+            <div
+              key={`${item.time}-${item.title}`}
+              title={item.title}
+              className="absolute -top-1 w-1 h-4 bg-yellow-300"
+              style={{ left: position(item.time) }}
+            />
+          ))}
+        </div>
+        <span className="text-sm tabular-nums">
+          {formatReplayTime(currentTime - start)} / {formatReplayTime(length)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayPlayer;
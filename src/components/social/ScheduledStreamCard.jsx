@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { BellIcon, BellAlertIcon, VideoCameraIcon } from '@heroicons/react/24/outline';
+import { liveScheduleService, isUpcoming } from '../../services/LiveScheduleService';
+import { useNow, formatTimeUntil } from '../../hooks/useNow';
+
+// Cover, countdown and "remind me" for a scheduled livestream, shown in the feed and on its page
+const ScheduledStreamCard = ({ stream, user }) => {
+  const [hasReminder, setHasReminder] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const now = useNow();
+  const isHost = stream.userId === user.uid;
+  const startsAt = stream.scheduledFor?.toMillis ? stream.scheduledFor.toMillis() : stream.scheduledFor;
+
+  useEffect(() => {
+    if (isHost) return;
+    return liveScheduleService.subscribeToReminder(stream.id, user.uid, setHasReminder);
+  }, [stream.id, user.uid, isHost]);
+
+  const toggleReminder = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await liveScheduleService.setReminder(stream, user, !hasReminder);
+    } catch {
+      setError('That did not work, try again');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="rounded-lg overflow-hidden border">
+      <div className="relative aspect-video bg-gradient-to-br from-purple-600 to-red-500">
+        {stream.coverUrl && (
+          <img src={stream.coverUrl} alt={stream.title} className="w-full h-full object-cover" />
+        )}
+        <div className="absolute top-3 left-3 bg-gray-900 bg-opacity-75 rounded-full px-3 py-1 text-white text-sm">
+          {stream.isLive && (
+            <span className="flex items-center">
+              <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse mr-2" />
+              LIVE
+            </span>
+          )}
+          {isUpcoming(stream) && (startsAt > now ? `Starts in ${formatTimeUntil(startsAt - now)}` : 'Starting soon')}
+          {!stream.isLive && !isUpcoming(stream) && 'Ended'}
+        </div>
+      </div>
+
+      <div className="p-3 flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="font-semibold truncate">{stream.title}</p>
+          <p className="text-sm text-gray-500">
+            {startsAt && format(new Date(startsAt), 'EEE, MMM d · h:mm a')}
+            {stream.reminderCount > 0 && ` · ${stream.reminderCount} waiting`}
+          </p>
+        </div>
+
+        {stream.isLive && (
+          <Link
+            to={`/live/${stream.id}`}
+            className="flex items-center px-3 py-1 rounded-full bg-red-500 text-white hover:bg-red-600"
+          >
+            <VideoCameraIcon className="h-5 w-5 mr-1" />
+            Watch
+          </Link>
+        )}
+        {isUpcoming(stream) && !isHost && (
+          <button
+            onClick={toggleReminder}
+            disabled={isSaving}
+            className={`flex items-center px-3 py-1 rounded-full disabled:opacity-50 ${
+              hasReminder ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-blue-500 text-white hover:bg-blue-600'
+            }`}
+          >
+            {hasReminder ? <BellAlertIcon className="h-5 w-5 mr-1" /> : <BellIcon className="h-5 w-5 mr-1" />}
+            {hasReminder ? 'Reminder set' : 'Remind me'}
+          </button>
+        )}
+        {!stream.isLive && !isUpcoming(stream) && stream.replay?.url && (
+          <Link to={`/live/${stream.id}/replay`} className="text-blue-500 hover:underline">
+            Watch the replay
+          </Link>
+        )}
+      </div>
+      {error && <p className="px-3 pb-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ScheduledStreamCard;
@@ -2,24 +2,29 @@ import React, { useState, useEffect, useRef } from 'react';
 import { storage, db } from '../../config/firebase';
 import {
   collection,
-  addDoc,
   query,
   where,
   getDocs,
   deleteDoc,
-  doc,
-  serverTimestamp
+  doc
 } from 'firebase/firestore';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { CameraIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { ref, deleteObject } from 'firebase/storage';
+import { CameraIcon, Cog6ToothIcon, ArchiveBoxIcon } from '@heroicons/react/24/outline';
+import { storyService } from '../../services/StoryService';
+import StoryEditor from './StoryEditor';
+import StoryViewer from './StoryViewer';
+import StoryPrivacySettings from './StoryPrivacySettings';
+import StoryArchive from './StoryArchive';
 
 const Stories = ({ user }) => {
   const [stories, setStories] = useState([]);
-  const [activeStory, setActiveStory] = useState(null);
-  const [isUploading, setIsUploading] = useState(false);
-  const [progress, setProgress] = useState(0);
+  // The stories of the person being watched
+  const [activeStories, setActiveStories] = useState(null);
+  // The photo or video being edited before it's posted
+  const [editingFile, setEditingFile] = useState(null);
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [showArchive, setShowArchive] = useState(false);
   const fileInputRef = useRef(null);
-  const storyTimerRef = useRef(null);
 
   useEffect(() => {
     loadStories();
@@ -62,82 +67,48 @@ const Stories = ({ user }) => {
   const cleanupExpiredStories = async () => {
     try {
       const storiesRef = collection(db, 'stories');
-      const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      
+
+      // Archived and highlighted stories have no expiry, so they never come back from this query
       const q = query(
         storiesRef,
-        where('createdAt', '<', twentyFourHoursAgo)
+        where('expiresAt', '<=', new Date())
       );
       
       const snapshot = await getDocs(q);
       
-      // Delete expired stories in parallel
+      // Delete expired stories in parallel, anything kept since the query ran stays
       await Promise.all(
-        snapshot.docs.map(async (doc) => {
-          await deleteDoc(doc.ref);
-          // Also delete the story media from storage
-          const story = doc.data();
-          if (story.mediaUrl) {
-            const storageRef = ref(storage, story.mediaUrl);
-            await deleteObject(storageRef);
-          }
-        })
+        snapshot.docs
+          .filter(doc => !storyService.isKept(doc.data()))
+          .map(async (doc) => {
+            await deleteDoc(doc.ref);
+            // Also delete the story media from storage
+            const story = doc.data();
+            const urls = [story.mediaUrl, story.overlayUrl, story.thumbnailUrl].filter(Boolean);
+            await Promise.all(urls.map(url => deleteObject(ref(storage, url))));
+          })
       );
     } catch (error) {
       console.error('Error cleaning up expired stories:', error);
     }
   };
 
-  const handleFileSelect = async (event) => {
+  const handleFileSelect = (event) => {
     const file = event.target.files[0];
-    if (!file) return;
-
-    try {
-      setIsUploading(true);
-      
-      // Upload media
-      const storageRef = ref(storage, `stories/${user.uid}/${Date.now()}_${file.name}`);
-      await uploadBytes(storageRef, file);
-      const mediaUrl = await getDownloadURL(storageRef);
-
-      // Create story document
-      const storyData = {
-        userId: user.uid,
-        userName: user.displayName,
-        userAvatar: user.photoURL,
-        mediaUrl,
-        mediaType: file.type.startsWith('image/') ? 'image' : 'video',
-        createdAt: serverTimestamp(),
-        views: [],
-        reactions: []
-      };
-
-      await addDoc(collection(db, 'stories'), storyData);
-      await loadStories();
-    } catch (error) {
-      console.error('Error uploading story:', error);
-    } finally {
-      setIsUploading(false);
-    }
+    // Picking the same file again should still open the editor
+    event.target.value = '';
+    if (file) setEditingFile(file);
   };
 
-  const viewStory = (story) => {
-    setActiveStory(story);
-    // Start timer for story duration
-    if (storyTimerRef.current) {
-      clearTimeout(storyTimerRef.current);
-    }
-    storyTimerRef.current = setTimeout(() => {
-      setActiveStory(null);
-    }, 5000); // 5 seconds for images, video duration for videos
+  const handlePublished = () => {
+    setEditingFile(null);
+    loadStories();
   };
 
-  const closeStory = () => {
-    setActiveStory(null);
-    if (storyTimerRef.current) {
-      clearTimeout(storyTimerRef.current);
-    }
-  };
+  // Leave out stories their authors hid from this user
+  const visibleStories = stories
+    .map(userStories => userStories.filter(story => storyService.isVisibleTo(story, user.uid)))
+    .filter(userStories => userStories.length > 0);
 
   return (
     <div className="w-full">
@@ -158,14 +129,22 @@ const Stories = ({ user }) => {
             accept="image/*,video/*"
             className="hidden"
           />
-          <p className="text-xs text-center mt-2">Add Story</p>
+          <p className="text-xs text-center mt-2">
+            Add Story
+            <button onClick={() => setShowPrivacy(true)} className="ml-1 align-middle text-gray-400 hover:text-gray-600" title="Story settings">
+              <Cog6ToothIcon className="inline h-4 w-4" />
+            </button>
+            <button onClick={() => setShowArchive(true)} className="ml-1 align-middle text-gray-400 hover:text-gray-600" title="Story archive">
+              <ArchiveBoxIcon className="inline h-4 w-4" />
+            </button>
+          </p>
         </div>
 
         {/* Story Previews */}
-        {stories.map((userStories, index) => (
+        {visibleStories.map((userStories, index) => (
           <div key={index} className="flex-shrink-0">
             <button
-              onClick={() => viewStory(userStories[0])}
+              onClick={() => setActiveStories(userStories)}
               className="w-20 h-20 rounded-full border-2 border-gray-200 overflow-hidden"
             >
               <img
@@ -180,75 +159,28 @@ const Stories = ({ user }) => {
       </div>
 
       {/* Story Viewer */}
-      {activeStory && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 z-50 flex items-center justify-center">
-          <div className="relative max-w-lg w-full">
-            <button
-              onClick={closeStory}
-              className="absolute top-4 right-4 text-white z-10"
-            >
-              <XMarkIcon className="h-6 w-6" />
-            </button>
-
-            {/* Progress Bar */}
-            <div className="absolute top-0 left-0 right-0 h-1 bg-gray-600">
-              <div
-                className="h-full bg-white transition-all duration-[5000ms] ease-linear"
-                style={{ width: `${progress}%` }}
-              />
-            </div>
+      {activeStories && (
+        <StoryViewer
+          stories={activeStories}
+          user={user}
+          onClose={() => setActiveStories(null)}
+        />
+      )}
 
-            {/* Story Content */}
-            <div className="aspect-video relative">
-              {activeStory.mediaType === 'image' ? (
-                <img
-                  src={activeStory.mediaUrl}
-                  alt="Story"
-                  className="w-full h-full object-contain"
-                />
-              ) : (
-                <video
-                  src={activeStory.mediaUrl}
-                  className="w-full h-full"
-                  autoPlay
-                  controls={false}
-                  onTimeUpdate={(e) => {
-                    const video = e.target;
-                    setProgress((video.currentTime / video.duration) * 100);
-                  }}
-                  onEnded={closeStory}
-                />
-              )}
+      {/* Story Privacy */}
+      {showPrivacy && <StoryPrivacySettings user={user} onClose={() => setShowPrivacy(false)} />}
 
-              {/* Story Info */}
-              <div className="absolute bottom-0 left-0 right-0 p-4 bg-gradient-to-t from-black to-transparent">
-                <div className="flex items-center">
-                  <img
-                    src={activeStory.userAvatar || '/default-avatar.png'}
-                    alt={activeStory.userName}
-                    className="w-8 h-8 rounded-full"
-                  />
-                  <span className="ml-2 text-white font-medium">
-                    {activeStory.userName}
-                  </span>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
+      {/* Story Archive */}
+      {showArchive && <StoryArchive user={user} onClose={() => setShowArchive(false)} />}
 
-      {/* Upload Progress */}
-      {isUploading && (
-        <div className="fixed bottom-4 right-4 bg-white p-4 rounded-lg shadow-lg">
-          <p className="text-sm font-medium">Uploading story...</p>
-          <div className="mt-2 h-2 bg-gray-200 rounded-full">
-            <div
-              className="h-full bg-blue-500 rounded-full transition-all duration-300"
-              style={{ width: `${progress}%` }}
-            />
-          </div>
-        </div>
+      {/* Story Editor */}
+      {editingFile && (
+        <StoryEditor
+          file={editingFile}
+          user={user}
+          onCancel={() => setEditingFile(null)}
+          onPublished={handlePublished}
+        />
       )}
     </div>
   );
@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { XMarkIcon, PhotoIcon, PlayIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { storyService, getStoryThumbnail } from '../../services/StoryService';
+import StoryViewer from './StoryViewer';
+
+const StoryStill = ({ story }) => {
+  const thumbnail = getStoryThumbnail(story);
+  if (thumbnail) return <img src={thumbnail} alt="Story" className="w-full h-full object-cover" />;
+  return <video src={`${story.mediaUrl}#t=0.1`} className="w-full h-full object-cover" preload="metadata" muted />;
+};
+
+// The user's own stories, kept after they expire, to pick highlights from. Editing a highlight starts from its stories.
+const StoryArchive = ({ user, highlight = null, onClose }) => {
+  const [archive, setArchive] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(highlight?.storyIds || []);
+  const [name, setName] = useState(highlight?.name || '');
+  const [coverStoryId, setCoverStoryId] = useState(null);
+  const [coverFile, setCoverFile] = useState(null);
+  const [coverPreview, setCoverPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    storyService.getArchive(user.uid)
+      .then(setArchive)
+      .catch(() => setError('Could not load your archive'))
+      .finally(() => setIsLoading(false));
+  }, [user.uid]);
+
+  useEffect(() => {
+    if (!coverFile) {
+      setCoverPreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(coverFile);
+    setCoverPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [coverFile]);
+
+  // Highlights play in the order their stories were picked
+  const selected = selectedIds
+    .map(storyId => archive.find(story => story.id === storyId))
+    .filter(Boolean);
+
+  const toggle = (storyId) => {
+    setSelectedIds(prev => (prev.includes(storyId) ? prev.filter(id => id !== storyId) : [...prev, storyId]));
+  };
+
+  const save = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await storyService.saveHighlight(user, {
+        highlight,
+        name,
+        stories: selected,
+        coverStory: selected.find(story => story.id === coverStoryId),
+        coverFile
+      });
+      onClose();
+    } catch (saveError) {
+      setError(saveError.message);
+      setIsSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the "${highlight.name}" highlight?`)) return;
+    try {
+      await storyService.deleteHighlight(highlight);
+      onClose();
+    } catch {
+      setError('That did not work, try again');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold">{highlight ? 'Edit highlight' : 'Story archive'}</h2>
+          <div className="flex items-center space-x-3">
+            {highlight && (
+              <button onClick={remove} className="text-gray-400 hover:text-red-500" title="Delete highlight">
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            )}
+            <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        {/* Archive */}
+        <div className="flex-1 overflow-y-auto p-4">
+          <p className="text-sm text-gray-500 mb-3">
+            Stories are deleted a day after you post them unless they&apos;re in a highlight or you turned on
+            the archive in story settings.
+          </p>
+          {isLoading && <p className="text-sm text-gray-500">Loading...</p>}
+          {!isLoading && archive.length === 0 && <p className="text-sm text-gray-500">No stories yet</p>}
+          <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+            {archive.map(story => {
+              const position = selectedIds.indexOf(story.id);
+              return (
+                <button
+                  key={story.id}
+                  onClick={() => toggle(story.id)}
+                  className={`relative aspect-[9/16] rounded overflow-hidden bg-black ${position >= 0 ? 'ring-4 ring-blue-500' : ''}`}
+                >
+                  <StoryStill story={story} />
+                  <span className="absolute bottom-1 left-1 rounded bg-black bg-opacity-60 px-1 text-xs text-white">
+                    {story.createdAt && format(story.createdAt.toDate(), 'MMM d, yyyy')}
+                  </span>
+                  {position >= 0 && (
+                    <span className="absolute top-1 right-1 w-6 h-6 rounded-full bg-blue-500 text-xs text-white flex items-center justify-center">
+                      {position + 1}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Highlight */}
+        {selected.length > 0 && (
+          <div className="p-4 border-t space-y-3">
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Highlight name"
+                maxLength={30}
+                className="flex-1 rounded border border-gray-300 px-3 py-2"
+              />
+              <button
+                onClick={() => setIsPreviewing(true)}
+                className="p-2 rounded-full text-gray-500 hover:bg-gray-100"
+                title="Watch"
+              >
+                <PlayIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <div>
+              <p className="text-sm text-gray-600 mb-1">Cover</p>
+              <div className="flex items-center space-x-2 overflow-x-auto">
+                {/* Without a new pick the highlight keeps its cover, a new one starts from its first story */}
+                {highlight?.coverUrl && (
+                  <button
+                    onClick={() => {
+                      setCoverStoryId(null);
+                      setCoverFile(null);
+                    }}
+                    className={`flex-shrink-0 w-12 h-12 rounded-full overflow-hidden ${!coverStoryId && !coverFile ? 'ring-2 ring-blue-500' : ''}`}
+                  >
+                    <img src={highlight.coverUrl} alt="Current cover" className="w-full h-full object-cover" />
+                  </button>
+                )}
+                {selected.map((story, index) => (
+                  <button
+                    key={story.id}
+                    onClick={() => {
+                      setCoverStoryId(story.id);
+                      setCoverFile(null);
+                    }}
+                    className={`flex-shrink-0 w-12 h-12 rounded-full overflow-hidden bg-black ${
+                      coverStoryId === story.id || (!highlight && !coverStoryId && !coverFile && index === 0) ? 'ring-2 ring-blue-500' : ''
+                    }`}
+                  >
+                    <StoryStill story={story} />
+                  </button>
+                ))}
+                <label
+                  className={`flex-shrink-0 w-12 h-12 rounded-full bg-gray-100 flex items-center justify-center cursor-pointer ${coverFile ? 'ring-2 ring-blue-500' : ''}`}
+                  title="Upload a cover"
+                >
+                  {coverPreview ? (
+                    <img src={coverPreview} alt="Cover" className="w-full h-full rounded-full object-cover" />
+                  ) : (
+                    <PhotoIcon className="h-5 w-5 text-gray-500" />
+                  )}
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => {
+                      setCoverFile(e.target.files[0] || null);
+                      setCoverStoryId(null);
+                    }}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              onClick={save}
+              disabled={isSaving}
+              className="w-full bg-blue-500 text-white py-2 rounded-lg hover:bg-blue-600 disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : highlight ? 'Save highlight' : 'Add to profile as a highlight'}
+            </button>
+          </div>
+        )}
+        {selected.length === 0 && error && <p className="p-4 text-sm text-red-600">{error}</p>}
+      </div>
+
+      {isPreviewing && <StoryViewer stories={selected} user={user} onClose={() => setIsPreviewing(false)} />}
+    </div>
+  );
+};
+
+export default StoryArchive;
@@ -0,0 +1,441 @@
+import { useState, useEffect, useRef } from 'react';
+import {
+  XMarkIcon,
+  LanguageIcon,
+  FaceSmileIcon,
+  AtSymbolIcon,
+  PaintBrushIcon,
+  ScissorsIcon,
+  SparklesIcon,
+  ArrowPathIcon,
+  ArrowUturnLeftIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import { SearchService } from '../../services/SearchService';
+import {
+  storyService,
+  drawStoryMedia,
+  drawStoryOverlay,
+  getLayerBounds,
+  STORY_WIDTH,
+  STORY_HEIGHT,
+  STORY_FONTS,
+  STORY_COLORS,
+  STORY_EMOJI,
+  STORY_FILTERS
+} from '../../services/StoryService';
+
+// The preview is drawn at half size, the upload is rendered at full size
+const PREVIEW_WIDTH = STORY_WIDTH / 2;
+const PREVIEW_HEIGHT = STORY_HEIGHT / 2;
+const BRUSH_SIZES = [0.008, 0.016, 0.03];
+const DEFAULT_SIZES = { text: 0.07, emoji: 0.14, mention: 0.05 };
+
+const TOOLS = [
+  { id: 'text', label: 'Text', icon: LanguageIcon },
+  { id: 'emoji', label: 'Emoji', icon: FaceSmileIcon },
+  { id: 'mention', label: 'Mention', icon: AtSymbolIcon },
+  { id: 'draw', label: 'Draw', icon: PaintBrushIcon },
+  { id: 'crop', label: 'Crop', icon: ScissorsIcon, imageOnly: true },
+  { id: 'filter', label: 'Filters', icon: SparklesIcon }
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const Swatches = ({ value, onChange }) => (
+  <div className="flex space-x-2">
+    {STORY_COLORS.map(color => (
+      <button
+        key={color}
+        onClick={() => onChange(color)}
+        className={`w-6 h-6 rounded-full border-2 ${value === color ? 'border-blue-400' : 'border-gray-600'}`}
+        style={{ backgroundColor: color }}
+      />
+    ))}
+  </div>
+);
+
+// Edits a photo or video before it's posted as a story
+const StoryEditor = ({ file, user, onCancel, onPublished }) => {
+  const isImage = file.type.startsWith('image/');
+  const [url] = useState(() => URL.createObjectURL(file));
+  const [image, setImage] = useState(null);
+  const [edits, setEdits] = useState({ rotation: 0, zoom: 1, panX: 0, panY: 0, filter: 'none', layers: [], strokes: [] });
+  const [panel, setPanel] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [text, setText] = useState('');
+  const [font, setFont] = useState('modern');
+  const [color, setColor] = useState(STORY_COLORS[0]);
+  const [brushSize, setBrushSize] = useState(BRUSH_SIZES[1]);
+  const [mentionQuery, setMentionQuery] = useState('');
+  const [mentionResults, setMentionResults] = useState([]);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [error, setError] = useState(null);
+  const canvasRef = useRef(null);
+  const videoRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const selected = edits.layers.find(layer => layer.id === selectedId);
+
+  useEffect(() => () => URL.revokeObjectURL(url), [url]);
+
+  useEffect(() => {
+    if (!isImage) return;
+    const img = new Image();
+    img.onload = () => setImage(img);
+    img.onerror = () => setError('This photo could not be opened');
+    img.src = url;
+  }, [isImage, url]);
+
+  // Redraw the preview on every change
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+    if (isImage && image) drawStoryMedia(context, image, edits, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+    drawStoryOverlay(context, edits, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+
+    if (selected) {
+      const bounds = getLayerBounds(context, selected, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+      context.save();
+      context.strokeStyle = '#ffffff';
+      context.setLineDash([6, 4]);
+      context.strokeRect(bounds.x - 4, bounds.y - 4, bounds.width + 8, bounds.height + 8);
+      context.restore();
+    }
+  }, [isImage, image, edits, selected]);
+
+  useEffect(() => {
+    if (panel !== 'mention' || !mentionQuery.trim()) {
+      setMentionResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      SearchService.getMentionSuggestions(mentionQuery, 'user')
+        .then(results => !cancelled && setMentionResults(results))
+        .catch(() => !cancelled && setMentionResults([]));
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [panel, mentionQuery]);
+
+  const updateLayer = (id, changes) => {
+    setEdits(prev => ({
+      ...prev,
+      layers: prev.layers.map(layer => (layer.id === id ? { ...layer, ...changes } : layer))
+    }));
+  };
+
+  const addLayer = (layer) => {
+    const id = crypto.randomUUID();
+    setEdits(prev => ({
+      ...prev,
+      layers: [...prev.layers, { id, x: 0.5, y: 0.4, color, size: DEFAULT_SIZES[layer.type], ...layer }]
+    }));
+    setSelectedId(id);
+  };
+
+  const addText = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    addLayer({ type: 'text', text: text.trim(), font });
+    setText('');
+  };
+
+  const addMention = (result) => {
+    addLayer({ type: 'mention', mention: { uid: result.id, displayName: result.displayName || result.username } });
+    setMentionQuery('');
+    setPanel(null);
+  };
+
+  const removeSelected = () => {
+    setEdits(prev => ({ ...prev, layers: prev.layers.filter(layer => layer.id !== selectedId) }));
+    setSelectedId(null);
+  };
+
+  // Pointer position as a share of the story's width and height
+  const toStoryPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [clamp((e.clientX - rect.left) / rect.width, 0, 1), clamp((e.clientY - rect.top) / rect.height, 0, 1)];
+  };
+
+  const handlePointerDown = (e) => {
+    const [x, y] = toStoryPoint(e);
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (panel === 'draw') {
+      dragRef.current = { type: 'draw' };
+      setEdits(prev => ({ ...prev, strokes: [...prev.strokes, { color, width: brushSize, points: [[x, y]] }] }));
+      return;
+    }
+
+    if (panel === 'crop') {
+      dragRef.current = { type: 'pan', x, y, panX: edits.panX, panY: edits.panY };
+      return;
+    }
+
+    // Pick up the topmost sticker under the pointer
+    const context = canvasRef.current.getContext('2d');
+    const hit = [...edits.layers].reverse().find((layer) => {
+      const bounds = getLayerBounds(context, layer, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+      const px = x * PREVIEW_WIDTH;
+      const py = y * PREVIEW_HEIGHT;
+      return px >= bounds.x && px <= bounds.x + bounds.width && py >= bounds.y && py <= bounds.y + bounds.height;
+    });
+    setSelectedId(hit?.id || null);
+    if (hit) dragRef.current = { type: 'move', id: hit.id, offsetX: x - hit.x, offsetY: y - hit.y };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const [x, y] = toStoryPoint(e);
+
+    if (drag.type === 'draw') {
+      setEdits((prev) => {
+        const last = prev.strokes[prev.strokes.length - 1];
+        return { ...prev, strokes: [...prev.strokes.slice(0, -1), { ...last, points: [...last.points, [x, y]] }] };
+      });
+    } else if (drag.type === 'pan') {
+      setEdits(prev => ({
+        ...prev,
+        panX: clamp(drag.panX + (x - drag.x) * 2, -1, 1),
+        panY: clamp(drag.panY + (y - drag.y) * 2, -1, 1)
+      }));
+    } else if (drag.type === 'move') {
+      updateLayer(drag.id, { x: clamp(x - drag.offsetX, 0, 1), y: clamp(y - drag.offsetY, 0, 1) });
+    }
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const publish = async () => {
+    setIsPublishing(true);
+    setError(null);
+    try {
+      await storyService.publishStory(user, { file, source: image || videoRef.current, edits });
+      onPublished();
+    } catch {
+      setError('Your story could not be posted, try again');
+      setIsPublishing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black z-50 flex flex-col items-center justify-center text-white">
+      {/* Top Bar */}
+      <div className="absolute top-4 left-4 right-4 flex items-center justify-between">
+        <button onClick={onCancel} className="p-2 rounded-full bg-gray-800 hover:bg-gray-700" title="Discard">
+          <XMarkIcon className="h-6 w-6" />
+        </button>
+        <div className="flex space-x-2">
+          {TOOLS.filter(tool => isImage || !tool.imageOnly).map(tool => (
+            <button
+              key={tool.id}
+              onClick={() => setPanel(panel === tool.id ? null : tool.id)}
+              className={`p-2 rounded-full ${panel === tool.id ? 'bg-white text-black' : 'bg-gray-800 hover:bg-gray-700'}`}
+              title={tool.label}
+            >
+              <tool.icon className="h-6 w-6" />
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={publish}
+          disabled={isPublishing || (isImage && !image)}
+          className="px-4 py-2 rounded-full bg-blue-500 hover:bg-blue-600 font-medium disabled:opacity-50"
+        >
+          {isPublishing ? 'Posting...' : 'Share story'}
+        </button>
+      </div>
+
+      {/* Canvas */}
+      <div className="relative h-[70vh] aspect-[9/16] rounded-lg overflow-hidden bg-gray-900">
+        {!isImage && (
+          <video
+            ref={videoRef}
+            src={url}
+            autoPlay
+            loop
+            muted
+            playsInline
+            className="absolute inset-0 w-full h-full object-cover"
+            style={{ filter: STORY_FILTERS[edits.filter].css }}
+          />
+        )}
+        <canvas
+          ref={canvasRef}
+          width={PREVIEW_WIDTH}
+          height={PREVIEW_HEIGHT}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className={`absolute inset-0 w-full h-full touch-none ${panel === 'draw' ? 'cursor-crosshair' : 'cursor-move'}`}
+        />
+      </div>
+
+      {/* Tool Options */}
+      <div className="mt-4 w-full max-w-md min-h-[6rem] space-y-3 text-sm">
+        {error && <p className="text-red-400 text-center">{error}</p>}
+
+        {panel === 'text' && (
+          <form onSubmit={addText} className="space-y-3">
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="Say something"
+                className="flex-1 rounded bg-gray-800 px-3 py-2"
+                autoFocus
+              />
+              <button type="submit" className="px-3 py-2 rounded bg-white text-black">Add</button>
+            </div>
+            <div className="flex space-x-2">
+              {Object.entries(STORY_FONTS).map(([id, option]) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setFont(id)}
+                  className={`px-2 py-1 rounded ${font === id ? 'bg-white text-black' : 'bg-gray-800'}`}
+                  style={{ fontFamily: option.family }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <Swatches value={color} onChange={setColor} />
+          </form>
+        )}
+
+        {panel === 'emoji' && (
+          <div className="grid grid-cols-6 gap-2 text-3xl">
+            {STORY_EMOJI.map(emoji => (
+              <button key={emoji} onClick={() => addLayer({ type: 'emoji', text: emoji })} className="hover:scale-110">
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {panel === 'mention' && (
+          <div className="space-y-2">
+            <input
+              type="text"
+              value={mentionQuery}
+              onChange={(e) => setMentionQuery(e.target.value)}
+              placeholder="Search people to mention"
+              className="w-full rounded bg-gray-800 px-3 py-2"
+              autoFocus
+            />
+            {mentionResults.map(result => (
+              <button
+                key={result.id}
+                onClick={() => addMention(result)}
+                className="flex items-center w-full space-x-2 rounded px-2 py-1 hover:bg-gray-800"
+              >
+                <img src={result.avatar || '/default-avatar.png'} alt={result.displayName} className="w-7 h-7 rounded-full" />
+                <span>{result.displayName || result.username}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {panel === 'draw' && (
+          <div className="flex items-center justify-between">
+            <Swatches value={color} onChange={setColor} />
+            <div className="flex items-center space-x-2">
+              {BRUSH_SIZES.map(size => (
+                <button
+                  key={size}
+                  onClick={() => setBrushSize(size)}
+                  className={`flex items-center justify-center w-8 h-8 rounded-full ${brushSize === size ? 'bg-gray-600' : 'bg-gray-800'}`}
+                >
+                  <span className="rounded-full bg-white" style={{ width: size * 400, height: size * 400 }} />
+                </button>
+              ))}
+              <button
+                onClick={() => setEdits(prev => ({ ...prev, strokes: prev.strokes.slice(0, -1) }))}
+                disabled={edits.strokes.length === 0}
+                className="p-2 rounded-full bg-gray-800 disabled:opacity-40"
+                title="Undo"
+              >
+                <ArrowUturnLeftIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+        )}
+
+        {panel === 'crop' && (
+          <div className="flex items-center space-x-3">
+            <span>Zoom</span>
+            <input
+              type="range"
+              min="1"
+              max="3"
+              step="0.05"
+              value={edits.zoom}
+              onChange={(e) => setEdits(prev => ({ ...prev, zoom: Number(e.target.value) }))}
+              className="flex-1"
+            />
+            <button
+              onClick={() => setEdits(prev => ({ ...prev, rotation: (prev.rotation + 90) % 360, panX: 0, panY: 0 }))}
+              className="flex items-center px-3 py-1 rounded bg-gray-800"
+            >
+              <ArrowPathIcon className="h-5 w-5 mr-1" />
+              Rotate
+            </button>
+          </div>
+        )}
+
+        {panel === 'filter' && (
+          <div className="flex space-x-2 overflow-x-auto">
+            {Object.entries(STORY_FILTERS).map(([id, option]) => (
+              <button
+                key={id}
+                onClick={() => setEdits(prev => ({ ...prev, filter: id }))}
+                className={`px-3 py-1 rounded flex-shrink-0 ${edits.filter === id ? 'bg-white text-black' : 'bg-gray-800'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Selected Sticker */}
+        {!panel && selected && (
+          <div className="flex items-center justify-between">
+            <Swatches value={selected.color} onChange={value => updateLayer(selected.id, { color: value })} />
+            <div className="flex items-center space-x-2">
+              <input
+                type="range"
+                min="0.02"
+                max="0.3"
+                step="0.005"
+                value={selected.size}
+                onChange={(e) => updateLayer(selected.id, { size: Number(e.target.value) })}
+                title="Size"
+              />
+              <button onClick={removeSelected} className="p-2 rounded-full bg-gray-800 hover:text-red-400" title="Remove">
+                <TrashIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
+        )}
+        {!panel && !selected && (
+          <p className="text-center text-gray-400">Drag stickers to move them, tap one to change it</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoryEditor;
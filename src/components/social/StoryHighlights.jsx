@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { PlusIcon, PencilIcon } from '@heroicons/react/24/outline';
+import { storyService } from '../../services/StoryService';
+import StoryViewer from './StoryViewer';
+import StoryArchive from './StoryArchive';
+
+// A profile's highlights. Its owner can add highlights from their archive and edit them.
+const StoryHighlights = ({ userId, user }) => {
+  const [highlights, setHighlights] = useState([]);
+  const [playing, setPlaying] = useState(null);
+  // null when closed, true for a new highlight, or the highlight being edited
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const isOwner = userId === user.uid;
+
+  useEffect(() => storyService.subscribeToHighlights(userId, setHighlights), [userId]);
+
+  const play = async (highlight) => {
+    setError(null);
+    try {
+      const stories = (await storyService.getHighlightStories(highlight))
+        .filter(story => storyService.isVisibleTo(story, user.uid));
+      if (stories.length > 0) setPlaying(stories);
+    } catch {
+      setError('Could not load this highlight');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex overflow-x-auto space-x-4 pb-2">
+        {isOwner && (
+          <div className="flex-shrink-0 w-20">
+            <button
+              onClick={() => setEditing(true)}
+              className="w-20 h-20 rounded-full border-2 border-dashed border-gray-300 flex items-center justify-center hover:bg-gray-50"
+            >
+              <PlusIcon className="h-8 w-8 text-gray-400" />
+            </button>
+            <p className="text-xs text-center mt-2">New</p>
+          </div>
+        )}
+        {highlights.map(highlight => (
+          <div key={highlight.id} className="relative flex-shrink-0 w-20">
+            <button
+              onClick={() => play(highlight)}
+              className="w-20 h-20 rounded-full border-2 border-gray-200 overflow-hidden bg-gray-100"
+            >
+              {highlight.coverUrl && <img src={highlight.coverUrl} alt={highlight.name} className="w-full h-full object-cover" />}
+            </button>
+            {isOwner && (
+              <button
+                onClick={() => setEditing(highlight)}
+                className="absolute top-0 right-0 p-1 rounded-full bg-white shadow text-gray-500 hover:text-gray-700"
+                title="Edit highlight"
+              >
+                <PencilIcon className="h-3 w-3" />
+              </button>
+            )}
+            <p className="text-xs text-center mt-2 truncate">{highlight.name}</p>
+          </div>
+        ))}
+      </div>
+      {!isOwner && highlights.length === 0 && <p className="text-sm text-gray-500">No highlights yet</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {playing && <StoryViewer stories={playing} user={user} onClose={() => setPlaying(null)} />}
+      {editing && (
+        <StoryArchive
+          user={user}
+          highlight={editing === true ? null : editing}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default StoryHighlights;
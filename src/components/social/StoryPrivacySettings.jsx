@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { storyService } from '../../services/StoryService';
+import { SearchService } from '../../services/SearchService';
+
+// Whether stories are archived, and the people the user hides their stories from
+const StoryPrivacySettings = ({ user, onClose }) => {
+  const [hiddenFrom, setHiddenFrom] = useState([]);
+  const [keepArchive, setKeepArchive] = useState(false);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    storyService.getSettings(user.uid)
+      .then((settings) => {
+        setHiddenFrom(settings.hiddenFrom);
+        setKeepArchive(settings.keepArchive);
+      })
+      .catch(() => setError('Could not load your story settings'))
+      .finally(() => setIsLoading(false));
+  }, [user.uid]);
+
+  useEffect(() => {
+    if (!search.trim()) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      SearchService.getMentionSuggestions(search, 'user')
+        .then(found => !cancelled && setResults(found.filter(person => person.id !== user.uid)))
+        .catch(() => !cancelled && setResults([]));
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search, user.uid]);
+
+  const save = async (next) => {
+    const previous = hiddenFrom;
+    setHiddenFrom(next);
+    setError(null);
+    try {
+      await storyService.setHiddenFrom(user.uid, next);
+    } catch {
+      setHiddenFrom(previous);
+      setError('That did not work, try again');
+    }
+  };
+
+  const hide = (person) => {
+    setSearch('');
+    if (hiddenFrom.some(item => item.uid === person.id)) return;
+    save([...hiddenFrom, {
+      uid: person.id,
+      displayName: person.displayName || person.username,
+      photoURL: person.avatar || null
+    }]);
+  };
+
+  const unhide = (uid) => save(hiddenFrom.filter(person => person.uid !== uid));
+
+  const toggleArchive = async () => {
+    const next = !keepArchive;
+    setKeepArchive(next);
+    setError(null);
+    try {
+      await storyService.setKeepArchive(user.uid, next);
+    } catch {
+      setKeepArchive(!next);
+      setError('That did not work, try again');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center">
+      <div className="bg-white rounded-lg shadow-lg w-full max-w-md max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold">Story settings</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        <label className="flex items-center justify-between p-4 border-b text-sm cursor-pointer">
+          <span>
+            <span className="block font-medium">Save stories to your archive</span>
+            <span className="text-gray-500">
+              Keeps every story you post after it disappears, to add to highlights later. Only you can see your archive.
+            </span>
+          </span>
+          <input type="checkbox" checked={keepArchive} onChange={toggleArchive} disabled={isLoading} className="h-4 w-4" />
+        </label>
+
+        <div className="p-4 space-y-2 border-b">
+          <p className="text-sm font-medium">Hide story from</p>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search people"
+            className="w-full rounded border border-gray-300 px-3 py-2"
+          />
+          {results.map(person => (
+            <button
+              key={person.id}
+              onClick={() => hide(person)}
+              className="flex items-center w-full space-x-2 rounded px-2 py-1 hover:bg-gray-100"
+            >
+              <img src={person.avatar || '/default-avatar.png'} alt={person.displayName} className="w-7 h-7 rounded-full" />
+              <span>{person.displayName || person.username}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-2">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {isLoading && <p className="text-sm text-gray-500">Loading...</p>}
+          {!isLoading && hiddenFrom.length === 0 && (
+            <p className="text-sm text-gray-500">You&apos;re not hiding your stories from anyone.</p>
+          )}
+          {hiddenFrom.map(person => (
+            <div key={person.uid} className="flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <img src={person.photoURL || '/default-avatar.png'} alt={person.displayName} className="w-8 h-8 rounded-full" />
+                <span className="text-sm font-medium">{person.displayName}</span>
+              </div>
+              <button onClick={() => unhide(person.uid)} className="text-sm text-blue-500 hover:text-blue-600">
+                Show
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StoryPrivacySettings;
@@ -0,0 +1,218 @@
+import { useState, useEffect, useRef } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { XMarkIcon, EyeIcon, PaperAirplaneIcon } from '@heroicons/react/24/outline';
+import { storyService, STORY_FILTERS, STORY_REACTIONS } from '../../services/StoryService';
+
+// Photos stay up this long, videos play to the end
+const IMAGE_DURATION = 5000;
+const TICK = 100;
+
+// Lists who watched a story and how they reacted, for its author
+const StoryViewers = ({ storyId, onClose }) => {
+  const [views, setViews] = useState([]);
+
+  useEffect(() => storyService.subscribeToViews(storyId, setViews), [storyId]);
+
+  return (
+    <div className="absolute inset-x-0 bottom-0 max-h-[60%] bg-white rounded-t-lg overflow-y-auto z-20">
+      <div className="flex items-center justify-between p-4 border-b">
+        <h3 className="font-semibold">Viewed by {views.length}</h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      </div>
+      {views.length === 0 && <p className="p-4 text-sm text-gray-500">No views yet</p>}
+      {views.map(view => (
+        <div key={view.uid} className="flex items-center justify-between px-4 py-2">
+          <div className="flex items-center space-x-3">
+            <img src={view.photoURL || '/default-avatar.png'} alt={view.displayName} className="w-8 h-8 rounded-full" />
+            <div>
+              <p className="text-sm font-medium">{view.displayName}</p>
+              <p className="text-xs text-gray-500">
+                {view.viewedAt && formatDistanceToNow(view.viewedAt.toDate(), { addSuffix: true })}
+              </p>
+            </div>
+          </div>
+          {view.reaction && <span className="text-xl">{view.reaction}</span>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Plays one person's stories in order. Their author sees who watched, everyone else can react or reply.
+const StoryViewer = ({ stories, user, onClose }) => {
+  const [index, setIndex] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [showViewers, setShowViewers] = useState(false);
+  const [reply, setReply] = useState('');
+  const [isReplying, setIsReplying] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [duration, setDuration] = useState(IMAGE_DURATION);
+  const videoRef = useRef(null);
+  const story = stories[index];
+  const isAuthor = story.userId === user.uid;
+  const isPaused = showViewers || isReplying;
+
+  useEffect(() => {
+    storyService.recordView(story, user);
+  }, [story, user]);
+
+  const goTo = (nextIndex) => {
+    setElapsed(0);
+    setDuration(IMAGE_DURATION);
+    setNotice(null);
+    setIndex(nextIndex);
+  };
+
+  const next = () => {
+    if (index < stories.length - 1) {
+      goTo(index + 1);
+    } else {
+      onClose();
+    }
+  };
+
+  const previous = () => goTo(Math.max(0, index - 1));
+
+  // Photos advance on a timer, videos report their own progress
+  useEffect(() => {
+    if (story.mediaType !== 'image' || isPaused) return;
+    const timer = setInterval(() => setElapsed(prev => prev + TICK), TICK);
+    return () => clearInterval(timer);
+  }, [story, isPaused]);
+
+  useEffect(() => {
+    if (story.mediaType === 'image' && elapsed >= IMAGE_DURATION) next();
+  });
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (isPaused) {
+      video.pause();
+    } else {
+      video.play().catch(() => {});
+    }
+  }, [isPaused, story]);
+
+  const send = async (action) => {
+    setNotice(null);
+    try {
+      await action();
+      setNotice('Sent');
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const sendReply = async (e) => {
+    e.preventDefault();
+    const text = reply.trim();
+    if (!text) return;
+    setReply('');
+    e.target.elements.reply.blur();
+    await send(() => storyService.replyToStory(story, user, text));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-90 z-50 flex items-center justify-center">
+      <div className="relative aspect-[9/16] h-[90vh] max-w-full bg-black rounded-lg overflow-hidden">
+        {/* Progress */}
+        <div className="absolute top-2 inset-x-2 flex space-x-1 z-10">
+          {stories.map((item, i) => (
+            <div key={item.id} className="flex-1 h-1 bg-gray-600 rounded">
+              <div
+                className="h-full bg-white rounded"
+                style={{ width: `${i < index ? 100 : i > index ? 0 : Math.min(100, (elapsed / duration) * 100)}%` }}
+              />
+            </div>
+          ))}
+        </div>
+
+        {/* Author */}
+        <div className="absolute top-5 inset-x-3 flex items-center justify-between z-10">
+          <div className="flex items-center">
+            <img src={story.userAvatar || '/default-avatar.png'} alt={story.userName} className="w-8 h-8 rounded-full" />
+            <span className="ml-2 text-white font-medium">{story.userName}</span>
+            {story.createdAt && (
+              <span className="ml-2 text-sm text-gray-300">{formatDistanceToNow(story.createdAt.toDate())}</span>
+            )}
+          </div>
+          <button onClick={onClose} className="text-white">
+            <XMarkIcon className="h-6 w-6" />
+          </button>
+        </div>
+
+        {/* Media */}
+        {story.mediaType === 'image' ? (
+          <img src={story.mediaUrl} alt="Story" className="w-full h-full object-contain" />
+        ) : (
+          <video
+            ref={videoRef}
+            key={story.id}
+            src={story.mediaUrl}
+            className="w-full h-full object-cover"
+            style={{ filter: STORY_FILTERS[story.filter]?.css }}
+            autoPlay
+            playsInline
+            onLoadedMetadata={(e) => setDuration(e.target.duration * 1000)}
+            onTimeUpdate={(e) => setElapsed(e.target.currentTime * 1000)}
+            onEnded={next}
+          />
+        )}
+        {story.overlayUrl && (
+          <img src={story.overlayUrl} alt="" className="absolute inset-0 w-full h-full pointer-events-none" />
+        )}
+
+        {/* Tap the left or right side to go back or forward */}
+        <button onClick={previous} className="absolute left-0 top-16 bottom-28 w-1/3" aria-label="Previous story" />
+        <button onClick={next} className="absolute right-0 top-16 bottom-28 w-1/3" aria-label="Next story" />
+
+        {/* Viewers or Replies */}
+        <div className="absolute bottom-0 inset-x-0 p-3 bg-gradient-to-t from-black to-transparent space-y-2">
+          {notice && <p className="text-center text-sm text-white">{notice}</p>}
+          {isAuthor ? (
+            <button onClick={() => setShowViewers(true)} className="flex items-center text-white">
+              <EyeIcon className="h-5 w-5 mr-1" />
+              {story.viewCount || 0}
+            </button>
+          ) : (
+            <>
+              <div className="flex justify-around text-2xl">
+                {STORY_REACTIONS.map(emoji => (
+                  <button
+                    key={emoji}
+                    onClick={() => send(() => storyService.reactToStory(story, user, emoji))}
+                    className="hover:scale-125 transition-transform"
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+              <form onSubmit={sendReply} className="flex space-x-2">
+                <input
+                  type="text"
+                  name="reply"
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  onFocus={() => setIsReplying(true)}
+                  onBlur={() => setIsReplying(false)}
+                  placeholder={`Reply to ${story.userName}...`}
+                  className="flex-1 rounded-full bg-transparent border border-gray-400 px-4 py-2 text-white placeholder-gray-300 focus:outline-none"
+                />
+                <button type="submit" className="text-white" title="Send">
+                  <PaperAirplaneIcon className="h-6 w-6" />
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+
+        {showViewers && <StoryViewers storyId={story.id} onClose={() => setShowViewers(false)} />}
+      </div>
+    </div>
+  );
+};
+
+export default StoryViewer;
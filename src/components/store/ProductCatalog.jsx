@@ -186,7 +186,8 @@ const ProductCatalog = ({ storeId = null, user }) => {
       } else {
         // Update existing cart
         const currentItems = cartDoc.data().items || [];
-        const existingItem = currentItems.find(item => item.productId === product.id);
+        // Stream priced lines are kept apart from regular ones
+        const existingItem = currentItems.find(item => item.productId === product.id && !item.streamId);
 
         if (existingItem) {
           existingItem.quantity += 1;
@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { db } from '../../config/firebase';
-import { doc, updateDoc, getDoc, collection, addDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, updateDoc, getDoc, collection, runTransaction, serverTimestamp } from 'firebase/firestore';
 import { TrashIcon, MinusIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { liveShoppingService } from '../../services/LiveShoppingService';
 
 const ShoppingCart = ({ user, onClose }) => {
   const [cart, setCart] = useState([]);
@@ -32,7 +33,7 @@ const ShoppingCart = ({ user, onClose }) => {
         const cartData = cartDoc.data();
         // Fetch product details for each item in cart
         const cartItemsWithDetails = await Promise.all(
-          cartData.items.map(async (item) => {
+          (cartData.items || []).map(async (item) => {
             const productDoc = await getDoc(doc(db, 'products', item.productId));
             return {
               ...item,
@@ -48,13 +49,13 @@ const ShoppingCart = ({ user, onClose }) => {
     }
   };
 
-  const updateQuantity = async (productId, newQuantity) => {
+  const updateQuantity = async (lineKey, newQuantity) => {
     if (newQuantity < 1) return;
 
     try {
       const cartRef = doc(db, 'carts', user.uid);
       const updatedItems = cart.map(item => 
-        item.product.id === productId
+        liveShoppingService.getCartLineKey(item) === lineKey
           ? { ...item, quantity: newQuantity }
           : item
       );
@@ -67,10 +68,10 @@ const ShoppingCart = ({ user, onClose }) => {
     }
   };
 
-  const removeItem = async (productId) => {
+  const removeItem = async (lineKey) => {
     try {
       const cartRef = doc(db, 'carts', user.uid);
-      const updatedItems = cart.filter(item => item.product.id !== productId);
+      const updatedItems = cart.filter(item => liveShoppingService.getCartLineKey(item) !== lineKey);
       await updateDoc(cartRef, { items: updatedItems });
       setCart(updatedItems);
     } catch (error) {
@@ -79,8 +80,11 @@ const ShoppingCart = ({ user, onClose }) => {
     }
   };
 
+  // Items added from a livestream keep the stream price until the offer ends
+  const getPrice = (item) => liveShoppingService.getItemPrice(item, item.product);
+
   const calculateSubtotal = () => {
-    return cart.reduce((total, item) => total + (item.product.price * item.quantity), 0);
+    return cart.reduce((total, item) => total + (getPrice(item) * item.quantity), 0);
   };
 
   const calculateShipping = () => {
@@ -88,13 +92,13 @@ const ShoppingCart = ({ user, onClose }) => {
     return 0; // Placeholder
   };
 
-  const calculateTax = () => {
+  const calculateTax = (subtotal = calculateSubtotal()) => {
     // Implement tax calculation based on location and products
-    return calculateSubtotal() * 0.15; // 15% tax rate placeholder
+    return subtotal * 0.15; // 15% tax rate placeholder
   };
 
-  const calculateTotal = () => {
-    return calculateSubtotal() + calculateShipping() + calculateTax();
+  const calculateTotal = (subtotal = calculateSubtotal()) => {
+    return subtotal + calculateShipping() + calculateTax(subtotal);
   };
 
   const handleCheckout = async () => {
@@ -107,30 +111,68 @@ const ShoppingCart = ({ user, onClose }) => {
     setError(null);
 
     try {
-      // Create order
-      const orderData = {
-        userId: user.uid,
-        items: cart.map(item => ({
+      // Stream prices are charged as the stream has them now, in server time, never as the cart remembers them
+      const clockOffset = await liveShoppingService.getServerClockOffset(user.uid);
+      const cartRef = doc(db, 'carts', user.uid);
+      const orderRef = doc(collection(db, 'orders'));
+
+      const result = await runTransaction(db, async (transaction) => {
+        const streams = await liveShoppingService.getCartStreams(transaction, cart);
+        const now = Date.now() + clockOffset;
+        const pins = cart.map(item => liveShoppingService.getCheckoutPin(item, streams, now));
+        const items = cart.map((item, i) => ({
           productId: item.product.id,
           quantity: item.quantity,
-          price: item.product.price,
-          name: item.product.name
-        })),
-        shippingAddress,
-        shippingMethod: selectedShipping,
-        paymentMethod: selectedPayment,
-        subtotal: calculateSubtotal(),
-        shipping: calculateShipping(),
-        tax: calculateTax(),
-        total: calculateTotal(),
-        status: 'pending',
-        createdAt: serverTimestamp()
-      };
+          price: pins[i] ? pins[i].livePrice : item.product.price,
+          name: item.product.name,
+          // Orders link back to the stream the item was added from, for per stream revenue.
+          // Once the stream price ran out it's a regular sale.
+          ...(pins[i] && {
+            streamId: item.streamId,
+            regularPrice: item.product.price
+          })
+        }));
 
-      await addDoc(collection(db, 'orders'), orderData);
+        // A stream price that ended or went up since the cart was shown is corrected, not charged
+        if (items.some((orderItem, i) => orderItem.price > getPrice(cart[i]))) {
+          const lines = cart.map((item, i) => (item.streamId ? {
+            ...item,
+            livePrice: pins[i] ? pins[i].livePrice : item.livePrice,
+            priceExpiresAt: pins[i] ? pins[i].endsAt : 0
+          } : item));
+          transaction.update(cartRef, { items: lines });
+          return { lines };
+        }
+
+        const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+        const storeIds = [...new Set(cart.map(item => item.product.storeId))];
+        transaction.set(orderRef, {
+          userId: user.uid,
+          // Store dashboards find their orders by storeId
+          ...(storeIds.length === 1 && storeIds[0] && { storeId: storeIds[0] }),
+          items,
+          shippingAddress,
+          shippingMethod: selectedShipping,
+          paymentMethod: selectedPayment,
+          subtotal,
+          shipping: calculateShipping(),
+          tax: calculateTax(subtotal),
+          total: calculateTotal(subtotal),
+          status: 'pending',
+          createdAt: serverTimestamp()
+        });
+        // Clear cart
+        transaction.update(cartRef, { items: [] });
+        return { items };
+      });
+
+      if (result.lines) {
+        setCart(result.lines);
+        setError('Some livestream prices in your cart have changed, check the new total');
+        return;
+      }
 
-      // Clear cart
-      await updateDoc(doc(db, 'carts', user.uid), { items: [] });
+      await liveShoppingService.recordCartPurchase(user, result.items);
       setCart([]);
       onClose();
     } catch (error) {
@@ -164,7 +206,7 @@ const ShoppingCart = ({ user, onClose }) => {
             <div className="col-span-2 space-y-4">
               {cart.map((item) => (
                 <div
-                  key={item.product.id}
+                  key={liveShoppingService.getCartLineKey(item)}
                   className="flex items-center space-x-4 border rounded-lg p-4"
                 >
                   <img
@@ -174,24 +216,32 @@ const ShoppingCart = ({ user, onClose }) => {
                   />
                   <div className="flex-1">
                     <h4 className="font-medium">{item.product.name}</h4>
-                    <p className="text-gray-600">${item.product.price}</p>
+                    {getPrice(item) !== item.product.price ? (
+                      <p>
+                        <span className="text-red-600 font-medium">${getPrice(item)}</span>
+                        <span className="ml-2 text-gray-400 line-through">${item.product.price}</span>
+                        <span className="ml-2 text-xs text-gray-500">Livestream price</span>
+                      </p>
+                    ) : (
+                      <p className="text-gray-600">${item.product.price}</p>
+                    )}
                   </div>
                   <div className="flex items-center space-x-2">
                     <button
-                      onClick={() => updateQuantity(item.product.id, item.quantity - 1)}
+                      onClick={() => updateQuantity(liveShoppingService.getCartLineKey(item), item.quantity - 1)}
                       className="p-1 rounded-full bg-gray-100 hover:bg-gray-200"
                     >
                       <MinusIcon className="h-4 w-4" />
                     </button>
                     <span>{item.quantity}</span>
                     <button
-                      onClick={() => updateQuantity(item.product.id, item.quantity + 1)}
+                      onClick={() => updateQuantity(liveShoppingService.getCartLineKey(item), item.quantity + 1)}
                       className="p-1 rounded-full bg-gray-100 hover:bg-gray-200"
                     >
                       <PlusIcon className="h-4 w-4" />
                     </button>
                     <button
-                      onClick={() => removeItem(item.product.id)}
+                      onClick={() => removeItem(liveShoppingService.getCartLineKey(item))}
                       className="p-1 rounded-full bg-red-100 hover:bg-red-200 text-red-600"
                     >
                       <TrashIcon className="h-4 w-4" />
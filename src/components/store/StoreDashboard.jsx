@@ -7,8 +7,10 @@ import {
   UserGroupIcon,
   ChartBarIcon,
   TruckIcon,
-  StarIcon
+  StarIcon,
+  VideoCameraIcon
 } from '@heroicons/react/24/outline';
+import { liveShoppingService } from '../../services/LiveShoppingService';
 import ProductManager from './ProductManager';
 import OrderManager from './OrderManager';
 import { Line, Bar } from 'react-chartjs-2';
@@ -52,6 +54,7 @@ const StoreDashboard = ({ user, storeId }) => {
     datasets: []
   });
   const [topProducts, setTopProducts] = useState([]);
+  const [streamSales, setStreamSales] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -106,6 +109,11 @@ const StoreDashboard = ({ user, storeId }) => {
         pendingOrders,
         totalProducts: products.length
       });
+
+      // Revenue per livestream
+      const streamRevenue = liveShoppingService.getStreamRevenue(orders);
+      const streamTitles = await liveShoppingService.getStreamTitles(streamRevenue.map(entry => entry.streamId));
+      setStreamSales(streamRevenue.map(entry => ({ ...entry, ...streamTitles[entry.streamId] })));
     } catch (error) {
       console.error('Error loading statistics:', error);
     }
@@ -257,6 +265,45 @@ const StoreDashboard = ({ user, storeId }) => {
         </div>
       </div>
 
+      {/* Livestream Sales */}
+      {streamSales.length > 0 && (
+        <div className="bg-white p-6 rounded-lg shadow-sm border">
+          <h3 className="text-lg font-semibold mb-4">Livestream Sales</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2">Stream</th>
+                <th className="py-2 text-right">Orders</th>
+                <th className="py-2 text-right">Units</th>
+                <th className="py-2 text-right">Revenue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {streamSales.map(entry => (
+                <tr key={entry.streamId} className="border-b last:border-0">
+                  <td className="py-2">
+                    <div className="flex items-center">
+                      <VideoCameraIcon className="h-5 w-5 text-red-500 mr-2" />
+                      <div>
+                        <p className="font-medium">{entry.title || 'Livestream'}</p>
+                        {entry.startedAt && (
+                          <p className="text-xs text-gray-500">
+                            {entry.startedAt.toDate().toLocaleDateString()}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </td>
+                  <td className="py-2 text-right">{entry.orders}</td>
+                  <td className="py-2 text-right">{entry.units}</td>
+                  <td className="py-2 text-right font-medium">${entry.revenue.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Top Products */}
       <div className="bg-white p-6 rounded-lg shadow-sm border">
         <h3 className="text-lg font-semibold mb-4">Top Products</h3>
@@ -20,3 +20,9 @@ const app = initializeApp(firebaseConfig);
 export const auth = getAuth(app);
 export const db = getFirestore(app);
 export const storage = getStorage(app);
+
+// Firestore batches take at most 500 writes
+export const BATCH_WRITE_LIMIT = 500;
+
+// Firestore 'in' queries accept at most 30 values
+export const IN_QUERY_LIMIT = 30;
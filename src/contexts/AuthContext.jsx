@@ -11,6 +11,7 @@ import { auth } from '../config/firebase';
 import { useDispatch, useSelector } from 'react-redux';
 import { setUser, setLoading, setError, logout as logoutAction } from '../stores/slices/authSlice';
 import { useNavigate } from 'react-router-dom';
+import { presenceService } from '../services/PresenceService';
 
 export const AuthContext = createContext();
 
@@ -62,6 +63,8 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      // Presence has to be cleared while the user can still write it
+      await presenceService.stop().catch(() => {});
       await signOut(auth);
       dispatch(logoutAction());
       navigate('/');
@@ -88,6 +91,15 @@ export const AuthProvider = ({ children }) => {
     return unsubscribe;
   }, [dispatch]);
 
+  useEffect(() => {
+    if (!user) return;
+
+    presenceService.start(user);
+    return () => {
+      presenceService.stop().catch(() => {});
+    };
+  }, [user]);
+
   const value = {
     user,
     signup,
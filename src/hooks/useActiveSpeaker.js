@@ -0,0 +1,86 @@
+import { useState, useEffect, useRef } from 'react';
+
+const SAMPLE_INTERVAL = 200;
+const SPEAKING_THRESHOLD = 0.02;
+// Keep the current speaker highlighted for a moment so short pauses don't flicker the grid
+const HOLD_TIME = 1500;
+
+// streams maps a participant id to a MediaStream, returns the id of whoever is loudest
+export const useActiveSpeaker = (streams) => {
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+  const analysersRef = useRef(new Map());
+  const contextRef = useRef(null);
+  const lastSpokeRef = useRef(0);
+
+  useEffect(() => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    if (!contextRef.current) contextRef.current = new AudioContextClass();
+    const context = contextRef.current;
+    const analysers = analysersRef.current;
+
+    Object.entries(streams).forEach(([id, stream]) => {
+      const existing = analysers.get(id);
+      if (existing?.stream === stream) return;
+      existing?.source.disconnect();
+
+      if (!stream?.getAudioTracks().length) {
+        analysers.delete(id);
+        return;
+      }
+      const source = context.createMediaStreamSource(stream);
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 512;
+      source.connect(analyser);
+      analysers.set(id, { stream, source, analyser, data: new Float32Array(analyser.fftSize) });
+    });
+
+    analysers.forEach((entry, id) => {
+      if (!streams[id]) {
+        entry.source.disconnect();
+        analysers.delete(id);
+      }
+    });
+  }, [streams]);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      let loudest = null;
+      let loudestLevel = SPEAKING_THRESHOLD;
+
+      analysersRef.current.forEach(({ stream, analyser, data }, id) => {
+        if (!stream.getAudioTracks().some(track => track.enabled)) return;
+        analyser.getFloatTimeDomainData(data);
+        const level = Math.sqrt(data.reduce((sum, value) => sum + value * value, 0) / data.length);
+        if (level > loudestLevel) {
+          loudest = id;
+          loudestLevel = level;
+        }
+      });
+
+      if (loudest) {
+        lastSpokeRef.current = Date.now();
+        setActiveSpeaker(loudest);
+      } else if (Date.now() - lastSpokeRef.current > HOLD_TIME) {
+        setActiveSpeaker(null);
+      }
+    }, SAMPLE_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    const analysers = analysersRef.current;
+    return () => {
+      analysers.forEach(entry => entry.source.disconnect());
+      analysers.clear();
+      contextRef.current?.close();
+      contextRef.current = null;
+    };
+  }, []);
+
+  return activeSpeaker;
+};
+
+export default useActiveSpeaker;
@@ -0,0 +1,249 @@
+import { useState, useEffect, useRef } from 'react';
+import Peer from 'simple-peer';
+import { broadcastSignalingService } from '../services/BroadcastSignalingService';
+import { liveStreamService } from '../services/LiveStreamService';
+
+const RECONNECT_DELAY = 1000;
+// A viewer gives up on a parent that never delivers and asks to be moved
+const UPSTREAM_TIMEOUT = 15000;
+
+// Connects to a livestream as its broadcaster (sending `stream`) or as a viewer. Viewers that
+// are assigned children forward what they receive, so large audiences form a relay tree.
+// Status: connecting, waiting (no parent yet), live, ended or error.
+export const useBroadcast = (streamId, user, { role, stream = null, transport, record = true, relayMode = true }) => {
+  const [status, setStatus] = useState('connecting');
+  const [remoteStream, setRemoteStream] = useState(null);
+  const [viewers, setViewers] = useState([]);
+  const [childCount, setChildCount] = useState(0);
+  const [error, setError] = useState(null);
+  const sourceRef = useRef(stream);
+  const relayModeRef = useRef(relayMode);
+  const replanRef = useRef(null);
+
+  useEffect(() => {
+    if (role === 'broadcaster') sourceRef.current = stream;
+  }, [role, stream]);
+
+  useEffect(() => {
+    relayModeRef.current = relayMode;
+    replanRef.current?.();
+  }, [relayMode]);
+
+  useEffect(() => {
+    if (!streamId || !user) return;
+
+    let cancelled = false;
+    let joined = false;
+    const unsubscribes = [];
+    const channel = broadcastSignalingService.connect(streamId, user, { role, transport, record });
+    // Viewers this node sends to, and the connection it receives from
+    const children = new Map();
+    let childIds = [];
+    let upstream = null;
+    let parentId = null;
+    let upstreamTimer = null;
+    // Offers can arrive before the assignment that explains them
+    const pending = new Map();
+
+    const closeChild = (childId) => {
+      children.get(childId)?.destroy();
+      children.delete(childId);
+      setChildCount(children.size);
+    };
+
+    const openChild = (childId) => {
+      if (!sourceRef.current) return;
+
+      const peer = new Peer({ initiator: true, trickle: true, streams: [sourceRef.current] });
+      peer.session = crypto.randomUUID();
+      children.set(childId, peer);
+      setChildCount(children.size);
+
+      peer.on('signal', data => channel.send(childId, { ...data, session: peer.session }));
+      const handleClosed = () => {
+        if (children.get(childId) !== peer) return;
+        closeChild(childId);
+        setTimeout(() => {
+          if (!cancelled && childIds.includes(childId) && !children.has(childId)) openChild(childId);
+        }, RECONNECT_DELAY);
+      };
+      peer.on('close', handleClosed);
+      peer.on('error', (peerError) => {
+        console.error('Error in broadcast connection:', peerError);
+        handleClosed();
+      });
+    };
+
+    const syncChildren = (list) => {
+      childIds = list.map(viewer => viewer.uid);
+      Array.from(children.keys()).forEach((childId) => {
+        if (!childIds.includes(childId)) closeChild(childId);
+      });
+      childIds.forEach((childId) => {
+        if (!children.has(childId)) openChild(childId);
+      });
+    };
+
+    // A relay that receives a new stream restarts its children on it
+    const restartChildren = () => {
+      Array.from(children.keys()).forEach(closeChild);
+      childIds.forEach(openChild);
+    };
+
+    const closeUpstream = () => {
+      clearTimeout(upstreamTimer);
+      upstream?.destroy();
+      upstream = null;
+    };
+
+    const reportFailedParent = (failedId) => {
+      if (cancelled || parentId !== failedId) return;
+      closeUpstream();
+      channel.update({ parentFailed: failedId });
+    };
+
+    const acceptOffer = (from, session, data) => {
+      closeUpstream();
+      const peer = new Peer({ initiator: false, trickle: true });
+      peer.session = session;
+      upstream = peer;
+
+      upstreamTimer = setTimeout(() => {
+        if (upstream === peer && !peer.connected) reportFailedParent(from);
+      }, UPSTREAM_TIMEOUT);
+
+      peer.on('signal', signal => channel.send(from, { ...signal, session }));
+      peer.on('stream', (received) => {
+        clearTimeout(upstreamTimer);
+        sourceRef.current = received;
+        setRemoteStream(received);
+        setStatus('live');
+        restartChildren();
+      });
+      const handleClosed = () => {
+        if (upstream !== peer) return;
+        upstream = null;
+        clearTimeout(upstreamTimer);
+        // The parent usually comes back with a new offer, if not we ask to be moved
+        upstreamTimer = setTimeout(() => reportFailedParent(from), UPSTREAM_TIMEOUT);
+      };
+      peer.on('close', handleClosed);
+      peer.on('error', (peerError) => {
+        console.error('Error in broadcast connection:', peerError);
+        handleClosed();
+      });
+      peer.signal(data);
+    };
+
+    const handleSignal = (from, { session, ...data }) => {
+      const child = children.get(from);
+      if (child) {
+        if (child.session !== session) return;
+        try {
+          child.signal(data);
+        } catch (signalError) {
+          console.error('Error applying broadcast signal:', signalError);
+        }
+        return;
+      }
+
+      if (role !== 'viewer') return;
+      if (from !== parentId) {
+        pending.set(from, [...(pending.get(from) || []), { session, data }]);
+        return;
+      }
+      if (data.type === 'offer' && upstream?.session !== session) {
+        acceptOffer(from, session, data);
+        return;
+      }
+      if (upstream?.session === session) {
+        try {
+          upstream.signal(data);
+        } catch (signalError) {
+          console.error('Error applying broadcast signal:', signalError);
+        }
+      }
+    };
+
+    const handleSelf = (viewer) => {
+      if (!viewer) return;
+      const nextParent = viewer.parentId || null;
+      if (nextParent === parentId) return;
+
+      parentId = nextParent;
+      closeUpstream();
+      if (!parentId) {
+        setStatus('waiting');
+        return;
+      }
+      setStatus('connecting');
+      const queued = pending.get(parentId) || [];
+      pending.clear();
+      queued.forEach(({ session, data }) => handleSignal(parentId, { session, ...data }));
+    };
+
+    // Only the broadcaster plans the tree
+    let latestViewers = [];
+    const handleViewers = (list) => {
+      latestViewers = list;
+      setViewers(list);
+      liveStreamService.assignParents(list, user.uid, { relayMode: relayModeRef.current })
+        .forEach(([uid, nextParent]) => channel.assign(uid, nextParent));
+    };
+    replanRef.current = () => handleViewers(latestViewers);
+
+    const start = async () => {
+      try {
+        await channel.join();
+        joined = true;
+        if (cancelled) {
+          leave();
+          return;
+        }
+
+        setStatus(role === 'broadcaster' ? 'live' : 'waiting');
+        unsubscribes.push(channel.onSignal(handleSignal));
+        unsubscribes.push(channel.onChildren(syncChildren));
+        if (role === 'broadcaster') {
+          unsubscribes.push(channel.onViewers(handleViewers));
+        } else {
+          unsubscribes.push(channel.onSelf(handleSelf));
+          unsubscribes.push(channel.onEnded(() => {
+            setStatus('ended');
+            closeUpstream();
+            Array.from(children.keys()).forEach(closeChild);
+          }));
+        }
+      } catch (joinError) {
+        console.error('Error joining livestream:', joinError);
+        setError(joinError.message);
+        setStatus('error');
+      }
+    };
+
+    const leave = () => {
+      if (!joined) return;
+      joined = false;
+      channel.leave().catch(() => {});
+    };
+
+    start();
+    window.addEventListener('pagehide', leave);
+
+    return () => {
+      cancelled = true;
+      replanRef.current = null;
+      window.removeEventListener('pagehide', leave);
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      closeUpstream();
+      children.forEach(peer => peer.destroy());
+      children.clear();
+      leave();
+      channel.close();
+    };
+  }, [streamId, user, role, transport, record]);
+
+  return { status, remoteStream, viewers, childCount, error };
+};
+
+export default useBroadcast;
@@ -0,0 +1,242 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { callChatService, CHUNK_SIZE, MAX_FILE_SIZE } from '../services/CallChatService';
+
+// Only re-render for progress in steps of this fraction
+const PROGRESS_STEP = 0.01;
+
+// Chat messages and file transfers sent over each peer's data channel during a call.
+// handleData must receive every 'data' event from the call's peers.
+export const useCallChat = (peersRef, { user, isOpen }) => {
+  const [items, setItems] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const incomingRef = useRef(new Map());
+  const urlsRef = useRef([]);
+  const isOpenRef = useRef(isOpen);
+
+  useEffect(() => {
+    isOpenRef.current = isOpen;
+    if (isOpen) setUnread(0);
+  }, [isOpen]);
+
+  useEffect(() => {
+    const urls = urlsRef.current;
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const addItem = useCallback((item, fromSelf) => {
+    setItems(prev => [...prev, item]);
+    if (!fromSelf && !isOpenRef.current) setUnread(count => count + 1);
+  }, []);
+
+  const failIncoming = useCallback((transferId, error) => {
+    incomingRef.current.delete(transferId);
+    updateItem(transferId, { status: 'failed', error });
+  }, [updateItem]);
+
+  const finishIncoming = useCallback(async (transferId) => {
+    const transfer = incomingRef.current.get(transferId);
+    if (!transfer) return;
+    incomingRef.current.delete(transferId);
+
+    if (transfer.nextIndex !== transfer.chunkCount || transfer.received !== transfer.size) {
+      updateItem(transferId, { status: 'failed', error: 'Some parts of the file are missing' });
+      return;
+    }
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mime });
+    const hash = await callChatService.hash(blob);
+    if (hash !== transfer.sha256) {
+      updateItem(transferId, { status: 'failed', error: 'The file was corrupted in transfer' });
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    urlsRef.current.push(url);
+    updateItem(transferId, { status: 'done', progress: 1, url });
+  }, [updateItem]);
+
+  const handleData = useCallback((remoteId, data) => {
+    const frame = callChatService.decode(data);
+    if (!frame) return;
+
+    if (frame.kind === 'chunk') {
+      const transfer = incomingRef.current.get(frame.transferId);
+      if (!transfer || transfer.from !== remoteId) return;
+      // The data channel is ordered, a gap means the transfer can't be trusted
+      if (frame.index !== transfer.nextIndex || transfer.received + frame.bytes.length > transfer.size) {
+        failIncoming(frame.transferId, 'The file arrived out of order');
+        return;
+      }
+
+      transfer.chunks.push(frame.bytes);
+      transfer.nextIndex += 1;
+      transfer.received += frame.bytes.length;
+      const progress = transfer.received / transfer.size;
+      if (progress - transfer.reportedProgress >= PROGRESS_STEP) {
+        transfer.reportedProgress = progress;
+        updateItem(frame.transferId, { progress });
+      }
+      return;
+    }
+
+    const { message } = frame;
+    // Anything a peer sends is untrusted, drop frames that aren't messages
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) return;
+    switch (message.type) {
+      case 'chat':
+        addItem({
+          id: message.id,
+          kind: 'message',
+          from: remoteId,
+          fromName: message.fromName,
+          text: String(message.text),
+          sentAt: message.sentAt
+        });
+        break;
+      case 'file-offer': {
+        const size = Number(message.size);
+        const tooLarge = !(size > 0 && size <= MAX_FILE_SIZE);
+        addItem({
+          id: message.transferId,
+          kind: 'file',
+          direction: 'incoming',
+          from: remoteId,
+          fromName: message.fromName,
+          name: String(message.name),
+          size,
+          mime: message.mime,
+          sentAt: message.sentAt,
+          progress: 0,
+          status: tooLarge ? 'failed' : 'receiving',
+          error: tooLarge ? 'File is too large' : null
+        });
+        if (tooLarge) return;
+
+        incomingRef.current.set(message.transferId, {
+          from: remoteId,
+          size,
+          mime: message.mime || 'application/octet-stream',
+          sha256: message.sha256,
+          chunkCount: Math.ceil(size / CHUNK_SIZE),
+          chunks: [],
+          nextIndex: 0,
+          received: 0,
+          reportedProgress: 0
+        });
+        break;
+      }
+      case 'file-end':
+        finishIncoming(message.transferId);
+        break;
+      case 'file-cancel':
+        if (incomingRef.current.get(message.transferId)?.from === remoteId) {
+          failIncoming(message.transferId, 'The sender cancelled the transfer');
+        }
+        break;
+      default:
+        break;
+    }
+  }, [addItem, updateItem, failIncoming, finishIncoming]);
+
+  // Transfers from someone who dropped out can never finish
+  const handlePeerClosed = useCallback((remoteId) => {
+    incomingRef.current.forEach((transfer, transferId) => {
+      if (transfer.from === remoteId) failIncoming(transferId, 'The sender left the call');
+    });
+  }, [failIncoming]);
+
+  const getConnectedPeers = () => Array.from(peersRef.current.values()).filter(peer => peer.connected);
+
+  const sendText = (text) => {
+    const message = {
+      type: 'chat',
+      id: crypto.randomUUID(),
+      text,
+      fromName: user.displayName || 'Someone',
+      sentAt: Date.now()
+    };
+    const frame = callChatService.encodeMessage(message);
+    getConnectedPeers().forEach(peer => peer.send(frame));
+    addItem({ ...message, kind: 'message', from: user.uid }, true);
+  };
+
+  const sendFile = async (file) => {
+    const transferId = callChatService.createTransferId();
+    const peers = getConnectedPeers();
+    const item = {
+      id: transferId,
+      kind: 'file',
+      direction: 'outgoing',
+      from: user.uid,
+      fromName: user.displayName || 'Someone',
+      name: file.name,
+      size: file.size,
+      mime: file.type,
+      sentAt: Date.now(),
+      progress: 0,
+      status: 'sending',
+      error: null
+    };
+
+    if (file.size === 0 || file.size > MAX_FILE_SIZE) {
+      addItem({ ...item, status: 'failed', error: `Files must be under ${MAX_FILE_SIZE / 1024 / 1024} MB` }, true);
+      return;
+    }
+    if (peers.length === 0) {
+      addItem({ ...item, status: 'failed', error: 'Nobody is connected yet' }, true);
+      return;
+    }
+
+    addItem(item, true);
+    const url = URL.createObjectURL(file);
+    urlsRef.current.push(url);
+
+    try {
+      const sha256 = await callChatService.hash(file);
+      const offer = callChatService.encodeMessage({
+        type: 'file-offer',
+        transferId,
+        name: file.name,
+        size: file.size,
+        mime: file.type,
+        sha256,
+        fromName: item.fromName,
+        sentAt: item.sentAt
+      });
+
+      // Progress is shared across everyone the file goes to
+      const sent = new Map();
+      let reported = 0;
+      await Promise.all(peers.map(async (peer) => {
+        try {
+          peer.send(offer);
+          await callChatService.sendFile(peer, file, transferId, (bytes) => {
+            sent.set(peer, bytes);
+            const progress = Array.from(sent.values()).reduce((total, value) => total + value, 0) / (file.size * peers.length);
+            if (progress - reported >= PROGRESS_STEP) {
+              reported = progress;
+              updateItem(transferId, { progress });
+            }
+          });
+          peer.send(callChatService.encodeMessage({ type: 'file-end', transferId }));
+        } catch (error) {
+          if (!peer.destroyed) peer.send(callChatService.encodeMessage({ type: 'file-cancel', transferId }));
+          throw error;
+        }
+      }));
+
+      updateItem(transferId, { status: 'done', progress: 1, url });
+    } catch (error) {
+      console.error('Error sending file:', error);
+      updateItem(transferId, { status: 'failed', error: error.message, url });
+    }
+  };
+
+  return { items, unread, sendText, sendFile, handleData, handlePeerClosed };
+};
+
+export default useCallChat;
@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+import { callRecordingService } from '../services/CallRecordingService';
+
+// Recording is announced through participant state: the recorder sets `recording` to an id
+// and everyone else answers with `recordingConsent: { id, allowed }`. Only people who allowed
+// it are mixed into the recording. sources are the streams in the call, see CompositeRecorder.
+export const useCallRecording = (channelRef, { callId, user, participants, sources, upload }) => {
+  const [recordingId, setRecordingId] = useState(null);
+  const [result, setResult] = useState(null);
+  const recorderRef = useRef(null);
+  const uploadRef = useRef(upload);
+
+  useEffect(() => {
+    uploadRef.current = upload;
+  }, [upload]);
+
+  const self = participants.find(participant => participant.uid === user.uid);
+  const otherRecorder = participants.find(participant => participant.uid !== user.uid && participant.recording);
+  const remoteParticipants = participants.filter(participant => participant.uid !== user.uid);
+  const answerFor = participant => (participant.recordingConsent?.id === recordingId ? participant.recordingConsent.allowed : null);
+  const included = recordingId ? remoteParticipants.filter(participant => answerFor(participant) === true) : [];
+  const declined = recordingId ? remoteParticipants.filter(participant => answerFor(participant) === false) : [];
+  const pending = recordingId ? remoteParticipants.filter(participant => answerFor(participant) === null) : [];
+  // Someone else is recording and we haven't answered their request yet
+  const consentRequest = otherRecorder && self?.recordingConsent?.id !== otherRecorder.recording
+    ? otherRecorder
+    : null;
+
+  const recordedSources = sources.filter(
+    source => source.uid === user.uid || included.some(participant => participant.uid === source.uid)
+  );
+
+  // Cheap when nothing changed, the recorder only rewires streams it hasn't seen
+  useEffect(() => {
+    recorderRef.current?.setSources(recordedSources);
+  });
+
+  const finishRecording = async (recorder, id) => {
+    const blob = await recorder.stop();
+    const url = URL.createObjectURL(blob);
+    setResult({ id, url, size: blob.size, status: uploadRef.current ? 'uploading' : 'ready' });
+    if (!uploadRef.current) return;
+
+    try {
+      const remoteUrl = await callRecordingService.uploadRecording(callId, user.uid, blob);
+      setResult(prev => (prev?.id === id ? { ...prev, status: 'saved', remoteUrl } : prev));
+    } catch {
+      setResult(prev => (prev?.id === id ? { ...prev, status: 'failed' } : prev));
+    }
+  };
+
+  const start = () => {
+    if (recorderRef.current || otherRecorder) return;
+
+    const id = callRecordingService.createRecordingId();
+    const recorder = callRecordingService.createRecorder();
+    recorderRef.current = recorder;
+    setRecordingId(id);
+    setResult(null);
+    channelRef.current?.updateParticipant({ recording: id });
+
+    // Starts with our own streams, others join the mix as they allow it
+    recorder.setSources(sources.filter(source => source.uid === user.uid));
+    recorder.start();
+  };
+
+  const stop = () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+
+    recorderRef.current = null;
+    setRecordingId(null);
+    channelRef.current?.updateParticipant({ recording: null });
+    finishRecording(recorder, recordingId);
+  };
+
+  const respond = (allowed) => {
+    if (!consentRequest) return;
+    channelRef.current?.updateParticipant({ recordingConsent: { id: consentRequest.recording, allowed } });
+  };
+
+  // Leaving the call stops the recording, it is still saved when uploads are on
+  useEffect(() => () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    recorder.stop().then((blob) => {
+      if (uploadRef.current) callRecordingService.uploadRecording(callId, user.uid, blob).catch(() => {});
+    });
+  }, [callId, user.uid]);
+
+  useEffect(() => {
+    const url = result?.url;
+    return () => {
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [result?.url]);
+
+  return {
+    isRecording: Boolean(recordingId),
+    otherRecorder,
+    consentRequest,
+    included,
+    declined,
+    pending,
+    result,
+    dismissResult: () => setResult(null),
+    start,
+    stop,
+    respond
+  };
+};
+
+export default useCallRecording;
@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { callStatsService } from '../services/CallStatsService';
+
+const QUALITY_ORDER = ['good', 'fair', 'poor'];
+
+// Polls every peer connection in peersRef (remote id -> simple-peer), steps video quality
+// down and back up per peer, and records a quality summary for the call when it ends
+export const useCallStats = (peersRef, { callId, userId, record = true, interval = 2000 }) => {
+  const [stats, setStats] = useState({});
+  const [levels, setLevels] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    const peerStates = new Map();
+    const summary = callStatsService.createSummary();
+    const startedAt = Date.now();
+
+    const poll = async () => {
+      const nextStats = {};
+      const nextLevels = {};
+      // simple-peer doesn't expose stats in the standard shape, so its connection is read directly
+      const entries = Array.from(peersRef.current.entries())
+        .filter(([, peer]) => peer.connected && !peer.destroyed && peer._pc);
+
+      await Promise.all(entries.map(async ([remoteId, peer]) => {
+        const pc = peer._pc;
+        let state = peerStates.get(remoteId);
+        if (!state || state.pc !== pc) {
+          state = { pc, totals: null, level: 0, streak: { bad: 0, good: 0 } };
+          peerStates.set(remoteId, state);
+        }
+
+        try {
+          const { sample, totals } = await callStatsService.readStats(pc, state.totals);
+          const firstSample = !state.totals;
+          state.totals = totals;
+          if (firstSample) return;
+
+          const { level, streak } = callStatsService.nextLevel(state.level, state.streak, sample);
+          state.streak = streak;
+          // Reapplied while degraded so streams added later (screen share) are limited too
+          if (level !== state.level || level > 0) {
+            state.level = level;
+            await callStatsService.applyLevel(pc, level);
+          }
+          nextStats[remoteId] = sample;
+          nextLevels[remoteId] = state.level;
+        } catch (error) {
+          console.error('Error reading call stats:', error);
+        }
+      }));
+
+      peerStates.forEach((state, remoteId) => {
+        if (!peersRef.current.has(remoteId)) peerStates.delete(remoteId);
+      });
+      if (cancelled) return;
+
+      // One combined sample per poll: the worst connection decides the call's quality
+      const samples = Object.values(nextStats);
+      if (samples.length > 0) {
+        const rtts = samples.map(sample => sample.rtt).filter(rtt => rtt !== null);
+        callStatsService.addToSummary(summary, {
+          loss: Math.max(...samples.map(sample => sample.loss)),
+          rtt: rtts.length ? Math.max(...rtts) : null,
+          inbound: { bitrate: samples.reduce((total, sample) => total + sample.inbound.bitrate, 0) },
+          outbound: { bitrate: samples.reduce((total, sample) => total + sample.outbound.bitrate, 0) },
+          quality: samples
+            .map(sample => sample.quality)
+            .reduce((worst, quality) => (QUALITY_ORDER.indexOf(quality) > QUALITY_ORDER.indexOf(worst) ? quality : worst))
+        }, Math.max(...Object.values(nextLevels)));
+      }
+
+      setStats(nextStats);
+      setLevels(nextLevels);
+    };
+
+    const timer = setInterval(poll, interval);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+      if (record) {
+        callStatsService.recordSummary({
+          callId,
+          userId,
+          durationSeconds: Math.round((Date.now() - startedAt) / 1000),
+          sampleInterval: interval,
+          summary
+        });
+      }
+    };
+  }, [peersRef, callId, userId, record, interval]);
+
+  return { stats, levels };
+};
+
+export default useCallStats;
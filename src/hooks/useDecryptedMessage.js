@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { encryptionService } from '../services/EncryptionService';
+import { setDecryptedMessage, clearDecryptedMessage } from '../stores/slices/chatSlice';
+
+const pending = new Set();
+// How many mounted components show each decrypted attachment
+const attachmentUsers = new Map();
+
+export const useDecryptedMessage = (message) => {
+  const dispatch = useDispatch();
+  // Edits re-encrypt with a fresh IV, so the IV tells revisions apart
+  const cacheKey = `${message.id}:${message.iv}`;
+  const decrypted = useSelector((state) => state.chat.decrypted[cacheKey]);
+  const needsDecryption = Boolean(message.encrypted && message.ciphertext);
+
+  useEffect(() => {
+    if (!needsDecryption || decrypted || pending.has(cacheKey)) return;
+
+    // Several components can render the same message, only decrypt it once
+    pending.add(cacheKey);
+    encryptionService.decryptMessage(message)
+      .then((content) => {
+        dispatch(setDecryptedMessage({ messageId: cacheKey, ...content, failed: false }));
+      })
+      .catch(() => {
+        dispatch(setDecryptedMessage({ messageId: cacheKey, text: '', fileUrl: '', failed: true }));
+      })
+      .finally(() => pending.delete(cacheKey));
+  }, [dispatch, message, cacheKey, needsDecryption, decrypted]);
+
+  // The last component showing an attachment frees its object URL, it's decrypted again if needed
+  const fileUrl = decrypted?.fileUrl;
+  useEffect(() => {
+    if (!fileUrl) return;
+
+    attachmentUsers.set(fileUrl, (attachmentUsers.get(fileUrl) || 0) + 1);
+    return () => {
+      const remaining = attachmentUsers.get(fileUrl) - 1;
+      if (remaining > 0) {
+        attachmentUsers.set(fileUrl, remaining);
+        return;
+      }
+      attachmentUsers.delete(fileUrl);
+      URL.revokeObjectURL(fileUrl);
+      dispatch(clearDecryptedMessage(cacheKey));
+    };
+  }, [dispatch, fileUrl, cacheKey]);
+
+  if (!needsDecryption) {
+    return { text: message.text, fileUrl: message.fileUrl, pending: false, failed: false };
+  }
+
+  return decrypted
+    ? { ...decrypted, pending: false }
+    : { text: '', fileUrl: '', pending: true, failed: false };
+};
+
+export default useDecryptedMessage;
@@ -0,0 +1,183 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import Peer from 'simple-peer';
+import { liveGuestService } from '../services/LiveGuestService';
+
+// Guests on a livestream. The host (role 'host') sees requests and invitations and receives
+// accepted guests' cameras. Viewers (role 'guest') ask to join or answer an invitation, and
+// send their camera to the host once accepted.
+export const useLiveGuests = (streamId, user, { role, hostId }) => {
+  const [guests, setGuests] = useState([]);
+  const [guestStreams, setGuestStreams] = useState([]);
+  const [seat, setSeat] = useState(null);
+  const [localStream, setLocalStream] = useState(null);
+  const [error, setError] = useState(null);
+  const acceptedIds = guests.filter(guest => guest.status === 'accepted').map(guest => guest.uid).join(',');
+  // Host side connections, kept across changes to who is on screen
+  const peersRef = useRef(new Map());
+  const pendingRef = useRef(new Map());
+  const acceptedRef = useRef([]);
+  const handleSignalRef = useRef(null);
+  const closePeerRef = useRef((guestId) => {
+    peersRef.current.get(guestId)?.destroy();
+    peersRef.current.delete(guestId);
+    setGuestStreams(prev => prev.filter(entry => entry.uid !== guestId));
+  });
+
+  // Host: everyone who asked, was asked or is on screen
+  useEffect(() => {
+    if (role !== 'host' || !streamId) return;
+    return liveGuestService.subscribeToGuests(streamId, setGuests);
+  }, [role, streamId]);
+
+  // Host: guests call in once accepted. Their offer can arrive before we see the acceptance,
+  // so signals from anyone else are held until then.
+  useEffect(() => {
+    if (role !== 'host' || !streamId || !user) return;
+
+    const peers = peersRef.current;
+    const pending = pendingRef.current;
+
+    const handleSignal = (from, { session, ...data }) => {
+      if (!acceptedRef.current.includes(from)) {
+        pending.set(from, [...(pending.get(from) || []), { session, ...data }]);
+        return;
+      }
+
+      let peer = peers.get(from);
+      if (data.type === 'offer' && peer?.session !== session) {
+        closePeerRef.current(from);
+        peer = new Peer({ initiator: false, trickle: true });
+        peer.session = session;
+        peers.set(from, peer);
+
+        peer.on('signal', signal => liveGuestService.sendSignal(streamId, user.uid, from, { ...signal, session }));
+        peer.on('stream', (stream) => {
+          setGuestStreams(prev => [...prev.filter(entry => entry.uid !== from), { uid: from, stream }]);
+        });
+        peer.on('close', () => {
+          if (peers.get(from) === peer) closePeerRef.current(from);
+        });
+        peer.on('error', (peerError) => {
+          console.error('Error in guest connection:', peerError);
+          if (peers.get(from) === peer) closePeerRef.current(from);
+        });
+      }
+
+      if (peer?.session !== session) return;
+      try {
+        peer.signal(data);
+      } catch (signalError) {
+        console.error('Error applying guest signal:', signalError);
+      }
+    };
+    handleSignalRef.current = handleSignal;
+
+    const unsubscribe = liveGuestService.subscribeToSignals(streamId, user.uid, handleSignal);
+
+    return () => {
+      unsubscribe();
+      handleSignalRef.current = null;
+      peers.forEach(peer => peer.destroy());
+      peers.clear();
+      pending.clear();
+      setGuestStreams([]);
+    };
+  }, [role, streamId, user]);
+
+  // Host: hang up on guests who were removed or left, and let newly accepted ones in
+  useEffect(() => {
+    const accepted = acceptedIds ? acceptedIds.split(',') : [];
+    acceptedRef.current = accepted;
+
+    Array.from(peersRef.current.keys())
+      .filter(guestId => !accepted.includes(guestId))
+      .forEach(guestId => closePeerRef.current(guestId));
+
+    accepted.forEach((guestId) => {
+      const queued = pendingRef.current.get(guestId);
+      if (!queued) return;
+      pendingRef.current.delete(guestId);
+      queued.forEach(signal => handleSignalRef.current?.(guestId, signal));
+    });
+  }, [acceptedIds]);
+
+  // Viewer: our own request or invitation
+  useEffect(() => {
+    if (role !== 'guest' || !streamId || !user) return;
+    return liveGuestService.subscribeToGuest(streamId, user.uid, setSeat);
+  }, [role, streamId, user]);
+
+  // Viewer: on screen, send our camera to the host
+  const isOnScreen = role === 'guest' && seat?.status === 'accepted';
+  useEffect(() => {
+    if (!isOnScreen || !hostId) return;
+
+    let cancelled = false;
+    let camera = null;
+    let peer = null;
+    let unsubscribe = null;
+
+    const connect = async () => {
+      try {
+        camera = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+        if (cancelled) {
+          camera.getTracks().forEach(track => track.stop());
+          return;
+        }
+        setLocalStream(camera);
+        setError(null);
+
+        const session = crypto.randomUUID();
+        peer = new Peer({ initiator: true, trickle: true, streams: [camera] });
+        peer.on('signal', data => liveGuestService.sendSignal(streamId, user.uid, hostId, { ...data, session }));
+        peer.on('error', peerError => console.error('Error in guest connection:', peerError));
+        unsubscribe = liveGuestService.subscribeToSignals(streamId, user.uid, (from, { session: incoming, ...data }) => {
+          if (from !== hostId || incoming !== session) return;
+          try {
+            peer.signal(data);
+          } catch (signalError) {
+            console.error('Error applying guest signal:', signalError);
+          }
+        });
+      } catch (cameraError) {
+        console.error('Error joining as guest:', cameraError);
+        setError('Could not use your camera');
+        liveGuestService.updateStatus(streamId, user.uid, 'left').catch(() => {});
+      }
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+      peer?.destroy();
+      camera?.getTracks().forEach(track => track.stop());
+      setLocalStream(null);
+    };
+  }, [isOnScreen, streamId, user, hostId]);
+
+  const updateStatus = useCallback((userId, status) => (
+    liveGuestService.updateStatus(streamId, userId, status).catch(() => setError('That did not work, try again'))
+  ), [streamId]);
+
+  return {
+    guests,
+    guestStreams,
+    seat,
+    localStream,
+    error,
+    // Host
+    accept: userId => updateStatus(userId, 'accepted'),
+    decline: userId => updateStatus(userId, 'declined'),
+    remove: userId => updateStatus(userId, 'removed'),
+    invite: viewer => liveGuestService.invite(streamId, viewer).catch(() => setError('That did not work, try again')),
+    // Viewer
+    requestToJoin: () => liveGuestService.requestToJoin(streamId, user).catch(() => setError('That did not work, try again')),
+    acceptInvite: () => updateStatus(user.uid, 'accepted'),
+    declineInvite: () => updateStatus(user.uid, 'declined'),
+    leave: () => updateStatus(user.uid, 'left')
+  };
+};
+
+export default useLiveGuests;
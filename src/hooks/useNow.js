@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+// Current time, refreshed every interval, for countdowns
+export const useNow = (interval = 1000) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+};
+
+// m:ss for a countdown in milliseconds
+export const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// 2d 4h, 3h 12m or m:ss for longer countdowns
+export const formatTimeUntil = (ms) => {
+  const minutes = Math.floor(Math.max(0, ms) / 60000);
+  if (minutes >= 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ${Math.floor((minutes % (24 * 60)) / 60)}h`;
+  if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return formatCountdown(ms);
+};
+
+export default useNow;
@@ -0,0 +1,26 @@
+import { useState, useEffect } from 'react';
+import { presenceService } from '../services/PresenceService';
+
+export const usePresence = (userIds, refreshMs = 15000) => {
+  const [presence, setPresence] = useState({});
+  const [, setNow] = useState(Date.now());
+  const userKey = [...new Set(userIds)].sort().join(',');
+
+  useEffect(() => {
+    if (!userKey) {
+      setPresence({});
+      return;
+    }
+    return presenceService.subscribe(userKey.split(','), setPresence);
+  }, [userKey]);
+
+  useEffect(() => {
+    // Presence expires without any write, so re-render to let stale states fade out
+    const interval = setInterval(() => setNow(Date.now()), refreshMs);
+    return () => clearInterval(interval);
+  }, [refreshMs]);
+
+  return presence;
+};
+
+export default usePresence;
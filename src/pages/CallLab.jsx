@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import VideoCall from '../components/VideoCall';
+
+// Development only: joins calls through the local signaling server without signing in,
+// open the same room in several tabs or browsers to try calls on one machine
+const CallLab = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [room, setRoom] = useState(searchParams.get('room') || 'lab');
+  const [name, setName] = useState('');
+  const [user, setUser] = useState(null);
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    if (!room.trim()) return;
+    setSearchParams({ room: room.trim() });
+    // A fresh identity per join, so two tabs never collide
+    setUser({ uid: crypto.randomUUID(), displayName: name || 'Guest' });
+  };
+
+  return (
+    <div className="max-w-md mx-auto mt-16 bg-white rounded-lg shadow p-6">
+      <h1 className="text-xl font-semibold mb-1">Call lab</h1>
+      <p className="text-sm text-gray-500 mb-4">
+        Run <code>npm run signaling</code>, then join the same room from two or more tabs.
+      </p>
+      <form onSubmit={handleJoin} className="space-y-3">
+        <input
+          value={room}
+          onChange={(e) => setRoom(e.target.value)}
+          placeholder="Room"
+          className="w-full p-2 border rounded"
+        />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Your name"
+          className="w-full p-2 border rounded"
+        />
+        <button
+          type="submit"
+          className="w-full py-2 rounded bg-blue-500 text-white hover:bg-blue-600"
+        >
+          Join
+        </button>
+      </form>
+
+      {user && (
+        <VideoCall
+          user={user}
+          callId={searchParams.get('room')}
+          transport="websocket"
+          callRecord={false}
+          onClose={() => setUser(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CallLab;
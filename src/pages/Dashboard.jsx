@@ -15,36 +15,106 @@ import {
 } from 'firebase/firestore';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
 import { 
   VideoCameraIcon, 
   PaperClipIcon, 
   PaperAirplaneIcon,
   UserPlusIcon,
   NewspaperIcon,
+  LockClosedIcon,
+  LockOpenIcon,
+  UserGroupIcon,
+  BellSlashIcon,
+  Cog6ToothIcon,
+  MagnifyingGlassIcon,
+  ClockIcon,
+  CalendarDaysIcon,
+  ArrowDownTrayIcon,
 } from '@heroicons/react/24/solid';
 import VideoCall from '../components/VideoCall';
-import MessageReactions from '../components/MessageReactions';
+import CallNotification from '../components/CallNotification';
+import CallLog from '../components/CallLog';
+import NotificationCenter from '../components/notifications/NotificationCenter';
 import TypingIndicator from '../components/TypingIndicator';
 import MessageThread from '../components/MessageThread';
+import ChatMessage from '../components/ChatMessage';
+import KeyChangeWarning from '../components/KeyChangeWarning';
+import CreateGroupModal from '../components/CreateGroupModal';
+import GroupSettings from '../components/GroupSettings';
+import ChatSearch from '../components/ChatSearch';
+import VoiceRecorder from '../components/VoiceRecorder';
+import ScheduledMessagesTray from '../components/ScheduledMessagesTray';
+import PresenceDot from '../components/PresenceDot';
+import ExportConversationModal from '../components/ExportConversationModal';
+import { encryptionService } from '../services/EncryptionService';
+import { conversationService } from '../services/ConversationService';
+import { receiptService } from '../services/ReceiptService';
+import { messageSearchService } from '../services/MessageSearchService';
+import { voiceNoteService } from '../services/VoiceNoteService';
+import { messageService, DISAPPEARING_TIMERS } from '../services/MessageService';
+import { scheduledMessageService } from '../services/ScheduledMessageService';
+import { liveScheduleService } from '../services/LiveScheduleService';
+import { presenceService } from '../services/PresenceService';
+import { callService, RING_TIMEOUT } from '../services/CallService';
+import { callLogService } from '../services/CallLogService';
+import { usePresence } from '../hooks/usePresence';
+import {
+  setActiveChat,
+  setKeyChange,
+  clearKeyChange,
+  setScheduledMessages,
+} from '../stores/slices/chatSlice';
 
 const Dashboard = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const dispatch = useDispatch();
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
   const [friends, setFriends] = useState([]);
-  const [selectedFriend, setSelectedFriend] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [memberNames, setMemberNames] = useState({});
   const [friendRequests, setFriendRequests] = useState([]);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
+  const [sendReadReceipts, setSendReadReceipts] = useState(true);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
   const [file, setFile] = useState(null);
-  const [showVideoCall, setShowVideoCall] = useState(false);
-  const [selectedMessage, setSelectedMessage] = useState(null);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [scheduleAt, setScheduleAt] = useState('');
+  const [activeCallId, setActiveCallId] = useState(null);
+  const [callInvites, setCallInvites] = useState([]);
+  const [sidebarTab, setSidebarTab] = useState('chats');
+  const [selectedMessageId, setSelectedMessageId] = useState(null);
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
   const typingIndicatorRef = useRef(null);
+  const highlightRef = useRef(null);
+  const activeChat = useSelector((state) => state.chat.activeChat);
+  const scheduledMessages = useSelector((state) => state.chat.scheduled);
+
+  // Always read the chat from the live lists so membership changes show up at once
+  const selectedChat = activeChat
+    ? (activeChat.type === 'group' ? groups : friends).find(c => c.id === activeChat.id) || null
+    : null;
 
   useEffect(() => {
     if (!user) return;
 
+    // Make sure this device can receive end-to-end encrypted messages
+    encryptionService.publishPublicKey(user.uid).catch(() => {});
+
+    // Retry voice notes recorded while offline
+    voiceNoteService.flushOutbox();
+
+    // Follow the read receipt privacy setting
+    const unsubscribeProfile = onSnapshot(doc(db, 'users', user.uid), (snapshot) => {
+      setSendReadReceipts(snapshot.data()?.readReceipts !== false);
+    });
+
     // Listen to friend requests
     const requestsQuery = query(
       collection(db, 'friendRequests'),
@@ -74,18 +144,86 @@ const Dashboard = () => {
       setFriends(friendsList);
     });
 
+    // Listen to group conversations
+    const groupsQuery = query(
+      collection(db, 'conversations'),
+      where('members', 'array-contains', user.uid)
+    );
+
+    const unsubscribeGroups = onSnapshot(groupsQuery, (snapshot) => {
+      const groupsList = [];
+      snapshot.forEach((doc) => {
+        groupsList.push({ id: doc.id, ...doc.data() });
+      });
+      setGroups(groupsList);
+    });
+
     return () => {
       unsubscribeRequests();
       unsubscribeFriends();
+      unsubscribeGroups();
+      unsubscribeProfile();
     };
   }, [user]);
 
   useEffect(() => {
-    if (!selectedFriend) return;
+    if (!user) return;
+
+    // Fire this user's scheduled messages when they come due
+    return scheduledMessageService.subscribe(user.uid, (scheduled) => {
+      dispatch(setScheduledMessages(scheduled));
+    });
+  }, [dispatch, user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    // Send the 15-minute reminders for livestreams this user hosts or is waiting for
+    return liveScheduleService.subscribe(user.uid);
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    // Ring for new calls and for invites into calls that are already going
+    return callService.subscribeToInvites(user.uid, setCallInvites);
+  }, [user]);
+
+  const groupIds = groups.map(group => group.id).join(',');
+  const [latestGroupMessages, setLatestGroupMessages] = useState({});
+
+  useEffect(() => {
+    if (!groupIds) return;
+
+    // The newest message of each group, to highlight groups with unread messages
+    const unsubscribes = groupIds.split(',').map(groupId => (
+      conversationService.subscribeToLatestMessage(groupId, (message) => {
+        setLatestGroupMessages(prev => ({ ...prev, [groupId]: message }));
+      })
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [groupIds]);
+
+  const allChatIds = [...friends, ...groups].map(chat => chat.id).join(',');
+
+  useEffect(() => {
+    if (!allChatIds) return;
+
+    // Purge expired disappearing messages from every conversation this user is in
+    const purge = () => messageService.purgeExpiredMessages(allChatIds.split(',')).catch(() => {});
+    purge();
+    const interval = setInterval(purge, 60000);
+    return () => clearInterval(interval);
+  }, [allChatIds]);
+
+  const chatId = selectedChat?.id;
+
+  useEffect(() => {
+    if (!chatId) return;
 
     const messagesQuery = query(
       collection(db, 'messages'),
-      where('chatId', '==', selectedFriend.id),
+      where('chatId', '==', chatId),
       orderBy('timestamp', 'asc')
     );
 
@@ -95,11 +233,95 @@ const Dashboard = () => {
         messagesList.push({ id: doc.id, ...doc.data() });
       });
       setMessages(messagesList);
-      scrollToBottom();
+      receiptService.markDelivered(messagesList, user.uid);
+      messageSearchService.indexSnapshot(snapshot);
+      if (!highlightRef.current) scrollToBottom();
     });
 
     return () => unsubscribe();
-  }, [selectedFriend]);
+  }, [chatId, user.uid]);
+
+  const isGroup = conversationService.isGroup(selectedChat);
+  const members = conversationService.getMembers(selectedChat);
+  const otherMembers = members.filter(id => id !== user.uid);
+  const otherMemberKey = otherMembers.join(',');
+  const friendId = isGroup ? null : otherMembers[0];
+  const isEncrypted = Boolean(selectedChat?.encrypted);
+  const isMuted = conversationService.isMuted(selectedChat, user.uid);
+  const selectedGroupUnread = isGroup && conversationService.hasUnread(selectedChat, latestGroupMessages[chatId], user.uid);
+  const disappearAfter = selectedChat?.disappearAfter || 0;
+  const chatScheduledMessages = scheduledMessages.filter(m => m.scheduledChat.id === chatId);
+  // Expired messages are hidden right away, the purge job removes them shortly after
+  const visibleMessages = messages.filter(m => !messageService.isExpired(m));
+  const presence = usePresence(friends.map(friend => friend.users.find(id => id !== user.uid)));
+
+  // An open group is read up to its newest message
+  useEffect(() => {
+    if (selectedGroupUnread) conversationService.markRead(chatId, user.uid);
+  }, [selectedGroupUnread, chatId, user.uid]);
+  // Keep the thread's parent live so edits and unsends show up in it too
+  const selectedMessage = messages.find(m => m.id === selectedMessageId) || null;
+
+  useEffect(() => {
+    if (!otherMemberKey) return;
+
+    let cancelled = false;
+    conversationService.getUserNames([user.uid, ...otherMemberKey.split(',')])
+      .then((names) => {
+        if (!cancelled) setMemberNames(names);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user.uid, otherMemberKey]);
+
+  useEffect(() => {
+    if (!isEncrypted || !otherMemberKey) return;
+
+    // Watch every member's published keys so a rotation is noticed right away
+    const unsubscribes = otherMemberKey.split(',').map((memberId) =>
+      onSnapshot(doc(db, 'users', memberId), async (snapshot) => {
+        const data = snapshot.data() || {};
+        const change = await encryptionService.checkKeyChange(memberId, data.publicKeys);
+        if (change) {
+          dispatch(setKeyChange({ userId: memberId, name: data.displayName, ...change }));
+        } else {
+          dispatch(clearKeyChange(memberId));
+        }
+      })
+    );
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [dispatch, otherMemberKey, isEncrypted]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+
+    const element = document.getElementById(`message-${highlightedMessageId}`);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => {
+      highlightRef.current = null;
+      setHighlightedMessageId(null);
+    }, 3000);
+
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, messages]);
+
+  const chatNames = Object.fromEntries([
+    ...friends.map(friend => [friend.id, friend.users.find(id => id !== user.uid)]),
+    ...groups.map(group => [group.id, group.name]),
+  ]);
+
+  const jumpToMessage = (result) => {
+    const type = groups.some(group => group.id === result.chatId) ? 'group' : 'direct';
+    highlightRef.current = result.id;
+    setHighlightedMessageId(result.id);
+    dispatch(setActiveChat({ id: result.chatId, type }));
+    setShowSearch(false);
+  };
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -114,38 +336,161 @@ const Dashboard = () => {
     }
   };
 
+  const startCall = async (chat, inviteeIds) => {
+    try {
+      const callId = await callService.startCall(chat, user, inviteeIds);
+      setActiveCallId(callId);
+    } catch (error) {
+      console.error('Error starting call:', error);
+    }
+  };
+
+  const declineCall = async (call) => {
+    try {
+      await callService.declineInvite(call.id, user.uid);
+      await callLogService.recordDeclined(call, user.uid);
+    } catch (error) {
+      console.error('Error declining call:', error);
+    }
+  };
+
+  const incomingCall = callInvites.find(call => call.id !== activeCallId);
+  const incomingCallId = incomingCall?.id;
+
+  useEffect(() => {
+    if (!incomingCallId) return;
+
+    // Stop ringing after a while and log the call as missed
+    const timer = setTimeout(async () => {
+      try {
+        const call = await callService.getCall(incomingCallId);
+        if (call && await callService.missInvite(incomingCallId, user.uid)) {
+          await callLogService.recordMissed(call, [user.uid]);
+        }
+      } catch (error) {
+        console.error('Error expiring call:', error);
+      }
+    }, RING_TIMEOUT);
+
+    return () => clearTimeout(timer);
+  }, [incomingCallId, user.uid]);
+  const friendIds = friends.map(friend => friend.users.find(id => id !== user.uid));
+  const callInviteCandidates = [...new Set([...friendIds, ...otherMembers])];
+
+  const toggleEncryption = async () => {
+    try {
+      await updateDoc(doc(db, isGroup ? 'conversations' : 'friends', chatId), {
+        encrypted: !isEncrypted,
+      });
+    } catch (error) {
+      console.error('Error toggling encryption:', error);
+    }
+  };
+
+  const changeDisappearingTimer = async (value) => {
+    try {
+      await messageService.setDisappearingTimer(selectedChat, user, value);
+    } catch (error) {
+      console.error('Error changing disappearing timer:', error);
+    }
+  };
+
+  const sealMessage = async () => {
+    const sealed = await encryptionService.encryptMessage(
+      { text: message, file },
+      members
+    );
+
+    let fileUrl = '';
+    if (sealed.file) {
+      // Attachments are stored encrypted under a random name
+      const fileRef = ref(storage, `files/${chatId}/${crypto.randomUUID()}`);
+      await uploadBytes(fileRef, sealed.file);
+      fileUrl = await getDownloadURL(fileRef);
+    }
+
+    return {
+      text: '',
+      encrypted: true,
+      ciphertext: sealed.ciphertext,
+      iv: sealed.iv,
+      encryption: sealed.encryption,
+      fileUrl,
+      fileType: file ? file.type.split('/')[0] : '',
+      fileMimeType: file ? file.type : '',
+      fileIv: sealed.fileIv || '',
+    };
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
     if (!message.trim() && !file) return;
 
+    const scheduledFor = scheduleAt ? new Date(scheduleAt) : null;
+    if (scheduledFor && scheduledFor <= new Date()) {
+      alert('Pick a time in the future');
+      return;
+    }
+
     try {
-      let fileUrl = '';
-      let fileType = '';
-
-      if (file) {
-        const fileRef = ref(storage, `files/${selectedFriend.id}/${file.name}`);
-        await uploadBytes(fileRef, file);
-        fileUrl = await getDownloadURL(fileRef);
-        fileType = file.type.split('/')[0]; // 'image', 'video', 'audio'
+      let content;
+      if (isEncrypted) {
+        content = await sealMessage();
+      } else {
+        let fileUrl = '';
+        let fileType = '';
+
+        if (file) {
+          const fileRef = ref(storage, `files/${chatId}/${file.name}`);
+          await uploadBytes(fileRef, file);
+          fileUrl = await getDownloadURL(fileRef);
+          fileType = file.type.split('/')[0]; // 'image', 'video', 'audio'
+        }
+
+        content = { text: message, fileUrl, fileType };
       }
 
-      await addDoc(collection(db, 'messages'), {
-        chatId: selectedFriend.id,
-        senderId: user.uid,
-        text: message,
-        fileUrl,
-        fileType,
-        timestamp: serverTimestamp(),
-      });
+      const sender = { senderId: user.uid, senderName: user.displayName };
+
+      if (scheduledFor) {
+        await scheduledMessageService.scheduleMessage(
+          { id: chatId, type: isGroup ? 'group' : 'direct' },
+          { ...sender, ...content },
+          scheduledFor
+        );
+        setScheduleAt('');
+        setShowSchedule(false);
+      } else {
+        await addDoc(collection(db, 'messages'), {
+          chatId,
+          ...sender,
+          ...content,
+          ...messageService.getExpiryFields(disappearAfter),
+          timestamp: serverTimestamp(),
+        });
+      }
 
       setMessage('');
       setFile(null);
       fileInputRef.current.value = '';
+      typingIndicatorRef.current?.clearTypingIndicator();
     } catch (error) {
       console.error('Error sending message:', error);
     }
   };
 
+  const sendVoiceNote = async (note) => {
+    try {
+      await voiceNoteService.sendVoiceNote(
+        { id: chatId, members, encrypted: isEncrypted, disappearAfter },
+        user,
+        note
+      );
+    } catch (error) {
+      console.error('Error sending voice note:', error);
+    }
+  };
+
   const handleFileChange = (e) => {
     if (e.target.files[0]) {
       setFile(e.target.files[0]);
@@ -209,7 +554,19 @@ const Dashboard = () => {
       {/* Sidebar */}
       <div className="w-64 bg-white border-r flex flex-col">
         <div className="p-4 border-b">
-          <h2 className="text-xl font-semibold">Chat App</h2>
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold">Chat App</h2>
+            <div className="flex items-center">
+              <NotificationCenter user={user} align="left" />
+              <button
+                onClick={() => setShowSearch(true)}
+                className="text-gray-500 hover:text-gray-700"
+                title="Search messages"
+              >
+                <MagnifyingGlassIcon className="h-5 w-5" />
+              </button>
+            </div>
+          </div>
         </div>
 
         {/* Navigation */}
@@ -255,21 +612,94 @@ const Dashboard = () => {
           </div>
         )}
 
-        {/* Friends List */}
-        <div className="space-y-2 p-4">
-          {friends.map((friend) => (
+        {/* Chats / Calls Tabs */}
+        <div className="flex border-b mx-4">
+          {['chats', 'calls'].map((tab) => (
             <button
-              key={friend.id}
-              onClick={() => setSelectedFriend(friend)}
-              className={`w-full p-3 rounded-lg text-left hover:bg-gray-100 ${
-                selectedFriend?.id === friend.id ? 'bg-gray-100' : ''
+              key={tab}
+              onClick={() => setSidebarTab(tab)}
+              className={`flex-1 py-2 text-sm font-medium capitalize ${
+                sidebarTab === tab ? 'border-b-2 border-blue-500 text-blue-600' : 'text-gray-500'
               }`}
             >
-              {friend.users.find(id => id !== user.uid)}
+              {tab}
             </button>
           ))}
         </div>
 
+        {sidebarTab === 'calls' ? (
+          <CallLog
+            user={user}
+            disabled={Boolean(activeCallId)}
+            onCallBack={(entry) => startCall({ id: entry.chatId, type: entry.chatType }, entry.participants)}
+          />
+        ) : (
+          <>
+            {/* Friends List */}
+            <div className="space-y-2 p-4">
+              {friends.map((friend) => {
+                const otherId = friend.users.find(id => id !== user.uid);
+                return (
+                  <button
+                    key={friend.id}
+                    onClick={() => dispatch(setActiveChat({ id: friend.id, type: 'direct' }))}
+                    className={`w-full p-3 rounded-lg text-left hover:bg-gray-100 flex items-center ${
+                      selectedChat?.id === friend.id ? 'bg-gray-100' : ''
+                    }`}
+                  >
+                    <PresenceDot presence={presence[otherId]} className="mr-2 flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="truncate">{otherId}</p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {presenceService.formatLastSeen(presence[otherId])}
+                      </p>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* Groups List */}
+            {groups.length > 0 && (
+              <div className="space-y-2 px-4">
+                <h3 className="text-sm font-semibold text-gray-500 uppercase">Groups</h3>
+                {groups.map((group) => {
+                  const isUnread = conversationService.showsUnread(group, latestGroupMessages[group.id], user.uid);
+                  return (
+                    <button
+                      key={group.id}
+                      onClick={() => dispatch(setActiveChat({ id: group.id, type: 'group' }))}
+                      className={`w-full p-3 rounded-lg text-left hover:bg-gray-100 flex items-center ${
+                        selectedChat?.id === group.id ? 'bg-gray-100' : ''
+                      }`}
+                    >
+                      {group.avatarUrl ? (
+                        <img src={group.avatarUrl} alt={group.name} className="h-6 w-6 rounded-full mr-2" />
+                      ) : (
+                        <UserGroupIcon className="h-6 w-6 text-gray-400 mr-2" />
+                      )}
+                      <span className={`flex-1 truncate ${isUnread ? 'font-semibold' : ''}`}>{group.name}</span>
+                      {isUnread && <span className="h-2 w-2 ml-2 rounded-full bg-blue-500" title="Unread messages" />}
+                      {conversationService.isMuted(group, user.uid) && (
+                        <BellSlashIcon className="h-4 w-4 text-gray-400" />
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </>
+        )}
+
+        {/* New Group Button */}
+        <button
+          onClick={() => setShowCreateGroup(true)}
+          className="mt-4 flex items-center text-sm text-gray-500 hover:text-gray-700 px-4"
+        >
+          <UserGroupIcon className="h-5 w-5 mr-2" />
+          New Group
+        </button>
+
         {/* Add Friend Button */}
         <button
           onClick={() => {
@@ -285,89 +715,138 @@ const Dashboard = () => {
 
       {/* Chat Area */}
       <div className="flex-1 flex flex-col">
-        {selectedFriend ? (
+        {selectedChat ? (
           <>
             {/* Chat Header */}
             <div className="bg-white shadow p-4 flex justify-between items-center">
-              <h3 className="text-lg font-semibold">
-                {selectedFriend.users.find(id => id !== user.uid)}
-              </h3>
-              <button 
-                className="text-gray-600 hover:text-gray-800"
-                onClick={() => setShowVideoCall(true)}
-              >
-                <VideoCameraIcon className="h-6 w-6" />
-              </button>
+              {isGroup ? (
+                <div className="flex items-center">
+                  {selectedChat.avatarUrl ? (
+                    <img src={selectedChat.avatarUrl} alt={selectedChat.name} className="h-8 w-8 rounded-full mr-3" />
+                  ) : (
+                    <UserGroupIcon className="h-8 w-8 text-gray-400 mr-3" />
+                  )}
+                  <div>
+                    <h3 className="text-lg font-semibold">{selectedChat.name}</h3>
+                    <p className="text-xs text-gray-500">{members.length} members</p>
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <h3 className="text-lg font-semibold">
+                    {friendId}
+                  </h3>
+                  <p className="text-xs text-gray-500 flex items-center">
+                    <PresenceDot presence={presence[friendId]} className="mr-1" />
+                    {presenceService.formatLastSeen(presence[friendId])}
+                  </p>
+                </div>
+              )}
+              <div className="flex items-center space-x-4">
+                <button
+                  className="text-gray-600 hover:text-gray-800"
+                  onClick={() => setShowSearch(true)}
+                  title="Search in this chat"
+                >
+                  <MagnifyingGlassIcon className="h-6 w-6" />
+                </button>
+                <button
+                  className="text-gray-600 hover:text-gray-800"
+                  onClick={() => setShowExport(true)}
+                  title="Export conversation"
+                >
+                  <ArrowDownTrayIcon className="h-6 w-6" />
+                </button>
+                <button
+                  className={isEncrypted ? 'text-green-600 hover:text-green-800' : 'text-gray-600 hover:text-gray-800'}
+                  onClick={toggleEncryption}
+                  title={isEncrypted ? 'End-to-end encryption is on' : 'Turn on end-to-end encryption'}
+                >
+                  {isEncrypted ? (
+                    <LockClosedIcon className="h-6 w-6" />
+                  ) : (
+                    <LockOpenIcon className="h-6 w-6" />
+                  )}
+                </button>
+                <label
+                  className={`flex items-center ${disappearAfter ? 'text-purple-600' : 'text-gray-600'}`}
+                  title="Disappearing messages"
+                >
+                  <ClockIcon className="h-6 w-6" />
+                  <select
+                    value={disappearAfter}
+                    onChange={(e) => changeDisappearingTimer(Number(e.target.value))}
+                    className="ml-1 text-sm bg-transparent border-none"
+                  >
+                    {DISAPPEARING_TIMERS.map((timer) => (
+                      <option key={timer.value} value={timer.value}>{timer.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                  onClick={() => startCall({ id: chatId, type: isGroup ? 'group' : 'direct' }, otherMembers)}
+                  disabled={Boolean(activeCallId)}
+                  title={isGroup ? 'Start group video call' : 'Start video call'}
+                >
+                  <VideoCameraIcon className="h-6 w-6" />
+                </button>
+                {isGroup && (
+                  <>
+                    {isMuted && <BellSlashIcon className="h-5 w-5 text-gray-400" title="Muted" />}
+                    <button
+                      className="text-gray-600 hover:text-gray-800"
+                      onClick={() => setShowGroupSettings(true)}
+                    >
+                      <Cog6ToothIcon className="h-6 w-6" />
+                    </button>
+                  </>
+                )}
+              </div>
             </div>
 
-            {/* Video Call Modal */}
-            {showVideoCall && (
-              <VideoCall
-                user={user}
-                selectedFriend={selectedFriend}
-                onClose={() => setShowVideoCall(false)}
+            {isEncrypted && <KeyChangeWarning userIds={otherMembers} />}
+
+            {/* Export Modal */}
+            {showExport && (
+              <ExportConversationModal
+                chat={{
+                  id: chatId,
+                  type: isGroup ? 'group' : 'direct',
+                  name: isGroup ? selectedChat.name : '',
+                  members,
+                }}
+                memberNames={memberNames}
+                currentUser={user}
+                onClose={() => setShowExport(false)}
+              />
+            )}
+
+            {/* Group Settings Modal */}
+            {isGroup && showGroupSettings && (
+              <GroupSettings
+                conversation={selectedChat}
+                friends={friends}
+                memberNames={memberNames}
+                currentUser={user}
+                onClose={() => setShowGroupSettings(false)}
               />
             )}
 
             {/* Messages */}
             <div className="flex-1 overflow-y-auto p-4 space-y-4">
-              {messages.map((msg) => (
-                <div
+              {visibleMessages.map((msg) => (
+                <ChatMessage
                   key={msg.id}
-                  className={`flex ${
-                    msg.senderId === user.uid ? 'justify-end' : 'justify-start'
-                  }`}
-                >
-                  <div
-                    className={`max-w-[70%] rounded-lg p-3 ${
-                      msg.senderId === user.uid
-                        ? 'bg-blue-600 text-white'
-                        : 'bg-gray-200'
-                    }`}
-                  >
-                    {msg.fileUrl && (
-                      <div className="mb-2">
-                        {msg.fileType === 'image' && (
-                          <img
-                            src={msg.fileUrl}
-                            alt="Shared image"
-                            className="max-w-full rounded"
-                          />
-                        )}
-                        {msg.fileType === 'video' && (
-                          <video
-                            src={msg.fileUrl}
-                            controls
-                            className="max-w-full rounded"
-                          />
-                        )}
-                        {msg.fileType === 'audio' && (
-                          <audio src={msg.fileUrl} controls />
-                        )}
-                      </div>
-                    )}
-                    <div className="flex items-end space-x-2">
-                      <p>{msg.text}</p>
-                      <span className="text-xs opacity-75">
-                        {msg.timestamp?.toDate().toLocaleTimeString()}
-                      </span>
-                    </div>
-
-                    {/* Message Actions */}
-                    <div className="mt-2 flex items-center justify-between">
-                      <MessageReactions
-                        messageId={msg.id}
-                        currentUser={user}
-                      />
-                      <button
-                        onClick={() => setSelectedMessage(msg)}
-                        className="text-xs opacity-75 hover:opacity-100"
-                      >
-                        {msg.replyCount || 0} replies
-                      </button>
-                    </div>
-                  </div>
-                </div>
+                  message={msg}
+                  currentUser={user}
+                  recipientIds={otherMembers}
+                  isGroup={isGroup}
+                  memberNames={memberNames}
+                  sendReadReceipts={sendReadReceipts}
+                  highlighted={msg.id === highlightedMessageId}
+                  onOpenThread={(msg) => setSelectedMessageId(msg.id)}
+                />
               ))}
               <div ref={messagesEndRef} />
             </div>
@@ -375,19 +854,25 @@ const Dashboard = () => {
             {/* Typing Indicator */}
             <TypingIndicator
               ref={typingIndicatorRef}
-              chatId={selectedFriend.id}
+              chatId={chatId}
               currentUser={user}
+              memberIds={members}
             />
 
             {/* Message Thread Modal */}
             {selectedMessage && (
               <MessageThread
                 parentMessage={selectedMessage}
-                onClose={() => setSelectedMessage(null)}
+                chat={selectedChat}
+                memberNames={memberNames}
+                onClose={() => setSelectedMessageId(null)}
                 currentUser={user}
               />
             )}
 
+            {/* Scheduled Messages */}
+            <ScheduledMessagesTray messages={chatScheduledMessages} />
+
             {/* Message Input */}
             <form onSubmit={sendMessage} className="p-4 bg-white shadow-top">
               <div className="flex items-center space-x-4">
@@ -411,13 +896,51 @@ const Dashboard = () => {
                   placeholder="Type a message..."
                   className="flex-1 input"
                 />
+                <VoiceRecorder
+                  onRecorded={sendVoiceNote}
+                  onRecordingChange={(recording) => (recording
+                    ? presenceService.setActivity(chatId, 'recording', { hold: true })
+                    : presenceService.clearActivity(chatId))}
+                />
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowSchedule(!showSchedule);
+                    setScheduleAt('');
+                  }}
+                  className={showSchedule ? 'text-blue-600' : 'text-gray-500 hover:text-gray-700'}
+                  title="Schedule for later"
+                >
+                  <CalendarDaysIcon className="h-6 w-6" />
+                </button>
                 <button
                   type="submit"
                   className="text-blue-600 hover:text-blue-800"
+                  title={scheduleAt ? 'Schedule message' : 'Send message'}
                 >
-                  <PaperAirplaneIcon className="h-6 w-6" />
+                  {scheduleAt ? (
+                    <ClockIcon className="h-6 w-6" />
+                  ) : (
+                    <PaperAirplaneIcon className="h-6 w-6" />
+                  )}
                 </button>
               </div>
+              {showSchedule && (
+                <div className="mt-2 flex items-center space-x-2 text-sm text-gray-600">
+                  <span>Send at</span>
+                  <input
+                    type="datetime-local"
+                    value={scheduleAt}
+                    onChange={(e) => setScheduleAt(e.target.value)}
+                    className="border rounded p-1"
+                  />
+                </div>
+              )}
+              {disappearAfter > 0 && (
+                <div className="mt-2 text-xs text-purple-600">
+                  Messages disappear {messageService.getTimerLabel(disappearAfter)} after they are sent
+                </div>
+              )}
               {file && (
                 <div className="mt-2 text-sm text-gray-600">
                   Selected file: {file.name}
@@ -427,10 +950,53 @@ const Dashboard = () => {
           </>
         ) : (
           <div className="flex-1 flex items-center justify-center text-gray-500">
-            Select a friend to start chatting
+            Select a friend or group to start chatting
           </div>
         )}
       </div>
+
+      {/* Message Search */}
+      {showSearch && (
+        <ChatSearch
+          chatId={chatId}
+          chatNames={chatNames}
+          memberNames={memberNames}
+          onJump={jumpToMessage}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
+
+      {/* Video Call Modal */}
+      {activeCallId && (
+        <VideoCall
+          key={activeCallId}
+          user={user}
+          callId={activeCallId}
+          inviteCandidates={callInviteCandidates}
+          onClose={() => setActiveCallId(null)}
+        />
+      )}
+
+      {/* Incoming Call */}
+      {incomingCall && (
+        <CallNotification
+          key={incomingCall.id}
+          caller={{ displayName: incomingCall.createdByName }}
+          participantCount={incomingCall.participants.length}
+          onAccept={() => setActiveCallId(incomingCall.id)}
+          onReject={() => declineCall(incomingCall)}
+        />
+      )}
+
+      {/* Create Group Modal */}
+      {showCreateGroup && (
+        <CreateGroupModal
+          friends={friends}
+          currentUser={user}
+          onCreated={(groupId) => dispatch(setActiveChat({ id: groupId, type: 'group' }))}
+          onClose={() => setShowCreateGroup(false)}
+        />
+      )}
     </div>
   );
 };
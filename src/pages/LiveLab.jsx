@@ -0,0 +1,150 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useBroadcast } from '../hooks/useBroadcast';
+import LivePlayer from '../components/social/LivePlayer';
+
+const LabBroadcaster = ({ streamId, user, relayMode }) => {
+  const [stream, setStream] = useState(null);
+  const videoRef = useRef(null);
+  const { viewers, childCount, error } = useBroadcast(stream ? streamId : null, user, {
+    role: 'broadcaster',
+    stream,
+    transport: 'websocket',
+    record: false,
+    relayMode
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    let media = null;
+    navigator.mediaDevices.getUserMedia({ video: true, audio: true }).then((result) => {
+      media = result;
+      if (cancelled) {
+        result.getTracks().forEach(track => track.stop());
+        return;
+      }
+      setStream(result);
+      if (videoRef.current) videoRef.current.srcObject = result;
+    });
+
+    return () => {
+      cancelled = true;
+      media?.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  return (
+    <div>
+      <video ref={videoRef} autoPlay playsInline muted className="w-full rounded bg-black aspect-video" />
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      <p className="text-sm text-gray-600 mt-2">
+        {viewers.length} watching, {childCount} connected directly
+      </p>
+      <ul className="text-xs text-gray-500 mt-1">
+        {viewers.map(viewer => (
+          <li key={viewer.uid}>
+            {viewer.displayName || viewer.uid} ← {viewer.parentId === user.uid ? 'you' : (viewers.find(v => v.uid === viewer.parentId)?.displayName || 'waiting')}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const LabViewer = ({ streamId, user }) => {
+  const { status, remoteStream, childCount, error } = useBroadcast(streamId, user, {
+    role: 'viewer',
+    transport: 'websocket',
+    record: false
+  });
+
+  return (
+    <div>
+      <div className="flex aspect-video rounded overflow-hidden">
+        <LivePlayer stream={remoteStream} status={status} error={error} />
+      </div>
+      <p className="text-sm text-gray-600 mt-2">Relaying to {childCount}</p>
+    </div>
+  );
+};
+
+// Development only: broadcasts through the local signaling server without signing in. Open one
+// tab as the broadcaster and several as viewers, with relaying on the later viewers get the
+// stream from earlier ones.
+const LiveLab = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [room, setRoom] = useState(searchParams.get('stream') || 'lab');
+  const [name, setName] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [relayMode, setRelayMode] = useState(true);
+  const [user, setUser] = useState(null);
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    if (!room.trim()) return;
+    setSearchParams({ stream: room.trim() });
+    setUser({ uid: crypto.randomUUID(), displayName: name || 'Guest' });
+  };
+
+  if (user) {
+    const streamId = searchParams.get('stream');
+    return (
+      <div className="max-w-2xl mx-auto mt-8 bg-white rounded-lg shadow p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h1 className="text-xl font-semibold">
+            {role === 'broadcaster' ? 'Broadcasting' : 'Watching'} {streamId}
+          </h1>
+          <button onClick={() => setUser(null)} className="text-sm text-gray-500 hover:text-gray-700">
+            Leave
+          </button>
+        </div>
+        {role === 'broadcaster' ? (
+          <>
+            <label className="flex items-center space-x-2 text-sm mb-2">
+              <input type="checkbox" checked={relayMode} onChange={(e) => setRelayMode(e.target.checked)} />
+              <span>Relay through viewers</span>
+            </label>
+            <LabBroadcaster streamId={streamId} user={user} relayMode={relayMode} />
+          </>
+        ) : (
+          <LabViewer streamId={streamId} user={user} />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-md mx-auto mt-16 bg-white rounded-lg shadow p-6">
+      <h1 className="text-xl font-semibold mb-1">Live lab</h1>
+      <p className="text-sm text-gray-500 mb-4">
+        Run <code>npm run signaling</code>, then open one broadcaster and several viewers.
+      </p>
+      <form onSubmit={handleJoin} className="space-y-3">
+        <input
+          value={room}
+          onChange={(e) => setRoom(e.target.value)}
+          placeholder="Stream"
+          className="w-full p-2 border rounded"
+        />
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Your name"
+          className="w-full p-2 border rounded"
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)} className="w-full p-2 border rounded">
+          <option value="viewer">Viewer</option>
+          <option value="broadcaster">Broadcaster</option>
+        </select>
+        <button
+          type="submit"
+          className="w-full py-2 rounded bg-blue-500 text-white hover:bg-blue-600"
+        >
+          Join
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LiveLab;
@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { PencilSquareIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+import { liveStreamService } from '../services/LiveStreamService';
+import { liveReplayService, formatReplayTime } from '../services/LiveReplayService';
+import { liveModerationService } from '../services/LiveModerationService';
+import ReplayPlayer from '../components/social/ReplayPlayer';
+import ReplayEditor from '../components/social/ReplayEditor';
+
+// Comments shown next to the video, the most recent ones up to the current position
+const VISIBLE_COMMENTS = 50;
+
+const LiveReplay = () => {
+  const { streamId } = useParams();
+  const { user } = useAuth();
+  const [stream, setStream] = useState(undefined);
+  const [timeline, setTimeline] = useState({ comments: [], reactions: [] });
+  const [currentTime, setCurrentTime] = useState(0);
+  // Unsaved trim and chapters while the host is editing
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const videoRef = useRef(null);
+  const commentsEndRef = useRef(null);
+
+  useEffect(() => liveStreamService.subscribeToStream(streamId, setStream), [streamId]);
+
+  useEffect(() => {
+    liveReplayService.getTimeline(streamId).then(setTimeline);
+  }, [streamId]);
+
+  const replay = stream?.replay;
+  const isHost = stream?.userId === user?.uid;
+  const start = draft ? 0 : replay?.trimStart || 0;
+  const end = draft ? replay?.duration : replay?.trimEnd;
+  const chapters = draft ? draft.chapters : replay?.chapters || [];
+
+  const visibleComments = timeline.comments
+    .filter(comment => comment.offset / 1000 >= start && comment.offset / 1000 <= currentTime)
+    .filter(comment => liveModerationService.isCommentVisible(comment, stream))
+    .slice(-VISIBLE_COMMENTS);
+
+  useEffect(() => {
+    commentsEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [visibleComments.length]);
+
+  const seek = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  };
+
+  const saveDraft = async () => {
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await liveReplayService.updateReplay(streamId, replay, draft);
+      setDraft(null);
+    } catch (error) {
+      setSaveError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (stream === undefined) {
+    return <div className="text-center py-8 text-gray-500">Loading replay...</div>;
+  }
+
+  if (!replay?.url) {
+    return <div className="text-center py-8 text-gray-500">This stream has no replay</div>;
+  }
+
+  return (
+    <div className="flex h-[calc(100vh-6rem)] bg-gray-100">
+      <div className="flex-1 flex flex-col">
+        <div className="flex items-center justify-between bg-white border-b px-4 py-3">
+          <div className="flex items-center space-x-3">
+            <img
+              src={stream.userAvatar || '/default-avatar.png'}
+              alt={stream.userName}
+              className="w-10 h-10 rounded-full"
+            />
+            <div>
+              <h1 className="font-semibold">{stream.title || 'Livestream'}</h1>
+              <p className="text-sm text-gray-500">
+                {stream.userName}
+                {stream.startedAt && ` · streamed ${stream.startedAt.toDate().toLocaleDateString()}`}
+              </p>
+            </div>
+          </div>
+          {isHost && !draft && (
+            <button
+              onClick={() => setDraft({
+                trimStart: replay.trimStart,
+                trimEnd: replay.trimEnd,
+                chapters: replay.chapters || []
+              })}
+              className="flex items-center text-gray-600 hover:text-blue-500"
+            >
+              <PencilSquareIcon className="h-5 w-5 mr-1" />
+              Edit replay
+            </button>
+          )}
+        </div>
+
+        <ReplayPlayer
+          url={replay.url}
+          start={start}
+          end={end}
+          chapters={chapters}
+          trim={draft && { start: draft.trimStart, end: draft.trimEnd }}
+          reactions={timeline.reactions}
+          videoRef={videoRef}
+          currentTime={currentTime}
+          onTimeUpdate={setCurrentTime}
+        />
+
+        {draft && (
+          <ReplayEditor
+            replay={replay}
+            draft={draft}
+            onChange={setDraft}
+            currentTime={currentTime}
+            onSeek={seek}
+            onSave={saveDraft}
+            onCancel={() => {
+              setDraft(null);
+              setSaveError(null);
+            }}
+            isSaving={isSaving}
+            error={saveError}
+          />
+        )}
+      </div>
+
+      <div className="w-96 border-l bg-white flex flex-col">
+        {chapters.length > 0 && !draft && (
+          <div className="border-b p-4 space-y-1">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Chapters</h3>
+            {chapters.map(chapter => (
+              <button
+                key={`${chapter.time}-${chapter.title}`}
+                onClick={() => seek(chapter.time)}
+                className="flex w-full text-left text-sm hover:bg-gray-50 rounded px-2 py-1"
+              >
+                <span className="w-16 text-blue-500 tabular-nums">{formatReplayTime(chapter.time - start)}</span>
+                <span className="flex-1 truncate">{chapter.title}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Chat replay */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {visibleComments.map(comment => (
+            <div key={comment.id} className="flex items-start space-x-3">
+              <img
+                src={comment.userAvatar || '/default-avatar.png'}
+                alt={comment.userName}
+                className="w-8 h-8 rounded-full"
+              />
+              <div>
+                <p className="font-medium">{comment.userName}</p>
+                <p className="text-gray-600">{comment.text}</p>
+              </div>
+            </div>
+          ))}
+          <div ref={commentsEndRef} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveReplay;
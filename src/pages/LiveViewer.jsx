@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  HeartIcon,
+  HandThumbUpIcon,
+  UsersIcon
+} from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+import { liveStreamService } from '../services/LiveStreamService';
+import { liveModerationService } from '../services/LiveModerationService';
+import { useBroadcast } from '../hooks/useBroadcast';
+import { useLiveGuests } from '../hooks/useLiveGuests';
+import { isUpcoming } from '../services/LiveScheduleService';
+import LiveComments from '../components/social/LiveComments';
+import LiveModerationPanel from '../components/social/LiveModerationPanel';
+import LivePlayer from '../components/social/LivePlayer';
+import LiveShoppingPanel from '../components/social/LiveShoppingPanel';
+import LivePurchaseFeed from '../components/social/LivePurchaseFeed';
+import LiveGuestControls, { GuestPreview } from '../components/social/LiveGuestControls';
+import ScheduledStreamCard from '../components/social/ScheduledStreamCard';
+
+const LiveViewer = () => {
+  const { streamId } = useParams();
+  const { user } = useAuth();
+  const [streamInfo, setStreamInfo] = useState(null);
+  const [showModeration, setShowModeration] = useState(false);
+  // A scheduled stream isn't joined until it goes live, it would read as ended before that
+  const upcoming = isUpcoming(streamInfo);
+  const { status, remoteStream, childCount, error } = useBroadcast(streamInfo && !upcoming ? streamId : null, user, {
+    role: 'viewer'
+  });
+
+  const guestSession = useLiveGuests(streamId, user, { role: 'guest', hostId: streamInfo?.userId });
+
+  useEffect(() => liveStreamService.subscribeToStream(streamId, setStreamInfo), [streamId]);
+
+  const isLive = streamInfo?.isLive !== false && !upcoming && status !== 'ended';
+
+  return (
+    <div className="flex h-[calc(100vh-6rem)] bg-gray-100">
+      <div className="flex-1 flex flex-col">
+        <div className="flex items-center justify-between bg-white border-b px-4 py-3">
+          <div className="flex items-center space-x-3">
+            <img
+              src={streamInfo?.userAvatar || '/default-avatar.png'}
+              alt={streamInfo?.userName}
+              className="w-10 h-10 rounded-full"
+            />
+            <div>
+              <h1 className="font-semibold">{streamInfo?.title || 'Livestream'}</h1>
+              <p className="text-sm text-gray-500">{streamInfo?.userName}</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-4">
+            {isLive && (
+              <span className="flex items-center text-red-500 font-medium">
+                <span className="w-3 h-3 rounded-full bg-red-500 animate-pulse mr-2" />
+                LIVE
+              </span>
+            )}
+            <span className="flex items-center text-gray-600">
+              <UsersIcon className="h-5 w-5 mr-1" />
+              {streamInfo?.viewerCount || 0} watching
+            </span>
+          </div>
+        </div>
+
+        <div className="relative flex-1 flex flex-col">
+          {upcoming ? (
+            <div className="flex-1 flex items-center justify-center bg-black p-8">
+              <div className="w-full max-w-lg bg-white rounded-lg">
+                <ScheduledStreamCard stream={streamInfo} user={user} />
+              </div>
+            </div>
+          ) : (
+            <LivePlayer stream={remoteStream} status={isLive ? status : 'ended'} error={error} />
+          )}
+          <LivePurchaseFeed streamId={streamId} />
+          {guestSession.localStream && <GuestPreview stream={guestSession.localStream} />}
+        </div>
+
+        {isLive && streamInfo && (
+          <LiveGuestControls
+            seat={guestSession.seat}
+            error={guestSession.error}
+            onRequest={guestSession.requestToJoin}
+            onCancel={guestSession.leave}
+            onAcceptInvite={guestSession.acceptInvite}
+            onDeclineInvite={guestSession.declineInvite}
+            onLeave={guestSession.leave}
+          />
+        )}
+
+        {!isLive && streamInfo?.replay?.url && (
+          <Link
+            to={`/live/${streamId}/replay`}
+            className="bg-white border-t px-4 py-2 text-sm text-blue-500 hover:underline"
+          >
+            Watch the replay
+          </Link>
+        )}
+
+        {childCount > 0 && (
+          <p className="bg-white border-t px-4 py-2 text-xs text-gray-500">
+            You are helping deliver this stream to {childCount} other {childCount === 1 ? 'viewer' : 'viewers'}
+          </p>
+        )}
+      </div>
+
+      <div className="w-96 border-l bg-white flex flex-col">
+        <LiveShoppingPanel streamId={streamId} stream={streamInfo} user={user} />
+        {/* Moderators get the same tools as the host */}
+        {liveModerationService.canModerate(streamInfo, user.uid) && (
+          <div className="flex border-b text-sm">
+            {['Chat', 'Moderation'].map(tab => (
+              <button
+                key={tab}
+                onClick={() => setShowModeration(tab === 'Moderation')}
+                className={`flex-1 py-2 ${
+                  showModeration === (tab === 'Moderation')
+                    ? 'border-b-2 border-blue-500 text-blue-600'
+                    : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {tab}
+              </button>
+            ))}
+          </div>
+        )}
+        {showModeration && liveModerationService.canModerate(streamInfo, user.uid) ? (
+          <LiveModerationPanel stream={streamInfo} user={user} />
+        ) : (
+          <LiveComments streamId={streamId} stream={streamInfo} user={user} />
+        )}
+
+        {/* Reactions */}
+        <div className="border-t p-4 flex justify-around">
+          <button
+            onClick={() => liveStreamService.addReaction(streamId, 'likes', user)}
+            className="flex items-center space-x-2 text-gray-600 hover:text-blue-500"
+          >
+            <HandThumbUpIcon className="h-5 w-5" />
+            <span>{streamInfo?.likes || 0}</span>
+          </button>
+          <button
+            onClick={() => liveStreamService.addReaction(streamId, 'hearts', user)}
+            className="flex items-center space-x-2 text-gray-600 hover:text-red-500"
+          >
+            <HeartIcon className="h-5 w-5" />
+            <span>{streamInfo?.hearts || 0}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveViewer;
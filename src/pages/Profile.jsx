@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { VideoCameraIcon, SparklesIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../contexts/AuthContext';
+import { profileService } from '../services/ProfileService';
+import LiveReplays from '../components/social/LiveReplays';
+import StoryHighlights from '../components/social/StoryHighlights';
+
+const Profile = () => {
+  const { userId: routeUserId } = useParams();
+  const { user } = useAuth();
+  const userId = routeUserId || user.uid;
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => {
+    profileService.getBasicInfo(userId)
+      .then(setProfile)
+      .catch(() => setProfile(null));
+  }, [userId]);
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+      {/* Header */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border flex items-center space-x-4">
+        <img
+          src={profile?.photoURL || '/default-avatar.png'}
+          alt={profile?.displayName}
+          className="w-20 h-20 rounded-full object-cover"
+        />
+        <div>
+          <h1 className="text-2xl font-semibold">{profile?.displayName || 'Profile'}</h1>
+          {profile?.bio && <p className="text-gray-600 mt-1">{profile.bio}</p>}
+        </div>
+      </div>
+
+      {/* Highlights */}
+      <section>
+        <h2 className="flex items-center text-lg font-semibold mb-4">
+          <SparklesIcon className="h-5 w-5 mr-2 text-pink-500" />
+          Story highlights
+        </h2>
+        <StoryHighlights userId={userId} user={user} />
+      </section>
+
+      {/* Replays */}
+      <section>
+        <h2 className="flex items-center text-lg font-semibold mb-4">
+          <VideoCameraIcon className="h-5 w-5 mr-2 text-red-500" />
+          Livestream replays
+        </h2>
+        <LiveReplays userId={userId} />
+      </section>
+    </div>
+  );
+};
+
+export default Profile;
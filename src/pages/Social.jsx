@@ -12,6 +12,9 @@ import {
 import { useAuth } from '../contexts/AuthContext';
 import PostEditor from '../components/PostEditor';
 import PostCard from '../components/PostCard';
+import PresenceDot from '../components/PresenceDot';
+import { presenceService } from '../services/PresenceService';
+import { usePresence } from '../hooks/usePresence';
 import {
   PencilSquareIcon,
   NewspaperIcon,
@@ -26,6 +29,8 @@ const Social = () => {
   const [isArticle, setIsArticle] = useState(false);
   const [activeTab, setActiveTab] = useState('feed'); // feed, articles, saved, friends
   const [friends, setFriends] = useState([]);
+  const friendIds = friends.map(f => f.users.find(id => id !== user.uid));
+  const presence = usePresence(friendIds);
 
   useEffect(() => {
     // Get user's friends
@@ -191,6 +196,26 @@ const Social = () => {
           </div>
         )}
 
+        {/* Friends Presence */}
+        {activeTab === 'friends' && friendIds.length > 0 && (
+          <div className="bg-white rounded-lg shadow p-4 mb-6">
+            <h3 className="text-sm font-semibold text-gray-500 uppercase mb-3">Friends</h3>
+            <div className="flex flex-wrap gap-4">
+              {friendIds.map((friendId) => (
+                <div key={friendId} className="flex items-center space-x-2">
+                  <PresenceDot presence={presence[friendId]} />
+                  <div>
+                    <p className="text-sm font-medium">{friendId}</p>
+                    <p className="text-xs text-gray-500">
+                      {presenceService.formatLastSeen(presence[friendId])}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Posts Feed */}
         <div className="space-y-6">
           {posts.map((post) => (
@@ -5,10 +5,12 @@ import {
   query,
   where,
   orderBy,
+  getDoc,
   getDocs,
   addDoc,
   updateDoc,
   deleteDoc,
+  increment,
   serverTimestamp,
   onSnapshot
 } from 'firebase/firestore';
@@ -33,11 +35,14 @@ class AdvancedNotificationService {
       const notification = {
         userId,
         ...data,
-        content: this.formatNotificationContent(template, data.params),
+        // Types without a template carry their own message
+        content: template ? this.formatNotificationContent(template, data.params || {}) : data.message,
         priority: options.priority || 'medium',
         channels: this.determineNotificationChannels(settings, data.type, options.priority),
         status: 'pending',
         read: false,
+        // The notification center counts unread notifications by isRead
+        isRead: false,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp()
       };
@@ -117,7 +122,7 @@ class AdvancedNotificationService {
       const querySnapshot = await getDocs(q);
       
       if (querySnapshot.empty) {
-        throw new Error(`No template found for type: ${type}`);
+        return null;
       }
 
       return querySnapshot.docs[0].data().template;
@@ -145,8 +150,8 @@ class AdvancedNotificationService {
   async getUserNotificationSettings(userId) {
     try {
       const docRef = doc(this.notificationSettingsCollection, userId);
-      const doc = await getDocs(docRef);
-      return doc.exists() ? doc.data() : this.getDefaultNotificationSettings();
+      const snapshot = await getDoc(docRef);
+      return snapshot.exists() ? snapshot.data() : this.getDefaultNotificationSettings();
     } catch (error) {
       console.error('Error getting notification settings:', error);
       throw error;
@@ -0,0 +1,257 @@
+import { liveStreamService, VIEWER_HEARTBEAT } from './LiveStreamService';
+
+const SIGNALING_URL = import.meta.env.VITE_SIGNALING_URL || '';
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000];
+
+// A broadcast channel connects the broadcaster or one viewer to one livestream. Both transports implement:
+//   join(), leave(), close(), send(to, data), onSignal(callback(from, data)) -> unsubscribe
+//   onChildren(callback(viewers)) -> unsubscribe, the viewers this node sends the stream to
+//   onEnded(callback) -> unsubscribe
+// for the broadcaster: onViewers(callback(viewers)) -> unsubscribe, assign(uid, parentId)
+// for viewers: onSelf(callback(viewer)) -> unsubscribe, update(changes)
+
+export class FirestoreBroadcastSignaling {
+  constructor(streamId, user, { role, canRelay }) {
+    this.streamId = streamId;
+    this.user = user;
+    this.role = role;
+    this.canRelay = canRelay;
+    this.heartbeat = null;
+  }
+
+  async join() {
+    if (this.role !== 'viewer') return;
+    await liveStreamService.joinAsViewer(this.streamId, this.user, { canRelay: this.canRelay });
+    this.heartbeat = setInterval(() => {
+      liveStreamService.touchViewer(this.streamId, this.user.uid);
+    }, VIEWER_HEARTBEAT);
+  }
+
+  async leave() {
+    this.close();
+    if (this.role === 'viewer') await liveStreamService.leaveAsViewer(this.streamId, this.user.uid);
+  }
+
+  send(to, data) {
+    return liveStreamService.sendSignal(this.streamId, this.user.uid, to, data);
+  }
+
+  onSignal(callback) {
+    return liveStreamService.subscribeToSignals(this.streamId, this.user.uid, callback);
+  }
+
+  onViewers(callback) {
+    return liveStreamService.subscribeToViewers(this.streamId, callback);
+  }
+
+  onSelf(callback) {
+    return liveStreamService.subscribeToViewer(this.streamId, this.user.uid, callback);
+  }
+
+  onChildren(callback) {
+    return liveStreamService.subscribeToChildren(this.streamId, this.user.uid, callback);
+  }
+
+  onEnded(callback) {
+    return liveStreamService.subscribeToStream(this.streamId, (stream) => {
+      if (stream && !stream.isLive) callback();
+    });
+  }
+
+  assign(uid, parentId) {
+    return liveStreamService.updateViewer(this.streamId, uid, { parentId });
+  }
+
+  update(changes) {
+    return liveStreamService.updateViewer(this.streamId, this.user.uid, changes);
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+  }
+}
+
+// Relays through the /broadcast endpoint of server/signaling. With record, viewers are still
+// tracked in the stream's viewers subcollection so counts and history keep working.
+export class WebSocketBroadcastSignaling {
+  constructor(streamId, user, { url, role, canRelay, record = false }) {
+    this.streamId = streamId;
+    this.user = user;
+    this.url = url;
+    this.role = role;
+    this.canRelay = canRelay;
+    this.record = record && role === 'viewer';
+    this.socket = null;
+    this.joined = false;
+    this.closed = false;
+    this.attempts = 0;
+    this.queue = [];
+    this.listeners = { signal: new Set(), viewers: new Set(), viewer: new Set(), children: new Set(), ended: new Set() };
+    this.latest = {};
+  }
+
+  async join() {
+    if (this.record) {
+      await liveStreamService.joinAsViewer(this.streamId, this.user, { canRelay: this.canRelay });
+    }
+    await this.connect();
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'join',
+          streamId: this.streamId,
+          role: this.role,
+          canRelay: this.canRelay,
+          user: { uid: this.user.uid, displayName: this.user.displayName || '' }
+        }));
+      };
+
+      socket.onmessage = (event) => {
+        const message = JSON.parse(event.data);
+        switch (message.type) {
+          case 'joined':
+            this.joined = true;
+            this.attempts = 0;
+            this.queue.splice(0).forEach(item => socket.send(item));
+            resolve();
+            break;
+          case 'signal':
+            this.emit('signal', message.from, message.data);
+            break;
+          case 'viewers':
+          case 'viewer':
+          case 'children':
+            this.latest[message.type] = message[message.type];
+            this.emit(message.type, message[message.type]);
+            break;
+          case 'ended':
+            this.emit('ended');
+            break;
+          case 'error':
+            console.error('Broadcast signaling error:', message.message);
+            if (!this.joined) {
+              this.closed = true;
+              socket.close();
+              reject(new Error(message.message));
+            }
+            break;
+          default:
+            break;
+        }
+      };
+
+      socket.onclose = () => {
+        const wasJoined = this.joined;
+        this.joined = false;
+        if (this.closed) return;
+        if (!wasJoined && this.attempts === 0) {
+          reject(new Error('Could not reach the signaling server'));
+          return;
+        }
+
+        const delay = RECONNECT_DELAYS[Math.min(this.attempts, RECONNECT_DELAYS.length - 1)];
+        this.attempts += 1;
+        setTimeout(() => {
+          if (!this.closed) this.connect().catch(() => {});
+        }, delay);
+      };
+    });
+  }
+
+  emit(type, ...args) {
+    this.listeners[type].forEach(listener => listener(...args));
+  }
+
+  listen(type, callback) {
+    this.listeners[type].add(callback);
+    if (this.latest[type]) callback(this.latest[type]);
+    return () => this.listeners[type].delete(callback);
+  }
+
+  transmit(message) {
+    const payload = JSON.stringify(message);
+    if (this.joined && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(payload);
+    } else {
+      this.queue.push(payload);
+    }
+  }
+
+  async leave() {
+    if (this.joined) this.transmit({ type: 'leave' });
+    this.close();
+    if (this.record) await liveStreamService.leaveAsViewer(this.streamId, this.user.uid);
+  }
+
+  send(to, data) {
+    this.transmit({ type: 'signal', to, data });
+  }
+
+  onSignal(callback) {
+    return this.listen('signal', callback);
+  }
+
+  onViewers(callback) {
+    return this.listen('viewers', callback);
+  }
+
+  onSelf(callback) {
+    return this.listen('viewer', callback);
+  }
+
+  onChildren(callback) {
+    return this.listen('children', callback);
+  }
+
+  onEnded(callback) {
+    return this.listen('ended', callback);
+  }
+
+  assign(uid, parentId) {
+    this.transmit({ type: 'assign', uid, parentId });
+  }
+
+  update(changes) {
+    this.transmit({ type: 'update', changes });
+  }
+
+  close() {
+    this.closed = true;
+    this.joined = false;
+    this.socket?.close();
+  }
+}
+
+class BroadcastSignalingService {
+  constructor() {
+    this.defaultTransport = SIGNALING_URL ? 'websocket' : 'firestore';
+  }
+
+  getWebSocketUrl() {
+    // Same server as call signaling, on its /broadcast endpoint
+    if (SIGNALING_URL) return SIGNALING_URL.replace(/\/signaling\/?$/, '/broadcast');
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/broadcast`;
+  }
+
+  // Viewers on data saver connections only watch, everyone else can relay
+  canRelay() {
+    return !navigator.connection?.saveData;
+  }
+
+  connect(streamId, user, { role, transport = this.defaultTransport, record = true } = {}) {
+    const canRelay = role === 'viewer' && this.canRelay();
+    if (transport === 'websocket') {
+      return new WebSocketBroadcastSignaling(streamId, user, { url: this.getWebSocketUrl(), role, canRelay, record });
+    }
+    return new FirestoreBroadcastSignaling(streamId, user, { role, canRelay });
+  }
+}
+
+export const broadcastSignalingService = new BroadcastSignalingService();
@@ -0,0 +1,153 @@
+import { db } from '../config/firebase';
+import { collection, doc, getDoc, addDoc, serverTimestamp } from 'firebase/firestore';
+import { encryptionService } from './EncryptionService';
+import { conversationService } from './ConversationService';
+import { messageService } from './MessageService';
+
+export const CHUNK_SIZE = 16 * 1024;
+export const MAX_FILE_SIZE = 50 * 1024 * 1024;
+// Stop queueing chunks while this much is still waiting in the data channel
+const MAX_BUFFERED = 1024 * 1024;
+
+// Data channel frames start with a kind byte: JSON control messages, or a file chunk
+// carrying a 16 byte transfer id and a 4 byte chunk index ahead of the bytes
+const FRAME_MESSAGE = 0;
+const FRAME_CHUNK = 1;
+const CHUNK_HEADER = 21;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class CallChatService {
+  createTransferId() {
+    return crypto.randomUUID().replace(/-/g, '');
+  }
+
+  encodeMessage(message) {
+    const body = encoder.encode(JSON.stringify(message));
+    const frame = new Uint8Array(body.length + 1);
+    frame[0] = FRAME_MESSAGE;
+    frame.set(body, 1);
+    return frame;
+  }
+
+  encodeChunk(transferId, index, bytes) {
+    const frame = new Uint8Array(CHUNK_HEADER + bytes.length);
+    frame[0] = FRAME_CHUNK;
+    frame.set(fromHex(transferId), 1);
+    new DataView(frame.buffer).setUint32(17, index);
+    frame.set(bytes, CHUNK_HEADER);
+    return frame;
+  }
+
+  decode(data) {
+    const frame = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+    if (frame[0] === FRAME_CHUNK && frame.length >= CHUNK_HEADER) {
+      return {
+        kind: 'chunk',
+        transferId: toHex(frame.subarray(1, 17)),
+        index: new DataView(frame.buffer, frame.byteOffset, frame.byteLength).getUint32(17),
+        bytes: frame.slice(CHUNK_HEADER)
+      };
+    }
+    if (frame[0] === FRAME_MESSAGE) {
+      try {
+        return { kind: 'message', message: JSON.parse(decoder.decode(frame.subarray(1))) };
+      } catch {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  async hash(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return toHex(new Uint8Array(digest));
+  }
+
+  // Streams a file to one peer, waiting whenever the channel's buffer fills up
+  async sendFile(peer, file, transferId, onProgress) {
+    const chunks = Math.ceil(file.size / CHUNK_SIZE);
+
+    for (let index = 0; index < chunks; index++) {
+      while (peer.bufferSize > MAX_BUFFERED) {
+        if (peer.destroyed) throw new Error('The connection closed during the transfer');
+        await wait(20);
+      }
+      if (peer.destroyed) throw new Error('The connection closed during the transfer');
+
+      const start = index * CHUNK_SIZE;
+      const bytes = new Uint8Array(await file.slice(start, start + CHUNK_SIZE).arrayBuffer());
+      peer.send(this.encodeChunk(transferId, index, bytes));
+      onProgress(Math.min(start + bytes.length, file.size));
+    }
+  }
+
+  formatTranscript(items) {
+    return items
+      .map((item) => {
+        const time = new Date(item.sentAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const body = item.kind === 'file'
+          ? `[file] ${item.name} (${Math.ceil(item.size / 1024)} KB)`
+          : item.text;
+        return `[${time}] ${item.fromName}: ${body}`;
+      })
+      .join('\n');
+  }
+
+  // Posts the in-call chat as one message in the conversation the call was started from
+  async saveTranscript(call, sender, items) {
+    if (!call?.chatId || items.length === 0) return;
+
+    try {
+      const chatRef = doc(db, call.chatType === 'group' ? 'conversations' : 'friends', call.chatId);
+      const chatSnapshot = await getDoc(chatRef);
+      if (!chatSnapshot.exists()) return;
+
+      const chat = { id: chatSnapshot.id, ...chatSnapshot.data() };
+      const text = `Call chat\n${this.formatTranscript(items)}`;
+
+      let content = { text, fileUrl: '', fileType: '' };
+      if (chat.encrypted) {
+        const sealed = await encryptionService.encryptMessage({ text }, conversationService.getMembers(chat));
+        content = {
+          text: '',
+          encrypted: true,
+          ciphertext: sealed.ciphertext,
+          iv: sealed.iv,
+          encryption: sealed.encryption,
+          fileUrl: '',
+          fileType: ''
+        };
+      }
+
+      await addDoc(collection(db, 'messages'), {
+        chatId: chat.id,
+        senderId: sender.uid,
+        senderName: sender.displayName,
+        ...content,
+        callTranscript: true,
+        callId: call.id,
+        ...messageService.getExpiryFields(chat.disappearAfter || 0),
+        timestamp: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error saving call transcript:', error);
+      throw error;
+    }
+  }
+}
+
+export const callChatService = new CallChatService();
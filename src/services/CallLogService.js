@@ -0,0 +1,111 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+import { NotificationService } from './NotificationService';
+import { conversationService } from './ConversationService';
+
+export const CALL_OUTCOMES = {
+  answered: 'Answered',
+  missed: 'Missed',
+  declined: 'Declined',
+  failed: 'Failed'
+};
+
+class CallLogService {
+  constructor() {
+    this.callLogsCollection = collection(db, 'callLogs');
+  }
+
+  // One entry per user and call, so recording the same call twice just overwrites it
+  async addEntry(userId, call, { outcome, joinedAt = null }) {
+    const direction = call.createdBy === userId ? 'outgoing' : 'incoming';
+    const everyone = [call.createdBy, ...(call.invitees || []), ...(call.joined || [])];
+
+    try {
+      await setDoc(doc(this.callLogsCollection, `${call.id}_${userId}`), {
+        userId,
+        callId: call.id,
+        chatId: call.chatId,
+        chatType: call.chatType || 'direct',
+        direction,
+        outcome,
+        participants: [...new Set(everyone)].filter(id => id !== userId),
+        callerName: call.createdByName || '',
+        startedAt: call.createdAt || serverTimestamp(),
+        endedAt: serverTimestamp(),
+        duration: joinedAt ? Math.round((Date.now() - joinedAt) / 1000) : 0
+      });
+    } catch (error) {
+      console.error('Error adding call log entry:', error);
+    }
+  }
+
+  // Called when a user leaves a call they joined, or failed to join
+  async recordCall(call, userId, { joinedAt = null, failed = false } = {}) {
+    let outcome = 'answered';
+    if (failed) {
+      outcome = 'failed';
+    } else if (call.createdBy === userId && !(call.joined || []).some(id => id !== userId)) {
+      // Nobody picked up an outgoing call
+      const invitees = call.invitees || [];
+      const declined = call.declined || [];
+      outcome = invitees.length > 0 && invitees.every(id => declined.includes(id)) ? 'declined' : 'missed';
+    }
+
+    await this.addEntry(userId, call, { outcome, joinedAt });
+  }
+
+  async recordDeclined(call, userId) {
+    await this.addEntry(userId, call, { outcome: 'declined' });
+  }
+
+  async recordMissed(call, userIds) {
+    // Members who muted the group still see the call in their log, without a notification
+    const group = call.chatType === 'group'
+      ? await getDoc(doc(db, 'conversations', call.chatId)).then(snapshot => snapshot.data()).catch(() => null)
+      : null;
+
+    await Promise.all(userIds.map(async (userId) => {
+      await this.addEntry(userId, call, { outcome: 'missed' });
+      if (conversationService.isMuted(group, userId)) return;
+      await NotificationService.notifyMissedCall(userId, call).catch(() => {});
+    }));
+  }
+
+  subscribe(userId, callback, pageSize = 100) {
+    const q = query(
+      this.callLogsCollection,
+      where('userId', '==', userId),
+      orderBy('endedAt', 'desc'),
+      limit(pageSize)
+    );
+
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error('Error listening to call log:', error);
+    });
+  }
+
+  formatDuration(seconds) {
+    if (!seconds) return '';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+      : `${minutes}:${rest}`;
+  }
+}
+
+export const callLogService = new CallLogService();
@@ -0,0 +1,276 @@
+import { storage } from '../config/firebase';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+const FRAME_RATE = 30;
+const GAP = 8;
+// Share of the frame a screen share takes, cameras fill a column beside it
+const SCREEN_SHARE_WIDTH = 0.78;
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// Grid with as many columns as rows or one more, filling the frame
+const gridLayout = (count, area) => {
+  const columns = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / columns);
+  const width = (area.width - GAP * (columns - 1)) / columns;
+  const height = (area.height - GAP * (rows - 1)) / rows;
+
+  return Array.from({ length: count }, (_, index) => {
+    const row = Math.floor(index / columns);
+    // The last row is centred when it isn't full
+    const inRow = row === rows - 1 ? count - row * columns : columns;
+    const offset = ((columns - inRow) * (width + GAP)) / 2;
+    return {
+      x: area.x + offset + (index % columns) * (width + GAP),
+      y: area.y + row * (height + GAP),
+      width,
+      height
+    };
+  });
+};
+
+// Mixes every source's audio with WebAudio and paints their video onto one canvas.
+// Sources are { id, stream, label, videoOff, screen }, subclasses decide what to do with the output.
+export class MediaCompositor {
+  constructor({ width = WIDTH, height = HEIGHT, frameRate = FRAME_RATE } = {}) {
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context = this.canvas.getContext('2d');
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.destination = this.audioContext.createMediaStreamDestination();
+    // Stream id -> { stream, video, audioSource }
+    this.inputs = new Map();
+    this.sources = [];
+    this.output = null;
+    this.timer = null;
+  }
+
+  setSources(sources) {
+    this.sources = sources.filter(source => source.stream);
+    const streams = new Set(this.sources.map(source => source.stream));
+
+    this.sources.forEach(({ stream }) => {
+      let input = this.inputs.get(stream.id);
+      if (input?.stream === stream) {
+        // A screen share can add its audio after it started
+        if (!input.audioSource && stream.getAudioTracks().length > 0) {
+          input.audioSource = this.connectAudio(stream);
+        }
+        return;
+      }
+      if (input) this.disconnectInput(input);
+
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      video.play().catch(() => {});
+
+      input = {
+        stream,
+        video,
+        audioSource: stream.getAudioTracks().length > 0 ? this.connectAudio(stream) : null
+      };
+      this.inputs.set(stream.id, input);
+    });
+
+    this.inputs.forEach((input, id) => {
+      if (!streams.has(input.stream)) {
+        this.disconnectInput(input);
+        this.inputs.delete(id);
+      }
+    });
+  }
+
+  connectAudio(stream) {
+    const source = this.audioContext.createMediaStreamSource(stream);
+    source.connect(this.destination);
+    return source;
+  }
+
+  disconnectInput(input) {
+    input.audioSource?.disconnect();
+    input.video.srcObject = null;
+  }
+
+  // Starts painting and returns the composed stream
+  start() {
+    this.output = new MediaStream([
+      ...this.canvas.captureStream(this.frameRate).getVideoTracks(),
+      ...this.destination.stream.getAudioTracks()
+    ]);
+    this.audioContext.resume();
+    // Timers keep painting when the tab is in the background, animation frames don't
+    this.timer = setInterval(() => this.draw(), 1000 / this.frameRate);
+    this.draw();
+    return this.output;
+  }
+
+  cleanup() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.output?.getTracks().forEach(track => track.stop());
+    this.inputs.forEach(input => this.disconnectInput(input));
+    this.inputs.clear();
+    if (this.audioContext.state !== 'closed') this.audioContext.close();
+  }
+
+  draw() {
+    const { context, width, height } = this;
+    context.fillStyle = '#111827';
+    context.fillRect(0, 0, width, height);
+
+    const screens = this.sources.filter(source => source.screen);
+    const cameras = this.sources.filter(source => !source.screen);
+
+    if (screens.length > 0) {
+      // Screen shares take the main area, cameras get a column beside them
+      const mainWidth = cameras.length > 0 ? width * SCREEN_SHARE_WIDTH : width;
+      const mainArea = { x: GAP, y: GAP, width: mainWidth - GAP * 2, height: height - GAP * 2 };
+      gridLayout(screens.length, mainArea).forEach((rect, index) => this.drawSource(screens[index], rect, true));
+
+      const columnArea = { x: mainWidth, y: GAP, width: width - mainWidth - GAP, height: height - GAP * 2 };
+      const tileHeight = Math.min((columnArea.width * 9) / 16, (columnArea.height - GAP * (cameras.length - 1)) / cameras.length);
+      cameras.forEach((source, index) => {
+        this.drawSource(source, {
+          x: columnArea.x,
+          y: columnArea.y + index * (tileHeight + GAP),
+          width: columnArea.width,
+          height: tileHeight
+        });
+      });
+      return;
+    }
+
+    const area = { x: GAP, y: GAP, width: width - GAP * 2, height: height - GAP * 2 };
+    gridLayout(cameras.length, area).forEach((rect, index) => this.drawSource(cameras[index], rect));
+  }
+
+  drawSource(source, rect, contain = false) {
+    const { context } = this;
+    const video = this.inputs.get(source.stream.id)?.video;
+    const hasFrame = video && video.videoWidth > 0 && !source.videoOff
+      && source.stream.getVideoTracks().some(track => track.enabled && track.readyState === 'live');
+
+    context.save();
+    context.beginPath();
+    context.rect(rect.x, rect.y, rect.width, rect.height);
+    context.clip();
+    context.fillStyle = '#1f2937';
+    context.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+    if (hasFrame) {
+      // Cameras are cropped to fill their tile, screen shares are shown whole
+      const scale = contain
+        ? Math.min(rect.width / video.videoWidth, rect.height / video.videoHeight)
+        : Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+      const drawWidth = video.videoWidth * scale;
+      const drawHeight = video.videoHeight * scale;
+      context.drawImage(
+        video,
+        rect.x + (rect.width - drawWidth) / 2,
+        rect.y + (rect.height - drawHeight) / 2,
+        drawWidth,
+        drawHeight
+      );
+    } else {
+      const radius = Math.min(rect.width, rect.height) / 6;
+      context.fillStyle = '#4b5563';
+      context.beginPath();
+      context.arc(rect.x + rect.width / 2, rect.y + rect.height / 2, radius, 0, Math.PI * 2);
+      context.fill();
+      context.fillStyle = '#ffffff';
+      context.font = `${Math.round(radius)}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText((source.label?.[0] || '?').toUpperCase(), rect.x + rect.width / 2, rect.y + rect.height / 2);
+    }
+
+    if (source.label) {
+      context.font = '16px sans-serif';
+      context.textAlign = 'left';
+      context.textBaseline = 'middle';
+      const labelWidth = context.measureText(source.label).width + 16;
+      context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      context.fillRect(rect.x + 8, rect.y + rect.height - 36, labelWidth, 28);
+      context.fillStyle = '#ffffff';
+      context.fillText(source.label, rect.x + 16, rect.y + rect.height - 22);
+    }
+    context.restore();
+  }
+}
+
+// Records the composed call as a single webm
+export class CompositeRecorder extends MediaCompositor {
+  constructor(options) {
+    super(options);
+    this.chunks = [];
+    this.recorder = null;
+  }
+
+  getMimeType() {
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  start() {
+    const output = super.start();
+    const mimeType = this.getMimeType();
+
+    this.recorder = new MediaRecorder(output, mimeType ? { mimeType } : undefined);
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.recorder.start(1000);
+  }
+
+  // Resolves with the whole recording once the recorder has flushed
+  stop() {
+    return new Promise((resolve) => {
+      const finish = () => {
+        this.cleanup();
+        resolve(new Blob(this.chunks, { type: 'video/webm' }));
+      };
+
+      if (!this.recorder || this.recorder.state === 'inactive') {
+        finish();
+        return;
+      }
+      this.recorder.onstop = finish;
+      this.recorder.stop();
+    });
+  }
+}
+
+class CallRecordingService {
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined'
+      && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+      && Boolean(window.AudioContext || window.webkitAudioContext);
+  }
+
+  createRecorder(options) {
+    return new CompositeRecorder(options);
+  }
+
+  createRecordingId() {
+    return crypto.randomUUID();
+  }
+
+  async uploadRecording(callId, userId, blob) {
+    try {
+      const storageRef = ref(storage, `recordings/${callId}/${userId}-${Date.now()}.webm`);
+      const snapshot = await uploadBytes(storageRef, blob, { contentType: 'video/webm' });
+      return await getDownloadURL(snapshot.ref);
+    } catch (error) {
+      console.error('Error uploading call recording:', error);
+      throw error;
+    }
+  }
+}
+
+export const callRecordingService = new CallRecordingService();
@@ -0,0 +1,249 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+
+export const MAX_CALL_PARTICIPANTS = 8;
+// Unanswered invites stop ringing and count as missed after this long
+export const RING_TIMEOUT = 45000;
+
+class CallService {
+  constructor() {
+    this.callsCollection = collection(db, 'calls');
+    this.signalCount = 0;
+  }
+
+  // Call Lifecycle
+  async startCall(chat, caller, inviteeIds) {
+    const invited = inviteeIds.slice(0, MAX_CALL_PARTICIPANTS - 1);
+
+    try {
+      const callRef = await addDoc(this.callsCollection, {
+        chatId: chat.id,
+        chatType: chat.type,
+        createdBy: caller.uid,
+        createdByName: caller.displayName || '',
+        participants: [],
+        invited,
+        // Everyone ever invited or joined, kept for the call log after the call ends
+        invitees: invited,
+        joined: [],
+        declined: [],
+        missed: [],
+        status: 'active',
+        createdAt: serverTimestamp()
+      });
+      return callRef.id;
+    } catch (error) {
+      console.error('Error starting call:', error);
+      throw error;
+    }
+  }
+
+  async getCall(callId) {
+    const snapshot = await getDoc(doc(this.callsCollection, callId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  }
+
+  async joinCall(callId, user) {
+    const callRef = doc(this.callsCollection, callId);
+
+    try {
+      await runTransaction(db, async (transaction) => {
+        const call = (await transaction.get(callRef)).data();
+        if (!call || call.status !== 'active') {
+          throw new Error('This call has ended');
+        }
+        if (!call.participants.includes(user.uid) && call.participants.length >= MAX_CALL_PARTICIPANTS) {
+          throw new Error(`Calls are limited to ${MAX_CALL_PARTICIPANTS} people`);
+        }
+
+        transaction.update(callRef, {
+          participants: arrayUnion(user.uid),
+          joined: arrayUnion(user.uid),
+          invited: arrayRemove(user.uid)
+        });
+        transaction.set(doc(callRef, 'participants', user.uid), {
+          uid: user.uid,
+          displayName: user.displayName || '',
+          muted: false,
+          videoOff: false,
+          recording: null,
+          recordingConsent: null,
+          joinedAt: serverTimestamp()
+        });
+      });
+    } catch (error) {
+      console.error('Error joining call:', error);
+      throw error;
+    }
+  }
+
+  // Resolves with the call as it was before leaving and whether this ended it
+  async leaveCall(callId, userId) {
+    const callRef = doc(this.callsCollection, callId);
+
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(callRef);
+        if (!snapshot.exists()) return { call: null, ended: false };
+
+        const call = { id: snapshot.id, ...snapshot.data() };
+        if (call.status !== 'active') return { call, ended: false };
+
+        const remaining = call.participants.filter(id => id !== userId);
+        transaction.update(callRef, {
+          participants: remaining,
+          // The call ends with its last participant, pending invites can't join an empty room
+          ...(remaining.length === 0 && {
+            status: 'ended',
+            invited: [],
+            missed: [...(call.missed || []), ...call.invited],
+            endedAt: serverTimestamp()
+          })
+        });
+        transaction.delete(doc(callRef, 'participants', userId));
+        return { call, ended: call.status === 'active' && remaining.length === 0 };
+      });
+    } catch (error) {
+      console.error('Error leaving call:', error);
+      throw error;
+    }
+  }
+
+  // Invites
+  async inviteToCall(callId, userIds) {
+    try {
+      await updateDoc(doc(this.callsCollection, callId), {
+        invited: arrayUnion(...userIds),
+        invitees: arrayUnion(...userIds),
+        declined: arrayRemove(...userIds),
+        missed: arrayRemove(...userIds)
+      });
+    } catch (error) {
+      console.error('Error inviting to call:', error);
+      throw error;
+    }
+  }
+
+  async declineInvite(callId, userId) {
+    try {
+      await updateDoc(doc(this.callsCollection, callId), {
+        invited: arrayRemove(userId),
+        declined: arrayUnion(userId)
+      });
+    } catch (error) {
+      console.error('Error declining call:', error);
+      throw error;
+    }
+  }
+
+  // Resolves true only for the one caller that moved this user out of the ringing list,
+  // so a missed call is never logged twice
+  async missInvite(callId, userId) {
+    const callRef = doc(this.callsCollection, callId);
+
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const call = (await transaction.get(callRef)).data();
+        if (!call?.invited.includes(userId)) return false;
+
+        transaction.update(callRef, {
+          invited: arrayRemove(userId),
+          missed: arrayUnion(userId)
+        });
+        return true;
+      });
+    } catch (error) {
+      console.error('Error expiring call invite:', error);
+      throw error;
+    }
+  }
+
+  subscribeToInvites(userId, callback) {
+    const q = query(
+      this.callsCollection,
+      where('invited', 'array-contains', userId),
+      where('status', '==', 'active')
+    );
+
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+      console.error('Error listening to call invites:', error);
+    });
+  }
+
+  subscribeToCall(callId, callback) {
+    return onSnapshot(doc(this.callsCollection, callId), (snapshot) => {
+      callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    });
+  }
+
+  // Participants
+  subscribeToParticipants(callId, callback) {
+    return onSnapshot(collection(this.callsCollection, callId, 'participants'), (snapshot) => {
+      callback(snapshot.docs.map(doc => doc.data()));
+    });
+  }
+
+  async updateParticipant(callId, userId, changes) {
+    try {
+      await setDoc(doc(this.callsCollection, callId, 'participants', userId), changes, { merge: true });
+    } catch (error) {
+      console.error('Error updating call participant:', error);
+    }
+  }
+
+  // Signaling
+  // Every pair of participants exchanges offers, answers and ICE candidates as small
+  // documents addressed to one peer, which deletes them once applied
+  async sendSignal(callId, from, to, data) {
+    try {
+      await addDoc(collection(this.callsCollection, callId, 'signals'), {
+        from,
+        to,
+        data: JSON.parse(JSON.stringify(data)),
+        // Snapshots list documents by id, the send order is needed to replay them
+        sentAt: Date.now(),
+        sequence: this.signalCount++,
+        createdAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error sending call signal:', error);
+    }
+  }
+
+  subscribeToSignals(callId, userId, callback) {
+    const q = query(
+      collection(this.callsCollection, callId, 'signals'),
+      where('to', '==', userId)
+    );
+
+    return onSnapshot(q, (snapshot) => {
+      snapshot.docChanges()
+        .filter(change => change.type === 'added')
+        .map(change => ({ ref: change.doc.ref, ...change.doc.data() }))
+        .sort((a, b) => (a.sentAt - b.sentAt) || (a.sequence - b.sequence))
+        .forEach(({ ref, from, data }) => {
+          callback(from, data);
+          deleteDoc(ref).catch(() => {});
+        });
+    });
+  }
+}
+
+export const callService = new CallService();
@@ -0,0 +1,231 @@
+import { monitoringService } from './MonitoringService';
+
+// Video sending steps, tried in order when the connection to a peer keeps losing packets
+export const QUALITY_LEVELS = [
+  { label: 'Full quality', scaleResolutionDownBy: 1, maxFramerate: 30 },
+  { label: 'Reduced', scaleResolutionDownBy: 2, maxFramerate: 24, maxBitrate: 500000 },
+  { label: 'Low', scaleResolutionDownBy: 4, maxFramerate: 15, maxBitrate: 250000 },
+  { label: 'Audio only', audioOnly: true }
+];
+
+export const QUALITY_COLORS = {
+  good: 'text-green-500',
+  fair: 'text-yellow-500',
+  poor: 'text-red-500'
+};
+
+const POOR_LOSS = 10;
+const FAIR_LOSS = 3;
+const POOR_RTT = 400;
+const FAIR_RTT = 200;
+// Packet loss percentages that move a peer down or back up the quality levels
+const STEP_DOWN_LOSS = 8;
+const STEP_UP_LOSS = 2;
+const STEP_DOWN_SAMPLES = 2;
+const STEP_UP_SAMPLES = 5;
+
+const lossPercent = (lost, received) => (lost + received > 0 ? (lost / (lost + received)) * 100 : 0);
+
+class CallStatsService {
+  // Turns a getStats() report into one sample, previous holds the counters of the last call
+  async readStats(pc, previous = null) {
+    const report = await pc.getStats();
+    const totals = {
+      timestamp: performance.now(),
+      bytesReceived: 0,
+      bytesSent: 0,
+      packetsReceived: 0,
+      packetsLost: 0
+    };
+    const sample = {
+      rtt: null,
+      remoteLoss: null,
+      inbound: { width: 0, height: 0, fps: 0 },
+      outbound: { width: 0, height: 0, fps: 0, limitation: null }
+    };
+    let selectedPairId = null;
+
+    report.forEach((stat) => {
+      if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+        selectedPairId = stat.selectedCandidatePairId;
+      }
+    });
+
+    report.forEach((stat) => {
+      switch (stat.type) {
+        case 'inbound-rtp':
+          totals.bytesReceived += stat.bytesReceived || 0;
+          totals.packetsReceived += stat.packetsReceived || 0;
+          totals.packetsLost += Math.max(stat.packetsLost || 0, 0);
+          if (stat.kind === 'video' && (stat.frameHeight || 0) > sample.inbound.height) {
+            sample.inbound = { width: stat.frameWidth, height: stat.frameHeight, fps: stat.framesPerSecond || 0 };
+          }
+          break;
+        case 'outbound-rtp':
+          totals.bytesSent += stat.bytesSent || 0;
+          if (stat.kind === 'video' && (stat.frameHeight || 0) >= sample.outbound.height) {
+            sample.outbound = {
+              width: stat.frameWidth || 0,
+              height: stat.frameHeight || 0,
+              fps: stat.framesPerSecond || 0,
+              limitation: stat.qualityLimitationReason || null
+            };
+          }
+          break;
+        case 'remote-inbound-rtp':
+          // What the other side reports about what we send, this is what adaptation reacts to.
+          // Audio keeps reporting while video is paused, so it also decides when to step back up.
+          if (typeof stat.fractionLost === 'number') {
+            sample.remoteLoss = Math.max(sample.remoteLoss || 0, stat.fractionLost * 100);
+          }
+          break;
+        case 'candidate-pair':
+          if ((selectedPairId ? stat.id === selectedPairId : stat.nominated && stat.state === 'succeeded')
+            && typeof stat.currentRoundTripTime === 'number') {
+            sample.rtt = Math.round(stat.currentRoundTripTime * 1000);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (previous) {
+      const seconds = (totals.timestamp - previous.timestamp) / 1000;
+      sample.inbound.bitrate = seconds > 0 ? Math.round(((totals.bytesReceived - previous.bytesReceived) * 8) / seconds / 1000) : 0;
+      sample.outbound.bitrate = seconds > 0 ? Math.round(((totals.bytesSent - previous.bytesSent) * 8) / seconds / 1000) : 0;
+      sample.inbound.loss = lossPercent(
+        totals.packetsLost - previous.packetsLost,
+        totals.packetsReceived - previous.packetsReceived
+      );
+    } else {
+      sample.inbound.bitrate = 0;
+      sample.outbound.bitrate = 0;
+      sample.inbound.loss = lossPercent(totals.packetsLost, totals.packetsReceived);
+    }
+    sample.loss = Math.max(sample.inbound.loss, sample.remoteLoss || 0);
+    sample.quality = this.getQuality(sample);
+
+    return { sample, totals };
+  }
+
+  getQuality({ loss, rtt }) {
+    if (loss >= POOR_LOSS || rtt >= POOR_RTT) return 'poor';
+    if (loss >= FAIR_LOSS || rtt >= FAIR_RTT) return 'fair';
+    return 'good';
+  }
+
+  // Returns the level to use next, given the current level and how many samples in a row were bad or good
+  nextLevel(level, streak, sample) {
+    const loss = sample.remoteLoss ?? sample.loss;
+    if (loss >= STEP_DOWN_LOSS) {
+      const bad = streak.bad + 1;
+      if (bad >= STEP_DOWN_SAMPLES && level < QUALITY_LEVELS.length - 1) {
+        return { level: level + 1, streak: { bad: 0, good: 0 } };
+      }
+      return { level, streak: { bad, good: 0 } };
+    }
+    if (loss <= STEP_UP_LOSS) {
+      const good = streak.good + 1;
+      if (good >= STEP_UP_SAMPLES && level > 0) {
+        return { level: level - 1, streak: { bad: 0, good: 0 } };
+      }
+      return { level, streak: { bad: 0, good } };
+    }
+    return { level, streak: { bad: 0, good: 0 } };
+  }
+
+  async applyLevel(pc, level) {
+    const settings = QUALITY_LEVELS[level];
+    const senders = pc.getSenders().filter(sender => sender.track?.kind === 'video');
+
+    await Promise.all(senders.map(async (sender) => {
+      const params = sender.getParameters();
+      if (!params.encodings?.length) params.encodings = [{}];
+
+      params.encodings.forEach((encoding) => {
+        encoding.active = !settings.audioOnly;
+        if (settings.audioOnly) return;
+        encoding.scaleResolutionDownBy = settings.scaleResolutionDownBy;
+        encoding.maxFramerate = settings.maxFramerate;
+        if (settings.maxBitrate) {
+          encoding.maxBitrate = settings.maxBitrate;
+        } else {
+          delete encoding.maxBitrate;
+        }
+      });
+
+      try {
+        await sender.setParameters(params);
+      } catch (error) {
+        console.error('Error adapting video quality:', error);
+      }
+    }));
+  }
+
+  createSummary() {
+    return {
+      samples: 0,
+      lossTotal: 0,
+      maxLoss: 0,
+      rttTotal: 0,
+      rttSamples: 0,
+      inboundBitrateTotal: 0,
+      outboundBitrateTotal: 0,
+      quality: { good: 0, fair: 0, poor: 0 },
+      degradedSamples: 0,
+      audioOnlySamples: 0,
+      lowestLevel: 0
+    };
+  }
+
+  addToSummary(summary, sample, level) {
+    summary.samples += 1;
+    summary.lossTotal += sample.loss;
+    summary.maxLoss = Math.max(summary.maxLoss, sample.loss);
+    if (sample.rtt !== null) {
+      summary.rttTotal += sample.rtt;
+      summary.rttSamples += 1;
+    }
+    summary.inboundBitrateTotal += sample.inbound.bitrate;
+    summary.outboundBitrateTotal += sample.outbound.bitrate;
+    summary.quality[sample.quality] += 1;
+    if (level > 0) summary.degradedSamples += 1;
+    if (QUALITY_LEVELS[level].audioOnly) summary.audioOnlySamples += 1;
+    summary.lowestLevel = Math.max(summary.lowestLevel, level);
+  }
+
+  async recordSummary({ callId, userId, durationSeconds, sampleInterval, summary }) {
+    if (!summary.samples) return;
+
+    const round = value => Math.round(value * 10) / 10;
+    const averageLoss = round(summary.lossTotal / summary.samples);
+    const seconds = samples => Math.round((samples * sampleInterval) / 1000);
+
+    try {
+      await monitoringService.recordMetric({
+        type: 'call_quality',
+        value: averageLoss,
+        threshold: POOR_LOSS,
+        callId,
+        userId,
+        durationSeconds,
+        averagePacketLoss: averageLoss,
+        maxPacketLoss: round(summary.maxLoss),
+        averageRtt: summary.rttSamples ? Math.round(summary.rttTotal / summary.rttSamples) : null,
+        averageInboundKbps: Math.round(summary.inboundBitrateTotal / summary.samples),
+        averageOutboundKbps: Math.round(summary.outboundBitrateTotal / summary.samples),
+        goodSeconds: seconds(summary.quality.good),
+        fairSeconds: seconds(summary.quality.fair),
+        poorSeconds: seconds(summary.quality.poor),
+        degradedSeconds: seconds(summary.degradedSamples),
+        audioOnlySeconds: seconds(summary.audioOnlySamples),
+        lowestLevel: QUALITY_LEVELS[summary.lowestLevel].label
+      });
+    } catch (error) {
+      console.error('Error recording call quality:', error);
+    }
+  }
+}
+
+export const callStatsService = new CallStatsService();
@@ -0,0 +1,334 @@
+import { db, IN_QUERY_LIMIT } from '../config/firebase';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  Timestamp
+} from 'firebase/firestore';
+import { encryptionService } from './EncryptionService';
+import { messageSearchService } from './MessageSearchService';
+import { conversationService } from './ConversationService';
+import { messageService } from './MessageService';
+
+const ARCHIVE_FORMAT = 'socialapp-chat-archive';
+const ARCHIVE_VERSION = 1;
+// Bigger attachments are listed in the archive but not embedded
+const MAX_EMBEDDED_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Attachment links in a transcript may only be web or blob URLs, or the data URL of an embedded file.
+// Anything else, such as a javascript: URL from an imported archive, is written out as text.
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'blob:'];
+const isSafeUrl = (value, { embedded = false } = {}) => {
+  try {
+    const { protocol } = new URL(value);
+    return SAFE_URL_PROTOCOLS.includes(protocol) || (embedded && protocol === 'data:');
+  } catch {
+    return false;
+  }
+};
+
+const toISO = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+class ConversationExportService {
+  constructor() {
+    this.messagesCollection = collection(db, 'messages');
+  }
+
+  // Formatting
+  getTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  formatLocalTime(iso) {
+    if (!iso) return '';
+    return new Intl.DateTimeFormat(undefined, {
+      dateStyle: 'medium',
+      timeStyle: 'medium',
+      timeZoneName: 'short'
+    }).format(new Date(iso));
+  }
+
+  // Exporting
+  async exportConversation(chat, { from = null, to = null, includeAttachments = true, memberNames = {}, exportedBy }) {
+    try {
+      const constraints = [where('chatId', '==', chat.id)];
+      if (from) constraints.push(where('timestamp', '>=', Timestamp.fromDate(from)));
+      if (to) constraints.push(where('timestamp', '<=', Timestamp.fromDate(to)));
+
+      const snapshot = await getDocs(query(this.messagesCollection, ...constraints, orderBy('timestamp', 'asc')));
+      // Disappearing messages that already expired are not exported, even before they're purged
+      const messages = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(message => !messageService.isExpired(message));
+      const replies = (await this.getReplies(messages.map(message => message.id)))
+        .filter(reply => !messageService.isExpired(reply));
+
+      const toEntry = message => this.toArchiveMessage(message, { includeAttachments, memberNames });
+      const entries = [];
+      for (const message of messages) {
+        const entry = await toEntry(message);
+        const thread = replies.filter(reply => reply.parentId === message.id);
+        entry.replies = [];
+        for (const reply of thread) {
+          entry.replies.push(await toEntry(reply));
+        }
+        entries.push(entry);
+      }
+
+      return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy,
+        timeZone: this.getTimeZone(),
+        range: {
+          from: from ? from.toISOString() : null,
+          to: to ? to.toISOString() : null
+        },
+        conversation: {
+          id: chat.id,
+          type: conversationService.isGroup(chat) ? 'group' : 'direct',
+          name: chat.name || '',
+          members: conversationService.getMembers(chat),
+          memberNames
+        },
+        messages: entries
+      };
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      throw error;
+    }
+  }
+
+  async getReplies(messageIds) {
+    const replies = [];
+    for (let i = 0; i < messageIds.length; i += IN_QUERY_LIMIT) {
+      const snapshot = await getDocs(query(
+        this.messagesCollection,
+        where('parentId', 'in', messageIds.slice(i, i + IN_QUERY_LIMIT))
+      ));
+      replies.push(...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }
+    return replies.sort((a, b) => (a.timestamp?.toMillis() || 0) - (b.timestamp?.toMillis() || 0));
+  }
+
+  async toArchiveMessage(message, { includeAttachments, memberNames }) {
+    let text = message.text || '';
+    let fileUrl = message.fileUrl || '';
+
+    // Archives are handed to people outside the app, so encrypted content is exported readable
+    if (message.encrypted && message.ciphertext) {
+      try {
+        ({ text, fileUrl } = await encryptionService.decryptMessage(message));
+      } catch {
+        text = '[This message could not be decrypted on this device]';
+        fileUrl = '';
+      }
+    }
+
+    const timestamp = toISO(message.timestamp);
+
+    return {
+      id: message.id,
+      ...(message.parentId && { parentId: message.parentId }),
+      type: message.type || 'text',
+      senderId: message.senderId,
+      senderName: memberNames[message.senderId] || message.senderName || '',
+      text: message.deleted ? '' : text,
+      deleted: Boolean(message.deleted),
+      encrypted: Boolean(message.encrypted),
+      timestamp,
+      localTime: this.formatLocalTime(timestamp),
+      editedAt: toISO(message.editedAt),
+      ...(message.duration && { duration: message.duration }),
+      reactions: (message.reactions || []).map(reaction => ({
+        emoji: reaction.emoji,
+        userId: reaction.userId,
+        userName: memberNames[reaction.userId] || '',
+        timestamp: new Date(reaction.timestamp).toISOString()
+      })),
+      attachment: fileUrl && !message.deleted
+        ? await this.getAttachment(fileUrl, message, includeAttachments)
+        : null
+    };
+  }
+
+  async getAttachment(fileUrl, message, includeAttachments) {
+    const attachment = {
+      type: message.fileType || '',
+      mimeType: message.fileMimeType || '',
+      url: message.encrypted ? '' : fileUrl,
+      dataUrl: null
+    };
+    if (!includeAttachments) return attachment;
+
+    try {
+      const blob = await (await fetch(fileUrl)).blob();
+      attachment.mimeType = attachment.mimeType || blob.type;
+      attachment.size = blob.size;
+      if (blob.size <= MAX_EMBEDDED_ATTACHMENT_BYTES) {
+        attachment.dataUrl = await blobToDataUrl(blob);
+      }
+    } catch (error) {
+      console.error('Error embedding attachment:', error);
+    }
+    return attachment;
+  }
+
+  // Transcript
+  toHtml(archive) {
+    const { conversation } = archive;
+    const title = conversation.name || Object.values(conversation.memberNames).join(', ') || conversation.id;
+
+    const renderAttachment = (attachment) => {
+      if (!attachment) return '';
+      const src = attachment.dataUrl || attachment.url;
+      if (!src) return '<p class="note">[Attachment not included]</p>';
+      if (!isSafeUrl(src, { embedded: src === attachment.dataUrl })) {
+        return `<p class="note">[Attachment: ${escapeHtml(src)}]</p>`;
+      }
+
+      switch (attachment.type) {
+        case 'image':
+          return `<img src="${escapeHtml(src)}" alt="Attachment">`;
+        case 'video':
+          return `<video src="${escapeHtml(src)}" controls></video>`;
+        case 'audio':
+          return `<audio src="${escapeHtml(src)}" controls></audio>`;
+        default:
+          return `<a href="${escapeHtml(src)}" download>Download attachment</a>`;
+      }
+    };
+
+    const renderReactions = (reactions) => {
+      if (reactions.length === 0) return '';
+      const grouped = reactions.reduce((acc, reaction) => {
+        acc[reaction.emoji] = [...(acc[reaction.emoji] || []), reaction.userName || reaction.userId];
+        return acc;
+      }, {});
+      return `<div class="reactions">${Object.entries(grouped).map(([emoji, users]) =>
+        `<span title="${escapeHtml(users.join(', '))}">${escapeHtml(emoji)} ${users.length}</span>`
+      ).join('')}</div>`;
+    };
+
+    const renderMessage = (message) => {
+      if (message.type === 'system') {
+        return `<div class="system">${escapeHtml(message.text)} &middot; ${escapeHtml(message.localTime)}</div>`;
+      }
+
+      return `<div class="message">
+  <div class="meta"><strong>${escapeHtml(message.senderName || message.senderId)}</strong> &middot; ${escapeHtml(message.localTime)}${message.editedAt ? ' &middot; edited' : ''}</div>
+  ${message.deleted ? '<p class="note">This message was unsent</p>' : `<p>${escapeHtml(message.text).replace(/\n/g, '<br>')}</p>`}
+  ${renderAttachment(message.attachment)}
+  ${renderReactions(message.reactions)}
+  ${message.replies?.length ? `<div class="thread">${message.replies.map(renderMessage).join('\n')}</div>` : ''}
+</div>`;
+    };
+
+    const range = archive.range.from || archive.range.to
+      ? `${archive.range.from ? this.formatLocalTime(archive.range.from) : 'the beginning'} to ${archive.range.to ? this.formatLocalTime(archive.range.to) : 'now'}`
+      : 'Full history';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - Chat transcript</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2rem auto; color: #1f2937; }
+  header { border-bottom: 1px solid #e5e7eb; margin-bottom: 1rem; }
+  .message { padding: 0.5rem 0; border-bottom: 1px solid #f3f4f6; }
+  .meta { font-size: 0.8rem; color: #6b7280; }
+  .system { text-align: center; font-size: 0.8rem; color: #6b7280; padding: 0.5rem 0; }
+  .note { font-style: italic; color: #6b7280; }
+  .reactions span { display: inline-block; margin-right: 0.5rem; font-size: 0.85rem; }
+  .thread { margin-left: 1.5rem; padding-left: 0.75rem; border-left: 2px solid #e5e7eb; }
+  img, video { max-width: 100%; max-height: 400px; display: block; margin-top: 0.25rem; }
+  @media print { .message { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(range)}</p>
+  <p>Exported ${escapeHtml(this.formatLocalTime(archive.exportedAt))} &middot; Times shown in ${escapeHtml(archive.timeZone)}</p>
+  <p>${archive.messages.length} messages</p>
+</header>
+${archive.messages.map(renderMessage).join('\n')}
+</body>
+</html>`;
+  }
+
+  download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Importing
+  async importArchive(file) {
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch {
+      throw new Error('This file is not a chat archive');
+    }
+
+    if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.messages)) {
+      throw new Error('This file is not a chat archive');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+      throw new Error('This archive was made by a newer version of the app');
+    }
+
+    try {
+      const chatId = archive.conversation.id;
+      const toCached = message => ({
+        id: message.id,
+        chatId,
+        parentId: message.parentId || null,
+        senderId: message.senderId,
+        senderName: message.senderName,
+        type: message.type,
+        text: message.text,
+        deleted: message.deleted,
+        fileUrl: message.attachment?.dataUrl || message.attachment?.url || '',
+        fileType: message.attachment?.type || '',
+        timestamp: message.timestamp,
+        editedAt: message.editedAt
+      });
+
+      const messages = archive.messages.flatMap(message => [
+        toCached(message),
+        ...(message.replies || []).map(toCached)
+      ]);
+      await messageSearchService.indexMessages(messages);
+
+      return { conversation: archive.conversation, count: messages.length };
+    } catch (error) {
+      console.error('Error importing archive:', error);
+      throw error;
+    }
+  }
+}
+
+export const conversationExportService = new ConversationExportService();
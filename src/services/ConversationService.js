@@ -0,0 +1,277 @@
+import { db, storage } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  addDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+
+class ConversationService {
+  constructor() {
+    this.conversationsCollection = collection(db, 'conversations');
+    this.messagesCollection = collection(db, 'messages');
+    this.nameCache = new Map();
+  }
+
+  // One-to-one chats live in `friends` with `users`, groups in `conversations` with `members`
+  getMembers(chat) {
+    return chat?.members || chat?.users || [];
+  }
+
+  isGroup(chat) {
+    return chat?.type === 'group';
+  }
+
+  isAdmin(chat, userId) {
+    return Boolean(chat?.admins?.includes(userId));
+  }
+
+  // Muted groups don't notify their member or show as unread
+  isMuted(chat, userId) {
+    return Boolean(chat?.mutedBy?.includes(userId));
+  }
+
+  // User Names
+  async getUserName(userId) {
+    if (this.nameCache.has(userId)) return this.nameCache.get(userId);
+
+    try {
+      const userDoc = await getDoc(doc(db, 'users', userId));
+      const data = userDoc.exists() ? userDoc.data() : {};
+      const name = data.displayName || data.email || userId;
+      this.nameCache.set(userId, name);
+      return name;
+    } catch (error) {
+      console.error('Error getting user name:', error);
+      return userId;
+    }
+  }
+
+  async getUserNames(userIds) {
+    const names = await Promise.all(userIds.map(id => this.getUserName(id)));
+    return Object.fromEntries(userIds.map((id, i) => [id, names[i]]));
+  }
+
+  // Group Management
+  async createGroup(creator, { name, memberIds, avatarFile = null }) {
+    try {
+      const members = Array.from(new Set([creator.uid, ...memberIds]));
+      const docRef = await addDoc(this.conversationsCollection, {
+        type: 'group',
+        name,
+        avatarUrl: '',
+        members,
+        admins: [creator.uid],
+        mutedBy: [],
+        createdBy: creator.uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+
+      if (avatarFile) {
+        await this.updateAvatar(docRef.id, avatarFile);
+      }
+
+      const names = await this.getUserNames(memberIds);
+      await this.addSystemMessage(docRef.id, creator, `${creator.displayName || 'Someone'} created "${name}"`);
+      if (memberIds.length > 0) {
+        await this.addSystemMessage(
+          docRef.id,
+          creator,
+          `${creator.displayName || 'Someone'} added ${memberIds.map(id => names[id]).join(', ')}`
+        );
+      }
+
+      return docRef.id;
+    } catch (error) {
+      console.error('Error creating group:', error);
+      throw error;
+    }
+  }
+
+  async updateGroupName(conversationId, actor, name) {
+    try {
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        name,
+        updatedAt: serverTimestamp()
+      });
+      await this.addSystemMessage(conversationId, actor, `${actor.displayName || 'Someone'} renamed the group to "${name}"`);
+    } catch (error) {
+      console.error('Error renaming group:', error);
+      throw error;
+    }
+  }
+
+  async updateAvatar(conversationId, avatarFile) {
+    try {
+      const avatarRef = ref(storage, `conversations/${conversationId}/avatar`);
+      await uploadBytes(avatarRef, avatarFile);
+      const avatarUrl = await getDownloadURL(avatarRef);
+
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        avatarUrl,
+        updatedAt: serverTimestamp()
+      });
+      return avatarUrl;
+    } catch (error) {
+      console.error('Error updating group avatar:', error);
+      throw error;
+    }
+  }
+
+  async addMembers(conversationId, actor, memberIds) {
+    try {
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        members: arrayUnion(...memberIds),
+        updatedAt: serverTimestamp()
+      });
+
+      const names = await this.getUserNames(memberIds);
+      await this.addSystemMessage(
+        conversationId,
+        actor,
+        `${actor.displayName || 'Someone'} added ${memberIds.map(id => names[id]).join(', ')}`
+      );
+    } catch (error) {
+      console.error('Error adding members:', error);
+      throw error;
+    }
+  }
+
+  async removeMember(conversationId, actor, memberId) {
+    try {
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        members: arrayRemove(memberId),
+        admins: arrayRemove(memberId),
+        mutedBy: arrayRemove(memberId),
+        updatedAt: serverTimestamp()
+      });
+
+      const name = await this.getUserName(memberId);
+      await this.addSystemMessage(conversationId, actor, `${actor.displayName || 'Someone'} removed ${name}`);
+    } catch (error) {
+      console.error('Error removing member:', error);
+      throw error;
+    }
+  }
+
+  async leaveGroup(conversation, user) {
+    try {
+      const remaining = conversation.members.filter(id => id !== user.uid);
+      const remainingAdmins = conversation.admins.filter(id => id !== user.uid);
+      const updates = {
+        members: arrayRemove(user.uid),
+        admins: arrayRemove(user.uid),
+        mutedBy: arrayRemove(user.uid),
+        updatedAt: serverTimestamp()
+      };
+
+      // Never leave a group without an admin
+      if (remainingAdmins.length === 0 && remaining.length > 0) {
+        updates.admins = [remaining[0]];
+      }
+
+      await updateDoc(doc(this.conversationsCollection, conversation.id), updates);
+      await this.addSystemMessage(conversation.id, user, `${user.displayName || 'Someone'} left the group`);
+    } catch (error) {
+      console.error('Error leaving group:', error);
+      throw error;
+    }
+  }
+
+  async setAdmin(conversationId, actor, memberId, isAdmin) {
+    try {
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        admins: isAdmin ? arrayUnion(memberId) : arrayRemove(memberId),
+        updatedAt: serverTimestamp()
+      });
+
+      const name = await this.getUserName(memberId);
+      await this.addSystemMessage(
+        conversationId,
+        actor,
+        isAdmin
+          ? `${actor.displayName || 'Someone'} made ${name} an admin`
+          : `${actor.displayName || 'Someone'} removed ${name} as admin`
+      );
+    } catch (error) {
+      console.error('Error updating admin:', error);
+      throw error;
+    }
+  }
+
+  async setMuted(conversationId, userId, muted) {
+    try {
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        mutedBy: muted ? arrayUnion(userId) : arrayRemove(userId)
+      });
+    } catch (error) {
+      console.error('Error muting conversation:', error);
+      throw error;
+    }
+  }
+
+  // Unread
+  // Each member's last visit is kept on the group as lastReadAt.<uid>
+  hasUnread(chat, latestMessage, userId) {
+    if (!latestMessage?.timestamp || latestMessage.senderId === userId) return false;
+    const readAt = chat?.lastReadAt?.[userId];
+    return !readAt || latestMessage.timestamp.toMillis() > readAt.toMillis();
+  }
+
+  showsUnread(chat, latestMessage, userId) {
+    return !this.isMuted(chat, userId) && this.hasUnread(chat, latestMessage, userId);
+  }
+
+  async markRead(conversationId, userId) {
+    try {
+      await updateDoc(doc(this.conversationsCollection, conversationId), {
+        [`lastReadAt.${userId}`]: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error marking conversation as read:', error);
+    }
+  }
+
+  subscribeToLatestMessage(chatId, callback) {
+    const q = query(
+      this.messagesCollection,
+      where('chatId', '==', chatId),
+      orderBy('timestamp', 'desc'),
+      limit(1)
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() });
+    }, (error) => {
+      console.error('Error listening to latest message:', error);
+    });
+  }
+
+  // System Messages
+  async addSystemMessage(chatId, actor, text) {
+    try {
+      await addDoc(this.messagesCollection, {
+        chatId,
+        type: 'system',
+        senderId: actor.uid,
+        text,
+        timestamp: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error adding system message:', error);
+      throw error;
+    }
+  }
+}
+
+export const conversationService = new ConversationService();
@@ -0,0 +1,308 @@
+import { auth, db } from '../config/firebase';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  deleteField,
+  serverTimestamp
+} from 'firebase/firestore';
+import { offlineDB } from './OfflineDB';
+
+// Keys stored before they were kept per account, adopted by the account that published them
+const LEGACY_DEVICE_KEY_ID = 'current';
+const KEY_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+const CONTENT_ALGORITHM = { name: 'AES-GCM', length: 256 };
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), c => c.charCodeAt(0));
+
+class EncryptionService {
+  constructor() {
+    // One device key per account signed in on this browser, by uid
+    this.deviceKeyPromises = {};
+  }
+
+  // Device Key Management
+  async getDeviceKey(userId = auth.currentUser?.uid) {
+    if (!userId) throw new Error('Sign in to use encrypted chats');
+
+    if (!this.deviceKeyPromises[userId]) {
+      this.deviceKeyPromises[userId] = this.loadDeviceKey(userId).catch((error) => {
+        delete this.deviceKeyPromises[userId];
+        throw error;
+      });
+    }
+    return this.deviceKeyPromises[userId];
+  }
+
+  async loadDeviceKey(userId) {
+    const stored = await offlineDB.get('deviceKeys', userId);
+    if (stored) return stored;
+
+    const legacy = await offlineDB.get('deviceKeys', LEGACY_DEVICE_KEY_ID);
+    if (legacy && (await this.getPublicKeys(userId))[legacy.deviceId]) {
+      const adopted = { ...legacy, id: userId };
+      await offlineDB.put('deviceKeys', adopted);
+      await offlineDB.delete('deviceKeys', LEGACY_DEVICE_KEY_ID);
+      return adopted;
+    }
+
+    return this.generateDeviceKey(userId);
+  }
+
+  async generateDeviceKey(userId) {
+    // The private key is not extractable, so it never leaves this browser
+    const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, false, ['deriveKey']);
+    const publicJwk = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
+
+    const deviceKey = {
+      id: userId,
+      deviceId: crypto.randomUUID(),
+      privateKey: keyPair.privateKey,
+      publicJwk,
+      fingerprint: await this.getFingerprint(publicJwk),
+      createdAt: new Date().toISOString()
+    };
+
+    await offlineDB.put('deviceKeys', deviceKey);
+    return deviceKey;
+  }
+
+  async publishPublicKey(userId) {
+    try {
+      const deviceKey = await this.getDeviceKey(userId);
+      await setDoc(doc(db, 'users', userId), {
+        publicKeys: {
+          [deviceKey.deviceId]: {
+            jwk: deviceKey.publicJwk,
+            fingerprint: deviceKey.fingerprint,
+            createdAt: deviceKey.createdAt
+          }
+        },
+        publicKeysUpdatedAt: serverTimestamp()
+      }, { merge: true });
+      return deviceKey.fingerprint;
+    } catch (error) {
+      console.error('Error publishing public key:', error);
+      throw error;
+    }
+  }
+
+  async rotateDeviceKey(userId) {
+    try {
+      const previous = await this.getDeviceKey(userId);
+      this.deviceKeyPromises[userId] = this.generateDeviceKey(userId);
+      await this.getDeviceKey(userId);
+
+      await updateDoc(doc(db, 'users', userId), {
+        [`publicKeys.${previous.deviceId}`]: deleteField()
+      });
+      return this.publishPublicKey(userId);
+    } catch (error) {
+      console.error('Error rotating device key:', error);
+      throw error;
+    }
+  }
+
+  async getFingerprint(jwk) {
+    const digest = await crypto.subtle.digest(
+      'SHA-256',
+      new TextEncoder().encode(`${jwk.crv}:${jwk.x}:${jwk.y}`)
+    );
+    return Array.from(new Uint8Array(digest).slice(0, 16))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+      .match(/.{4}/g)
+      .join(' ');
+  }
+
+  // Public Key Directory
+  async getPublicKeys(userId) {
+    try {
+      const userDoc = await getDoc(doc(db, 'users', userId));
+      return userDoc.exists() ? userDoc.data().publicKeys || {} : {};
+    } catch (error) {
+      console.error('Error getting public keys:', error);
+      throw error;
+    }
+  }
+
+  getKeySetFingerprint(publicKeys) {
+    return Object.values(publicKeys || {})
+      .map(key => key.fingerprint)
+      .sort()
+      .join('|');
+  }
+
+  // Returns the previous and current fingerprints when a user's keys differ
+  // from the ones seen last time, trusting the first set we ever see.
+  async checkKeyChange(userId, publicKeys) {
+    const current = this.getKeySetFingerprint(publicKeys);
+    if (!current) return null;
+
+    const known = await offlineDB.get('knownKeys', userId);
+    if (!known) {
+      await this.acceptKeyChange(userId, current);
+      return null;
+    }
+
+    return known.fingerprint === current
+      ? null
+      : { previous: known.fingerprint, current };
+  }
+
+  async acceptKeyChange(userId, fingerprint) {
+    await offlineDB.put('knownKeys', {
+      userId,
+      fingerprint,
+      acceptedAt: new Date().toISOString()
+    });
+  }
+
+  // Message Encryption
+  async encryptMessage({ text = '', file = null }, recipientIds) {
+    try {
+      const contentKey = await crypto.subtle.generateKey(CONTENT_ALGORITHM, true, ['encrypt', 'decrypt']);
+      const rawContentKey = await crypto.subtle.exportKey('raw', contentKey);
+      const ephemeral = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['deriveKey']);
+
+      const keys = {};
+      for (const recipientId of new Set(recipientIds)) {
+        const publicKeys = await this.getPublicKeys(recipientId);
+        for (const [deviceId, { jwk }] of Object.entries(publicKeys)) {
+          const wrappingKey = await this.deriveWrappingKey(ephemeral.privateKey, jwk);
+          const iv = crypto.getRandomValues(new Uint8Array(12));
+          const wrapped = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, rawContentKey);
+          keys[deviceId] = { iv: toBase64(iv), key: toBase64(wrapped) };
+        }
+      }
+
+      if (Object.keys(keys).length === 0) {
+        throw new Error('No recipients have published encryption keys');
+      }
+
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        contentKey,
+        new TextEncoder().encode(text)
+      );
+
+      const result = {
+        ciphertext: toBase64(ciphertext),
+        iv: toBase64(iv),
+        encryption: {
+          version: 1,
+          ephemeralKey: await crypto.subtle.exportKey('jwk', ephemeral.publicKey),
+          keys
+        }
+      };
+
+      if (file) {
+        const fileIv = crypto.getRandomValues(new Uint8Array(12));
+        const encryptedFile = await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv: fileIv },
+          contentKey,
+          await file.arrayBuffer()
+        );
+        result.file = new Blob([encryptedFile], { type: 'application/octet-stream' });
+        result.fileIv = toBase64(fileIv);
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error encrypting message:', error);
+      throw error;
+    }
+  }
+
+  // Edits reuse the message's content key so the attachment and the
+  // per-device key envelopes stay valid, only the text gets a new IV.
+  async encryptEdit(message, text) {
+    try {
+      const contentKey = await this.unwrapContentKey(message.encryption, ['encrypt']);
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        contentKey,
+        new TextEncoder().encode(text)
+      );
+      return { ciphertext: toBase64(ciphertext), iv: toBase64(iv) };
+    } catch (error) {
+      console.error('Error encrypting edit:', error);
+      throw error;
+    }
+  }
+
+  async decryptMessage(message) {
+    try {
+      const contentKey = await this.unwrapContentKey(message.encryption);
+
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(message.iv) },
+        contentKey,
+        fromBase64(message.ciphertext)
+      );
+
+      const result = { text: new TextDecoder().decode(plaintext), fileUrl: '' };
+
+      if (message.fileUrl && message.fileIv) {
+        const response = await fetch(message.fileUrl);
+        if (!response.ok) throw new Error('Failed to download attachment');
+
+        const file = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: fromBase64(message.fileIv) },
+          contentKey,
+          await response.arrayBuffer()
+        );
+        result.fileUrl = URL.createObjectURL(
+          new Blob([file], { type: message.fileMimeType || '' })
+        );
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Error decrypting message:', error);
+      throw error;
+    }
+  }
+
+  async unwrapContentKey(encryption, usages = ['decrypt']) {
+    const deviceKey = await this.getDeviceKey();
+    const entry = encryption?.keys?.[deviceKey.deviceId];
+    if (!entry) {
+      throw new Error('Message was not encrypted for this device');
+    }
+
+    const wrappingKey = await this.deriveWrappingKey(deviceKey.privateKey, encryption.ephemeralKey);
+    const rawContentKey = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(entry.iv) },
+      wrappingKey,
+      fromBase64(entry.key)
+    );
+
+    return crypto.subtle.importKey('raw', rawContentKey, CONTENT_ALGORITHM, false, usages);
+  }
+
+  async deriveWrappingKey(privateKey, publicJwk) {
+    const publicKey = await crypto.subtle.importKey('jwk', publicJwk, KEY_ALGORITHM, false, []);
+    return crypto.subtle.deriveKey(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      CONTENT_ALGORITHM,
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+}
+
+export const encryptionService = new EncryptionService();
@@ -0,0 +1,59 @@
+const UNFURL_ENDPOINT = import.meta.env.VITE_UNFURL_ENDPOINT || '/api/unfurl';
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+// Trailing punctuation usually belongs to the sentence, not the link
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}'"]+$/;
+
+class LinkPreviewService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  extractUrls(text) {
+    if (!text) return [];
+    const urls = (text.match(URL_PATTERN) || []).map(url => url.replace(TRAILING_PUNCTUATION, ''));
+    return Array.from(new Set(urls));
+  }
+
+  // Splits text into plain and link parts so links can be rendered as anchors
+  splitLinks(text) {
+    if (!text) return [];
+
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of text.matchAll(URL_PATTERN)) {
+      const url = match[0].replace(TRAILING_PUNCTUATION, '');
+      if (match.index > lastIndex) {
+        parts.push({ text: text.slice(lastIndex, match.index) });
+      }
+      parts.push({ text: url, url });
+      lastIndex = match.index + url.length;
+    }
+    if (lastIndex < text.length) {
+      parts.push({ text: text.slice(lastIndex) });
+    }
+    return parts;
+  }
+
+  // Previews are cached per page load, the unfurl service keeps its own longer cache
+  getPreview(url) {
+    if (!this.cache.has(url)) {
+      const request = fetch(`${UNFURL_ENDPOINT}?url=${encodeURIComponent(url)}`)
+        .then(async (response) => {
+          const body = await response.json();
+          if (!response.ok) throw new Error(body.error || 'Preview unavailable');
+          return body;
+        })
+        .catch((error) => {
+          console.error('Error fetching link preview:', error);
+          // Failures aren't cached, the next card showing this link tries again
+          this.cache.delete(url);
+          throw error;
+        });
+
+      this.cache.set(url, request);
+    }
+    return this.cache.get(url);
+  }
+}
+
+export const linkPreviewService = new LinkPreviewService();
@@ -0,0 +1,167 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp
+} from 'firebase/firestore';
+import { MediaCompositor } from './CallRecordingService';
+import { liveStreamService } from './LiveStreamService';
+
+// Guests on screen at once, besides the host
+export const MAX_GUESTS = 3;
+export const GUEST_LAYOUTS = {
+  'side-by-side': 'Side by side',
+  pip: 'Picture in picture'
+};
+// Requests and invitations that are still open, and guests on screen
+const OPEN_STATUSES = ['requested', 'invited', 'accepted'];
+const GUEST_SIGNALS = 'guestSignals';
+const GAP = 8;
+// Width of each guest's window in picture in picture, as a share of the frame
+const PIP_WIDTH = 0.24;
+
+// Paints the host and their guests into the frame viewers receive. The first source is the host.
+export class LiveCompositor extends MediaCompositor {
+  constructor(options) {
+    super(options);
+    this.layout = 'side-by-side';
+  }
+
+  setLayout(layout) {
+    this.layout = GUEST_LAYOUTS[layout] ? layout : 'side-by-side';
+  }
+
+  stop() {
+    this.cleanup();
+  }
+
+  draw() {
+    const { context, width, height } = this;
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, width, height);
+
+    const [host, ...guests] = this.sources;
+    if (!host) return;
+
+    if (guests.length === 0) {
+      this.drawSource({ ...host, label: null }, { x: 0, y: 0, width, height });
+      return;
+    }
+
+    if (this.layout === 'pip') {
+      this.drawSource(host, { x: 0, y: 0, width, height });
+      const pipWidth = width * PIP_WIDTH;
+      const pipHeight = (pipWidth * 9) / 16;
+      guests.forEach((guest, index) => {
+        this.drawSource(guest, {
+          x: width - pipWidth - GAP * 2,
+          y: height - (index + 1) * (pipHeight + GAP) - GAP,
+          width: pipWidth,
+          height: pipHeight
+        });
+      });
+      return;
+    }
+
+    // Side by side, everyone gets an equal column
+    const columnWidth = (width - GAP * (this.sources.length + 1)) / this.sources.length;
+    this.sources.forEach((source, index) => {
+      this.drawSource(source, {
+        x: GAP + index * (columnWidth + GAP),
+        y: GAP,
+        width: columnWidth,
+        height: height - GAP * 2
+      });
+    });
+  }
+}
+
+class LiveGuestService {
+  constructor() {
+    this.streamsCollection = collection(db, 'livestreams');
+  }
+
+  isSupported() {
+    return typeof HTMLCanvasElement.prototype.captureStream === 'function'
+      && Boolean(window.AudioContext || window.webkitAudioContext);
+  }
+
+  createCompositor(options) {
+    return new LiveCompositor(options);
+  }
+
+  // Guests
+  // One document per viewer in the guests subcollection. Status is requested (the viewer asked),
+  // invited (the host asked), accepted (on screen), declined, removed or left.
+  async setGuest(streamId, guest, status) {
+    try {
+      await setDoc(doc(this.streamsCollection, streamId, 'guests', guest.uid), {
+        uid: guest.uid,
+        displayName: guest.displayName || '',
+        photoURL: guest.photoURL || null,
+        status,
+        updatedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error updating livestream guest:', error);
+      throw error;
+    }
+  }
+
+  requestToJoin(streamId, user) {
+    return this.setGuest(streamId, user, 'requested');
+  }
+
+  invite(streamId, viewer) {
+    return this.setGuest(streamId, viewer, 'invited');
+  }
+
+  async updateStatus(streamId, userId, status) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId, 'guests', userId), {
+        status,
+        updatedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error updating livestream guest:', error);
+      throw error;
+    }
+  }
+
+  subscribeToGuests(streamId, callback) {
+    const q = query(
+      collection(this.streamsCollection, streamId, 'guests'),
+      where('status', 'in', OPEN_STATUSES)
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(item => item.data()));
+    });
+  }
+
+  subscribeToGuest(streamId, userId, callback) {
+    return onSnapshot(doc(this.streamsCollection, streamId, 'guests', userId), (snapshot) => {
+      callback(snapshot.exists() ? snapshot.data() : null);
+    });
+  }
+
+  setLayout(streamId, layout) {
+    return liveStreamService.updateStream(streamId, { guestLayout: layout });
+  }
+
+  // Signaling
+  // Guests send their camera to the host over their own connection
+  sendSignal(streamId, from, to, data) {
+    return liveStreamService.sendSignal(streamId, from, to, data, GUEST_SIGNALS);
+  }
+
+  subscribeToSignals(streamId, userId, callback) {
+    return liveStreamService.subscribeToSignals(streamId, userId, callback, GUEST_SIGNALS);
+  }
+}
+
+export const liveGuestService = new LiveGuestService();
@@ -0,0 +1,252 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  serverTimestamp
+} from 'firebase/firestore';
+import { checkText, containsBannedWords } from './contentModeration';
+import { liveStreamService } from './LiveStreamService';
+
+// Seconds between two comments from the same viewer, 0 turns slow mode off
+export const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60];
+// Minutes a timed out viewer has to wait
+export const TIMEOUT_OPTIONS = [1, 5, 10, 30];
+const LOG_SIZE = 100;
+
+const DEFAULT_SETTINGS = {
+  slowMode: 0,
+  followersOnly: false,
+  bannedWords: []
+};
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : value || 0);
+
+class LiveModerationService {
+  constructor() {
+    this.streamsCollection = collection(db, 'livestreams');
+  }
+
+  // Settings live on the stream document under `moderation`, moderator ids in `moderators`
+  // and their names in `moderatorNames`
+  getSettings(stream) {
+    return { ...DEFAULT_SETTINGS, ...stream?.moderation };
+  }
+
+  canModerate(stream, userId) {
+    return Boolean(stream && userId && (stream.userId === userId || stream.moderators?.includes(userId)));
+  }
+
+  // A ban or a timeout that hasn't run out
+  isRestricted(restriction, now = Date.now()) {
+    return Boolean(restriction && (restriction.type === 'ban' || restriction.until > now));
+  }
+
+  // Settings
+  async updateSettings(streamId, actor, changes) {
+    const update = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`moderation.${key}`, value]));
+
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), update);
+      await this.log(streamId, actor, 'settings', { details: changes });
+    } catch (error) {
+      console.error('Error updating moderation settings:', error);
+      throw error;
+    }
+  }
+
+  async addModerator(streamId, actor, target) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), {
+        moderators: arrayUnion(target.userId),
+        [`moderatorNames.${target.userId}`]: target.userName || ''
+      });
+      await this.log(streamId, actor, 'add_moderator', { target });
+    } catch (error) {
+      console.error('Error adding moderator:', error);
+      throw error;
+    }
+  }
+
+  async removeModerator(streamId, actor, target) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), {
+        moderators: arrayRemove(target.userId),
+        [`moderatorNames.${target.userId}`]: deleteField()
+      });
+      await this.log(streamId, actor, 'remove_moderator', { target });
+    } catch (error) {
+      console.error('Error removing moderator:', error);
+      throw error;
+    }
+  }
+
+  // Actions on viewers and comments
+  // `target` is { userId, userName }, as found on comments
+  async deleteComment(streamId, actor, comment) {
+    try {
+      await deleteDoc(doc(this.streamsCollection, streamId, 'comments', comment.id));
+      await this.log(streamId, actor, 'delete_comment', {
+        target: comment,
+        details: { text: comment.text }
+      });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      throw error;
+    }
+  }
+
+  async timeoutUser(streamId, actor, target, minutes) {
+    try {
+      await setDoc(doc(this.streamsCollection, streamId, 'restrictions', target.userId), {
+        userId: target.userId,
+        userName: target.userName || '',
+        type: 'timeout',
+        until: Date.now() + minutes * 60 * 1000,
+        by: actor.uid,
+        createdAt: serverTimestamp()
+      });
+      await this.log(streamId, actor, 'timeout', { target, details: { minutes } });
+    } catch (error) {
+      console.error('Error timing out viewer:', error);
+      throw error;
+    }
+  }
+
+  async banUser(streamId, actor, target) {
+    try {
+      await setDoc(doc(this.streamsCollection, streamId, 'restrictions', target.userId), {
+        userId: target.userId,
+        userName: target.userName || '',
+        type: 'ban',
+        until: null,
+        by: actor.uid,
+        createdAt: serverTimestamp()
+      });
+      await this.log(streamId, actor, 'ban', { target });
+    } catch (error) {
+      console.error('Error banning viewer:', error);
+      throw error;
+    }
+  }
+
+  async liftRestriction(streamId, actor, target) {
+    try {
+      await deleteDoc(doc(this.streamsCollection, streamId, 'restrictions', target.userId));
+      await this.log(streamId, actor, 'unban', { target });
+    } catch (error) {
+      console.error('Error lifting restriction:', error);
+      throw error;
+    }
+  }
+
+  subscribeToRestrictions(streamId, callback) {
+    return onSnapshot(collection(this.streamsCollection, streamId, 'restrictions'), (snapshot) => {
+      callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+    });
+  }
+
+  // Commenting
+  // Checks a comment against the stream's rules before it is posted. Returns the reason it
+  // was refused, or null once it has been posted.
+  async postComment(stream, user, text) {
+    const settings = this.getSettings(stream);
+    const isModerator = this.canModerate(stream, user.uid);
+
+    try {
+      if (!isModerator) {
+        const restriction = (await getDoc(doc(this.streamsCollection, stream.id, 'restrictions', user.uid))).data();
+        if (restriction?.type === 'ban') return 'You have been banned from this chat';
+        if (this.isRestricted(restriction)) {
+          return `You are timed out for ${Math.ceil((restriction.until - Date.now()) / 60000)} more minutes`;
+        }
+
+        if (settings.followersOnly && !(await this.isFollower(stream, user.uid))) {
+          return 'Only followers can chat right now';
+        }
+
+        if (settings.slowMode > 0) {
+          const wait = await this.getSlowModeWait(stream.id, user.uid, settings.slowMode);
+          if (wait > 0) return `Slow mode is on, wait ${wait} seconds`;
+        }
+      }
+
+      if (containsBannedWords(text, settings.bannedWords) || !(await checkText(text)).safe) {
+        await this.log(stream.id, { uid: null, displayName: 'Auto moderation' }, 'block_comment', {
+          target: { userId: user.uid, userName: user.displayName },
+          details: { text }
+        });
+        return 'Your message was not sent because it breaks the chat rules';
+      }
+
+      await liveStreamService.addComment(stream.id, user, text);
+      return null;
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      throw error;
+    }
+  }
+
+  // Comments whose text breaks the current rules are hidden, even if they were posted before the rules changed
+  isCommentVisible(comment, stream) {
+    return !containsBannedWords(comment.text || '', this.getSettings(stream).bannedWords);
+  }
+
+  async getSlowModeWait(streamId, userId, slowMode) {
+    const q = query(collection(this.streamsCollection, streamId, 'comments'), where('userId', '==', userId));
+    const snapshot = await getDocs(q);
+    const lastComment = Math.max(0, ...snapshot.docs.map(item => toMillis(item.data().createdAt)));
+    return Math.ceil((lastComment + slowMode * 1000 - Date.now()) / 1000);
+  }
+
+  // Viewers who follow the stream's store or are friends with the host
+  async isFollower(stream, userId) {
+    if (stream.storeId) {
+      const store = (await getDoc(doc(db, 'stores', stream.storeId))).data();
+      if (store?.followers?.includes(userId)) return true;
+    }
+
+    const q = query(collection(db, 'friends'), where('users', 'array-contains', userId));
+    const snapshot = await getDocs(q);
+    return snapshot.docs.some(item => item.data().users.includes(stream.userId));
+  }
+
+  // Log
+  async log(streamId, actor, action, { target = null, details = null } = {}) {
+    await addDoc(collection(this.streamsCollection, streamId, 'moderationLog'), {
+      action,
+      actorId: actor.uid,
+      actorName: actor.displayName || '',
+      targetId: target?.userId || null,
+      targetName: target?.userName || null,
+      details,
+      createdAt: serverTimestamp()
+    });
+  }
+
+  subscribeToLog(streamId, callback) {
+    const q = query(
+      collection(this.streamsCollection, streamId, 'moderationLog'),
+      orderBy('createdAt', 'desc'),
+      limit(LOG_SIZE)
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+    });
+  }
+}
+
+export const liveModerationService = new LiveModerationService();
@@ -0,0 +1,196 @@
+import { db, storage, BATCH_WRITE_LIMIT } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+// Recorded data is handed over in slices so a long stream is not held in one buffer
+const TIMESLICE = 1000;
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : null);
+
+// h:mm:ss or m:ss for a position in seconds
+export const formatReplayTime = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Records the broadcaster's own stream as it goes out
+export class ReplayRecorder {
+  constructor(stream) {
+    this.stream = stream;
+    this.chunks = [];
+    this.recorder = null;
+    this.startedAt = null;
+  }
+
+  start() {
+    const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    this.recorder = new MediaRecorder(this.stream, mimeType ? { mimeType } : undefined);
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+    this.recorder.start(TIMESLICE);
+    this.startedAt = Date.now();
+  }
+
+  // Resolves with the recording and its length in seconds, which webm files from MediaRecorder leave out
+  stop() {
+    return new Promise((resolve) => {
+      const duration = (Date.now() - this.startedAt) / 1000;
+      this.recorder.onstop = () => {
+        resolve({ blob: new Blob(this.chunks, { type: 'video/webm' }), duration });
+        this.chunks = [];
+      };
+      this.recorder.stop();
+    });
+  }
+
+  isRecording() {
+    return this.recorder?.state === 'recording';
+  }
+}
+
+class LiveReplayService {
+  constructor() {
+    this.streamsCollection = collection(db, 'livestreams');
+  }
+
+  isSupported() {
+    return typeof MediaRecorder !== 'undefined';
+  }
+
+  createRecorder(stream) {
+    return new ReplayRecorder(stream);
+  }
+
+  // The replay timeline starts here, comment and reaction offsets are measured from it
+  async markRecordingStarted(streamId) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), { recordingStartedAt: serverTimestamp() });
+    } catch (error) {
+      console.error('Error marking replay start:', error);
+    }
+  }
+
+  // Saving
+  async saveReplay(streamId, { blob, duration }) {
+    try {
+      const path = `livestreams/${streamId}/replay-${Date.now()}.webm`;
+      const snapshot = await uploadBytes(ref(storage, path), blob, { contentType: 'video/webm' });
+      const url = await getDownloadURL(snapshot.ref);
+
+      await updateDoc(doc(this.streamsCollection, streamId), {
+        replay: {
+          url,
+          path,
+          duration,
+          trimStart: 0,
+          trimEnd: duration,
+          chapters: [],
+          createdAt: Date.now()
+        }
+      });
+      await this.stampTimeline(streamId);
+    } catch (error) {
+      console.error('Error saving replay:', error);
+      throw error;
+    }
+  }
+
+  // Stores each comment and reaction's offset from the start of the recording in milliseconds.
+  // Both ends are server timestamps, so viewers' clocks don't matter.
+  async stampTimeline(streamId) {
+    const stream = (await getDoc(doc(this.streamsCollection, streamId))).data();
+    const start = toMillis(stream?.recordingStartedAt) ?? toMillis(stream?.startedAt);
+    if (start === null) return;
+
+    const snapshots = await Promise.all(['comments', 'reactions'].map(name => (
+      getDocs(collection(this.streamsCollection, streamId, name))
+    )));
+    const pending = snapshots
+      .flatMap(snapshot => snapshot.docs)
+      .filter(item => item.data().offset === undefined && toMillis(item.data().createdAt) !== null);
+
+    for (let i = 0; i < pending.length; i += BATCH_WRITE_LIMIT) {
+      const batch = writeBatch(db);
+      pending.slice(i, i + BATCH_WRITE_LIMIT).forEach((item) => {
+        batch.update(item.ref, { offset: Math.max(0, toMillis(item.data().createdAt) - start) });
+      });
+      await batch.commit();
+    }
+  }
+
+  // Editing
+  // Trim points and chapter times are seconds into the recording
+  async updateReplay(streamId, replay, { trimStart, trimEnd, chapters }) {
+    const start = Math.max(0, Math.min(trimStart, replay.duration));
+    const end = Math.max(0, Math.min(trimEnd, replay.duration));
+    if (end - start < 1) {
+      throw new Error('The replay must be at least a second long');
+    }
+
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), {
+        'replay.trimStart': start,
+        'replay.trimEnd': end,
+        'replay.chapters': chapters
+          .filter(chapter => chapter.title.trim() && chapter.time >= start && chapter.time <= end)
+          .map(chapter => ({ time: chapter.time, title: chapter.title.trim() }))
+          .sort((a, b) => a.time - b.time)
+      });
+    } catch (error) {
+      console.error('Error updating replay:', error);
+      throw error;
+    }
+  }
+
+  // Playback
+  async getTimeline(streamId) {
+    try {
+      const [comments, reactions] = await Promise.all(['comments', 'reactions'].map(async (name) => {
+        const q = query(collection(this.streamsCollection, streamId, name), orderBy('offset', 'asc'));
+        const snapshot = await getDocs(q);
+        return snapshot.docs.map(item => ({ id: item.id, ...item.data() }));
+      }));
+      return { comments, reactions };
+    } catch (error) {
+      console.error('Error loading replay timeline:', error);
+      return { comments: [], reactions: [] };
+    }
+  }
+
+  // A host's finished streams that have a replay, newest first
+  async getUserReplays(userId) {
+    try {
+      const q = query(
+        this.streamsCollection,
+        where('userId', '==', userId),
+        where('isLive', '==', false),
+        orderBy('startedAt', 'desc')
+      );
+      const snapshot = await getDocs(q);
+      return snapshot.docs
+        .map(item => ({ id: item.id, ...item.data() }))
+        .filter(stream => stream.replay?.url);
+    } catch (error) {
+      console.error('Error loading replays:', error);
+      return [];
+    }
+  }
+}
+
+export const liveReplayService = new LiveReplayService();
@@ -0,0 +1,262 @@
+import { db, storage } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  increment,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { formatDistanceToNowStrict } from 'date-fns';
+import { advancedNotificationService } from './AdvancedNotificationService';
+import { runAt } from './timers';
+
+// The first reminder goes out this long before the scheduled start
+export const REMINDER_LEAD_MS = 15 * 60 * 1000;
+// How long the calendar blocks out for a stream
+const CALENDAR_DURATION_MS = 60 * 60 * 1000;
+
+const REMINDERS = {
+  soon: {
+    title: 'Livestream starting soon',
+    // Sent late when nobody had the app open at the time, so it says how long is actually left
+    message: stream => `${stream.userName} goes live in ${formatDistanceToNowStrict(stream.scheduledFor.toDate())}: ${stream.title}`
+  },
+  live: {
+    title: 'Livestream started',
+    message: stream => `${stream.userName} is live now: ${stream.title}`
+  }
+};
+
+// Scheduled streams are livestream documents with `scheduled` set, they go live in place
+export const isUpcoming = stream => stream?.scheduled === true;
+
+class LiveScheduleService {
+  constructor() {
+    this.streamsCollection = collection(db, 'livestreams');
+    this.timers = new Map();
+  }
+
+  // Scheduling
+  // The stream, its countdown post in the feed and its calendar event are written together
+  async scheduleStream(user, { title, cover, scheduledFor, storeId = null }) {
+    if (!title.trim()) {
+      throw new Error('Give the stream a title');
+    }
+    if (scheduledFor.getTime() <= Date.now()) {
+      throw new Error('Pick a time in the future');
+    }
+
+    try {
+      const streamRef = doc(this.streamsCollection);
+      const postRef = doc(collection(db, 'posts'));
+      const eventRef = doc(collection(db, 'events'));
+
+      let coverUrl = null;
+      if (cover) {
+        const coverRef = ref(storage, `livestreams/${streamRef.id}/cover-${Date.now()}_${cover.name}`);
+        await uploadBytes(coverRef, cover);
+        coverUrl = await getDownloadURL(coverRef);
+      }
+
+      const batch = writeBatch(db);
+      batch.set(streamRef, {
+        userId: user.uid,
+        userName: user.displayName,
+        userAvatar: user.photoURL || null,
+        storeId,
+        title: title.trim(),
+        coverUrl,
+        scheduled: true,
+        scheduledFor: Timestamp.fromDate(scheduledFor),
+        isLive: false,
+        reminderCount: 0,
+        remindersSent: {},
+        postId: postRef.id,
+        eventId: eventRef.id,
+        createdAt: serverTimestamp()
+      });
+      batch.set(postRef, {
+        type: 'livestream',
+        streamId: streamRef.id,
+        title: title.trim(),
+        content: '',
+        authorId: user.uid,
+        authorName: user.displayName,
+        authorPhoto: user.photoURL,
+        privacy: 'public',
+        likes: [],
+        comments: [],
+        shares: 0,
+        bookmarks: [],
+        timestamp: serverTimestamp()
+      });
+      batch.set(eventRef, {
+        title: title.trim(),
+        description: `Livestream by ${user.displayName}`,
+        startTime: scheduledFor.toISOString(),
+        endTime: new Date(scheduledFor.getTime() + CALENDAR_DURATION_MS).toISOString(),
+        type: 'livestream',
+        streamId: streamRef.id,
+        videoUrl: `${window.location.origin}/live/${streamRef.id}`,
+        participants: [user.uid],
+        creatorId: user.uid,
+        creatorName: user.displayName,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      await batch.commit();
+
+      return streamRef.id;
+    } catch (error) {
+      console.error('Error scheduling livestream:', error);
+      throw error;
+    }
+  }
+
+  async cancelScheduledStream(stream) {
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(this.streamsCollection, stream.id));
+      if (stream.postId) batch.delete(doc(db, 'posts', stream.postId));
+      if (stream.eventId) batch.delete(doc(db, 'events', stream.eventId));
+      await batch.commit();
+    } catch (error) {
+      console.error('Error cancelling livestream:', error);
+      throw error;
+    }
+  }
+
+  subscribeToUpcoming(userId, callback) {
+    const q = query(
+      this.streamsCollection,
+      where('userId', '==', userId),
+      where('scheduled', '==', true)
+    );
+    return onSnapshot(q, (snapshot) => {
+      const streams = snapshot.docs.map(item => ({
+        id: item.id,
+        ...item.data(),
+        scheduledFor: item.data().scheduledFor.toMillis()
+      }));
+      callback(streams.sort((a, b) => a.scheduledFor - b.scheduledFor));
+    }, (error) => {
+      console.error('Error listening to scheduled livestreams:', error);
+    });
+  }
+
+  // Reminders
+  // One document per viewer in the reminders subcollection, and they get the stream in their calendar
+  async setReminder(stream, user, enabled) {
+    try {
+      const batch = writeBatch(db);
+      const reminderRef = doc(this.streamsCollection, stream.id, 'reminders', user.uid);
+      if (enabled) {
+        batch.set(reminderRef, {
+          uid: user.uid,
+          displayName: user.displayName || '',
+          createdAt: serverTimestamp()
+        });
+      } else {
+        batch.delete(reminderRef);
+      }
+      batch.update(doc(this.streamsCollection, stream.id), { reminderCount: increment(enabled ? 1 : -1) });
+      if (stream.eventId) {
+        batch.update(doc(db, 'events', stream.eventId), {
+          participants: enabled ? arrayUnion(user.uid) : arrayRemove(user.uid)
+        });
+      }
+      await batch.commit();
+    } catch (error) {
+      console.error('Error updating livestream reminder:', error);
+      throw error;
+    }
+  }
+
+  subscribeToReminder(streamId, userId, callback) {
+    return onSnapshot(doc(this.streamsCollection, streamId, 'reminders', userId), (snapshot) => {
+      callback(snapshot.exists());
+    });
+  }
+
+  // Sends one kind of reminder ('soon' or 'live') to everyone who asked, at most once per stream
+  async sendReminders(streamId, kind) {
+    try {
+      const stream = await runTransaction(db, async (transaction) => {
+        const streamRef = doc(this.streamsCollection, streamId);
+        const snapshot = await transaction.get(streamRef);
+        const data = snapshot.data();
+        // Another tab may have sent them, and there is no "starting soon" once it's live or past its start
+        const isPast = !data?.scheduled || data.scheduledFor.toMillis() <= Date.now();
+        if (!data || data.remindersSent?.[kind] || (kind === 'soon' && isPast)) return null;
+
+        transaction.update(streamRef, { [`remindersSent.${kind}`]: true });
+        return { id: snapshot.id, ...data };
+      });
+      if (!stream) return 0;
+
+      const reminders = await getDocs(collection(this.streamsCollection, streamId, 'reminders'));
+      const { title, message } = REMINDERS[kind];
+      await Promise.allSettled(reminders.docs.map(reminder => (
+        advancedNotificationService.createNotification(reminder.id, {
+          type: 'livestream_reminder',
+          title,
+          message: message(stream),
+          streamId
+        }, { priority: 'high' })
+      )));
+      return reminders.size;
+    } catch (error) {
+      console.error('Error sending livestream reminders:', error);
+      throw error;
+    }
+  }
+
+  // Delivery
+  // Runs in the clients of the host and of everyone waiting, found through the stream's calendar
+  // event, so the reminder goes out as long as one of them has the app open. sendReminders makes
+  // sure it only goes out once. The go-live reminder is sent when the stream starts.
+  subscribe(userId) {
+    const q = query(
+      collection(db, 'events'),
+      where('participants', 'array-contains', userId),
+      where('type', '==', 'livestream')
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      this.clearTimers();
+      snapshot.docs
+        .map(item => item.data())
+        .filter(event => event.streamId && Date.parse(event.startTime) > Date.now())
+        .forEach(event => this.armTimer(event.streamId, Date.parse(event.startTime) - REMINDER_LEAD_MS));
+    }, (error) => {
+      console.error('Error listening to livestream reminders:', error);
+    });
+
+    return () => {
+      unsubscribe();
+      this.clearTimers();
+    };
+  }
+
+  armTimer(streamId, sendAt) {
+    this.timers.set(streamId, runAt(sendAt, () => {
+      this.timers.delete(streamId);
+      this.sendReminders(streamId, 'soon').catch(() => {});
+    }));
+  }
+
+  clearTimers() {
+    this.timers.forEach(cancel => cancel());
+    this.timers.clear();
+  }
+}
+
+export const liveScheduleService = new LiveScheduleService();
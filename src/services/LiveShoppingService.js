@@ -0,0 +1,322 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocFromServer,
+  getDocs,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  increment,
+  deleteField,
+  serverTimestamp
+} from 'firebase/firestore';
+
+export const PIN_DURATIONS = [5, 10, 15, 30];
+// Same placeholder rate the cart charges
+const TAX_RATE = 0.15;
+const RECENT_PURCHASES = 20;
+
+const roundPrice = value => Math.round(value * 100) / 100;
+
+class LiveShoppingService {
+  constructor() {
+    this.streamsCollection = collection(db, 'livestreams');
+    this.ordersCollection = collection(db, 'orders');
+  }
+
+  // Pinned Products
+  // Pins live on the stream document keyed by product,
+  // as { productId, name, image, price, livePrice, pinnedAt, durationMs }.
+  // pinnedAt is a server timestamp so no device clock decides when a pin ends.
+  async pinProduct(streamId, product, { livePrice, durationMinutes }) {
+    const streamRef = doc(this.streamsCollection, streamId);
+
+    try {
+      await runTransaction(db, async (transaction) => {
+        const stream = (await transaction.get(streamRef)).data();
+        if (!stream?.isLive) throw new Error('The stream has ended');
+
+        transaction.update(streamRef, {
+          [`pinnedProducts.${product.id}`]: {
+            productId: product.id,
+            name: product.name,
+            image: product.images?.[0] || null,
+            price: product.price,
+            livePrice: roundPrice(Math.min(livePrice, product.price)),
+            pinnedAt: serverTimestamp(),
+            durationMs: durationMinutes * 60 * 1000
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Error pinning product:', error);
+      throw error;
+    }
+  }
+
+  async unpinProduct(streamId, productId) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), {
+        [`pinnedProducts.${productId}`]: deleteField()
+      });
+    } catch (error) {
+      console.error('Error unpinning product:', error);
+      throw error;
+    }
+  }
+
+  // Pins with their end time, oldest first. A pin the server hasn't stamped yet was only just made.
+  getActivePins(stream, now = Date.now()) {
+    if (!stream?.isLive) return [];
+    return Object.values(stream.pinnedProducts || {})
+      .map((pin) => {
+        const startedAt = pin.pinnedAt ? pin.pinnedAt.toMillis() : now;
+        return { ...pin, startedAt, endsAt: startedAt + pin.durationMs };
+      })
+      .filter(pin => pin.endsAt > now)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  // Cart
+  // Same cart document the catalog uses, stream items remember their price and where they came from.
+  // They get their own line, so units added at the regular price never pick up the stream price.
+  async addToCart(user, streamId, pin) {
+    const cartRef = doc(db, 'carts', user.uid);
+
+    try {
+      const cartDoc = await getDoc(cartRef);
+      const items = cartDoc.exists() ? cartDoc.data().items || [] : [];
+      const existing = items.find(item => item.productId === pin.productId && item.streamId === streamId);
+      const streamFields = { streamId, livePrice: pin.livePrice, priceExpiresAt: pin.endsAt };
+
+      const nextItems = existing
+        ? items.map(item => (item === existing ? { ...item, ...streamFields, quantity: item.quantity + 1 } : item))
+        : [...items, { productId: pin.productId, quantity: 1, ...streamFields }];
+
+      if (cartDoc.exists()) {
+        await updateDoc(cartRef, { items: nextItems });
+      } else {
+        await setDoc(cartRef, { userId: user.uid, items: nextItems });
+      }
+    } catch (error) {
+      console.error('Error adding to cart:', error);
+      throw error;
+    }
+  }
+
+  // Cart lines are one product, plus the stream it was added from if any
+  getCartLineKey(item) {
+    return item.streamId ? `${item.productId}:${item.streamId}` : item.productId;
+  }
+
+  // Whether a cart item still shows the price it was pinned at on a stream.
+  // Only for display, checkout prices come from the stream itself.
+  hasLivePrice(item, now = Date.now()) {
+    return item.livePrice !== undefined && item.priceExpiresAt > now;
+  }
+
+  // The price a cart item is shown at: its stream price while the pin lasted, otherwise the list price
+  getItemPrice(item, product, now = Date.now()) {
+    return this.hasLivePrice(item, now) ? item.livePrice : product.price;
+  }
+
+  // How far this device's clock is behind Firestore's, so offers are checked in server time.
+  // Measured from the start of the round trip, which errs toward ending offers early.
+  async getServerClockOffset(userId) {
+    const clockRef = doc(db, 'carts', userId);
+
+    try {
+      const requestedAt = Date.now();
+      await setDoc(clockRef, { userId, clockCheckedAt: serverTimestamp() }, { merge: true });
+      const snapshot = await getDocFromServer(clockRef);
+      return snapshot.data().clockCheckedAt.toMillis() - requestedAt;
+    } catch (error) {
+      console.error('Error reading server time:', error);
+      throw error;
+    }
+  }
+
+  // Reads the streams behind a cart's stream lines inside the checkout transaction, by stream id
+  async getCartStreams(transaction, items) {
+    const streamIds = [...new Set(items.filter(item => item.streamId).map(item => item.streamId))];
+    const streams = await Promise.all(streamIds.map(async (streamId) => {
+      const snapshot = await transaction.get(doc(this.streamsCollection, streamId));
+      return [streamId, snapshot.data()];
+    }));
+    return Object.fromEntries(streams);
+  }
+
+  // The pin a cart line is charged by, if its stream is still running that offer
+  getCheckoutPin(item, streams, now) {
+    if (!item.streamId) return null;
+    return this.getActivePins(streams[item.streamId], now).find(pin => pin.productId === item.productId) || null;
+  }
+
+  // Checkout
+  // One tap purchases reuse the address and payment method of the viewer's last order
+  async getCheckoutDefaults(userId) {
+    try {
+      const q = query(
+        this.ordersCollection,
+        where('userId', '==', userId),
+        orderBy('createdAt', 'desc'),
+        limit(1)
+      );
+      const snapshot = await getDocs(q);
+      if (snapshot.empty) return null;
+
+      const { shippingAddress, shippingMethod, paymentMethod } = snapshot.docs[0].data();
+      if (!shippingAddress?.fullName || !paymentMethod) return null;
+      return { shippingAddress, shippingMethod: shippingMethod || 'standard', paymentMethod };
+    } catch (error) {
+      console.error('Error loading checkout details:', error);
+      return null;
+    }
+  }
+
+  // Charges the stream price only while the pin is still running, checked inside the transaction
+  async buyNow(streamId, user, productId, { shippingAddress, shippingMethod = 'standard', paymentMethod, quantity = 1 }) {
+    const streamRef = doc(this.streamsCollection, streamId);
+    const productRef = doc(db, 'products', productId);
+    const orderRef = doc(this.ordersCollection);
+
+    try {
+      const clockOffset = await this.getServerClockOffset(user.uid);
+      await runTransaction(db, async (transaction) => {
+        const stream = (await transaction.get(streamRef)).data();
+        const pin = this.getActivePins(stream, Date.now() + clockOffset).find(active => active.productId === productId);
+        if (!pin) throw new Error('This offer has ended');
+
+        const productSnapshot = await transaction.get(productRef);
+        const product = productSnapshot.data();
+        if (!product) throw new Error('This product is no longer available');
+        if (typeof product.inventory === 'number' && product.inventory < quantity) {
+          throw new Error('This product just sold out');
+        }
+
+        const subtotal = roundPrice(pin.livePrice * quantity);
+        const tax = roundPrice(subtotal * TAX_RATE);
+        transaction.set(orderRef, {
+          userId: user.uid,
+          storeId: product.storeId || stream.storeId || null,
+          streamId,
+          source: 'livestream',
+          items: [{
+            productId,
+            quantity,
+            price: pin.livePrice,
+            regularPrice: product.price,
+            name: product.name,
+            streamId
+          }],
+          shippingAddress,
+          shippingMethod,
+          paymentMethod,
+          subtotal,
+          shipping: 0,
+          tax,
+          total: roundPrice(subtotal + tax),
+          status: 'pending',
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        });
+        if (typeof product.inventory === 'number') {
+          transaction.update(productRef, { inventory: increment(-quantity) });
+        }
+        this.addPurchaseEvent(transaction, streamId, user, [{ name: product.name, quantity, price: pin.livePrice }]);
+      });
+
+      return orderRef.id;
+    } catch (error) {
+      console.error('Error buying from stream:', error);
+      throw error;
+    }
+  }
+
+  // Announces cart orders that included stream items on those streams
+  async recordCartPurchase(user, orderItems) {
+    const byStream = orderItems.reduce((acc, item) => {
+      if (item.streamId) acc[item.streamId] = [...(acc[item.streamId] || []), item];
+      return acc;
+    }, {});
+
+    await Promise.all(Object.entries(byStream).map(([streamId, items]) => {
+      const batch = writeBatch(db);
+      this.addPurchaseEvent(batch, streamId, user, items);
+      return batch.commit().catch(error => console.error('Error recording stream purchase:', error));
+    }));
+  }
+
+  // writer is the transaction or batch the purchase is part of
+  addPurchaseEvent(writer, streamId, user, items) {
+    const revenue = roundPrice(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    writer.set(doc(collection(this.streamsCollection, streamId, 'purchases')), {
+      userId: user.uid,
+      // Only the first name is shown to the audience
+      buyerName: (user.displayName || 'Someone').split(' ')[0],
+      productName: items[0].name,
+      // Different products in the order, shown as "and 2 more"
+      itemCount: items.length,
+      createdAt: serverTimestamp()
+    });
+    writer.update(doc(this.streamsCollection, streamId), {
+      salesCount: increment(1),
+      salesRevenue: increment(revenue)
+    });
+  }
+
+  subscribeToPurchases(streamId, callback) {
+    const q = query(
+      collection(this.streamsCollection, streamId, 'purchases'),
+      orderBy('createdAt', 'desc'),
+      limit(RECENT_PURCHASES)
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(purchaseDoc => ({ id: purchaseDoc.id, ...purchaseDoc.data() })));
+    });
+  }
+
+  // Reporting
+  // Revenue per stream from a store's orders, counting only the items sold through each stream
+  getStreamRevenue(orders) {
+    const streams = {};
+    orders.forEach((order) => {
+      const counted = new Set();
+      (order.items || []).forEach((item) => {
+        const streamId = item.streamId || order.streamId;
+        if (!streamId) return;
+        streams[streamId] = streams[streamId] || { streamId, revenue: 0, orders: 0, units: 0 };
+        streams[streamId].revenue += (item.price || 0) * (item.quantity || 0);
+        streams[streamId].units += item.quantity || 0;
+        if (!counted.has(streamId)) {
+          counted.add(streamId);
+          streams[streamId].orders += 1;
+        }
+      });
+    });
+    return Object.values(streams).sort((a, b) => b.revenue - a.revenue);
+  }
+
+  async getStreamTitles(streamIds) {
+    const entries = await Promise.all(streamIds.map(async (streamId) => {
+      try {
+        const snapshot = await getDoc(doc(this.streamsCollection, streamId));
+        const stream = snapshot.data();
+        return [streamId, stream ? { title: stream.title, startedAt: stream.startedAt } : null];
+      } catch {
+        return [streamId, null];
+      }
+    }));
+    return Object.fromEntries(entries);
+  }
+}
+
+export const liveShoppingService = new LiveShoppingService();
@@ -0,0 +1,320 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  increment,
+  serverTimestamp
+} from 'firebase/firestore';
+
+// Viewers the broadcaster sends to directly before relaying kicks in
+export const DIRECT_VIEWERS = 4;
+// Viewers one relaying viewer forwards the stream to
+export const RELAY_CHILDREN = 3;
+// Hops between the broadcaster and the furthest viewer, each adds a little delay
+export const MAX_RELAY_DEPTH = 3;
+export const VIEWER_HEARTBEAT = 30000;
+// Viewers that stopped checking in are treated as gone, e.g. a closed laptop
+const VIEWER_TIMEOUT = 90000;
+
+const toMillis = value => (value?.toMillis ? value.toMillis() : value || Date.now());
+
+const toViewer = snapshot => {
+  const data = snapshot.data();
+  return {
+    id: snapshot.id,
+    ...data,
+    joinedAt: toMillis(data.joinedAt),
+    lastSeen: toMillis(data.lastSeen)
+  };
+};
+
+const isPresent = viewer => Date.now() - viewer.lastSeen < VIEWER_TIMEOUT;
+
+class LiveStreamService {
+  constructor() {
+    this.streamsCollection = collection(db, 'livestreams');
+    this.signalCount = 0;
+  }
+
+  // Stream Lifecycle
+  // A scheduled stream goes live on its own document, so its link, post and reminders carry over
+  async startStream(user, { storeId, title, featuredProducts = [], relayMode = true, scheduledStreamId = null }) {
+    try {
+      const stream = {
+        userId: user.uid,
+        userName: user.displayName,
+        userAvatar: user.photoURL || null,
+        storeId: storeId || null,
+        title,
+        startedAt: serverTimestamp(),
+        isLive: true,
+        relayMode,
+        viewerCount: 0,
+        peakViewers: 0,
+        featuredProducts
+      };
+
+      if (scheduledStreamId) {
+        await updateDoc(doc(this.streamsCollection, scheduledStreamId), { ...stream, scheduled: false });
+        return scheduledStreamId;
+      }
+
+      const streamDoc = await addDoc(this.streamsCollection, stream);
+      return streamDoc.id;
+    } catch (error) {
+      console.error('Error starting livestream:', error);
+      throw error;
+    }
+  }
+
+  async endStream(streamId) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), {
+        isLive: false,
+        endedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error ending livestream:', error);
+      throw error;
+    }
+  }
+
+  async updateStream(streamId, changes) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), changes);
+    } catch (error) {
+      console.error('Error updating livestream:', error);
+      throw error;
+    }
+  }
+
+  subscribeToStream(streamId, callback) {
+    return onSnapshot(doc(this.streamsCollection, streamId), (snapshot) => {
+      callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    });
+  }
+
+  // Viewers
+  // Each viewer keeps one document in the viewers subcollection, marked inactive when they leave
+  async joinAsViewer(streamId, user, { canRelay = false } = {}) {
+    try {
+      await setDoc(doc(this.streamsCollection, streamId, 'viewers', user.uid), {
+        uid: user.uid,
+        displayName: user.displayName || '',
+        photoURL: user.photoURL || null,
+        canRelay,
+        parentId: null,
+        parentFailed: null,
+        active: true,
+        joinedAt: serverTimestamp(),
+        lastSeen: serverTimestamp(),
+        leftAt: null
+      });
+    } catch (error) {
+      console.error('Error joining livestream:', error);
+      throw error;
+    }
+  }
+
+  async leaveAsViewer(streamId, userId) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId, 'viewers', userId), {
+        active: false,
+        parentId: null,
+        leftAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error leaving livestream:', error);
+    }
+  }
+
+  async updateViewer(streamId, userId, changes) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId, 'viewers', userId), changes);
+    } catch (error) {
+      console.error('Error updating livestream viewer:', error);
+    }
+  }
+
+  touchViewer(streamId, userId) {
+    return this.updateViewer(streamId, userId, { lastSeen: serverTimestamp() });
+  }
+
+  subscribeToViewers(streamId, callback) {
+    const q = query(
+      collection(this.streamsCollection, streamId, 'viewers'),
+      where('active', '==', true)
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(toViewer).filter(isPresent));
+    });
+  }
+
+  subscribeToViewer(streamId, userId, callback) {
+    return onSnapshot(doc(this.streamsCollection, streamId, 'viewers', userId), (snapshot) => {
+      callback(snapshot.exists() ? toViewer(snapshot) : null);
+    });
+  }
+
+  subscribeToChildren(streamId, parentId, callback) {
+    const q = query(
+      collection(this.streamsCollection, streamId, 'viewers'),
+      where('parentId', '==', parentId),
+      where('active', '==', true)
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(toViewer).filter(isPresent));
+    });
+  }
+
+  async updateViewerCount(streamId, viewerCount, peakViewers) {
+    try {
+      await updateDoc(doc(this.streamsCollection, streamId), { viewerCount, peakViewers });
+    } catch (error) {
+      console.error('Error updating viewer count:', error);
+    }
+  }
+
+  // Relay Tree
+  // Decides who each viewer receives the stream from. Viewers keep a working parent, the rest
+  // go to the broadcaster while it has room, then to the shallowest relay with a free slot.
+  // Returns the viewers whose parent changes as [uid, parentId], a null parent means waiting.
+  assignParents(viewers, broadcasterId, { relayMode = true } = {}) {
+    const byId = new Map(viewers.map(viewer => [viewer.uid, viewer]));
+    const depth = new Map([[broadcasterId, 0]]);
+    const childCount = new Map();
+    const parents = new Map();
+
+    const capacity = (parentId) => {
+      if (parentId === broadcasterId) return relayMode ? DIRECT_VIEWERS : Infinity;
+      const parent = byId.get(parentId);
+      return relayMode && parent?.canRelay && depth.get(parentId) < MAX_RELAY_DEPTH ? RELAY_CHILDREN : 0;
+    };
+    const place = (viewer, parentId) => {
+      parents.set(viewer.uid, parentId);
+      depth.set(viewer.uid, depth.get(parentId) + 1);
+      childCount.set(parentId, (childCount.get(parentId) || 0) + 1);
+    };
+    const hasRoom = parentId => (childCount.get(parentId) || 0) < capacity(parentId);
+
+    // Walk the current tree from the top so nobody is kept under a parent that lost its place
+    const queue = [broadcasterId];
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      viewers
+        .filter(viewer => viewer.parentId === parentId && viewer.parentFailed !== parentId && !parents.has(viewer.uid))
+        .sort((a, b) => a.joinedAt - b.joinedAt)
+        .forEach((viewer) => {
+          if (!hasRoom(parentId)) return;
+          place(viewer, parentId);
+          queue.push(viewer.uid);
+        });
+    }
+
+    viewers
+      .filter(viewer => !parents.has(viewer.uid))
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .forEach((viewer) => {
+        const candidates = [broadcasterId, ...Array.from(parents.keys())
+          .sort((a, b) => (depth.get(a) - depth.get(b)) || (byId.get(a).joinedAt - byId.get(b).joinedAt))];
+        const parentId = candidates.find(id => id !== viewer.uid && id !== viewer.parentFailed && hasRoom(id));
+        if (parentId) {
+          place(viewer, parentId);
+        } else {
+          parents.set(viewer.uid, null);
+        }
+      });
+
+    return viewers
+      .filter(viewer => (viewer.parentId ?? null) !== parents.get(viewer.uid))
+      .map(viewer => [viewer.uid, parents.get(viewer.uid)]);
+  }
+
+  // Comments and Reactions
+  subscribeToComments(streamId, callback) {
+    const q = query(
+      collection(this.streamsCollection, streamId, 'comments'),
+      orderBy('createdAt', 'desc')
+    );
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(snapshotDoc => ({ id: snapshotDoc.id, ...snapshotDoc.data() })));
+    });
+  }
+
+  async addComment(streamId, user, text) {
+    try {
+      await addDoc(collection(this.streamsCollection, streamId, 'comments'), {
+        userId: user.uid,
+        userName: user.displayName,
+        userAvatar: user.photoURL || null,
+        text,
+        createdAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      throw error;
+    }
+  }
+
+  // Counted on the stream for the live totals, and kept as an event so replays can show it in time
+  async addReaction(streamId, type, user) {
+    try {
+      await Promise.all([
+        updateDoc(doc(this.streamsCollection, streamId), { [type]: increment(1) }),
+        addDoc(collection(this.streamsCollection, streamId, 'reactions'), {
+          userId: user?.uid || null,
+          type,
+          createdAt: serverTimestamp()
+        })
+      ]);
+    } catch (error) {
+      console.error('Error adding reaction:', error);
+    }
+  }
+
+  // Signaling
+  // Same scheme as calls: small documents addressed to one peer, deleted once applied.
+  // Guests use their own collection so the broadcast doesn't consume their signals.
+  async sendSignal(streamId, from, to, data, channel = 'signals') {
+    try {
+      await addDoc(collection(this.streamsCollection, streamId, channel), {
+        from,
+        to,
+        data: JSON.parse(JSON.stringify(data)),
+        sentAt: Date.now(),
+        sequence: this.signalCount++,
+        createdAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error sending livestream signal:', error);
+    }
+  }
+
+  subscribeToSignals(streamId, userId, callback, channel = 'signals') {
+    const q = query(
+      collection(this.streamsCollection, streamId, channel),
+      where('to', '==', userId)
+    );
+
+    return onSnapshot(q, (snapshot) => {
+      snapshot.docChanges()
+        .filter(change => change.type === 'added')
+        .map(change => ({ ref: change.doc.ref, ...change.doc.data() }))
+        .sort((a, b) => (a.sentAt - b.sentAt) || (a.sequence - b.sequence))
+        .forEach(({ ref, from, data }) => {
+          callback(from, data);
+          deleteDoc(ref).catch(() => {});
+        });
+    });
+  }
+}
+
+export const liveStreamService = new LiveStreamService();
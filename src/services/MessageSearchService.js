@@ -0,0 +1,237 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  limitToLast,
+  startAfter,
+  endBefore,
+  getDocs,
+  Timestamp
+} from 'firebase/firestore';
+import { offlineDB } from './OfflineDB';
+
+const MAX_RESULTS = 50;
+const CONTEXT_SIZE = 10;
+
+const toISO = (timestamp) => {
+  if (!timestamp) return null;
+  if (typeof timestamp === 'string') return timestamp;
+  return timestamp.toDate().toISOString();
+};
+
+class MessageSearchService {
+  // Tokenizing
+  tokenize(text) {
+    if (!text) return [];
+
+    const terms = text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+
+    return Array.from(new Set(terms));
+  }
+
+  // Indexing
+  async indexMessages(messages) {
+    try {
+      const localDB = await offlineDB.dbPromise;
+      const tx = localDB.transaction(['messages', 'searchTerms'], 'readwrite');
+      const messageStore = tx.objectStore('messages');
+      const termStore = tx.objectStore('searchTerms');
+
+      for (const message of messages) {
+        // Pending writes have no server timestamp yet, they get indexed on the next snapshot
+        if (!message.timestamp || message.type === 'system') continue;
+
+        const previous = await messageStore.get(message.id);
+        const cached = this.toCachedMessage(message);
+        await messageStore.put(cached);
+
+        // Receipts, reactions and the like don't change what a message is found by
+        if (previous && previous.text === cached.text && previous.deleted === cached.deleted) continue;
+
+        const oldTerms = await termStore.index('messageId').getAllKeys(message.id);
+        await Promise.all(oldTerms.map(key => termStore.delete(key)));
+
+        // Encrypted messages are kept out of the index so no plaintext is written to disk
+        const terms = message.deleted || message.encrypted ? [] : this.tokenize(message.text);
+        await Promise.all(terms.map(term => termStore.put({
+          term,
+          messageId: message.id,
+          chatId: message.chatId
+        })));
+      }
+
+      await tx.done;
+    } catch (error) {
+      console.error('Error indexing messages:', error);
+    }
+  }
+
+  // Indexes only what a chat snapshot changed instead of every message in it
+  indexSnapshot(snapshot) {
+    const changes = snapshot.docChanges();
+    const removed = changes.filter(change => change.type === 'removed').map(change => change.doc.id);
+    const changed = changes
+      .filter(change => change.type !== 'removed')
+      .map(change => ({ id: change.doc.id, ...change.doc.data() }));
+
+    if (removed.length > 0) this.removeMessages(removed);
+    if (changed.length > 0) this.indexMessages(changed);
+  }
+
+  toCachedMessage(message) {
+    return {
+      id: message.id,
+      chatId: message.chatId,
+      parentId: message.parentId || null,
+      senderId: message.senderId,
+      senderName: message.senderName || '',
+      text: message.encrypted ? '' : message.text || '',
+      encrypted: Boolean(message.encrypted),
+      deleted: Boolean(message.deleted),
+      fileUrl: message.encrypted ? '' : message.fileUrl || '',
+      fileType: message.fileType || '',
+      hasAttachment: Boolean(message.fileUrl),
+      reactions: message.reactions || [],
+      timestamp: toISO(message.timestamp),
+      editedAt: toISO(message.editedAt),
+      expiresAt: toISO(message.expiresAt)
+    };
+  }
+
+  // Drops purged messages from the local cache so nothing outlives its timer on disk
+  async removeMessages(messageIds) {
+    try {
+      const localDB = await offlineDB.dbPromise;
+      const tx = localDB.transaction(['messages', 'searchTerms'], 'readwrite');
+      const termStore = tx.objectStore('searchTerms');
+
+      for (const messageId of messageIds) {
+        const terms = await termStore.index('messageId').getAllKeys(messageId);
+        await Promise.all(terms.map(key => termStore.delete(key)));
+        await tx.objectStore('messages').delete(messageId);
+      }
+
+      await tx.done;
+    } catch (error) {
+      console.error('Error removing cached messages:', error);
+    }
+  }
+
+  // Searching
+  async search(queryText, filters = {}) {
+    const {
+      chatId = null,
+      senderId = null,
+      from = null,
+      to = null,
+      hasAttachment = false,
+      max = MAX_RESULTS
+    } = filters;
+    const terms = this.tokenize(queryText);
+    const hasFilters = Boolean(senderId || from || to || hasAttachment);
+    if (terms.length === 0 && !hasFilters) return [];
+
+    try {
+      const localDB = await offlineDB.dbPromise;
+      let candidates;
+
+      if (terms.length > 0) {
+        // Every term is matched as a prefix so results update while typing
+        for (const term of terms) {
+          const postings = await localDB.getAllFromIndex(
+            'searchTerms',
+            'term',
+            IDBKeyRange.bound(term, `${term}\uffff`)
+          );
+          const ids = new Set(
+            postings
+              .filter(posting => !chatId || posting.chatId === chatId)
+              .map(posting => posting.messageId)
+          );
+          candidates = candidates
+            ? new Set([...candidates].filter(id => ids.has(id)))
+            : ids;
+          if (candidates.size === 0) return [];
+        }
+        candidates = await Promise.all([...candidates].map(id => localDB.get('messages', id)));
+      } else {
+        candidates = chatId
+          ? await localDB.getAllFromIndex('messages', 'chatId', chatId)
+          : await localDB.getAll('messages');
+      }
+
+      const now = new Date().toISOString();
+      return candidates
+        .filter(message => message && !message.deleted)
+        .filter(message => !message.expiresAt || message.expiresAt > now)
+        .filter(message => !chatId || message.chatId === chatId)
+        .filter(message => !senderId || message.senderId === senderId)
+        .filter(message => !hasAttachment || message.hasAttachment)
+        .filter(message => !from || message.timestamp >= from)
+        .filter(message => !to || message.timestamp <= to)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+        .slice(0, max)
+        .map(message => ({ ...message, matchedTerms: terms }));
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+
+  // Context
+  async getCachedContext(chatId, timestamp, size = CONTEXT_SIZE) {
+    try {
+      const localDB = await offlineDB.dbPromise;
+      const index = localDB.transaction('messages').store.index('chatTimestamp');
+      const before = await index.getAll(IDBKeyRange.bound([chatId, ''], [chatId, timestamp], false, true));
+      const after = await index.getAll(IDBKeyRange.bound([chatId, timestamp], [chatId, '\uffff']), size + 1);
+      const now = new Date().toISOString();
+      return [...before.slice(-size), ...after]
+        .filter(message => !message.parentId)
+        .filter(message => !message.expiresAt || message.expiresAt > now);
+    } catch (error) {
+      console.error('Error getting message context:', error);
+      throw error;
+    }
+  }
+
+  // Fetches history next to the given cached message from Firestore and caches it
+  async loadMoreContext(chatId, timestamp, direction, size = CONTEXT_SIZE) {
+    try {
+      const anchor = Timestamp.fromDate(new Date(timestamp));
+      const q = direction === 'before'
+        ? query(
+          collection(db, 'messages'),
+          where('chatId', '==', chatId),
+          orderBy('timestamp', 'asc'),
+          endBefore(anchor),
+          limitToLast(size)
+        )
+        : query(
+          collection(db, 'messages'),
+          where('chatId', '==', chatId),
+          orderBy('timestamp', 'asc'),
+          startAfter(anchor),
+          limit(size)
+        );
+
+      const snapshot = await getDocs(q);
+      const messages = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      await this.indexMessages(messages);
+      return messages.map(message => this.toCachedMessage(message));
+    } catch (error) {
+      console.error('Error loading message context:', error);
+      throw error;
+    }
+  }
+}
+
+export const messageSearchService = new MessageSearchService();
@@ -0,0 +1,235 @@
+import { db, storage, IN_QUERY_LIMIT } from '../config/firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  increment,
+  query,
+  where,
+  orderBy,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { ref, deleteObject } from 'firebase/storage';
+import { encryptionService } from './EncryptionService';
+import { conversationService } from './ConversationService';
+import { messageSearchService } from './MessageSearchService';
+
+export const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DISAPPEARING_TIMERS = [
+  { label: 'Off', value: 0 },
+  { label: '1 hour', value: HOUR_MS },
+  { label: '24 hours', value: 24 * HOUR_MS },
+  { label: '7 days', value: 7 * 24 * HOUR_MS }
+];
+
+class MessageService {
+  constructor() {
+    this.messagesCollection = collection(db, 'messages');
+  }
+
+  canEdit(message, userId) {
+    if (message.senderId !== userId || message.deleted || message.type === 'system') return false;
+    if (!message.timestamp) return false;
+    return Date.now() - message.timestamp.toMillis() < EDIT_WINDOW_MS;
+  }
+
+  canUnsend(message, userId) {
+    return message.senderId === userId && !message.deleted && message.type !== 'system';
+  }
+
+  // Editing
+  async editMessage(message, userId, text) {
+    if (!this.canEdit(message, userId)) {
+      throw new Error('This message can no longer be edited');
+    }
+
+    try {
+      const messageRef = doc(this.messagesCollection, message.id);
+
+      // Keep the replaced content so the history can be shown later
+      await addDoc(collection(messageRef, 'revisions'), {
+        ...this.getContentFields(message),
+        createdAt: message.editedAt || message.timestamp,
+        replacedAt: serverTimestamp()
+      });
+
+      const content = message.encrypted
+        ? await encryptionService.encryptEdit(message, text)
+        : { text };
+
+      await updateDoc(messageRef, {
+        ...content,
+        editedAt: serverTimestamp(),
+        editCount: increment(1)
+      });
+    } catch (error) {
+      console.error('Error editing message:', error);
+      throw error;
+    }
+  }
+
+  async getRevisions(messageId) {
+    try {
+      const q = query(
+        collection(this.messagesCollection, messageId, 'revisions'),
+        orderBy('replacedAt', 'asc')
+      );
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting message revisions:', error);
+      throw error;
+    }
+  }
+
+  // Unsending
+  async unsendMessage(message, userId) {
+    if (!this.canUnsend(message, userId)) {
+      throw new Error('Only the sender can unsend this message');
+    }
+
+    try {
+      if (message.fileUrl) {
+        await this.deleteAttachment(message.fileUrl);
+      }
+
+      const messageRef = doc(this.messagesCollection, message.id);
+      const revisions = await getDocs(collection(messageRef, 'revisions'));
+      await Promise.all(revisions.docs.map(revision => deleteDoc(revision.ref)));
+
+      // Leave a tombstone so replies and reactions still have a parent
+      await updateDoc(messageRef, {
+        text: '',
+        fileUrl: '',
+        fileType: '',
+        ciphertext: deleteField(),
+        iv: deleteField(),
+        encryption: deleteField(),
+        fileIv: deleteField(),
+        fileMimeType: deleteField(),
+        deleted: true,
+        deletedAt: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error unsending message:', error);
+      throw error;
+    }
+  }
+
+  async deleteAttachment(fileUrl) {
+    try {
+      await deleteObject(ref(storage, fileUrl));
+    } catch (error) {
+      // Already gone is fine, anything else should stop the unsend
+      if (error.code !== 'storage/object-not-found') {
+        throw error;
+      }
+    }
+  }
+
+  // Disappearing Messages
+  getTimerLabel(disappearAfter) {
+    return DISAPPEARING_TIMERS.find(timer => timer.value === disappearAfter)?.label || 'Off';
+  }
+
+  getExpiryFields(disappearAfter) {
+    if (!disappearAfter) return {};
+    return { expiresAt: Timestamp.fromMillis(Date.now() + disappearAfter) };
+  }
+
+  isExpired(message) {
+    return Boolean(message.expiresAt) && message.expiresAt.toMillis() <= Date.now();
+  }
+
+  async setDisappearingTimer(chat, actor, disappearAfter) {
+    try {
+      const collectionName = conversationService.isGroup(chat) ? 'conversations' : 'friends';
+      await updateDoc(doc(db, collectionName, chat.id), { disappearAfter });
+
+      const name = actor.displayName || 'Someone';
+      await conversationService.addSystemMessage(
+        chat.id,
+        actor,
+        disappearAfter
+          ? `${name} set disappearing messages to ${this.getTimerLabel(disappearAfter)}`
+          : `${name} turned off disappearing messages`
+      );
+    } catch (error) {
+      console.error('Error setting disappearing timer:', error);
+      throw error;
+    }
+  }
+
+  async purgeExpiredMessages(chatIds) {
+    const purged = [];
+
+    try {
+      const now = Timestamp.now();
+      for (let i = 0; i < chatIds.length; i += IN_QUERY_LIMIT) {
+        const chunk = chatIds.slice(i, i + IN_QUERY_LIMIT);
+        // Thread replies carry threadChatId instead of chatId so they stay out of the main list
+        const snapshots = await Promise.all(['chatId', 'threadChatId'].map(field => getDocs(query(
+          this.messagesCollection,
+          where(field, 'in', chunk),
+          where('expiresAt', '<=', now)
+        ))));
+
+        for (const snapshot of snapshots) {
+          for (const messageDoc of snapshot.docs) {
+            purged.push(...await this.deleteMessage({ id: messageDoc.id, ...messageDoc.data() }));
+          }
+        }
+      }
+
+      if (purged.length > 0) {
+        await messageSearchService.removeMessages(purged);
+      }
+      return purged;
+    } catch (error) {
+      console.error('Error purging expired messages:', error);
+      throw error;
+    }
+  }
+
+  // Removes a message for good, along with its attachment, history and thread
+  async deleteMessage(message) {
+    const messageRef = doc(this.messagesCollection, message.id);
+    const deleted = [message.id];
+
+    if (message.fileUrl) {
+      await this.deleteAttachment(message.fileUrl);
+    }
+
+    const revisions = await getDocs(collection(messageRef, 'revisions'));
+    await Promise.all(revisions.docs.map(revision => deleteDoc(revision.ref)));
+
+    const replies = await getDocs(query(this.messagesCollection, where('parentId', '==', message.id)));
+    for (const reply of replies.docs) {
+      deleted.push(...await this.deleteMessage({ id: reply.id, ...reply.data() }));
+    }
+
+    await deleteDoc(messageRef);
+    return deleted;
+  }
+
+  getContentFields(message) {
+    if (message.encrypted) {
+      return {
+        ciphertext: message.ciphertext,
+        iv: message.iv,
+        encryption: message.encryption
+      };
+    }
+    return { text: message.text || '' };
+  }
+}
+
+export const messageService = new MessageService();
@@ -10,7 +10,9 @@ import {
   limit,
   startAfter,
   doc,
-  deleteDoc
+  deleteDoc,
+  onSnapshot,
+  writeBatch
 } from 'firebase/firestore';
 
 export class NotificationService {
@@ -60,6 +62,18 @@ export class NotificationService {
     }
   }
 
+  static subscribeToUnreadCount(userId, callback) {
+    const q = query(
+      collection(db, 'notifications'),
+      where('userId', '==', userId),
+      where('isRead', '==', false)
+    );
+
+    return onSnapshot(q, (snapshot) => callback(snapshot.size), (error) => {
+      console.error('Error listening to unread notifications:', error);
+    });
+  }
+
   static async markAsRead(notificationId) {
     try {
       const notificationRef = doc(db, 'notifications', notificationId);
@@ -83,7 +97,7 @@ export class NotificationService {
       );
       const snapshot = await getDocs(q);
 
-      const batch = db.batch();
+      const batch = writeBatch(db);
       snapshot.docs.forEach(doc => {
         batch.update(doc.ref, {
           isRead: true,
@@ -113,7 +127,7 @@ export class NotificationService {
       const q = query(notificationsRef, where('userId', '==', userId));
       const snapshot = await getDocs(q);
 
-      const batch = db.batch();
+      const batch = writeBatch(db);
       snapshot.docs.forEach(doc => {
         batch.delete(doc.ref);
       });
@@ -193,6 +207,25 @@ export class NotificationService {
     });
   }
 
+  static async notifyMissedCall(userId, call) {
+    await this.createNotification(userId, {
+      title: 'Missed Call',
+      message: `You missed a video call from ${call.createdByName || 'someone'}.`,
+      type: 'missed_call',
+      callId: call.id,
+      chatId: call.chatId
+    });
+  }
+
+  static async notifyStoryMention(userId, story) {
+    await this.createNotification(userId, {
+      title: 'Mentioned in a Story',
+      message: `${story.userName || 'Someone'} mentioned you in their story.`,
+      type: 'story_mention',
+      storyId: story.id
+    });
+  }
+
   static async notifyPromotionalOffer(userId, title, message) {
     await this.createNotification(userId, {
       title,
@@ -1,7 +1,7 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'OfflineStore';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 
 const STORES = {
   MESSAGES: 'messages',
@@ -10,7 +10,10 @@ const STORES = {
   USERS: 'users',
   OUTBOX: 'outbox',
   ORDER_OUTBOX: 'orderOutbox',
-  SYNC_STATE: 'syncState'
+  SYNC_STATE: 'syncState',
+  DEVICE_KEYS: 'deviceKeys',
+  KNOWN_KEYS: 'knownKeys',
+  SEARCH_TERMS: 'searchTerms'
 };
 
 class OfflineDB {
@@ -20,7 +23,7 @@ class OfflineDB {
 
   async initDB() {
     return openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
+      upgrade(db, oldVersion, newVersion, transaction) {
         // Messages store
         if (!db.objectStoreNames.contains(STORES.MESSAGES)) {
           const messageStore = db.createObjectStore(STORES.MESSAGES, {
@@ -32,6 +35,12 @@ class OfflineDB {
           messageStore.createIndex('senderId', 'senderId');
         }
 
+        // Lets a chat's cached history be read in time order
+        const messageStore = transaction.objectStore(STORES.MESSAGES);
+        if (!messageStore.indexNames.contains('chatTimestamp')) {
+          messageStore.createIndex('chatTimestamp', ['chatId', 'timestamp']);
+        }
+
         // Orders store
         if (!db.objectStoreNames.contains(STORES.ORDERS)) {
           const orderStore = db.createObjectStore(STORES.ORDERS, {
@@ -83,6 +92,29 @@ class OfflineDB {
             keyPath: 'id'
           });
         }
+
+        // Device key pairs for end-to-end encrypted chats
+        if (!db.objectStoreNames.contains(STORES.DEVICE_KEYS)) {
+          db.createObjectStore(STORES.DEVICE_KEYS, {
+            keyPath: 'id'
+          });
+        }
+
+        // Last seen public key fingerprints of other users
+        if (!db.objectStoreNames.contains(STORES.KNOWN_KEYS)) {
+          db.createObjectStore(STORES.KNOWN_KEYS, {
+            keyPath: 'userId'
+          });
+        }
+
+        // Inverted index over cached message text, one entry per term and message
+        if (!db.objectStoreNames.contains(STORES.SEARCH_TERMS)) {
+          const termStore = db.createObjectStore(STORES.SEARCH_TERMS, {
+            keyPath: ['term', 'messageId']
+          });
+          termStore.createIndex('term', 'term');
+          termStore.createIndex('messageId', 'messageId');
+        }
       }
     });
   }
@@ -259,6 +291,7 @@ class OfflineDB {
   async clearCache() {
     const stores = [
       STORES.MESSAGES,
+      STORES.SEARCH_TERMS,
       STORES.ORDERS,
       STORES.PRODUCTS,
       STORES.USERS
@@ -287,13 +320,18 @@ class OfflineDB {
     const monthAgo = new Date();
     monthAgo.setMonth(monthAgo.getMonth() - 1);
 
-    // Clean up old messages
-    const tx = db.transaction(STORES.MESSAGES, 'readwrite');
+    // Clean up old messages and their search terms
+    const tx = db.transaction([STORES.MESSAGES, STORES.SEARCH_TERMS], 'readwrite');
     const store = tx.objectStore(STORES.MESSAGES);
+    const termIndex = tx.objectStore(STORES.SEARCH_TERMS).index('messageId');
     const index = store.index('timestamp');
     const oldMessages = await index.getAllKeys(IDBKeyRange.upperBound(monthAgo.toISOString()));
     
-    await Promise.all(oldMessages.map(key => store.delete(key)));
+    await Promise.all(oldMessages.map(async (key) => {
+      const termKeys = await termIndex.getAllKeys(key);
+      await Promise.all(termKeys.map(termKey => tx.objectStore(STORES.SEARCH_TERMS).delete(termKey)));
+      await store.delete(key);
+    }));
   }
 }
 
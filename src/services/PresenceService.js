@@ -0,0 +1,235 @@
+import { db, IN_QUERY_LIMIT } from '../config/firebase';
+import {
+  collection,
+  doc,
+  setDoc,
+  query,
+  where,
+  documentId,
+  onSnapshot,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+// A session that misses two heartbeats is treated as offline
+const PRESENCE_TTL_MS = 75000;
+const ACTIVITY_TTL_MS = 6000;
+const TYPING_IDLE_MS = 3000;
+
+class PresenceService {
+  constructor() {
+    this.presenceCollection = collection(db, 'presence');
+    this.userId = null;
+    this.displayName = '';
+    this.heartbeat = null;
+    this.activity = null;
+    this.activityWrittenAt = 0;
+    this.activityTimer = null;
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+    this.handlePageShow = this.handlePageShow.bind(this);
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
+  }
+
+  // Session
+  start(user) {
+    if (this.userId === user.uid) return;
+    if (this.userId) this.stop();
+
+    this.userId = user.uid;
+    this.displayName = user.displayName || '';
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    window.addEventListener('pagehide', this.handlePageHide);
+    window.addEventListener('pageshow', this.handlePageShow);
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+
+    if (navigator.onLine) {
+      this.startHeartbeat();
+    }
+  }
+
+  async stop() {
+    if (!this.userId) return;
+
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+    window.removeEventListener('pageshow', this.handlePageShow);
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+
+    this.stopHeartbeat();
+    clearTimeout(this.activityTimer);
+    this.activity = null;
+
+    try {
+      await this.writePresence('offline', { activity: null });
+    } finally {
+      this.userId = null;
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.beat();
+    this.heartbeat = setInterval(() => this.beat(), HEARTBEAT_INTERVAL_MS);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  beat() {
+    this.writePresence(document.visibilityState === 'visible' ? 'online' : 'away')
+      .catch(() => {});
+  }
+
+  handleVisibilityChange() {
+    if (this.heartbeat) this.beat();
+  }
+
+  // Best effort, the presence TTL covers tabs that close before the write lands
+  handlePageHide() {
+    this.stopHeartbeat();
+    this.writePresence('offline', { activity: null }).catch(() => {});
+  }
+
+  // A page restored from the back/forward cache comes back without its heartbeat
+  handlePageShow() {
+    if (this.userId && navigator.onLine) this.startHeartbeat();
+  }
+
+  handleOnline() {
+    this.startHeartbeat();
+  }
+
+  // Writes would only queue up while offline, let the TTL expire instead
+  handleOffline() {
+    this.stopHeartbeat();
+  }
+
+  async writePresence(state, extra = {}) {
+    if (!this.userId) return;
+
+    try {
+      await setDoc(doc(this.presenceCollection, this.userId), {
+        state,
+        displayName: this.displayName,
+        lastSeen: serverTimestamp(),
+        expiresAt: Timestamp.fromMillis(Date.now() + PRESENCE_TTL_MS),
+        ...extra
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error updating presence:', error);
+      throw error;
+    }
+  }
+
+  // Activity
+  // Typing clears itself after a short pause, held activities such as recording
+  // are refreshed until clearActivity is called
+  setActivity(chatId, type, { hold = false } = {}) {
+    if (!this.userId || !navigator.onLine) return;
+
+    const changed = this.activity?.chatId !== chatId || this.activity?.type !== type;
+    this.activity = { chatId, type, hold };
+
+    // Throttle refreshes to one write per half TTL
+    if (changed || Date.now() - this.activityWrittenAt > ACTIVITY_TTL_MS / 2) {
+      this.writeActivity();
+    }
+
+    clearTimeout(this.activityTimer);
+    this.activityTimer = setTimeout(() => {
+      if (this.activity?.hold) {
+        this.setActivity(chatId, type, { hold: true });
+      } else {
+        this.clearActivity(chatId);
+      }
+    }, hold ? ACTIVITY_TTL_MS / 3 : TYPING_IDLE_MS);
+  }
+
+  clearActivity(chatId) {
+    if (!this.activity || this.activity.chatId !== chatId) return;
+
+    clearTimeout(this.activityTimer);
+    this.activity = null;
+    this.activityWrittenAt = 0;
+    setDoc(doc(this.presenceCollection, this.userId), { activity: null }, { merge: true })
+      .catch((error) => console.error('Error clearing activity:', error));
+  }
+
+  writeActivity() {
+    const { chatId, type } = this.activity;
+    this.activityWrittenAt = Date.now();
+    setDoc(doc(this.presenceCollection, this.userId), {
+      activity: {
+        chatId,
+        type,
+        expiresAt: Timestamp.fromMillis(Date.now() + ACTIVITY_TTL_MS)
+      }
+    }, { merge: true }).catch((error) => console.error('Error updating activity:', error));
+  }
+
+  // Reading
+  subscribe(userIds, callback) {
+    const presence = {};
+    const unsubscribes = [];
+
+    for (let i = 0; i < userIds.length; i += IN_QUERY_LIMIT) {
+      const q = query(
+        this.presenceCollection,
+        where(documentId(), 'in', userIds.slice(i, i + IN_QUERY_LIMIT))
+      );
+
+      unsubscribes.push(onSnapshot(q, (snapshot) => {
+        snapshot.docChanges().forEach((change) => {
+          if (change.type === 'removed') {
+            delete presence[change.doc.id];
+          } else {
+            presence[change.doc.id] = change.doc.data();
+          }
+        });
+        callback({ ...presence });
+      }, (error) => {
+        console.error('Error listening to presence:', error);
+      }));
+    }
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  // Nothing is trusted past its expiry, so crashed or closed sessions fade out on their own
+  getStatus(presence) {
+    if (!presence?.expiresAt || presence.state === 'offline') return 'offline';
+    if (presence.expiresAt.toMillis() <= Date.now()) return 'offline';
+    return presence.state;
+  }
+
+  getActivity(presence, chatId) {
+    const activity = presence?.activity;
+    if (!activity || activity.chatId !== chatId) return null;
+    if (this.getStatus(presence) === 'offline') return null;
+    return activity.expiresAt.toMillis() > Date.now() ? activity.type : null;
+  }
+
+  formatLastSeen(presence) {
+    const status = this.getStatus(presence);
+    if (status === 'online') return 'Online';
+    if (status === 'away') return 'Away';
+    if (!presence?.lastSeen) return 'Offline';
+
+    const minutes = Math.floor((Date.now() - presence.lastSeen.toMillis()) / 60000);
+    if (minutes < 1) return 'Last seen just now';
+    if (minutes < 60) return `Last seen ${minutes}m ago`;
+    if (minutes < 24 * 60) return `Last seen ${Math.floor(minutes / 60)}h ago`;
+    return `Last seen ${presence.lastSeen.toDate().toLocaleDateString()}`;
+  }
+}
+
+export const presenceService = new PresenceService();
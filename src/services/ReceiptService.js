@@ -0,0 +1,77 @@
+import { db, BATCH_WRITE_LIMIT } from '../config/firebase';
+import {
+  doc,
+  updateDoc,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+
+class ReceiptService {
+  constructor() {
+    this.pendingReads = new Set();
+  }
+
+  // Receipt Updates
+  async markDelivered(messages, userId) {
+    const undelivered = messages.filter(message =>
+      message.type !== 'system' &&
+      message.senderId !== userId &&
+      !message.receipts?.[userId]?.deliveredAt
+    );
+    if (undelivered.length === 0) return;
+
+    try {
+      for (let i = 0; i < undelivered.length; i += BATCH_WRITE_LIMIT) {
+        const batch = writeBatch(db);
+        undelivered.slice(i, i + BATCH_WRITE_LIMIT).forEach((message) => {
+          batch.update(doc(db, 'messages', message.id), {
+            [`receipts.${userId}.deliveredAt`]: serverTimestamp()
+          });
+        });
+        await batch.commit();
+      }
+    } catch (error) {
+      console.error('Error marking messages as delivered:', error);
+    }
+  }
+
+  async markRead(message, userId) {
+    if (message.senderId === userId || message.receipts?.[userId]?.readAt) return;
+    if (this.pendingReads.has(message.id)) return;
+
+    try {
+      this.pendingReads.add(message.id);
+      const updates = {
+        [`receipts.${userId}.readAt`]: serverTimestamp()
+      };
+      if (!message.receipts?.[userId]?.deliveredAt) {
+        updates[`receipts.${userId}.deliveredAt`] = serverTimestamp();
+      }
+      await updateDoc(doc(db, 'messages', message.id), updates);
+    } catch (error) {
+      console.error('Error marking message as read:', error);
+    } finally {
+      this.pendingReads.delete(message.id);
+    }
+  }
+
+  // Receipt Status
+  getStatus(message, recipientIds) {
+    if (!message.timestamp) return 'sending';
+    if (recipientIds.length === 0) return 'sent';
+
+    const receipts = message.receipts || {};
+    if (recipientIds.every(id => receipts[id]?.readAt)) return 'read';
+    if (recipientIds.every(id => receipts[id]?.deliveredAt)) return 'delivered';
+    return 'sent';
+  }
+
+  getReaders(message) {
+    return Object.entries(message.receipts || {})
+      .filter(([, receipt]) => receipt.readAt)
+      .map(([userId, receipt]) => ({ userId, readAt: receipt.readAt }))
+      .sort((a, b) => a.readAt.toMillis() - b.readAt.toMillis());
+  }
+}
+
+export const receiptService = new ReceiptService();
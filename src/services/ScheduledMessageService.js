@@ -0,0 +1,170 @@
+import { db } from '../config/firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  query,
+  where,
+  onSnapshot,
+  runTransaction,
+  deleteField,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { encryptionService } from './EncryptionService';
+import { messageService } from './MessageService';
+import { runAt } from './timers';
+
+class ScheduledMessageService {
+  constructor() {
+    this.messagesCollection = collection(db, 'messages');
+    this.timers = new Map();
+  }
+
+  // Scheduling
+  // Scheduled messages live in the messages collection without a chatId,
+  // so they stay out of every chat until they fire
+  async scheduleMessage(chat, content, scheduledFor) {
+    if (scheduledFor.getTime() <= Date.now()) {
+      throw new Error('Pick a time in the future');
+    }
+
+    try {
+      const docRef = await addDoc(this.messagesCollection, {
+        ...content,
+        scheduledChat: { id: chat.id, type: chat.type },
+        status: 'scheduled',
+        scheduledFor: Timestamp.fromDate(scheduledFor)
+      });
+      return docRef.id;
+    } catch (error) {
+      console.error('Error scheduling message:', error);
+      throw error;
+    }
+  }
+
+  async updateScheduledMessage(message, { text, scheduledFor }) {
+    if (scheduledFor && scheduledFor.getTime() <= Date.now()) {
+      throw new Error('Pick a time in the future');
+    }
+
+    try {
+      const content = text === undefined
+        ? {}
+        : message.encrypted
+          ? await encryptionService.encryptEdit(message, text)
+          : { text };
+
+      await runTransaction(db, async (transaction) => {
+        const messageRef = doc(this.messagesCollection, message.id);
+        const snapshot = await transaction.get(messageRef);
+        if (snapshot.data()?.status !== 'scheduled') {
+          throw new Error('This message has already been sent');
+        }
+
+        transaction.update(messageRef, {
+          ...content,
+          ...(scheduledFor && { scheduledFor: Timestamp.fromDate(scheduledFor) })
+        });
+      });
+    } catch (error) {
+      console.error('Error updating scheduled message:', error);
+      throw error;
+    }
+  }
+
+  async cancelScheduledMessage(message) {
+    try {
+      await runTransaction(db, async (transaction) => {
+        const messageRef = doc(this.messagesCollection, message.id);
+        const snapshot = await transaction.get(messageRef);
+        if (snapshot.data()?.status !== 'scheduled') {
+          throw new Error('This message has already been sent');
+        }
+        transaction.delete(messageRef);
+      });
+
+      if (message.fileUrl) {
+        await messageService.deleteAttachment(message.fileUrl);
+      }
+    } catch (error) {
+      console.error('Error cancelling scheduled message:', error);
+      throw error;
+    }
+  }
+
+  // Delivery
+  // Runs in the sender's client, messages that came due while it was closed go out on the next start
+  subscribe(userId, callback) {
+    const q = query(
+      this.messagesCollection,
+      where('senderId', '==', userId),
+      where('status', '==', 'scheduled')
+    );
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const scheduled = snapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id,
+        scheduledFor: doc.data().scheduledFor.toMillis()
+      }));
+
+      this.clearTimers();
+      scheduled.forEach(message => this.armTimer(message.id, message.scheduledFor));
+      callback(scheduled.sort((a, b) => a.scheduledFor - b.scheduledFor));
+    }, (error) => {
+      console.error('Error listening to scheduled messages:', error);
+    });
+
+    return () => {
+      unsubscribe();
+      this.clearTimers();
+    };
+  }
+
+  armTimer(messageId, scheduledFor) {
+    this.timers.set(messageId, runAt(scheduledFor, () => {
+      this.timers.delete(messageId);
+      this.fireScheduledMessage(messageId).catch(() => {});
+    }));
+  }
+
+  clearTimers() {
+    this.timers.forEach(cancel => cancel());
+    this.timers.clear();
+  }
+
+  async fireScheduledMessage(messageId) {
+    try {
+      await runTransaction(db, async (transaction) => {
+        const messageRef = doc(this.messagesCollection, messageId);
+        const snapshot = await transaction.get(messageRef);
+        const message = snapshot.data();
+        // Another tab may have sent it already, or it was moved to a later time
+        if (message?.status !== 'scheduled' || message.scheduledFor.toMillis() > Date.now()) return;
+
+        const { id: chatId, type } = message.scheduledChat;
+        const chat = await transaction.get(doc(db, type === 'group' ? 'conversations' : 'friends', chatId));
+        if (!chat.exists()) {
+          transaction.delete(messageRef);
+          return;
+        }
+
+        // The disappearing timer is read now so a change made while waiting still applies
+        transaction.update(messageRef, {
+          chatId,
+          ...messageService.getExpiryFields(chat.data().disappearAfter),
+          timestamp: serverTimestamp(),
+          status: deleteField(),
+          scheduledChat: deleteField(),
+          scheduledFor: deleteField()
+        });
+      });
+    } catch (error) {
+      console.error('Error sending scheduled message:', error);
+      throw error;
+    }
+  }
+}
+
+export const scheduledMessageService = new ScheduledMessageService();
@@ -210,6 +210,19 @@ export class SecurityService {
     }
   }
 
+  static async setReadReceipts(enabled) {
+    try {
+      const user = auth.currentUser;
+
+      await updateDoc(doc(db, 'users', user.uid), {
+        readReceipts: enabled
+      });
+    } catch (error) {
+      console.error('Error updating read receipts:', error);
+      throw error;
+    }
+  }
+
   static async updatePassword(currentPassword, newPassword) {
     try {
       const user = auth.currentUser;
@@ -0,0 +1,217 @@
+import { callService } from './CallService';
+
+const SIGNALING_URL = import.meta.env.VITE_SIGNALING_URL || '';
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000];
+
+// A signaling channel connects one user to one call. Both transports implement:
+//   join(), leave() -> { call, ended }, close()
+//   send(to, data), onSignal(callback(from, data)) -> unsubscribe
+//   onParticipants(callback(participants)) -> unsubscribe, updateParticipant(changes)
+//   onCall(callback(call)) -> unsubscribe, invite(userIds) when supportsInvites is set
+
+export class FirestoreSignaling {
+  constructor(callId, user) {
+    this.callId = callId;
+    this.user = user;
+    this.supportsInvites = true;
+  }
+
+  join() {
+    return callService.joinCall(this.callId, this.user);
+  }
+
+  leave() {
+    return callService.leaveCall(this.callId, this.user.uid);
+  }
+
+  send(to, data) {
+    return callService.sendSignal(this.callId, this.user.uid, to, data);
+  }
+
+  onSignal(callback) {
+    return callService.subscribeToSignals(this.callId, this.user.uid, callback);
+  }
+
+  onParticipants(callback) {
+    return callService.subscribeToParticipants(this.callId, callback);
+  }
+
+  onCall(callback) {
+    return callService.subscribeToCall(this.callId, callback);
+  }
+
+  updateParticipant(changes) {
+    return callService.updateParticipant(this.callId, this.user.uid, changes);
+  }
+
+  invite(userIds) {
+    return callService.inviteToCall(this.callId, userIds);
+  }
+
+  close() {}
+}
+
+// Relays signals through the server in server/signaling. With callRecord the Firestore call
+// document still tracks who joined, so invites, ending the call and the call log keep working.
+export class WebSocketSignaling {
+  constructor(callId, user, { url, callRecord = false }) {
+    this.callId = callId;
+    this.user = user;
+    this.url = url;
+    this.callRecord = callRecord;
+    this.supportsInvites = callRecord;
+    this.socket = null;
+    this.joined = false;
+    this.closed = false;
+    this.attempts = 0;
+    this.queue = [];
+    this.signalListeners = new Set();
+    this.participantListeners = new Set();
+    this.participants = [];
+  }
+
+  async join() {
+    if (this.callRecord) {
+      await callService.joinCall(this.callId, this.user);
+    }
+    await this.connect();
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'join',
+          callId: this.callId,
+          user: { uid: this.user.uid, displayName: this.user.displayName || '' }
+        }));
+      };
+
+      socket.onmessage = (event) => {
+        const message = JSON.parse(event.data);
+        switch (message.type) {
+          case 'joined':
+            this.joined = true;
+            this.attempts = 0;
+            this.queue.splice(0).forEach(item => socket.send(item));
+            resolve();
+            break;
+          case 'participants':
+            this.participants = message.participants;
+            this.participantListeners.forEach(listener => listener(message.participants));
+            break;
+          case 'signal':
+            this.signalListeners.forEach(listener => listener(message.from, message.data));
+            break;
+          case 'error':
+            console.error('Signaling error:', message.message);
+            if (!this.joined) {
+              this.closed = true;
+              socket.close();
+              reject(new Error(message.message));
+            }
+            break;
+          default:
+            break;
+        }
+      };
+
+      socket.onclose = () => {
+        const wasJoined = this.joined;
+        this.joined = false;
+        if (this.closed) return;
+        if (!wasJoined && this.attempts === 0) {
+          reject(new Error('Could not reach the signaling server'));
+          return;
+        }
+
+        // Keep the seat through short network drops, the server re-announces everyone on rejoin
+        const delay = RECONNECT_DELAYS[Math.min(this.attempts, RECONNECT_DELAYS.length - 1)];
+        this.attempts += 1;
+        setTimeout(() => {
+          if (!this.closed) this.connect().catch(() => {});
+        }, delay);
+      };
+    });
+  }
+
+  transmit(message) {
+    const payload = JSON.stringify(message);
+    if (this.joined && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(payload);
+    } else {
+      this.queue.push(payload);
+    }
+  }
+
+  async leave() {
+    if (this.joined) this.transmit({ type: 'leave' });
+    this.close();
+    if (this.callRecord) {
+      return callService.leaveCall(this.callId, this.user.uid);
+    }
+    return { call: null, ended: false };
+  }
+
+  send(to, data) {
+    this.transmit({ type: 'signal', to, data });
+  }
+
+  onSignal(callback) {
+    this.signalListeners.add(callback);
+    return () => this.signalListeners.delete(callback);
+  }
+
+  onParticipants(callback) {
+    this.participantListeners.add(callback);
+    if (this.joined) callback(this.participants);
+    return () => this.participantListeners.delete(callback);
+  }
+
+  onCall(callback) {
+    if (this.callRecord) {
+      return callService.subscribeToCall(this.callId, callback);
+    }
+    callback({ id: this.callId, status: 'active', invited: [] });
+    return () => {};
+  }
+
+  updateParticipant(changes) {
+    this.transmit({ type: 'update', changes });
+  }
+
+  invite(userIds) {
+    return callService.inviteToCall(this.callId, userIds);
+  }
+
+  close() {
+    this.closed = true;
+    this.joined = false;
+    this.socket?.close();
+  }
+}
+
+class SignalingService {
+  constructor() {
+    this.defaultTransport = SIGNALING_URL ? 'websocket' : 'firestore';
+  }
+
+  getWebSocketUrl() {
+    if (SIGNALING_URL) return SIGNALING_URL;
+    // The Vite dev server proxies /signaling to the local server
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    return `${protocol}//${window.location.host}/signaling`;
+  }
+
+  connect(callId, user, { transport = this.defaultTransport, callRecord = true } = {}) {
+    if (transport === 'websocket') {
+      return new WebSocketSignaling(callId, user, { url: this.getWebSocketUrl(), callRecord });
+    }
+    return new FirestoreSignaling(callId, user);
+  }
+}
+
+export const signalingService = new SignalingService();
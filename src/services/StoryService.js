@@ -0,0 +1,527 @@
+import { db, storage, BATCH_WRITE_LIMIT } from '../config/firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  setDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  runTransaction,
+  writeBatch,
+  increment,
+  arrayUnion,
+  arrayRemove,
+  serverTimestamp,
+  Timestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { NotificationService } from './NotificationService';
+import { encryptionService } from './EncryptionService';
+import { messageService } from './MessageService';
+
+// Stories are portrait, everything is rendered at this size
+export const STORY_WIDTH = 1080;
+export const STORY_HEIGHT = 1920;
+export const STORY_FONTS = {
+  classic: { label: 'Classic', family: 'Georgia, serif', weight: 'bold' },
+  modern: { label: 'Modern', family: 'Helvetica, Arial, sans-serif', weight: 'bold' },
+  typewriter: { label: 'Typewriter', family: '"Courier New", monospace', weight: 'normal' },
+  handwriting: { label: 'Handwriting', family: '"Comic Sans MS", "Marker Felt", cursive', weight: 'normal' }
+};
+export const STORY_COLORS = ['#ffffff', '#000000', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899'];
+export const STORY_EMOJI = ['😍', '😂', '🔥', '🎉', '❤️', '👏', '😮', '😢', '✨', '👀', '💯', '🙌'];
+// Quick reactions under someone else's story
+export const STORY_REACTIONS = ['❤️', '😂', '😮', '😢', '👏', '🔥'];
+const THUMBNAIL_WIDTH = 360;
+const THUMBNAIL_HEIGHT = 640;
+// Canvas filters for photos, the same strings are CSS filters for videos
+export const STORY_FILTERS = {
+  none: { label: 'Original', css: 'none' },
+  mono: { label: 'Mono', css: 'grayscale(1)' },
+  warm: { label: 'Warm', css: 'sepia(0.35) saturate(1.3)' },
+  cool: { label: 'Cool', css: 'hue-rotate(-12deg) saturate(1.1) brightness(1.05)' },
+  vivid: { label: 'Vivid', css: 'saturate(1.6) contrast(1.1)' },
+  fade: { label: 'Fade', css: 'contrast(0.85) brightness(1.1) saturate(0.8)' }
+};
+const JPEG_QUALITY = 0.9;
+export const STORY_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// Layers and strokes use coordinates from 0 to 1 across the story, sizes are a share of its width
+const layerFont = (layer, width) => {
+  const font = STORY_FONTS[layer.font] || STORY_FONTS.modern;
+  return `${layer.type === 'text' ? font.weight : 'bold'} ${Math.round(layer.size * width)}px ${
+    layer.type === 'text' ? font.family : STORY_FONTS.modern.family
+  }`;
+};
+
+const layerLabel = layer => (layer.type === 'mention' ? `@${layer.mention.displayName}` : layer.text);
+
+// Box around a layer in pixels, for drawing its background and for picking it up
+export const getLayerBounds = (context, layer, width, height) => {
+  context.save();
+  context.font = layerFont(layer, width);
+  const textWidth = context.measureText(layerLabel(layer)).width;
+  context.restore();
+
+  const fontSize = layer.size * width;
+  const padding = layer.type === 'mention' ? fontSize * 0.4 : 0;
+  const boxWidth = textWidth + padding * 2;
+  const boxHeight = fontSize * 1.25 + padding;
+  return {
+    x: layer.x * width - boxWidth / 2,
+    y: layer.y * height - boxHeight / 2,
+    width: boxWidth,
+    height: boxHeight
+  };
+};
+
+// Paints a photo or video frame rotated by a quarter turn, zoomed and panned to fill the frame
+export const drawStoryMedia = (context, source, { rotation = 0, zoom = 1, panX = 0, panY = 0, filter = 'none' }, width, height) => {
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  if (!sourceWidth || !sourceHeight) return;
+
+  const turned = rotation % 180 !== 0;
+  const rotatedWidth = turned ? sourceHeight : sourceWidth;
+  const rotatedHeight = turned ? sourceWidth : sourceHeight;
+  const scale = Math.max(width / rotatedWidth, height / rotatedHeight) * zoom;
+  // Panning stops at the edge of the picture
+  const maxPanX = Math.max(0, (rotatedWidth * scale - width) / 2);
+  const maxPanY = Math.max(0, (rotatedHeight * scale - height) / 2);
+
+  context.save();
+  context.fillStyle = '#000000';
+  context.fillRect(0, 0, width, height);
+  context.filter = STORY_FILTERS[filter]?.css || 'none';
+  context.translate(width / 2 + panX * maxPanX, height / 2 + panY * maxPanY);
+  context.rotate((rotation * Math.PI) / 180);
+  context.drawImage(source, (-sourceWidth * scale) / 2, (-sourceHeight * scale) / 2, sourceWidth * scale, sourceHeight * scale);
+  context.restore();
+};
+
+// Paints the drawing, then text, emoji and mention stickers on top
+export const drawStoryOverlay = (context, { strokes = [], layers = [] }, width, height) => {
+  context.save();
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  strokes.forEach((stroke) => {
+    if (stroke.points.length === 0) return;
+    context.strokeStyle = stroke.color;
+    context.lineWidth = stroke.width * width;
+    context.beginPath();
+    context.moveTo(stroke.points[0][0] * width, stroke.points[0][1] * height);
+    // A single tap still leaves a dot
+    stroke.points.slice(stroke.points.length > 1 ? 1 : 0).forEach(([x, y]) => context.lineTo(x * width, y * height));
+    context.stroke();
+  });
+
+  layers.forEach((layer) => {
+    const bounds = getLayerBounds(context, layer, width, height);
+    context.font = layerFont(layer, width);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    if (layer.type === 'mention') {
+      const radius = bounds.height / 2;
+      context.fillStyle = '#ffffff';
+      context.beginPath();
+      context.roundRect(bounds.x, bounds.y, bounds.width, bounds.height, radius);
+      context.fill();
+      context.fillStyle = layer.color === '#ffffff' ? '#3b82f6' : layer.color;
+    } else {
+      context.fillStyle = layer.color;
+      // Keeps light text readable on light photos
+      context.shadowColor = 'rgba(0, 0, 0, 0.45)';
+      context.shadowBlur = layer.type === 'text' ? layer.size * width * 0.15 : 0;
+    }
+    context.fillText(layerLabel(layer), layer.x * width, layer.y * height);
+    context.shadowBlur = 0;
+  });
+  context.restore();
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the story'))), type, quality);
+});
+
+// A still to show where a story can't play, such as highlight covers. Stories posted before
+// video thumbnails existed have none.
+export const getStoryThumbnail = (story) => (
+  story.thumbnailUrl || (story.mediaType === 'image' ? story.mediaUrl : null)
+);
+
+class StoryService {
+  constructor() {
+    this.storiesCollection = collection(db, 'stories');
+    this.settingsCollection = collection(db, 'storySettings');
+    this.highlightsCollection = collection(db, 'storyHighlights');
+  }
+
+  // Authors can hide their stories from people, everyone else sees them
+  isVisibleTo(story, userId) {
+    return story.userId === userId || !story.hiddenFrom?.includes(userId);
+  }
+
+  // Rendering
+  // Photos are flattened into one image. Videos keep their file, the overlay is a transparent
+  // image shown over them and the filter is applied when they play.
+  async render(source, edits, mediaType) {
+    const canvas = document.createElement('canvas');
+    canvas.width = STORY_WIDTH;
+    canvas.height = STORY_HEIGHT;
+    const context = canvas.getContext('2d');
+
+    if (mediaType === 'image') {
+      drawStoryMedia(context, source, edits, STORY_WIDTH, STORY_HEIGHT);
+      drawStoryOverlay(context, edits, STORY_WIDTH, STORY_HEIGHT);
+      return { media: await canvasToBlob(canvas, 'image/jpeg', JPEG_QUALITY), overlay: null };
+    }
+
+    const hasOverlay = edits.layers.length > 0 || edits.strokes.length > 0;
+    if (hasOverlay) drawStoryOverlay(context, edits, STORY_WIDTH, STORY_HEIGHT);
+
+    // The frame the editor is showing, with everything on it
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = THUMBNAIL_WIDTH;
+    thumbnail.height = THUMBNAIL_HEIGHT;
+    const thumbnailContext = thumbnail.getContext('2d');
+    drawStoryMedia(thumbnailContext, source, edits, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+    drawStoryOverlay(thumbnailContext, edits, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+
+    return {
+      media: null,
+      overlay: hasOverlay ? await canvasToBlob(canvas, 'image/png') : null,
+      thumbnail: await canvasToBlob(thumbnail, 'image/jpeg', JPEG_QUALITY)
+    };
+  }
+
+  // Publishing
+  async upload(user, blob, name) {
+    const storageRef = ref(storage, `stories/${user.uid}/${Date.now()}_${name}`);
+    await uploadBytes(storageRef, blob);
+    return getDownloadURL(storageRef);
+  }
+
+  async publishStory(user, { file, source, edits }) {
+    try {
+      const mediaType = file.type.startsWith('image/') ? 'image' : 'video';
+      const rendered = await this.render(source, edits, mediaType);
+
+      const mediaUrl = await this.upload(user, rendered.media || file, rendered.media ? 'story.jpg' : file.name);
+      const overlayUrl = rendered.overlay ? await this.upload(user, rendered.overlay, 'overlay.png') : null;
+      const thumbnailUrl = rendered.thumbnail ? await this.upload(user, rendered.thumbnail, 'thumbnail.jpg') : null;
+
+      // Everyone tagged once, never the author
+      const mentions = edits.layers
+        .filter(layer => layer.type === 'mention' && layer.mention.uid !== user.uid)
+        .map(layer => layer.mention)
+        .filter((mention, index, all) => all.findIndex(item => item.uid === mention.uid) === index);
+
+      const { hiddenFrom, keepArchive } = await this.getSettings(user.uid);
+      const storyRef = await addDoc(this.storiesCollection, {
+        userId: user.uid,
+        userName: user.displayName,
+        userAvatar: user.photoURL,
+        mediaUrl,
+        mediaType,
+        overlayUrl,
+        thumbnailUrl,
+        filter: mediaType === 'video' ? edits.filter : 'none',
+        mentions,
+        mentionIds: mentions.map(mention => mention.uid),
+        hiddenFrom: hiddenFrom.map(person => person.uid),
+        viewCount: 0,
+        // Archived stories and stories in a highlight are kept after they expire
+        archived: keepArchive,
+        highlightIds: [],
+        expiresAt: keepArchive ? null : Timestamp.fromMillis(Date.now() + STORY_LIFETIME_MS),
+        createdAt: serverTimestamp()
+      });
+
+      await Promise.allSettled(mentions.map(mention => (
+        NotificationService.notifyStoryMention(mention.uid, { id: storyRef.id, userName: user.displayName })
+      )));
+
+      return storyRef.id;
+    } catch (error) {
+      console.error('Error publishing story:', error);
+      throw error;
+    }
+  }
+
+  // Views
+  // One document per viewer in the views subcollection, the first view is the one that counts
+  async recordView(story, user) {
+    if (story.userId === user.uid) return;
+
+    try {
+      await runTransaction(db, async (transaction) => {
+        const viewRef = doc(this.storiesCollection, story.id, 'views', user.uid);
+        const snapshot = await transaction.get(viewRef);
+        if (snapshot.exists()) return;
+
+        transaction.set(viewRef, {
+          uid: user.uid,
+          displayName: user.displayName || '',
+          photoURL: user.photoURL || null,
+          viewedAt: serverTimestamp()
+        });
+        transaction.update(doc(this.storiesCollection, story.id), { viewCount: increment(1) });
+      });
+    } catch (error) {
+      console.error('Error recording story view:', error);
+    }
+  }
+
+  subscribeToViews(storyId, callback) {
+    const q = query(collection(this.storiesCollection, storyId, 'views'), orderBy('viewedAt', 'desc'));
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(item => item.data()));
+    }, (error) => {
+      console.error('Error listening to story views:', error);
+    });
+  }
+
+  // Replies
+  // Reactions and replies go to the author as a direct message quoting the story
+  async getDirectChat(userId, otherUserId) {
+    const q = query(collection(db, 'friends'), where('users', 'array-contains', userId));
+    const snapshot = await getDocs(q);
+    const chat = snapshot.docs.find(item => item.data().users.includes(otherUserId));
+    return chat ? { id: chat.id, ...chat.data() } : null;
+  }
+
+  async replyToStory(story, user, text) {
+    try {
+      const chat = await this.getDirectChat(user.uid, story.userId);
+      if (!chat) {
+        throw new Error(`Add ${story.userName} as a friend to reply to their stories`);
+      }
+
+      const content = chat.encrypted
+        ? await encryptionService.encryptMessage({ text }, chat.users).then(sealed => ({
+          text: '',
+          encrypted: true,
+          ciphertext: sealed.ciphertext,
+          iv: sealed.iv,
+          encryption: sealed.encryption
+        }))
+        : { text };
+
+      await addDoc(collection(db, 'messages'), {
+        chatId: chat.id,
+        senderId: user.uid,
+        senderName: user.displayName,
+        ...content,
+        // Only a still of the story is quoted, chats never load the video itself
+        storyReply: {
+          storyId: story.id,
+          authorName: story.userName,
+          mediaType: story.mediaType,
+          thumbnailUrl: getStoryThumbnail(story)
+        },
+        ...messageService.getExpiryFields(chat.disappearAfter),
+        timestamp: serverTimestamp()
+      });
+    } catch (error) {
+      console.error('Error replying to story:', error);
+      throw error;
+    }
+  }
+
+  async reactToStory(story, user, emoji) {
+    // The author sees the reaction next to the viewer's name, and gets it as a message
+    try {
+      await setDoc(doc(this.storiesCollection, story.id, 'views', user.uid), {
+        uid: user.uid,
+        displayName: user.displayName || '',
+        photoURL: user.photoURL || null,
+        reaction: emoji,
+        reactedAt: serverTimestamp()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error saving story reaction:', error);
+      throw error;
+    }
+    await this.replyToStory(story, user, emoji);
+  }
+
+  // Privacy
+  async getSettings(userId) {
+    try {
+      const snapshot = await getDoc(doc(this.settingsCollection, userId));
+      // The archive is opt in, otherwise only highlighted stories outlive the day
+      return { hiddenFrom: [], keepArchive: false, ...snapshot.data() };
+    } catch (error) {
+      console.error('Error loading story settings:', error);
+      throw error;
+    }
+  }
+
+  // Applies to new stories and to every story still kept, archived and highlighted ones included
+  async setHiddenFrom(userId, hiddenFrom) {
+    try {
+      const stories = await getDocs(query(this.storiesCollection, where('userId', '==', userId)));
+      const hiddenIds = hiddenFrom.map(person => person.uid);
+
+      let batch = writeBatch(db);
+      let writes = 1;
+      batch.set(doc(this.settingsCollection, userId), { hiddenFrom, updatedAt: serverTimestamp() }, { merge: true });
+      for (const story of stories.docs) {
+        if (writes === BATCH_WRITE_LIMIT) {
+          await batch.commit();
+          batch = writeBatch(db);
+          writes = 0;
+        }
+        batch.update(story.ref, { hiddenFrom: hiddenIds });
+        writes += 1;
+      }
+      await batch.commit();
+    } catch (error) {
+      console.error('Error updating story settings:', error);
+      throw error;
+    }
+  }
+
+  // Applies to stories posted from now on
+  async setKeepArchive(userId, keepArchive) {
+    try {
+      await setDoc(doc(this.settingsCollection, userId), { keepArchive, updatedAt: serverTimestamp() }, { merge: true });
+    } catch (error) {
+      console.error('Error updating story settings:', error);
+      throw error;
+    }
+  }
+
+  // Archive
+  // Every story of the user's that is still kept, newest first. Only the user sees it.
+  async getArchive(userId) {
+    try {
+      const q = query(this.storiesCollection, where('userId', '==', userId), orderBy('createdAt', 'desc'));
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(item => ({ id: item.id, ...item.data() }));
+    } catch (error) {
+      console.error('Error loading story archive:', error);
+      throw error;
+    }
+  }
+
+  // Expired stories are deleted with their media unless they're archived or in a highlight.
+  // Kept stories have no expiresAt, so the cleanup query never reads them.
+  isKept(story) {
+    return Boolean(story.archived || story.highlightIds?.length);
+  }
+
+  // Takes a story out of a highlight. If nothing else keeps it, it expires a day after it was
+  // posted again, which is usually right away.
+  releaseFromHighlight(transaction, storySnapshot, highlightId) {
+    const story = storySnapshot.data();
+    if (!story) return;
+
+    const highlightIds = (story.highlightIds || []).filter(id => id !== highlightId);
+    const kept = this.isKept({ ...story, highlightIds });
+    transaction.update(storySnapshot.ref, {
+      highlightIds: arrayRemove(highlightId),
+      ...(!kept && { expiresAt: Timestamp.fromMillis(story.createdAt.toMillis() + STORY_LIFETIME_MS) })
+    });
+  }
+
+  // Highlights
+  subscribeToHighlights(userId, callback) {
+    const q = query(this.highlightsCollection, where('userId', '==', userId), orderBy('createdAt', 'asc'));
+    return onSnapshot(q, (snapshot) => {
+      callback(snapshot.docs.map(item => ({ id: item.id, ...item.data() })));
+    }, (error) => {
+      console.error('Error listening to story highlights:', error);
+    });
+  }
+
+  // In the order they were added, leaving out any that were deleted
+  async getHighlightStories(highlight) {
+    try {
+      const snapshots = await Promise.all(highlight.storyIds.map(storyId => getDoc(doc(this.storiesCollection, storyId))));
+      return snapshots
+        .filter(snapshot => snapshot.exists())
+        .map(snapshot => ({ id: snapshot.id, ...snapshot.data() }));
+    } catch (error) {
+      console.error('Error loading highlight stories:', error);
+      throw error;
+    }
+  }
+
+  // Creates a highlight, or updates the one passed in. The cover is an uploaded image or a still of
+  // one of its stories, an existing highlight keeps its cover unless a new one is picked.
+  // A still belongs to its story and is deleted with it, so the cover can't outlast the story leaving.
+  async saveHighlight(user, { highlight = null, name, stories, coverStory = null, coverFile = null }) {
+    try {
+      if (!name.trim()) throw new Error('Give the highlight a name');
+      if (stories.length === 0) throw new Error('Pick at least one story');
+
+      const storyIds = stories.map(story => story.id);
+      const keepsCover = highlight?.coverUrl
+        && (!highlight.coverStoryId || storyIds.includes(highlight.coverStoryId));
+      const fromStory = story => ({ coverUrl: getStoryThumbnail(story), coverStoryId: story.id });
+      const firstWithThumbnail = stories.find(getStoryThumbnail);
+
+      let cover = { coverUrl: null, coverStoryId: null };
+      if (coverFile) {
+        cover = { coverUrl: await this.upload(user, coverFile, 'highlight_cover'), coverStoryId: null };
+      } else if (coverStory && getStoryThumbnail(coverStory)) {
+        cover = fromStory(coverStory);
+      } else if (keepsCover) {
+        cover = { coverUrl: highlight.coverUrl, coverStoryId: highlight.coverStoryId || null };
+      } else if (firstWithThumbnail) {
+        cover = fromStory(firstWithThumbnail);
+      }
+
+      const highlightRef = highlight ? doc(this.highlightsCollection, highlight.id) : doc(this.highlightsCollection);
+      const previousIds = highlight?.storyIds || [];
+      const removedIds = previousIds.filter(storyId => !storyIds.includes(storyId));
+
+      await runTransaction(db, async (transaction) => {
+        const removed = await Promise.all(removedIds.map(storyId => transaction.get(doc(this.storiesCollection, storyId))));
+
+        transaction.set(highlightRef, {
+          userId: user.uid,
+          name: name.trim(),
+          ...cover,
+          storyIds,
+          updatedAt: serverTimestamp(),
+          ...(highlight ? {} : { createdAt: serverTimestamp() })
+        }, { merge: true });
+        storyIds.filter(storyId => !previousIds.includes(storyId)).forEach((storyId) => {
+          transaction.update(doc(this.storiesCollection, storyId), {
+            highlightIds: arrayUnion(highlightRef.id),
+            expiresAt: null
+          });
+        });
+        removed.forEach(snapshot => this.releaseFromHighlight(transaction, snapshot, highlightRef.id));
+      });
+
+      return highlightRef.id;
+    } catch (error) {
+      console.error('Error saving story highlight:', error);
+      throw error;
+    }
+  }
+
+  // Stories that were only kept for this highlight expire with the next cleanup
+  async deleteHighlight(highlight) {
+    try {
+      await runTransaction(db, async (transaction) => {
+        const stories = await Promise.all(highlight.storyIds.map(storyId => transaction.get(doc(this.storiesCollection, storyId))));
+        stories.forEach(snapshot => this.releaseFromHighlight(transaction, snapshot, highlight.id));
+        transaction.delete(doc(this.highlightsCollection, highlight.id));
+      });
+    } catch (error) {
+      console.error('Error deleting story highlight:', error);
+      throw error;
+    }
+  }
+}
+
+export const storyService = new StoryService();
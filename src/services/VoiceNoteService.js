@@ -0,0 +1,161 @@
+import { db, storage } from '../config/firebase';
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  arrayUnion,
+  serverTimestamp
+} from 'firebase/firestore';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { offlineDB } from './OfflineDB';
+import { encryptionService } from './EncryptionService';
+import { messageService } from './MessageService';
+
+const WAVEFORM_BARS = 48;
+
+class VoiceNoteService {
+  constructor() {
+    this.messagesCollection = collection(db, 'messages');
+    this.flushing = false;
+
+    window.addEventListener('online', () => this.flushOutbox());
+  }
+
+  // Waveform
+  async computeWaveform(blob, bars = WAVEFORM_BARS) {
+    const audioContext = new AudioContext();
+    try {
+      const buffer = await audioContext.decodeAudioData(await blob.arrayBuffer());
+      const samples = buffer.getChannelData(0);
+      const blockSize = Math.max(1, Math.floor(samples.length / bars));
+      const peaks = [];
+
+      for (let i = 0; i < bars; i++) {
+        let peak = 0;
+        for (let j = i * blockSize; j < Math.min((i + 1) * blockSize, samples.length); j++) {
+          peak = Math.max(peak, Math.abs(samples[j]));
+        }
+        peaks.push(peak);
+      }
+
+      const max = Math.max(...peaks, 0.01);
+      return {
+        duration: buffer.duration,
+        waveform: peaks.map(peak => Math.round((peak / max) * 100) / 100)
+      };
+    } finally {
+      audioContext.close();
+    }
+  }
+
+  // Sending
+  async sendVoiceNote(chat, sender, { blob, duration, waveform }) {
+    const note = {
+      chatId: chat.id,
+      members: chat.members,
+      encrypted: Boolean(chat.encrypted),
+      disappearAfter: chat.disappearAfter || 0,
+      senderId: sender.uid,
+      senderName: sender.displayName || '',
+      blob,
+      duration,
+      waveform,
+      recordedAt: new Date().toISOString()
+    };
+
+    if (!navigator.onLine) {
+      await this.queueVoiceNote(note);
+      return;
+    }
+
+    try {
+      await this.uploadVoiceNote(note);
+    } catch (error) {
+      console.error('Error sending voice note, queued for retry:', error);
+      await this.queueVoiceNote(note);
+    }
+  }
+
+  async uploadVoiceNote(note) {
+    let upload = note.blob;
+    let sealed = null;
+
+    if (note.encrypted) {
+      sealed = await encryptionService.encryptMessage({ text: '', file: note.blob }, note.members);
+      upload = sealed.file;
+    }
+
+    const fileRef = ref(storage, `voiceNotes/${note.chatId}/${crypto.randomUUID()}.webm`);
+    await uploadBytes(fileRef, upload);
+    const fileUrl = await getDownloadURL(fileRef);
+
+    await addDoc(this.messagesCollection, {
+      chatId: note.chatId,
+      senderId: note.senderId,
+      senderName: note.senderName,
+      type: 'audio',
+      text: '',
+      fileUrl,
+      fileType: 'audio',
+      duration: note.duration,
+      waveform: note.waveform,
+      listenedBy: [],
+      ...(sealed && {
+        encrypted: true,
+        ciphertext: sealed.ciphertext,
+        iv: sealed.iv,
+        encryption: sealed.encryption,
+        fileIv: sealed.fileIv,
+        fileMimeType: note.blob.type
+      }),
+      ...messageService.getExpiryFields(note.disappearAfter),
+      timestamp: serverTimestamp()
+    });
+  }
+
+  // Offline Outbox
+  async queueVoiceNote(note) {
+    await offlineDB.add('outbox', {
+      type: 'voiceNote',
+      data: note,
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  async flushOutbox() {
+    if (this.flushing || !navigator.onLine) return;
+
+    try {
+      this.flushing = true;
+      const items = await offlineDB.getAll('outbox');
+
+      for (const item of items.filter(item => item.type === 'voiceNote')) {
+        try {
+          await this.uploadVoiceNote(item.data);
+          await offlineDB.delete('outbox', item.id);
+        } catch (error) {
+          // Keep the note, it is retried the next time the browser comes online
+          console.error('Failed to sync voice note:', error);
+          await offlineDB.put('outbox', { ...item, attempts: item.attempts + 1 });
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  // Playback
+  async markListened(messageId, userId) {
+    try {
+      await updateDoc(doc(this.messagesCollection, messageId), {
+        listenedBy: arrayUnion(userId)
+      });
+    } catch (error) {
+      console.error('Error marking voice note as listened:', error);
+    }
+  }
+}
+
+export const voiceNoteService = new VoiceNoteService();
@@ -66,6 +66,11 @@ export const checkText = async (text) => {
       ]
     });*/
 
+    // Without a Perspective key there are no scores, only the keyword checks apply
+    if (!result) {
+      return { safe: true, scores: null };
+    }
+
     const scores = result.attributeScores;
     
     // Define thresholds for different content types
@@ -102,6 +107,13 @@ export const containsBlacklistedKeywords = (text) => {
   );
 };
 
+// Keyword checks only, cheap enough to run on every chat message as it is displayed
+export const containsBannedWords = (text, bannedWords = []) => {
+  if (containsBlacklistedKeywords(text)) return true;
+  const lowercaseText = text.toLowerCase();
+  return bannedWords.some(word => word.trim() && lowercaseText.includes(word.trim().toLowerCase()));
+};
+
 // Combined content check
 export const validateContent = async ({ text, media }) => {
   const issues = [];
@@ -0,0 +1,14 @@
+// setTimeout overflows past ~24.8 days, longer waits are re-armed in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Calls back at a point in time however far off, right away if it already passed.
+// Returns a function that cancels it.
+export const runAt = (time, callback) => {
+  let timer;
+  const arm = () => {
+    const delay = Math.max(time - Date.now(), 0);
+    timer = setTimeout(() => (delay > MAX_TIMER_MS ? arm() : callback()), Math.min(delay, MAX_TIMER_MS));
+  };
+  arm();
+  return () => clearTimeout(timer);
+};
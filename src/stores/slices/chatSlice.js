@@ -3,6 +3,9 @@ import { createSlice } from '@reduxjs/toolkit';
 const initialState = {
   messages: [],
   activeChat: null,
+  decrypted: {},
+  keyChanges: {},
+  scheduled: [],
   loading: false,
   error: null,
 };
@@ -20,6 +23,23 @@ const chatSlice = createSlice({
     setActiveChat: (state, action) => {
       state.activeChat = action.payload;
     },
+    setDecryptedMessage: (state, action) => {
+      const { messageId, ...content } = action.payload;
+      state.decrypted[messageId] = content;
+    },
+    clearDecryptedMessage: (state, action) => {
+      delete state.decrypted[action.payload];
+    },
+    setKeyChange: (state, action) => {
+      const { userId, ...change } = action.payload;
+      state.keyChanges[userId] = change;
+    },
+    clearKeyChange: (state, action) => {
+      delete state.keyChanges[action.payload];
+    },
+    setScheduledMessages: (state, action) => {
+      state.scheduled = action.payload;
+    },
     setLoading: (state, action) => {
       state.loading = action.payload;
     },
@@ -29,6 +49,7 @@ const chatSlice = createSlice({
     clearChat: (state) => {
       state.messages = [];
       state.activeChat = null;
+      state.decrypted = {};
       state.error = null;
     },
   },
@@ -38,6 +59,11 @@ export const {
   setMessages,
   addMessage,
   setActiveChat,
+  setDecryptedMessage,
+  clearDecryptedMessage,
+  setKeyChange,
+  clearKeyChange,
+  setScheduledMessages,
   setLoading,
   setError,
   clearChat,
@@ -13,4 +13,20 @@ export default defineConfig({
   define: {
     global: {},
   },
+  server: {
+    proxy: {
+      // Link previews are fetched server side, see server/unfurl
+      '/api/unfurl': 'http://localhost:8787',
+      // Call signaling over WebSocket, see server/signaling
+      '/signaling': {
+        target: 'ws://localhost:8790',
+        ws: true,
+      },
+      // Livestream signaling, same server
+      '/broadcast': {
+        target: 'ws://localhost:8790',
+        ws: true,
+      },
+    },
+  },
 });